@@ -0,0 +1,162 @@
+// In-memory folders
+// Gives files from an <input webkitdirectory> upload, a dropped folder or a .zip
+// archive the part of the FileSystemDirectoryHandle interface GoParser reads
+// (name, kind, values(), getFile()), so browsers without showDirectoryPicker
+// feed the same pipeline. Shared by the page and go-worker.js.
+
+// Zip record signatures and sizes (APPNOTE.TXT 4.3)
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_FILE_HEADER = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+const ZIP_END_RECORD_SIZE = 22;
+const ZIP_LOCAL_HEADER_SIZE = 30;
+const ZIP_MAX_COMMENT_LENGTH = 0xffff;
+
+class FileTreeDirectory {
+    constructor(name) {
+        this.kind = 'directory';
+        this.name = name;
+        this.entries = new Map(); // name -> FileTreeDirectory or { kind: 'file', name, getFile }
+    }
+
+    async *values() {
+        yield* this.entries.values();
+    }
+
+    /**
+     * Add a file below this folder, creating the folders on its path
+     * @param {string} path - Slash-separated, relative to this folder
+     * @param {function(): Promise<File>} getFile
+     */
+    addFile(path, getFile) {
+        const parts = path.split('/').filter(Boolean);
+        const name = parts.pop();
+        let directory = this;
+        parts.forEach(part => {
+            if (!directory.entries.has(part)) {
+                directory.entries.set(part, new FileTreeDirectory(part));
+            }
+            directory = directory.entries.get(part);
+        });
+        directory.entries.set(name, { kind: 'file', name, getFile });
+    }
+
+    /**
+     * The folder a GoAnalyzer source describes
+     * @param {{dirHandle: FileSystemDirectoryHandle}|{name: string, files: Array<{path: string, file: File}>}|{zip: File}} source
+     */
+    static async fromSource(source) {
+        if (source.dirHandle) return source.dirHandle;
+        if (source.zip) return FileTreeDirectory.fromZip(source.zip);
+        return FileTreeDirectory.fromFiles(source.name, source.files);
+    }
+
+    /**
+     * Folder from uploaded or dropped files
+     * @param {Array<{path: string, file: File}>} files - Paths relative to the folder
+     */
+    static fromFiles(name, files) {
+        const root = new FileTreeDirectory(name);
+        files.forEach(({ path, file }) => root.addFile(path, async () => file));
+        return root;
+    }
+
+    /**
+     * Folder from a .zip archive; each entry is only inflated when it is read.
+     * Repository downloads wrap everything in one top folder, which becomes the root.
+     * @throws {Error} When the file is not a zip archive or uses Zip64
+     */
+    static async fromZip(blob) {
+        const tailStart = Math.max(0, blob.size - ZIP_END_RECORD_SIZE - ZIP_MAX_COMMENT_LENGTH);
+        const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+
+        let end = -1;
+        for (let offset = tail.byteLength - ZIP_END_RECORD_SIZE; offset >= 0; offset--) {
+            if (tail.getUint32(offset, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+                end = offset;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error(`${blob.name || 'the file'} is not a zip archive`);
+        }
+
+        const entryCount = tail.getUint16(end + 10, true);
+        const directorySize = tail.getUint32(end + 12, true);
+        const directoryOffset = tail.getUint32(end + 16, true);
+        if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+            throw new Error('Zip64 archives are not supported');
+        }
+
+        const directory = new DataView(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+        const decoder = new TextDecoder();
+        const baseName = (blob.name || 'archive').replace(/\.zip$/i, '');
+        const root = new FileTreeDirectory(baseName);
+
+        let offset = 0;
+        for (let index = 0; index < entryCount; index++) {
+            if (directory.getUint32(offset, true) !== ZIP_CENTRAL_FILE_HEADER) {
+                throw new Error('the zip archive\'s central directory is damaged');
+            }
+            const entry = {
+                method: directory.getUint16(offset + 10, true),
+                lastModified: FileTreeDirectory.fromDosTime(
+                    directory.getUint16(offset + 12, true),
+                    directory.getUint16(offset + 14, true)
+                ),
+                compressedSize: directory.getUint32(offset + 20, true),
+                headerOffset: directory.getUint32(offset + 42, true)
+            };
+            const nameLength = directory.getUint16(offset + 28, true);
+            const extraLength = directory.getUint16(offset + 30, true);
+            const commentLength = directory.getUint16(offset + 32, true);
+            const path = decoder.decode(new Uint8Array(directory.buffer, offset + 46, nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (path.endsWith('/')) continue; // Folder entry
+            const name = path.slice(path.lastIndexOf('/') + 1);
+            root.addFile(path, () => FileTreeDirectory.readZipEntry(blob, entry, name));
+        }
+
+        const [only] = root.entries.values();
+        return root.entries.size === 1 && only.kind === 'directory' ? only : root;
+    }
+
+    /**
+     * Inflate one zip entry into a File
+     */
+    static async readZipEntry(blob, entry, name) {
+        const header = new DataView(await blob.slice(entry.headerOffset, entry.headerOffset + ZIP_LOCAL_HEADER_SIZE).arrayBuffer());
+        if (header.getUint32(0, true) !== ZIP_LOCAL_FILE_HEADER) {
+            throw new Error(`the zip entry ${name} is damaged`);
+        }
+        // The local header's name and extra field can differ in length from the central directory's
+        const dataStart = entry.headerOffset + ZIP_LOCAL_HEADER_SIZE +
+            header.getUint16(26, true) + header.getUint16(28, true);
+        const data = blob.slice(dataStart, dataStart + entry.compressedSize);
+
+        let contents;
+        if (entry.method === 0) {
+            contents = data;
+        } else if (entry.method === 8) {
+            const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            contents = await new Response(stream).blob();
+        } else {
+            throw new Error(`the zip entry ${name} uses unsupported compression method ${entry.method}`);
+        }
+        return new File([contents], name, { lastModified: entry.lastModified });
+    }
+
+    /**
+     * MS-DOS date and time fields (local time, 2 second resolution) -> ms since the epoch
+     */
+    static fromDosTime(time, date) {
+        return new Date(
+            (date >> 9) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f,
+            time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2
+        ).getTime();
+    }
+}
+
+// Make it available globally (the page, or the analysis worker in go-worker.js)
+self.FileTreeDirectory = FileTreeDirectory;
@@ -0,0 +1,195 @@
+// Go Lexer Module
+// Splits Go source into tokens following the Go spec's lexical rules: comments,
+// interpreted/raw strings, rune literals, numbers, operators and automatic
+// semicolon insertion. GoParser builds its declaration/call parser on top of it.
+
+const GO_KEYWORDS = new Set([
+    'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else',
+    'fallthrough', 'for', 'func', 'go', 'goto', 'if', 'import', 'interface',
+    'map', 'package', 'range', 'return', 'select', 'struct', 'switch', 'type', 'var'
+]);
+
+// Longest operators first so the first match is the longest one
+const GO_OPERATORS = [
+    '<<=', '>>=', '&^=', '...',
+    '&&', '||', '<-', '++', '--', '==', '!=', '<=', '>=', ':=',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<', '>>', '&^',
+    '+', '-', '*', '/', '%', '&', '|', '^', '<', '>', '=', '!', '~',
+    '(', ')', '[', ']', '{', '}', ',', ';', '.', ':'
+];
+
+const IDENTIFIER_PATTERN = /[\p{L}_][\p{L}\p{Nd}_]*/uy;
+const NUMBER_PATTERN = /0[xX][0-9a-fA-F_]*(?:\.[0-9a-fA-F_]*)?(?:[pP][+-]?[0-9_]+)?i?|0[bBoO][0-9_]+i?|(?:[0-9][0-9_]*(?:\.[0-9_]*)?|\.[0-9][0-9_]*)(?:[eE][+-]?[0-9_]+)?i?/y;
+
+class GoLexer {
+    /**
+     * Tokenize Go source
+     * @param {string} source - File contents
+     * @returns {{tokens: Array<{type: string, value: string, line: number, start: number, end: number}>,
+     *            comments: Array<{text: string, line: number}>,
+     *            errors: Array<{message: string, line: number}>}}
+     *   type is one of 'ident', 'keyword', 'number', 'string', 'rune' or 'operator';
+     *   automatically inserted semicolons are operators with value ';' and auto: true
+     */
+    tokenize(source) {
+        const tokens = [];
+        const comments = [];
+        const errors = [];
+        let pos = 0;
+        let line = 1;
+
+        const push = (type, value, start, startLine) => {
+            tokens.push({ type, value, line: startLine, start, end: pos });
+        };
+
+        // Go spec: a newline ends the statement after an identifier, literal,
+        // one of break/continue/fallthrough/return, ++, --, ), ] or }
+        const insertSemicolon = () => {
+            const last = tokens[tokens.length - 1];
+            if (!last || last.value === ';') return;
+            const ends = last.type === 'ident' || last.type === 'number' ||
+                last.type === 'string' || last.type === 'rune' ||
+                (last.type === 'keyword' && ['break', 'continue', 'fallthrough', 'return'].includes(last.value)) ||
+                (last.type === 'operator' && ['++', '--', ')', ']', '}'].includes(last.value));
+            if (ends) {
+                tokens.push({ type: 'operator', value: ';', line, start: pos, end: pos, auto: true });
+            }
+        };
+
+        while (pos < source.length) {
+            const char = source[pos];
+            const next = source[pos + 1];
+
+            if (char === '\n') {
+                insertSemicolon();
+                line++;
+                pos++;
+                continue;
+            }
+            if (char === ' ' || char === '\t' || char === '\r' || char === '\uFEFF') {
+                pos++;
+                continue;
+            }
+
+            // Comments
+            if (char === '/' && next === '/') {
+                const end = source.indexOf('\n', pos);
+                const stop = end === -1 ? source.length : end;
+                comments.push({ text: source.slice(pos, stop), line });
+                pos = stop;
+                continue;
+            }
+            if (char === '/' && next === '*') {
+                const end = source.indexOf('*/', pos + 2);
+                const stop = end === -1 ? source.length : end + 2;
+                const text = source.slice(pos, stop);
+                if (end === -1) {
+                    errors.push({ message: 'comment not terminated', line });
+                }
+                comments.push({ text, line });
+                // A block comment spanning lines acts like a newline
+                const newlines = text.split('\n').length - 1;
+                if (newlines > 0) {
+                    insertSemicolon();
+                    line += newlines;
+                }
+                pos = stop;
+                continue;
+            }
+
+            const start = pos;
+            const startLine = line;
+
+            // Identifiers and keywords
+            IDENTIFIER_PATTERN.lastIndex = pos;
+            const identifier = IDENTIFIER_PATTERN.exec(source);
+            if (identifier) {
+                pos += identifier[0].length;
+                push(GO_KEYWORDS.has(identifier[0]) ? 'keyword' : 'ident', identifier[0], start, startLine);
+                continue;
+            }
+
+            // Numbers (including ".5")
+            if ((char >= '0' && char <= '9') || (char === '.' && next >= '0' && next <= '9')) {
+                NUMBER_PATTERN.lastIndex = pos;
+                const number = NUMBER_PATTERN.exec(source);
+                pos += number[0].length;
+                push('number', number[0], start, startLine);
+                continue;
+            }
+
+            // Interpreted strings and runes: escapes, no newlines
+            if (char === '"' || char === '\'') {
+                pos++;
+                while (pos < source.length && source[pos] !== char && source[pos] !== '\n') {
+                    pos += source[pos] === '\\' && source[pos + 1] !== '\n' ? 2 : 1;
+                }
+                if (source[pos] === char) {
+                    pos++;
+                } else {
+                    errors.push({ message: `${char === '"' ? 'string' : 'rune'} literal not terminated`, line: startLine });
+                }
+                push(char === '"' ? 'string' : 'rune', source.slice(start, pos), start, startLine);
+                continue;
+            }
+
+            // Raw strings: no escapes, may span lines
+            if (char === '`') {
+                const end = source.indexOf('`', pos + 1);
+                const stop = end === -1 ? source.length : end + 1;
+                if (end === -1) {
+                    errors.push({ message: 'raw string literal not terminated', line: startLine });
+                }
+                const value = source.slice(pos, stop);
+                line += value.split('\n').length - 1;
+                pos = stop;
+                push('string', value, start, startLine);
+                continue;
+            }
+
+            const operator = GO_OPERATORS.find(op => source.startsWith(op, pos));
+            if (operator) {
+                pos += operator.length;
+                push('operator', operator, start, startLine);
+                continue;
+            }
+
+            errors.push({ message: `invalid character ${JSON.stringify(char)}`, line });
+            pos++;
+        }
+
+        insertSemicolon();
+        return { tokens, comments, errors };
+    }
+
+    /**
+     * Index of the matching closing bracket for every opening bracket token
+     * @returns {Int32Array} match[i] for '(' '[' '{' tokens; -1 when unbalanced or not a bracket
+     */
+    matchBrackets(tokens) {
+        const closing = { '(': ')', '[': ']', '{': '}' };
+        const match = new Int32Array(tokens.length).fill(-1);
+        const stack = [];
+
+        tokens.forEach((token, index) => {
+            if (token.type !== 'operator') return;
+            if (closing[token.value]) {
+                stack.push(index);
+            } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+                // Pop to the nearest opener of the same kind, dropping unbalanced ones
+                for (let depth = stack.length - 1; depth >= 0; depth--) {
+                    if (closing[tokens[stack[depth]].value] === token.value) {
+                        match[stack[depth]] = index;
+                        stack.length = depth;
+                        break;
+                    }
+                }
+            }
+        });
+
+        return match;
+    }
+}
+
+// Make it available globally (the page, or the analysis worker in go-worker.js)
+self.GoLexer = GoLexer;
@@ -1,376 +1,1227 @@
 // Go Parser Module
 // Parses Go source files to extract function definitions and calls
+// (token based, see go-lexer.js; which files are scanned, see go-scan-rules.js)
+
+// Bound on alias/constructor/embedding chains followed while resolving a type
+const MAX_RESOLVE_DEPTH = 16;
+
+// Methods that register an HTTP route: net/http and gorilla/mux (Handle, HandleFunc),
+// gin and echo (GET, POST, ..., Any), chi (Get, Post, ..., Method, MethodFunc)
+const HTTP_VERBS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS', 'CONNECT', 'TRACE'];
+const ROUTE_METHODS = new Set([
+    'Handle', 'HandleFunc', 'Method', 'MethodFunc', 'Any',
+    ...HTTP_VERBS,
+    ...HTTP_VERBS.map(verb => verb[0] + verb.slice(1).toLowerCase())
+]);
 
 class GoParser {
-    constructor() {
-        this.functions = new Map(); // functionName -> { file, calls: Set }
+    /**
+     * @param {Object} [scanSettings] - Which files to scan, see GoScanRules.DEFAULT_SETTINGS
+     */
+    constructor(scanSettings) {
+        // "importPath.name" (functions) or "importPath.Type.name" (methods) ->
+        // { name, package, packagePath, receiver, file, line, test (see getTestRole), parent, use, calls: Map<callName, {line, kind}[]>,
+        //   registrations (see findRegistrations), locals, result }
+        // parent is the key of the function a closure is defined in (splitClosures), null otherwise;
+        // use is how that function runs it (see collectClosures)
+        this.functions = new Map();
         this.fileContents = new Map(); // fileName -> content
+        this.files = new Map(); // fileName -> { packageName, dir, isTest, imports, functions, types, variables, initializer }
+        this.modules = new Map(); // directory of a go.mod -> module path
+        this.packages = new Map(); // import path -> { name, dir }
+        this.types = new Map(); // "importPath.Type" -> { name, kind, fields, embedded, target, methods, file, packagePath }
+        this.variables = new Map(); // "importPath.name" -> { type, file, packagePath } (package-level vars)
+        this.fileModified = new Map(); // path of every parsed .go file and go.mod -> lastModified when read
+        
+        // Lookup tables rebuilt by buildCallGraph
+        this.functionsByName = new Map(); // function name -> keys (plain functions only)
+        this.methodsByName = new Map(); // method name -> keys
+        this.scopes = new Map(); // fileName -> names bound by its imports
+        this.importCache = new Map(); // import path -> scanned import path or null
+        this.interfaceMethods = new Map(); // interface key -> full method name set, or null if unknown
+        this.implementations = new Map(); // interface key -> keys of the types implementing it
+        this.lexer = new GoLexer();
+        this.scanRules = new GoScanRules(scanSettings);
+        // Keep calls into packages outside the folder as external nodes
+        this.includeExternal = this.scanRules.settings.includeExternal;
+        // Function literals become nodes of their own instead of part of the enclosing function
+        this.splitClosures = this.scanRules.settings.splitClosures;
     }
 
     /**
      * Parse a directory of Go files
      * @param {FileSystemDirectoryHandle} dirHandle - Directory handle from File System Access API
+     * @param {Object} [options]
+     * @param {function(Object): void} [options.onProgress] - Called with
+     *   { phase: 'scanning'|'parsing'|'resolving', filesScanned, totalFiles, functionsFound, currentPath }
+     * @param {AbortSignal} [options.signal] - Stops the analysis between files (rejects with an AbortError)
      */
-    async parseDirectory(dirHandle) {
+    async parseDirectory(dirHandle, { onProgress = () => {}, signal } = {}) {
         this.functions.clear();
         this.fileContents.clear();
+        this.files.clear();
+        this.modules.clear();
+        this.packages.clear();
+        this.types.clear();
+        this.variables.clear();
+        this.fileModified.clear();
+        
+        // List the files first so parsing progress has a known total
+        const entries = [];
+        await this.scanDirectory(dirHandle, '', entries, onProgress, signal);
+        await this.parseEntries(entries, onProgress, signal);
         
-        await this.scanDirectory(dirHandle, '');
+        // Import paths are only known once every go.mod has been read
+        this.indexPackages();
         
         // Build call graph
         return this.buildCallGraph();
     }
 
     /**
-     * Recursively scan directory for .go files
+     * Re-read a directory parsed before by parseDirectory, parsing only the files
+     * that are new or whose lastModified changed and dropping deleted ones
+     * @param {FileSystemDirectoryHandle} dirHandle - The same directory
+     * @param {Object} [options] - As for parseDirectory
+     * @returns {Promise<{callGraph: Object|null, changedFiles: string[], removedFiles: string[]}>}
+     *   callGraph is null when no file changed
+     */
+    async refreshDirectory(dirHandle, { onProgress = () => {}, signal } = {}) {
+        const entries = [];
+        await this.scanDirectory(dirHandle, '', entries, onProgress, signal);
+        
+        const present = new Set(entries.map(entry => entry.path));
+        const removedFiles = Array.from(this.fileModified.keys()).filter(path => !present.has(path));
+        const changed = [];
+        for (const entry of entries) {
+            signal?.throwIfAborted();
+            try {
+                entry.file = await entry.handle.getFile();
+            } catch (error) {
+                console.error(`Error reading ${entry.path}:`, error);
+                continue;
+            }
+            if (this.fileModified.get(entry.path) !== entry.file.lastModified) {
+                changed.push(entry);
+            }
+        }
+        
+        const changedFiles = changed.map(entry => entry.path);
+        if (changedFiles.length === 0 && removedFiles.length === 0) {
+            return { callGraph: null, changedFiles, removedFiles };
+        }
+        
+        [...removedFiles, ...changedFiles].forEach(path => this.forgetFile(path));
+        await this.parseEntries(changed, onProgress, signal);
+        
+        // A go.mod change can move the import path of every package below it
+        const isGoMod = path => path === 'go.mod' || path.endsWith('/go.mod');
+        if ([...removedFiles, ...changedFiles].some(isGoMod)) {
+            this.functions.clear();
+            this.types.clear();
+            this.variables.clear();
+            this.indexPackages();
+        } else {
+            this.indexPackages(new Set(changedFiles));
+        }
+        
+        return { callGraph: this.buildCallGraph(), changedFiles, removedFiles };
+    }
+
+    /**
+     * Read and parse listed files, reporting progress after each one
+     */
+    async parseEntries(entries, onProgress, signal) {
+        let functionsFound = 0;
+        for (let index = 0; index < entries.length; index++) {
+            signal?.throwIfAborted();
+            const { handle, path, dir } = entries[index];
+            try {
+                const file = entries[index].file || await handle.getFile();
+                const content = await file.text();
+                this.fileModified.set(path, file.lastModified);
+                if (handle.name === 'go.mod') {
+                    this.parseGoMod(content, dir);
+                } else if (this.scanRules.matchesBuildConstraints(content)) {
+                    functionsFound += this.parseGoFile(content, path, dir);
+                }
+            } catch (error) {
+                console.error(`Error reading ${path}:`, error);
+            }
+            onProgress({
+                phase: 'parsing',
+                filesScanned: index + 1,
+                totalFiles: entries.length,
+                functionsFound,
+                currentPath: path
+            });
+        }
+        
+        signal?.throwIfAborted();
+        onProgress({ phase: 'resolving', filesScanned: entries.length, totalFiles: entries.length, functionsFound });
+    }
+
+    /**
+     * Drop everything a file contributed (before re-parsing it or once it is deleted)
      */
-    async scanDirectory(dirHandle, relativePath) {
+    forgetFile(path) {
+        this.fileModified.delete(path);
+        if (path === 'go.mod' || path.endsWith('/go.mod')) {
+            this.modules.delete(path.slice(0, -'go.mod'.length).replace(/\/$/, ''));
+            return;
+        }
+        
+        this.files.delete(path);
+        this.fileContents.delete(path);
+        [this.functions, this.types, this.variables].forEach(entries => {
+            entries.forEach((entry, key) => {
+                if (entry.file === path) entries.delete(key);
+            });
+        });
+    }
+
+    /**
+     * Recursively collect the .go files and go.mod files to parse (see GoScanRules)
+     * @param {Array<{handle: FileSystemFileHandle, path: string, dir: string}>} entries - Filled in place
+     * @param {Array} [gitignores] - .gitignore rules of the directories above, outermost first
+     */
+    async scanDirectory(dirHandle, relativePath, entries, onProgress, signal, gitignores = []) {
+        const children = [];
         for await (const entry of dirHandle.values()) {
+            children.push(entry);
+        }
+        signal?.throwIfAborted();
+
+        // A directory's .gitignore applies to everything beside and below it
+        const gitignore = this.scanRules.useGitignore &&
+            children.find(entry => entry.kind === 'file' && entry.name === '.gitignore');
+        if (gitignore) {
+            try {
+                const content = await (await gitignore.getFile()).text();
+                gitignores = [...gitignores, this.scanRules.parseGitignore(content, relativePath)];
+            } catch (error) {
+                console.error(`Error reading ${relativePath}/.gitignore:`, error);
+            }
+        }
+
+        for (const entry of children) {
+            signal?.throwIfAborted();
             const entryPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
             
-            if (entry.kind === 'file' && entry.name.endsWith('.go') && !entry.name.endsWith('_test.go')) {
-                await this.parseGoFile(entry, entryPath);
-            } else if (entry.kind === 'directory' && !this.shouldSkipDir(entry.name)) {
-                await this.scanDirectory(entry, entryPath);
+            if (entry.kind === 'file' && this.scanRules.includesFile(entryPath, gitignores)) {
+                entries.push({ handle: entry, path: entryPath, dir: relativePath });
+                onProgress({ phase: 'scanning', filesScanned: entries.length, currentPath: entryPath });
+            } else if (entry.kind === 'directory' && this.scanRules.includesDirectory(entryPath, gitignores)) {
+                await this.scanDirectory(entry, entryPath, entries, onProgress, signal, gitignores);
             }
         }
     }
 
     /**
-     * Check if directory should be skipped
+     * Read the module path from a go.mod file's contents
      */
-    shouldSkipDir(name) {
-        const skipDirs = ['vendor', 'node_modules', '.git', 'testdata'];
-        return skipDirs.includes(name) || name.startsWith('.');
+    parseGoMod(content, dir) {
+        const moduleMatch = content.match(/^\s*module\s+"?([^\s"]+)"?/m);
+        if (moduleMatch) {
+            this.modules.set(dir, moduleMatch[1]);
+        }
     }
 
     /**
-     * Parse a single Go file
+     * Parse a single Go file's contents
+     * @returns {number} Number of functions and methods declared in it
      */
-    async parseGoFile(fileHandle, filePath) {
+    parseGoFile(content, filePath, dir = '') {
         try {
-            const file = await fileHandle.getFile();
-            const content = await file.text();
             this.fileContents.set(filePath, content);
             
-            // Extract package name
-            const packageMatch = content.match(/^\s*package\s+(\w+)/m);
-            const packageName = packageMatch ? packageMatch[1] : 'main';
-            
-            // Find all function definitions using a more robust approach
-            // Split by lines and look for function declarations
-            const lines = content.split('\n');
-            let currentPos = 0;
-            let inBlockComment = false;
-            
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                const trimmedLine = line.trim();
-                
-                // Track multi-line comment blocks
-                if (trimmedLine.includes('/*')) {
-                    inBlockComment = true;
-                }
-                if (trimmedLine.includes('*/')) {
-                    inBlockComment = false;
-                    currentPos += line.length + 1;
-                    continue;
-                }
-                
-                // Skip if inside block comment, single-line comment, or blank line
-                if (inBlockComment || trimmedLine.startsWith('//') || trimmedLine === '') {
-                    currentPos += line.length + 1; // +1 for newline
-                    continue;
-                }
-                
-                // Match function declarations
-                // Handles: func name(), func (r Receiver) name(), func name[T any]()
-                // Note: Receiver can be on same line: func (r *Receiver) name()
-                const funcMatch = trimmedLine.match(/^func\s+(?:\([^)]*\)\s+)?(\w+)(?:\s*\[[^\]]+\])?\s*\(/);
-                
-                if (funcMatch) {
-                    const funcName = funcMatch[1];
-                    const fullName = `${packageName}.${funcName}`;
-                    const lineNumber = i + 1; // Line numbers are 1-indexed
-                    
-                    // Find the position in content for this line
-                    const funcPos = currentPos + line.indexOf('func');
-                    
-                    // Find where parameters end - need to handle nested parens
-                    // Look for the opening paren - it's the last '(' on the line for function parameters
-                    let parenDepth = 0;
-                    const funcNameIndex = line.indexOf(funcName);
-                    const afterFuncName = line.substring(funcNameIndex + funcName.length);
-                    const paramStartInLine = funcNameIndex + funcName.length + afterFuncName.indexOf('(');
-                    let paramStart = currentPos + paramStartInLine;
-                    let paramEnd = paramStart;
-                    let inString = false;
-                    let stringChar = '';
-                    
-                    for (let pos = paramStart; pos < content.length; pos++) {
-                        const char = content[pos];
-                        
-                        // Handle strings
-                        if ((char === '"' || char === '`') && content[pos - 1] !== '\\') {
-                            if (!inString) {
-                                inString = true;
-                                stringChar = char;
-                            } else if (char === stringChar) {
-                                inString = false;
-                            }
-                        }
-                        
-                        if (!inString) {
-                            if (char === '(') parenDepth++;
-                            if (char === ')') {
-                                parenDepth--;
-                                if (parenDepth === 0) {
-                                    paramEnd = pos;
-                                    break;
-                                }
-                            }
-                        }
-                    }
-                    
-                    // Get the function body to analyze calls
-                    const funcStart = paramEnd + 1;
-                    const funcBody = this.extractFunctionBody(content, funcStart);
-                    
-                    if (funcBody) {
-                        // Extract calls from the main function body
-                        const calls = this.extractFunctionCalls(funcBody);
-                        
-                        // Also extract calls from local/nested functions
-                        const localFunctionCalls = this.extractLocalFunctionCalls(funcBody);
-                        localFunctionCalls.forEach(call => calls.add(call));
-                        
-                        this.functions.set(fullName, {
-                            name: funcName,
-                            package: packageName,
-                            file: filePath,
-                            line: lineNumber,
-                            calls: calls
-                        });
-                    } else {
-                        console.warn(`Failed to extract body for function ${fullName} at line ${lineNumber} in ${filePath}`);
-                    }
-                }
-                
-                currentPos += line.length + 1; // +1 for newline
-            }
+            const parsed = this.parseSource(content);
+            parsed.errors.forEach(error => {
+                console.warn(`${filePath}:${error.line}: ${error.message}`);
+            });
+            this.renameInitFunctions(parsed.functions, filePath);
             
-            const functionsInFile = Array.from(this.functions.entries())
-                .filter(([name, data]) => data.file === filePath)
-                .map(([name]) => name);
-            console.log(`Parsed ${filePath}: found ${functionsInFile.length} functions:`, functionsInFile);
+            this.files.set(filePath, {
+                packageName: parsed.packageName,
+                dir,
+                isTest: GoScanRules.isTestFile(filePath),
+                imports: parsed.imports,
+                functions: parsed.functions,
+                types: parsed.types,
+                variables: parsed.variables,
+                initializer: parsed.initializer
+            });
+            return parsed.functions.length;
         } catch (error) {
             console.error(`Error parsing ${filePath}:`, error);
+            return 0;
         }
     }
 
     /**
-     * Calculate line number from character position in content
+     * A package can have any number of init functions, in any of its files, so
+     * each gets a name of its own: init@file.go, then init@file.go#2, ... (their
+     * closures follow, init@file.go$func1)
+     * @param {Array} functions - parseSource functions, closures right after their function
      */
-    getLineNumber(content, position) {
-        const upToPosition = content.substring(0, position);
-        return upToPosition.split('\n').length;
+    renameInitFunctions(functions, filePath) {
+        const fileName = filePath.slice(filePath.lastIndexOf('/') + 1);
+        const initName = /^init(?=\$|$)/;
+        let count = 0;
+        let name = null;
+        functions.forEach(func => {
+            if (func.receiver) return;
+            if (func.name === 'init' && !func.parent) {
+                count++;
+                name = count > 1 ? `init@${fileName}#${count}` : `init@${fileName}`;
+            } else if (!name || !func.parent || !initName.test(func.name)) {
+                return;
+            }
+            func.name = func.name.replace(initName, name);
+            if (func.parent) func.parent = func.parent.replace(initName, name);
+        });
+    }
+
+    /**
+     * Assign every scanned directory its import path (module path + directory
+     * relative to the nearest go.mod) and register its functions, methods,
+     * types and package-level variables under it
+     * @param {Set<string>|null} filePaths - Only register these files' declarations (a refresh)
+     */
+    indexPackages(filePaths = null) {
+        this.packages.clear();
+        this.files.forEach((file, filePath) => {
+            let packagePath = this.getImportPath(file.dir, file.packageName);
+            // An external test package (package foo_test) shares foo's directory
+            if (file.isTest && file.packageName.endsWith('_test') && !packagePath.endsWith('_test')) {
+                packagePath += '_test';
+            }
+            if (!this.packages.has(packagePath)) {
+                this.packages.set(packagePath, {
+                    name: file.packageName,
+                    dir: file.dir,
+                    inModule: this.findModuleDir(file.dir) !== null
+                });
+            }
+            file.packagePath = packagePath;
+            // Unchanged files are still registered from the previous run
+            if (filePaths && !filePaths.has(filePath)) return;
+            
+            const getKey = (func, name) => func.receiver
+                ? `${packagePath}.${func.receiver.type}.${name}`
+                : `${packagePath}.${name}`;
+            file.functions.forEach(func => {
+                const key = getKey(func, func.name);
+                this.functions.set(key, {
+                    name: func.name,
+                    package: file.packageName,
+                    packagePath,
+                    receiver: func.receiver,
+                    file: filePath,
+                    line: func.line,
+                    test: file.isTest ? this.getTestRole(func) : null,
+                    parent: func.parent ? getKey(func, func.parent) : null,
+                    use: func.use || null,
+                    calls: func.calls,
+                    registrations: func.registrations || [],
+                    locals: func.locals,
+                    result: func.result
+                });
+            });
+            
+            file.types.forEach(type => {
+                this.types.set(`${packagePath}.${type.name}`, { ...type, file: filePath, packagePath });
+            });
+            file.variables.forEach((type, name) => {
+                this.variables.set(`${packagePath}.${name}`, { type, file: filePath, packagePath });
+            });
+        });
     }
 
     /**
-     * Extract function body from content starting at position
+     * What a function from a _test.go file is to the go tool: "test", "benchmark",
+     * "fuzz" or "example" for the functions go test runs (TestMain counts as a test),
+     * "helper" for everything else in the file (closures included)
      */
-    extractFunctionBody(content, startPos) {
-        let braceCount = 0;
-        let inBody = false;
-        let body = '';
-        let inString = false;
-        let stringChar = '';
-        let inLineComment = false;
-        let inBlockComment = false;
+    getTestRole(func) {
+        if (!func.receiver && !func.parent) {
+            // The name must not continue in lower case: "Testify" is not a test
+            const match = /^(Test|Benchmark|Fuzz|Example)($|[^a-z])/.exec(func.name);
+            if (match) return match[1].toLowerCase();
+        }
+        return 'helper';
+    }
+
+    /**
+     * Nearest directory at or above dir that holds a go.mod, or null
+     */
+    findModuleDir(dir) {
+        let current = dir;
+        while (true) {
+            if (this.modules.has(current)) return current;
+            if (current === '') return null;
+            const slash = current.lastIndexOf('/');
+            current = slash === -1 ? '' : current.slice(0, slash);
+        }
+    }
+
+    /**
+     * Import path of a scanned directory; without a go.mod the directory itself
+     * (or the package name for the scanned root) stands in for it
+     */
+    getImportPath(dir, packageName) {
+        const moduleDir = this.findModuleDir(dir);
+        if (moduleDir === null) {
+            return dir || packageName;
+        }
+        const modulePath = this.modules.get(moduleDir);
+        const relative = moduleDir === '' ? dir : dir.slice(moduleDir.length + 1);
+        return relative ? `${modulePath}/${relative}` : modulePath;
+    }
+
+    /**
+     * Parse Go source into its package clause and top-level declarations
+     * A keyword counts as a declaration when it starts a statement; other
+     * bracketed groups (const blocks, function literals) are skipped as a whole.
+     * Types are recorded as type references ({qualifier, name} or {call}, see
+     * parseTypeRef/inferExprType) and resolved once every package is known.
+     * @param {string} content - File contents
+     * @returns {{packageName: string, imports: Array, functions: Array, types: Array,
+     *            variables: Map<string, Object>, initializer: Object|null, errors: Array}}
+     *   initializer holds the calls made by package-level var initializers (see parseVarInitializers)
+     */
+    parseSource(content) {
+        const { tokens, errors } = this.lexer.tokenize(content);
+        const brackets = this.lexer.matchBrackets(tokens);
+        const result = { packageName: 'main', imports: [], functions: [], types: [], variables: new Map(), initializer: null, errors };
         
-        for (let i = startPos; i < content.length; i++) {
-            const char = content[i];
-            const nextChar = i + 1 < content.length ? content[i + 1] : '';
-            const prevChar = i > 0 ? content[i - 1] : '';
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const previous = tokens[i - 1];
+            const startsStatement = !previous || previous.value === ';';
             
-            // Handle comments (only outside strings)
-            if (!inString) {
-                // Start of block comment
-                if (char === '/' && nextChar === '*' && !inLineComment) {
-                    inBlockComment = true;
-                    i++; // Skip next char
-                    continue;
-                }
-                // End of block comment
-                if (char === '*' && nextChar === '/' && inBlockComment) {
-                    inBlockComment = false;
-                    i++; // Skip next char
-                    continue;
-                }
-                // Start of line comment
-                if (char === '/' && nextChar === '/' && !inBlockComment) {
-                    inLineComment = true;
-                    continue;
-                }
-                // End of line comment
-                if (char === '\n' && inLineComment) {
-                    inLineComment = false;
-                    continue;
+            if (token.type === 'keyword' && token.value === 'package' && tokens[i + 1]?.type === 'ident') {
+                result.packageName = tokens[i + 1].value;
+                i++;
+            } else if (token.type === 'keyword' && token.value === 'import' && startsStatement) {
+                i = this.parseImportDecl(tokens, brackets, i, result.imports);
+            } else if (token.type === 'keyword' && token.value === 'func' && startsStatement) {
+                const func = this.parseFuncDecl(tokens, brackets, i);
+                if (func) {
+                    result.functions.push(func, ...func.closures);
+                    i = func.end;
                 }
+            } else if (token.type === 'keyword' && token.value === 'type' && startsStatement) {
+                i = this.parseTypeDecl(tokens, brackets, i, result.types);
+            } else if (token.type === 'keyword' && token.value === 'var' && startsStatement) {
+                const end = this.parseVarDecl(tokens, brackets, i, result.variables);
+                this.parseVarInitializers(tokens, brackets, i, end, result);
+                i = end;
+            } else if (brackets[i] > i) {
+                i = brackets[i];
             }
-            
-            // Skip if in comment
-            if (inLineComment || inBlockComment) {
-                continue;
+        }
+        
+        return result;
+    }
+
+    /**
+     * Parse `import spec` or `import ( spec; ... )` where spec is `[name] "path"`
+     * and name is an alias, `.` (dot import) or `_` (blank import)
+     * @returns {number} Index of the last token of the declaration
+     */
+    parseImportDecl(tokens, brackets, index, imports) {
+        const grouped = this.isOperator(tokens[index + 1], '(');
+        const start = index + (grouped ? 2 : 1);
+        const end = grouped ? (brackets[index + 1] < 0 ? tokens.length : brackets[index + 1]) : tokens.length;
+        
+        let name = null;
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+            if (token.type === 'ident' || this.isOperator(token, '.')) {
+                name = token.value;
+            } else if (token.type === 'string') {
+                imports.push({ name, path: token.value.slice(1, -1), line: token.line });
+                name = null;
+                if (!grouped) return i;
+            } else if (this.isOperator(token, ';') && !grouped) {
+                return i;
             }
-            
-            // Handle strings
-            if ((char === '"' || char === '`') && prevChar !== '\\') {
-                if (!inString) {
-                    inString = true;
-                    stringChar = char;
-                } else if (char === stringChar) {
-                    inString = false;
-                }
+        }
+        return end;
+    }
+
+    /**
+     * Parse `func [(receiver)] name[[type params]](params) [results] [body]`
+     * @param {number} index - Index of the `func` keyword
+     * @returns {{name: string, receiver: Object|null, line: number, calls: Map, locals: Map,
+     *            result: Object|null, closures: Array, registrations: Array, end: number}|null}
+     *   locals maps the receiver, parameters and local variables to their type
+     *   references; result is the first result's type; closures are the function
+     *   literals in the body when splitClosures is set (see collectClosures);
+     *   registrations are the entry points the body registers (see findRegistrations);
+     *   end is the index of the last token of the declaration
+     */
+    parseFuncDecl(tokens, brackets, index) {
+        const line = tokens[index].line;
+        let i = index + 1;
+        let receiver = null;
+        const locals = new Map();
+        
+        if (this.isOperator(tokens[i], '(')) {
+            if (brackets[i] < 0) return null;
+            receiver = this.parseReceiver(tokens.slice(i + 1, brackets[i]));
+            if (receiver?.name) {
+                locals.set(receiver.name, { qualifier: null, name: receiver.type });
             }
+            i = brackets[i] + 1;
+        }
+        
+        if (tokens[i]?.type !== 'ident') return null;
+        const name = tokens[i].value;
+        i++;
+        
+        // Type parameters
+        if (this.isOperator(tokens[i], '[')) {
+            if (brackets[i] < 0) return null;
+            i = brackets[i] + 1;
+        }
+        
+        // Parameters
+        if (!this.isOperator(tokens[i], '(') || brackets[i] < 0) return null;
+        this.parseParameters(tokens, brackets, i + 1, brackets[i]).forEach(param => {
+            if (param.name) locals.set(param.name, param.type);
+        });
+        i = brackets[i] + 1;
+        
+        // Results: `T` or `(T, error)` / `(v T, err error)`
+        let result = null;
+        if (this.isOperator(tokens[i], '(') && brackets[i] > i) {
+            result = this.parseParameters(tokens, brackets, i + 1, brackets[i])[0]?.type || null;
+        } else {
+            result = this.parseTypeRef(tokens, i)?.type || null;
+        }
+        
+        const declaration = { name, receiver, line, calls: new Map(), locals, result, closures: [], registrations: [], end: tokens.length - 1 };
+        
+        // The body; struct{...}/interface{...} result types are not bodies
+        for (; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (this.isOperator(token, ';')) {
+                // Declaration without body (implemented in assembly or via linkname)
+                declaration.end = i;
+                return declaration;
+            }
+            if (token.type === 'keyword' && (token.value === 'struct' || token.value === 'interface') &&
+                this.isOperator(tokens[i + 1], '{')) {
+                i = brackets[i + 1] < 0 ? tokens.length : brackets[i + 1];
+            } else if (this.isOperator(token, '{')) {
+                declaration.end = brackets[i] < 0 ? tokens.length - 1 : brackets[i];
+                // The receiver and parameters are in scope for the whole body
+                const parameters = Array.from(locals.keys());
+                const declarations = this.collectLocals(tokens, brackets, i + 1, declaration.end, locals);
+                parameters.forEach(local => {
+                    if (!declarations.has(local)) declarations.set(local, []);
+                    declarations.get(local).push([i, declaration.end]);
+                });
+                const literals = this.splitClosures
+                    ? this.collectClosures(tokens, brackets, i + 1, declaration.end, declaration, declarations, declaration.closures)
+                    : new Map();
+                declaration.calls = this.extractCalls(tokens, i + 1, declaration.end, declarations, literals);
+                declaration.registrations = this.findRegistrations(tokens, brackets, i + 1, declaration.end, declaration.closures);
+                return declaration;
+            } else if (brackets[i] > i) {
+                i = brackets[i];
+            }
+        }
+        
+        return declaration;
+    }
+
+    /**
+     * Parameter list between two token indexes, e.g. `a, b int, s *Server`
+     * Names without a type of their own share the next type; a list of bare
+     * types yields entries with name null.
+     * @returns {Array<{name: string|null, type: Object|null}>}
+     */
+    parseParameters(tokens, brackets, start, end) {
+        const params = [];
+        let pending = [];
+        
+        this.splitList(tokens, brackets, start, end, ',').forEach(([from, to]) => {
+            const first = tokens[from];
+            const named = first?.type === 'ident' && to - from > 1 && !this.isOperator(tokens[from + 1], '.');
             
-            // Count braces only outside strings and comments
-            if (!inString) {
-                if (char === '{') {
-                    braceCount++;
-                    inBody = true;
-                } else if (char === '}') {
-                    braceCount--;
+            if (!named) {
+                if (first?.type === 'ident' && to - from === 1) {
+                    // `a` in `a, b int`, or a bare type in `(int, error)`
+                    pending.push(first.value);
+                } else {
+                    params.push(...pending.map(value => ({ name: null, type: { qualifier: null, name: value } })));
+                    pending = [];
+                    params.push({ name: null, type: this.parseTypeRef(tokens, from)?.type || null });
                 }
+                return;
             }
             
-            if (inBody) {
-                body += char;
-                
-                // Stop when we've closed all braces (outside strings)
-                if (braceCount === 0 && !inString) {
-                    break;
-                }
+            const type = this.parseTypeRef(tokens, from + 1)?.type || null;
+            params.push(...pending.map(value => ({ name: value, type })), { name: first.value, type });
+            pending = [];
+        });
+        
+        // Only bare types were left: `(int, error)`
+        params.push(...pending.map(value => ({ name: null, type: { qualifier: null, name: value } })));
+        return params;
+    }
+
+    /**
+     * Split the tokens between two indexes at top-level separators
+     * @returns {Array<[number, number]>} [start, end) ranges, empty ranges dropped
+     */
+    splitList(tokens, brackets, start, end, separator) {
+        const ranges = [];
+        let from = start;
+        for (let i = start; i < end; i++) {
+            if (this.isOperator(tokens[i], separator)) {
+                if (i > from) ranges.push([from, i]);
+                from = i + 1;
+            } else if (brackets[i] > i) {
+                i = Math.min(brackets[i], end);
             }
         }
+        if (end > from) ranges.push([from, end]);
+        return ranges;
+    }
+
+    /**
+     * Named type reference at index: `T`, `*T`, `pkg.T` or `T[int]`
+     * Slices, maps, channels and function types return null; their elements
+     * have no methods to resolve.
+     * @returns {{type: {qualifier: string|null, name: string}, pointer: boolean, next: number}|null}
+     */
+    parseTypeRef(tokens, index) {
+        let i = index;
+        let pointer = false;
+        while (this.isOperator(tokens[i], '*')) {
+            pointer = true;
+            i++;
+        }
+        if (tokens[i]?.type !== 'ident') return null;
         
-        return body;
+        if (this.isOperator(tokens[i + 1], '.') && tokens[i + 2]?.type === 'ident') {
+            return { type: { qualifier: tokens[i].value, name: tokens[i + 2].value }, pointer, next: i + 3 };
+        }
+        return { type: { qualifier: null, name: tokens[i].value }, pointer, next: i + 1 };
     }
 
     /**
-     * Extract function calls from function body
+     * Type of an expression where it is evident from its first tokens:
+     * `T{...}`, `&pkg.T{...}`, `new(T)`, or a call `NewT(...)`/`pkg.NewT(...)`
+     * whose result type is looked up later ({call: "pkg.NewT"})
+     * @returns {Object|null} Type reference
      */
-    extractFunctionCalls(body) {
-        const calls = new Set();
+    inferExprType(tokens, brackets, index) {
+        let i = index;
+        if (this.isOperator(tokens[i], '&')) i++;
+        
+        if (tokens[i]?.type === 'ident' && tokens[i].value === 'new' && this.isOperator(tokens[i + 1], '(')) {
+            return this.parseTypeRef(tokens, i + 2)?.type || null;
+        }
         
-        // Remove string literals to avoid false positives
-        let cleanBody = body.replace(/"(?:[^"\\]|\\.)*"|`[^`]*`/g, '""');
+        const ref = this.parseTypeRef(tokens, i);
+        if (!ref || ref.pointer) return null;
+        let next = ref.next;
+        
+        // Generic instantiation: T[int]{...}
+        if (this.isOperator(tokens[next], '[') && brackets[next] > next && this.isOperator(tokens[brackets[next] + 1], '{')) {
+            next = brackets[next] + 1;
+        }
+        if (this.isOperator(tokens[next], '{')) {
+            return ref.type;
+        }
+        if (this.isOperator(tokens[next], '(')) {
+            return { call: ref.type.qualifier ? `${ref.type.qualifier}.${ref.type.name}` : ref.type.name };
+        }
+        return null;
+    }
+
+    /**
+     * Calls and function references in a package-level var declaration, added to
+     * result.initializer: { line, calls, registrations, locals }, the file's share of
+     * the package's <init> (see buildCallGraph). With splitClosures, function literals
+     * in it become closures of <init> named after the first variable (handlers$func1).
+     * @param {number} index - Index of the `var` keyword
+     * @param {number} end - Index of the last token of the declaration
+     */
+    parseVarInitializers(tokens, brackets, index, end, result) {
+        const initializer = result.initializer ||
+            { line: tokens[index].line, calls: new Map(), registrations: [], locals: new Map() };
+        const declarations = this.collectLocals(tokens, brackets, index + 1, end + 1, initializer.locals);
         
-        // Remove comments
-        cleanBody = cleanBody.replace(/\/\/[^\n]*/g, '');
-        cleanBody = cleanBody.replace(/\/\*[\s\S]*?\*\//g, '');
+        const closures = [];
+        let literals = new Map();
+        if (this.splitClosures) {
+            const first = tokens.slice(index + 1, end + 1).find(token => token.type === 'ident')?.value || 'var';
+            literals = this.collectClosures(tokens, brackets, index + 1, end + 1,
+                { name: first, receiver: null, parent: null, locals: initializer.locals }, declarations, closures);
+            closures.forEach(closure => {
+                if (closure.parent === first) closure.parent = '<init>';
+            });
+            result.functions.push(...closures);
+        }
         
-        // Match function calls: identifier.function() or function()
-        // This regex matches: optional_receiver.functionName(
-        const callRegex = /(?:(\w+)\.)?(\w+)\s*\(/g;
-        let match;
+        this.extractCalls(tokens, index + 1, end + 1, declarations, literals).forEach((sites, call) => {
+            if (!initializer.calls.has(call)) initializer.calls.set(call, []);
+            initializer.calls.get(call).push(...sites);
+        });
+        // Commands are often package-level: var rootCmd = &cobra.Command{...}
+        initializer.registrations.push(...this.findRegistrations(tokens, brackets, index + 1, end + 1, closures));
+        if (initializer.calls.size > 0 || initializer.registrations.length > 0 || closures.length > 0) {
+            result.initializer = initializer;
+        }
+    }
+
+    /**
+     * Parse `var name T`, `var a, b = expr` or a `var ( ... )` group into names ->
+     * type references (null where the type is not evident)
+     * @returns {number} Index of the last token of the declaration
+     */
+    parseVarDecl(tokens, brackets, index, variables) {
+        const grouped = this.isOperator(tokens[index + 1], '(');
+        let end;
+        let specs;
+        if (grouped) {
+            end = brackets[index + 1] < 0 ? tokens.length : brackets[index + 1];
+            specs = this.splitList(tokens, brackets, index + 2, end, ';');
+        } else {
+            end = index + 1;
+            while (end < tokens.length && !this.isOperator(tokens[end], ';')) {
+                end = brackets[end] > end ? brackets[end] + 1 : end + 1;
+            }
+            specs = [[index + 1, end]];
+        }
         
-        while ((match = callRegex.exec(cleanBody)) !== null) {
-            const receiver = match[1];
-            const funcName = match[2];
+        specs.forEach(([from, to]) => {
+            const names = [];
+            let i = from;
+            while (i < to && tokens[i].type === 'ident') {
+                names.push(tokens[i].value);
+                i++;
+                if (!this.isOperator(tokens[i], ',')) break;
+                i++;
+            }
             
-            // Skip common keywords and built-ins
-            if (this.isKeywordOrBuiltin(funcName)) {
-                continue;
+            const type = this.isOperator(tokens[i], '=')
+                ? this.inferExprType(tokens, brackets, i + 1)
+                : this.parseTypeRef(tokens, i)?.type;
+            names.forEach(name => {
+                if (name !== '_' && !variables.get(name)) variables.set(name, type || null);
+            });
+        });
+        
+        return grouped ? end : end - 1;
+    }
+
+    /**
+     * Parse `type T struct {...}`, `type T = U`, `type ( ... )` and friends
+     * Structs keep their field types and embedded types (for promoted methods),
+     * interfaces their method names and embedded interfaces, aliases their
+     * target; other kinds are recorded by name only.
+     * @returns {number} Index of the last token of the declaration
+     */
+    parseTypeDecl(tokens, brackets, index, types) {
+        const grouped = this.isOperator(tokens[index + 1], '(');
+        let specs;
+        let last;
+        if (grouped) {
+            last = brackets[index + 1] < 0 ? tokens.length : brackets[index + 1];
+            specs = this.splitList(tokens, brackets, index + 2, last, ';');
+        } else {
+            let end = index + 1;
+            while (end < tokens.length && !this.isOperator(tokens[end], ';')) {
+                end = brackets[end] > end ? brackets[end] + 1 : end + 1;
+            }
+            specs = [[index + 1, end]];
+            last = end - 1;
+        }
+        
+        specs.forEach(([from, to]) => {
+            if (tokens[from].type !== 'ident') return;
+            const type = { name: tokens[from].value, kind: 'other', fields: new Map(), embedded: [], target: null, methods: null };
+            let i = from + 1;
+            
+            // Type parameters: T[K comparable, V any]
+            if (this.isOperator(tokens[i], '[') && brackets[i] > i && !this.isOperator(tokens[i + 1], ']')) {
+                i = brackets[i] + 1;
+            }
+            
+            if (this.isOperator(tokens[i], '=')) {
+                type.kind = 'alias';
+                type.target = this.parseTypeRef(tokens, i + 1)?.type || null;
+            } else if (tokens[i]?.type === 'keyword' && tokens[i].value === 'interface') {
+                type.kind = 'interface';
+                if (this.isOperator(tokens[i + 1], '{') && brackets[i + 1] > i + 1) {
+                    this.parseInterfaceElements(tokens, brackets, i + 2, Math.min(brackets[i + 1], to), type);
+                } else {
+                    type.methods = new Set();
+                }
+            } else if (tokens[i]?.type === 'keyword' && tokens[i].value === 'struct' &&
+                this.isOperator(tokens[i + 1], '{') && brackets[i + 1] > i + 1) {
+                type.kind = 'struct';
+                this.parseStructFields(tokens, brackets, i + 2, Math.min(brackets[i + 1], to), type);
+            }
+            types.push(type);
+        });
+        
+        return last;
+    }
+
+    /**
+     * Field lines of a struct body: `a, b T`, `*Embedded`, `pkg.Embedded` (tags ignored)
+     * Embedded types are also fields named after the type; fields of unnamed
+     * types (slices, maps, funcs) are kept with type null.
+     */
+    parseStructFields(tokens, brackets, start, end, type) {
+        this.splitList(tokens, brackets, start, end, ';').forEach(([from, to]) => {
+            const names = [];
+            let i = from;
+            while (i < to && tokens[i].type === 'ident' &&
+                (this.isOperator(tokens[i + 1], ',') || (i + 1 < to && tokens[i + 1].type !== 'string' && !this.isOperator(tokens[i + 1], '.')))) {
+                names.push(tokens[i].value);
+                i++;
+                if (!this.isOperator(tokens[i], ',')) break;
+                i++;
             }
             
-            // If there's a receiver, it's a package.function call
-            if (receiver) {
-                calls.add(`${receiver}.${funcName}`);
+            const ref = this.parseTypeRef(tokens, i);
+            if (names.length === 0) {
+                if (ref) {
+                    type.embedded.push(ref.type);
+                    type.fields.set(ref.type.name, ref.type);
+                }
+                return;
+            }
+            names.forEach(name => type.fields.set(name, ref ? ref.type : null));
+        });
+    }
+
+    /**
+     * Lines of an interface body: `Name(params) results` methods and embedded
+     * interfaces. Type-set elements (`~int | string`) mark a constraint, which
+     * values never have; methods stay null then.
+     */
+    parseInterfaceElements(tokens, brackets, start, end, type) {
+        const methods = new Set();
+        let constraint = false;
+        
+        this.splitList(tokens, brackets, start, end, ';').forEach(([from, to]) => {
+            if (tokens[from].type === 'ident' && this.isOperator(tokens[from + 1], '(')) {
+                methods.add(tokens[from].value);
+                return;
+            }
+            const ref = this.parseTypeRef(tokens, from);
+            if (ref && !ref.pointer && ref.next === to) {
+                type.embedded.push(ref.type);
             } else {
-                // Local function call - we'll need to resolve the package later
-                calls.add(funcName);
+                constraint = true;
+            }
+        });
+        
+        type.methods = constraint ? null : methods;
+    }
+
+    /**
+     * Record the local variables and function literal parameters declared
+     * between two token indexes, with their types where evident (null otherwise).
+     * Types are kept per function (the first declaration with a known type wins);
+     * where each declaration is in scope is returned separately so shadowed
+     * package functions can be told apart from the local.
+     * @returns {Map<string, Array<[number, number]>>} name -> token ranges where it is declared
+     */
+    collectLocals(tokens, brackets, start, end, locals) {
+        const declarations = new Map();
+        const blockEnds = [];
+        let header = null; // { body, end } while inside an if/for/switch header
+        const declare = (name, type, from, to) => {
+            if (name === '_') return;
+            if (!locals.get(name)) locals.set(name, type || null);
+            if (!declarations.has(name)) declarations.set(name, []);
+            declarations.get(name).push([from, to]);
+        };
+        
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+            while (blockEnds.length > 0 && i > blockEnds[blockEnds.length - 1]) blockEnds.pop();
+            if (header && i >= header.body) header = null;
+            const scopeEnd = header ? header.end : blockEnds.length > 0 ? blockEnds[blockEnds.length - 1] : end;
+            
+            if (token.type === 'keyword' && ['if', 'for', 'switch'].includes(token.value)) {
+                // Names declared in the header (`for i, v := range`) are scoped to the statement
+                const body = this.findStatementBody(tokens, brackets, i + 1, end);
+                if (body !== -1) header = { body, end: this.findStatementEnd(tokens, brackets, body) };
+            } else if (this.isOperator(token, '{') && brackets[i] > i) {
+                blockEnds.push(brackets[i]);
+            } else if (token.type === 'keyword' && token.value === 'var') {
+                const variables = new Map();
+                const declarationStart = i;
+                i = this.parseVarDecl(tokens, brackets, i, variables);
+                variables.forEach((type, name) => declare(name, type, declarationStart, scopeEnd));
+            } else if (token.type === 'keyword' && token.value === 'func' &&
+                this.isOperator(tokens[i + 1], '(') && brackets[i + 1] > i + 1) {
+                // Function literal parameters, in scope until the literal's body ends
+                let body = brackets[i + 1] + 1;
+                while (body < end && !this.isOperator(tokens[body], '{')) {
+                    body = brackets[body] > body ? brackets[body] + 1 : body + 1;
+                }
+                const bodyEnd = brackets[body] > body ? brackets[body] : end;
+                this.parseParameters(tokens, brackets, i + 2, brackets[i + 1])
+                    .forEach(param => param.name && declare(param.name, param.type, i, bodyEnd));
+            } else if (this.isOperator(token, ':=')) {
+                // `a, err := expr` - the first name gets the expression's (first) type
+                let first = i - 1;
+                while (this.isOperator(tokens[first - 1], ',') && tokens[first - 2]?.type === 'ident') {
+                    first -= 2;
+                }
+                for (let name = first; name < i; name += 2) {
+                    if (tokens[name]?.type !== 'ident') break;
+                    declare(tokens[name].value, name === first ? this.inferExprType(tokens, brackets, i + 1) : null, first, scopeEnd);
+                }
             }
         }
         
-        return calls;
+        return declarations;
+    }
+
+    /**
+     * Index of the `{` opening an if/for/switch body, or -1
+     * Composite literals in the header (`range []int{1, 2} {`) are told apart
+     * by what follows their closing brace: a body ends its statement.
+     */
+    findStatementBody(tokens, brackets, start, end) {
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+            if (this.isOperator(token, '(') || this.isOperator(token, '[')) {
+                if (brackets[i] < i) return -1;
+                i = brackets[i];
+            } else if (this.isOperator(token, '{')) {
+                if (brackets[i] < i) return -1;
+                const after = tokens[brackets[i] + 1];
+                if (!after || this.isOperator(after, ';') || this.isOperator(after, ')') ||
+                    this.isOperator(after, '}') || (after.type === 'keyword' && after.value === 'else')) {
+                    return i;
+                }
+                i = brackets[i];
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Closing brace of a statement body, following `else` branches of an if
+     */
+    findStatementEnd(tokens, brackets, body) {
+        let close = brackets[body];
+        while (tokens[close + 1]?.type === 'keyword' && tokens[close + 1].value === 'else') {
+            const next = this.findStatementBody(tokens, brackets, close + 2, tokens.length);
+            if (next === -1) break;
+            close = brackets[next];
+        }
+        return close;
     }
 
     /**
-     * Extract calls from local/nested functions within a function body
-     * Handles: varName := func() { ... } and func() { ... }
+     * Receiver name, base type and pointer-ness from the tokens inside `( ... )`
+     * e.g. `s *Server` -> { name: 's', type: 'Server', pointer: true }, `Set[K, V]` -> type 'Set'
      */
-    extractLocalFunctionCalls(body) {
-        const allCalls = new Set();
+    parseReceiver(tokens) {
+        const idents = [];
+        let pointer = false;
+        let depth = 0;
         
-        // Find all local function definitions
-        // Pattern 1: varName := func() { ... }
-        // Pattern 2: anonymous functions func() { ... }
-        const funcPattern = /func\s*\([^)]*\)\s*(?:\([^)]*\))?\s*\{/g;
+        tokens.forEach(token => {
+            if (this.isOperator(token, '[')) depth++;
+            if (this.isOperator(token, ']')) depth--;
+            if (depth > 0) return;
+            if (this.isOperator(token, '*')) pointer = true;
+            if (token.type === 'ident') idents.push(token.value);
+        });
         
-        let match;
-        while ((match = funcPattern.exec(body)) !== null) {
-            const funcStart = match.index + match[0].length - 1; // Position of opening brace
+        if (idents.length === 0) return null;
+        return {
+            name: idents.length > 1 ? idents[0] : null,
+            type: idents[idents.length - 1],
+            pointer
+        };
+    }
+
+    /**
+     * Entry points registered between two token indexes: HTTP routes
+     * (`http.HandleFunc("/users", h)`, `mux.Handle`, gin/echo `r.GET`, chi `r.Get`),
+     * cobra commands (`&cobra.Command{Use: "serve", RunE: runServe}`) and gRPC
+     * services (`pb.RegisterGreeterServer(s, &server{})`). Found by shape, so
+     * routes need a path with a slash and commands a Run or RunE field.
+     * @param {Array} closures - The enclosing function's closures, for literal handlers
+     * @returns {Array<{kind: 'http'|'cli'|'grpc', name: string, line: number, handler?: Object, service?: Object}>}
+     *   handler is {call} (a call name for resolveCall) or {closure} (a closure
+     *   name, null for the enclosing function when closures aren't split out);
+     *   service is {qualifier, type} where type is a type reference or {value: name}
+     */
+    findRegistrations(tokens, brackets, start, end, closures) {
+        const registrations = [];
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+            const next = tokens[i + 1];
+            if (token.type !== 'ident') continue;
+            const qualified = this.isOperator(tokens[i - 1], '.');
             
-            // Extract the nested function body
-            const nestedBody = this.extractNestedFunctionBody(body, funcStart);
+            if (this.isOperator(next, '(') && brackets[i + 1] > i + 1) {
+                const args = this.splitList(tokens, brackets, i + 2, brackets[i + 1], ',');
+                const service = /^Register(\w+)Server$/.exec(token.value);
+                if (service && args.length === 2) {
+                    const [from, to] = args[1];
+                    const type = to - from === 1 && tokens[from].type === 'ident'
+                        ? { value: tokens[from].value }
+                        : this.inferExprType(tokens, brackets, from);
+                    if (type) {
+                        const qualifier = qualified && tokens[i - 2]?.type === 'ident' ? tokens[i - 2].value : null;
+                        registrations.push({ kind: 'grpc', name: service[1], line: token.line, service: { qualifier, type } });
+                    }
+                } else if (qualified && ROUTE_METHODS.has(token.value) && args.length >= 2) {
+                    const route = this.parseRoute(token.value, args.map(([from, to]) =>
+                        (to - from === 1 && tokens[from].type === 'string' ? tokens[from].value.slice(1, -1) : null)));
+                    const handler = route && this.parseHandlerValue(tokens, brackets, ...args[args.length - 1], closures);
+                    if (handler) registrations.push({ kind: 'http', name: route, line: token.line, handler });
+                }
+            } else if (token.value === 'Command' && qualified && this.isOperator(next, '{') && brackets[i + 1] > i + 1) {
+                // Fields of a cobra.Command literal
+                let use = null;
+                let handler = null;
+                this.splitList(tokens, brackets, i + 2, brackets[i + 1], ',').forEach(([from, to]) => {
+                    if (tokens[from].type !== 'ident' || !this.isOperator(tokens[from + 1], ':')) return;
+                    if (tokens[from].value === 'Use' && tokens[from + 2]?.type === 'string') {
+                        use = tokens[from + 2].value.slice(1, -1).split(/\s+/)[0];
+                    } else if (tokens[from].value === 'Run' || tokens[from].value === 'RunE') {
+                        handler = this.parseHandlerValue(tokens, brackets, from + 2, to, closures);
+                    }
+                });
+                if (handler) registrations.push({ kind: 'cli', name: use || 'command', line: token.line, handler });
+            }
+        }
+        return registrations;
+    }
+
+    /**
+     * Route of an HTTP registration from its string arguments (null where an
+     * argument isn't a string literal): "GET /users" for r.GET("/users", h) or
+     * r.Method("GET", "/users", h), the pattern itself for http.HandleFunc("/users", h)
+     * (Go 1.22 patterns carry their method: "GET /users/{id}")
+     * @returns {string|null} Null when there is no path
+     */
+    parseRoute(method, strings) {
+        const [first, second] = strings;
+        let route;
+        if (HTTP_VERBS.includes(method.toUpperCase()) || method === 'Any') {
+            route = first !== null ? `${method.toUpperCase()} ${first}` : null;
+        } else {
+            route = first !== null && second !== null ? `${first} ${second}` : first;
+        }
+        return route && route.includes('/') ? route : null;
+    }
+
+    /**
+     * Function a handler argument or Run field names: `h`, `s.handle`, a function
+     * literal, `http.HandlerFunc(h)`, or `&T{...}`/`T{...}` (served by T.ServeHTTP)
+     * @returns {{call: string}|{closure: string|null}|null} See findRegistrations
+     */
+    parseHandlerValue(tokens, brackets, from, to, closures) {
+        if (tokens[from]?.type === 'keyword' && tokens[from].value === 'func') {
+            return { closure: closures.find(closure => closure.start === from)?.name || null };
+        }
+        
+        let i = this.isOperator(tokens[from], '&') ? from + 1 : from;
+        if (tokens[i]?.type !== 'ident') return null;
+        let name = tokens[i].value;
+        while (this.isOperator(tokens[i + 1], '.') && tokens[i + 2]?.type === 'ident') {
+            i += 2;
+            name = `${name}.${tokens[i].value}`;
+        }
+        
+        const next = i + 1;
+        if (next === to) return this.isOperator(tokens[from], '&') ? null : { call: name };
+        if (this.isOperator(tokens[next], '(') && brackets[next] === to - 1 && /(^|\.)HandlerFunc$/.test(name)) {
+            return this.parseHandlerValue(tokens, brackets, next + 1, to - 1, closures);
+        }
+        if (this.isOperator(tokens[next], '{') && brackets[next] === to - 1) {
+            return { call: `${name}.ServeHTTP` };
+        }
+        return null;
+    }
+
+    /**
+     * Function literals directly inside a body, each as a closure of parent:
+     * Handler$func1, Handler$func2, ... in source order, and Handler$func1$1 for
+     * one nested in Handler$func1 (Go's own pkg.Handler.func1.1). A closure has
+     * its parent's locals, which cover the literals' parameters and captured names,
+     * start, the index of its `func` keyword, and use, how the parent runs it: 'go'
+     * or 'defer' from such a statement, 'call' when invoked in place, 'funcref' when
+     * handed on as a value (a callback, a variable).
+     * @param {Object} parent - parseFuncDecl declaration or closure
+     * @param {Array} closures - Filled in place, nested closures after their parent
+     * @returns {Map<number, number>} index of each direct literal's `func` -> index of its closing brace
+     */
+    collectClosures(tokens, brackets, start, end, parent, declarations, closures) {
+        const literals = new Map();
+        for (let i = start; i < end; i++) {
+            if (tokens[i].type !== 'keyword' || tokens[i].value !== 'func') continue;
+            const body = this.findFuncLiteralBody(tokens, brackets, i);
+            if (body === -1) continue;
             
-            if (nestedBody) {
-                // Extract calls from the nested function
-                const calls = this.extractFunctionCalls(nestedBody);
-                calls.forEach(call => allCalls.add(call));
-                
-                // Recursively extract from deeper nested functions
-                const deeperCalls = this.extractLocalFunctionCalls(nestedBody);
-                deeperCalls.forEach(call => allCalls.add(call));
+            const bodyEnd = brackets[body] > body ? brackets[body] : end;
+            const number = literals.size + 1;
+            const before = tokens[i - 1];
+            let use = 'funcref';
+            if (before?.type === 'keyword' && (before.value === 'go' || before.value === 'defer')) {
+                use = before.value;
+            } else if (this.isOperator(tokens[bodyEnd + 1], '(')) {
+                use = 'call';
             }
+            const closure = {
+                name: parent.parent ? `${parent.name}$${number}` : `${parent.name}$func${number}`,
+                receiver: parent.receiver,
+                parent: parent.name,
+                line: tokens[i].line,
+                start: i,
+                use,
+                locals: parent.locals,
+                result: null
+            };
+            closures.push(closure);
+            const nested = this.collectClosures(tokens, brackets, body + 1, bodyEnd, closure, declarations, closures);
+            closure.calls = this.extractCalls(tokens, body + 1, bodyEnd, declarations, nested);
+            literals.set(i, bodyEnd);
+            i = bodyEnd;
         }
+        return literals;
+    }
+
+    /**
+     * Index of the `{` opening the body of the function literal whose `func` is
+     * at index, or -1 when it starts a function type (`var f func(int) error`,
+     * `[]func(){a, b}`, `chan func()`)
+     */
+    findFuncLiteralBody(tokens, brackets, index) {
+        if (this.isOperator(tokens[index - 1], ']')) return -1;
+        if (!this.isOperator(tokens[index + 1], '(') || brackets[index + 1] < 0) return -1;
         
-        return allCalls;
+        // Past the parameters, only a result type may come before the body
+        for (let i = brackets[index + 1] + 1; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (this.isOperator(token, '{')) return i;
+            if (token.type === 'keyword' && (token.value === 'struct' || token.value === 'interface') &&
+                this.isOperator(tokens[i + 1], '{')) {
+                if (brackets[i + 1] < 0) return -1;
+                i = brackets[i + 1];
+            } else if (this.isOperator(token, '(') || this.isOperator(token, '[')) {
+                if (brackets[i] < 0) return -1;
+                i = brackets[i];
+            } else if (token.type !== 'ident' && !(token.type === 'keyword' && ['map', 'chan', 'func'].includes(token.value)) &&
+                !['*', '.', '<-'].some(operator => this.isOperator(token, operator))) {
+                return -1;
+            }
+        }
+        return -1;
     }
 
     /**
-     * Extract a nested function body starting from the opening brace
-     * Similar to extractFunctionBody but works within an already extracted body
+     * Collect call sites and function references between two token indexes
+     * (a function body, including any function literals inside it not skipped)
+     * `foo(` is recorded as "foo" and selector chains like `s.db.Query(` as
+     * "s.db.Query"; methods called on other expressions (`a().foo(`, `m[k].foo(`)
+     * are recorded as ".foo", method expressions (`(*T).Method`, `T.Method`) as
+     * "T.Method". The kind is 'go' or 'defer' for the call a go/defer
+     * statement makes, 'funcref' for a name used as a value (`http.HandleFunc("/", handler)`,
+     * method values like `h := s.Handle`, `Server{OnError: logError}`) and 'call' otherwise. Most values are variables, not functions; those
+     * references are dropped when they don't resolve. Unqualified names are
+     * skipped where a local declaration (see collectLocals) shadows them.
+     * @param {Map<string, Array<[number, number]>>} declarations - Local names and where they are in scope
+     * @param {Map<number, number>} [skip] - Token ranges left out (closures, see collectClosures)
+     * @returns {Map<string, Array<{line: number, kind: string}>>} call name -> sites
      */
-    extractNestedFunctionBody(content, startPos) {
-        let braceCount = 0;
-        let body = '';
-        let inString = false;
-        let stringChar = '';
+    extractCalls(tokens, start, end, declarations = new Map(), skip = new Map()) {
+        const calls = new Map();
+        const isShadowed = (name, index) =>
+            declarations.get(name)?.some(([from, to]) => from <= index && index <= to) || false;
         
-        for (let i = startPos; i < content.length; i++) {
-            const char = content[i];
-            const prevChar = i > 0 ? content[i - 1] : '';
+        for (let i = start; i < end; i++) {
+            if (skip.has(i)) {
+                i = skip.get(i);
+                continue;
+            }
+            const token = tokens[i];
+            const next = tokens[i + 1];
+            // Only the last name of a selector chain
+            if (token.type !== 'ident' || this.isOperator(next, '.')) continue;
             
-            // Handle strings
-            if ((char === '"' || char === '`') && prevChar !== '\\') {
-                if (!inString) {
-                    inString = true;
-                    stringChar = char;
-                } else if (char === stringChar) {
-                    inString = false;
-                }
+            let callName = token.value;
+            let root = i;
+            while (this.isOperator(tokens[root - 1], '.') && tokens[root - 2]?.type === 'ident') {
+                root -= 2;
+                callName = `${tokens[root].value}.${callName}`;
             }
+            let onExpression = this.isOperator(tokens[root - 1], '.');
+            const pointerType = onExpression ? this.findPointerMethodExpression(tokens, root - 2) : null;
+            if (pointerType) {
+                callName = `${pointerType}.${token.value}`;
+                onExpression = false;
+            }
+            if (root === i && !pointerType && isShadowed(token.value, i)) continue;
             
-            // Count braces only outside strings
-            if (!inString) {
-                if (char === '{') {
-                    braceCount++;
-                } else if (char === '}') {
-                    braceCount--;
+            let kind;
+            if (this.isOperator(next, '(')) {
+                if (onExpression) {
+                    callName = `.${token.value}`;
+                } else if (root === i && this.isKeywordOrBuiltin(token.value)) {
+                    continue;
                 }
+                const before = tokens[root - 1];
+                kind = before?.type === 'keyword' && (before.value === 'go' || before.value === 'defer')
+                    ? before.value
+                    : 'call';
+            } else {
+                // Field values, composite literal keys (`key:`), labels and declared names are not references
+                if (onExpression || this.isOperator(next, ':') || this.isOperator(next, ':=') ||
+                    (root === i && this.isKeywordOrBuiltin(token.value))) {
+                    continue;
+                }
+                kind = 'funcref';
             }
             
-            body += char;
-            
-            // Stop when we've closed all braces
-            if (braceCount === 0 && body.length > 1) {
-                break;
+            if (!calls.has(callName)) {
+                calls.set(callName, []);
             }
+            calls.get(callName).push({ line: token.line, kind });
         }
         
-        return body;
+        return calls;
+    }
+
+    /**
+     * Type name of a method expression on a pointer type, `(*T)` or `(*pkg.T)`,
+     * whose closing parenthesis is at index; null for any other expression
+     */
+    findPointerMethodExpression(tokens, index) {
+        if (!this.isOperator(tokens[index], ')') || tokens[index - 1]?.type !== 'ident') return null;
+        let start = index - 1;
+        let typeName = tokens[start].value;
+        if (this.isOperator(tokens[start - 1], '.') && tokens[start - 2]?.type === 'ident') {
+            start -= 2;
+            typeName = `${tokens[start].value}.${typeName}`;
+        }
+        return this.isOperator(tokens[start - 1], '*') && this.isOperator(tokens[start - 2], '(') ? typeName : null;
+    }
+
+    isOperator(token, value) {
+        return token?.type === 'operator' && token.value === value;
     }
 
     /**
@@ -384,65 +1235,650 @@ class GoParser {
             'func', 'var', 'const', 'package', 'import'
         ];
         
+        // Builtin functions and the predeclared types (conversions look like calls)
         const builtins = [
             'make', 'new', 'len', 'cap', 'append', 'copy', 'delete',
             'panic', 'recover', 'print', 'println', 'close', 'complex',
-            'real', 'imag', 'error'
+            'real', 'imag', 'clear', 'min', 'max',
+            'error', 'any', 'bool', 'byte', 'rune', 'string', 'uintptr',
+            'int', 'int8', 'int16', 'int32', 'int64',
+            'uint', 'uint8', 'uint16', 'uint32', 'uint64',
+            'float32', 'float64', 'complex64', 'complex128'
         ];
         
         return keywords.includes(name) || builtins.includes(name);
     }
 
     /**
-     * Build call graph from parsed functions
+     * Scanned package for an import path: an exact import path match, or for
+     * directories outside any go.mod, the longest directory the path ends with
+     * @returns {string|null} Import path of the scanned package
+     */
+    resolveImportPath(path) {
+        if (this.packages.has(path)) return path;
+        
+        let best = null;
+        this.packages.forEach((pkg, packagePath) => {
+            if (pkg.inModule || !pkg.dir) return;
+            if ((path === pkg.dir || path.endsWith(`/${pkg.dir}`)) &&
+                (!best || pkg.dir.length > this.packages.get(best).dir.length)) {
+                best = packagePath;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Name an import is referred to by when it has no alias: the package name
+     * if it was scanned, otherwise the usual convention for its last path element
+     * (major version suffixes and "go-" prefixes dropped, e.g. gopkg.in/yaml.v3 -> yaml)
+     */
+    getDefaultImportName(path, packagePath) {
+        if (packagePath) return this.packages.get(packagePath).name;
+        
+        const elements = path.split('/');
+        let name = elements.pop();
+        if (/^v\d+$/.test(name) && elements.length > 0) {
+            name = elements.pop();
+        }
+        return name.replace(/\.v\d+$/, '').replace(/^go-/, '').replace(/[^\p{L}\p{Nd}_]/gu, '_');
+    }
+
+    /**
+     * Names a file's imports bind: alias -> { path, packagePath } (packagePath is
+     * null for packages outside the scanned folder), plus the dot-imported packages
+     */
+    getFileScope(filePath) {
+        if (this.scopes.has(filePath)) return this.scopes.get(filePath);
+        
+        const imports = new Map();
+        const dotImports = [];
+        
+        this.files.get(filePath).imports.forEach(spec => {
+            if (spec.name === '_') return;
+            if (!this.importCache.has(spec.path)) {
+                this.importCache.set(spec.path, this.resolveImportPath(spec.path));
+            }
+            const packagePath = this.importCache.get(spec.path);
+            
+            if (spec.name === '.') {
+                if (packagePath) dotImports.push(packagePath);
+            } else {
+                const name = spec.name || this.getDefaultImportName(spec.path, packagePath);
+                imports.set(name, { path: spec.path, packagePath });
+            }
+        });
+        
+        const scope = { imports, dotImports };
+        this.scopes.set(filePath, scope);
+        return scope;
+    }
+
+    /**
+     * Resolve a type reference to a scanned type, following aliases and the
+     * result types of constructor calls
+     * @param {Object} context - Where the reference appears: { file, packagePath, locals? }
+     * @returns {{typeKey: string}|{external: {path: string, type: string|null}}|null}
+     *   external for types of packages outside the folder (type is null when it
+     *   is the unknown result of an external call)
+     */
+    resolveType(ref, context, depth = 0) {
+        if (!ref || depth > MAX_RESOLVE_DEPTH) return null;
+        
+        if (ref.call) {
+            const target = this.resolveCall(ref.call, context, depth + 1);
+            if (target?.external) return { external: { path: target.external.path, type: null } };
+            if (target?.callee) {
+                const callee = this.functions.get(target.callee);
+                return this.resolveType(callee.result, callee, depth + 1);
+            }
+            // Not a function: maybe a conversion, T(x) or pkg.T(x)
+            const dot = ref.call.lastIndexOf('.');
+            return this.resolveType(
+                { qualifier: dot === -1 ? null : ref.call.slice(0, dot), name: ref.call.slice(dot + 1) },
+                context,
+                depth + 1
+            );
+        }
+        
+        let typeKey;
+        if (ref.qualifier) {
+            const imported = this.getFileScope(context.file).imports.get(ref.qualifier);
+            if (!imported) return null;
+            if (!imported.packagePath) return { external: { path: imported.path, type: ref.name } };
+            typeKey = `${imported.packagePath}.${ref.name}`;
+        } else {
+            typeKey = [context.packagePath, ...this.getFileScope(context.file).dotImports]
+                .map(packagePath => `${packagePath}.${ref.name}`)
+                .find(key => this.types.has(key));
+        }
+        
+        const type = this.types.get(typeKey);
+        if (!type) return null;
+        return type.kind === 'alias' ? this.resolveType(type.target, type, depth + 1) : { typeKey };
+    }
+
+    /**
+     * Look a member up on a type and then on its embedded types (promotion)
+     * @param {Function} lookup - (typeKey, type) -> member or null
+     * @param {Object} state - opaque is set when an embedded type is outside the scanned folder
+     */
+    findPromoted(typeKey, lookup, depth, state = { visited: new Set(), opaque: false }) {
+        if (state.visited.has(typeKey) || depth > MAX_RESOLVE_DEPTH) return null;
+        state.visited.add(typeKey);
+        
+        const type = this.types.get(typeKey);
+        const member = lookup(typeKey, type);
+        if (member) return member;
+        
+        for (const embedded of type.embedded) {
+            const resolved = this.resolveType(embedded, type, depth + 1);
+            if (!resolved?.typeKey) {
+                state.opaque = true;
+                continue;
+            }
+            const promoted = this.findPromoted(resolved.typeKey, lookup, depth + 1, state);
+            if (promoted) return promoted;
+        }
+        return null;
+    }
+
+    /**
+     * Key of method `name` on a concrete type, including methods promoted from embedded types
+     */
+    findMethod(typeKey, name, depth = 0) {
+        return this.findPromoted(typeKey, key => (this.functions.has(`${key}.${name}`) ? `${key}.${name}` : null), depth);
+    }
+
+    /**
+     * Method `name` of a scanned type; on an interface (or an interface embedded
+     * in a struct) every implementation is a possible target
+     * @param {string} expr - Receiver expression, for the report
+     */
+    resolveMethod(typeKey, name, expr, depth) {
+        const type = this.types.get(typeKey);
+        if (type.kind === 'interface') {
+            return this.resolveDispatch(typeKey, name, expr);
+        }
+        
+        const state = { visited: new Set(), opaque: false };
+        const found = this.findPromoted(typeKey, (key, candidate) => {
+            if (this.functions.has(`${key}.${name}`)) return { callee: `${key}.${name}` };
+            if (candidate.kind === 'interface' && this.getInterfaceMethods(key)?.has(name)) return { interfaceKey: key };
+            return null;
+        }, depth, state);
+        
+        if (found?.callee) return found;
+        if (found) return this.resolveDispatch(found.interfaceKey, name, expr);
+        
+        // A function-valued field, or a method an embedded external type provides
+        if (type.fields.has(name) || state.opaque) return null;
+        return { reason: `type ${type.name} has no method ${name}` };
+    }
+
+    /**
+     * Dynamic dispatch: a call of interface method `name` may reach that method
+     * on every scanned type implementing the interface
+     * @returns {{dispatch: string[], via: string}|{reason: string}}
+     */
+    resolveDispatch(interfaceKey, name, expr) {
+        const type = this.types.get(interfaceKey);
+        const methods = this.getInterfaceMethods(interfaceKey);
+        
+        if (!methods) {
+            return { reason: `${expr} has interface type ${type.name}, whose method set is not known (it embeds interfaces from outside the folder)` };
+        }
+        if (!methods.has(name)) {
+            return { reason: `interface ${type.name} has no method ${name}` };
+        }
+        
+        // Types sharing a promoted method reach the same function
+        const callees = [...new Set(this.getImplementations(interfaceKey).map(typeKey => this.findMethod(typeKey, name)))];
+        if (callees.length === 0) {
+            return { reason: `${expr} has interface type ${type.name}, which no type in the folder implements` };
+        }
+        return { dispatch: callees, via: `${type.name}.${name}` };
+    }
+
+    /**
+     * Method names of an interface, including embedded interfaces
+     * @returns {Set<string>|null} null when part of the method set is outside the scanned folder
+     */
+    getInterfaceMethods(interfaceKey, depth = 0) {
+        if (this.interfaceMethods.has(interfaceKey)) return this.interfaceMethods.get(interfaceKey);
+        
+        // Placeholder against embedding cycles (invalid Go, but don't loop)
+        this.interfaceMethods.set(interfaceKey, null);
+        
+        const type = this.types.get(interfaceKey);
+        let methods = type.methods && new Set(type.methods);
+        for (const embedded of type.embedded) {
+            if (!methods || depth > MAX_RESOLVE_DEPTH) break;
+            const resolved = this.resolveType(embedded, type, depth + 1);
+            const embeddedMethods = resolved?.typeKey && this.types.get(resolved.typeKey).kind === 'interface'
+                ? this.getInterfaceMethods(resolved.typeKey, depth + 1)
+                : null;
+            methods = embeddedMethods ? new Set([...methods, ...embeddedMethods]) : null;
+        }
+        
+        this.interfaceMethods.set(interfaceKey, methods);
+        return methods;
+    }
+
+    /**
+     * Scanned non-interface types whose method set (value or pointer receivers,
+     * promoted methods included) has every method of the interface; matching is
+     * by method name, signatures are not compared
+     */
+    getImplementations(interfaceKey) {
+        if (this.implementations.has(interfaceKey)) return this.implementations.get(interfaceKey);
+        
+        const methods = this.getInterfaceMethods(interfaceKey);
+        const implementations = [];
+        if (methods && methods.size > 0) {
+            this.types.forEach((type, typeKey) => {
+                if (type.kind === 'interface' || type.kind === 'alias') return;
+                if ([...methods].every(name => this.findMethod(typeKey, name))) {
+                    implementations.push(typeKey);
+                }
+            });
+        }
+        
+        this.implementations.set(interfaceKey, implementations);
+        return implementations;
+    }
+
+    /**
+     * Resolve one call name from the caller's scope: its parameters and locals,
+     * the file's imports and the package's functions, types and variables
+     * @param {Object} context - The calling function (or { file, packagePath })
+     * @returns {{callee: string}|{external: {path: string, name: string}}|{reason: string}|null}
+     *   external for calls into packages outside the folder (name is "Func",
+     *   "Type.Method", or "?.Method" when the receiver's type is unknown); null
+     *   when the name cannot refer to scanned code otherwise (e.g. a conversion),
+     *   reason when it may but the target can't be determined
+     */
+    resolveCall(call, context, depth = 0) {
+        const chain = call.split('.');
+        const name = chain.pop();
+        const scope = this.getFileScope(context.file);
+        
+        if (chain.length === 0) {
+            const samePackageCallee = `${context.packagePath}.${name}`;
+            if (this.functions.has(samePackageCallee)) {
+                return { callee: samePackageCallee };
+            }
+            
+            for (const packagePath of scope.dotImports) {
+                const callee = `${packagePath}.${name}`;
+                if (this.functions.has(callee)) return { callee };
+            }
+            
+            const candidates = this.functionsByName.get(name);
+            if (!candidates || this.resolveType({ qualifier: null, name }, context, depth + 1)) {
+                return null;
+            }
+            return { reason: `${name} is not declared in package ${context.packagePath} or its dot imports (found in ${candidates.map(key => this.functions.get(key).packagePath).join(', ')})` };
+        }
+        
+        const expr = chain.join('.');
+        if (chain[0] === '') {
+            return this.methodsByName.has(name)
+                ? { reason: `the receiver type of .${name} cannot be inferred` }
+                : null;
+        }
+        
+        // Type of the receiver expression: a local, a package variable (own or
+        // imported), then its fields
+        const [root, ...fields] = chain;
+        let type = null;
+        if (context.locals?.has(root)) {
+            type = this.resolveType(context.locals.get(root), context, depth + 1);
+        } else if (scope.imports.has(root)) {
+            const imported = scope.imports.get(root);
+            if (!imported.packagePath) return { external: { path: imported.path, name: [...fields, name].join('.') } };
+            if (fields.length === 0) {
+                const callee = `${imported.packagePath}.${name}`;
+                if (this.functions.has(callee)) return { callee };
+                if (this.types.has(callee)) return null; // conversion
+                return { reason: `package ${imported.path} has no function ${name}` };
+            }
+            // Method expression: pkg.Type.Method
+            const typeKey = `${imported.packagePath}.${fields[0]}`;
+            if (fields.length === 1 && this.types.has(typeKey)) {
+                return this.resolveMethod(typeKey, name, expr, depth + 1);
+            }
+            const variable = this.variables.get(`${imported.packagePath}.${fields.shift()}`);
+            type = variable ? this.resolveType(variable.type, variable, depth + 1) : null;
+        } else if (this.variables.has(`${context.packagePath}.${root}`)) {
+            const variable = this.variables.get(`${context.packagePath}.${root}`);
+            type = this.resolveType(variable.type, variable, depth + 1);
+        } else if (fields.length === 0 && this.types.has(`${context.packagePath}.${root}`)) {
+            // Method expression: Type.Method
+            type = { typeKey: `${context.packagePath}.${root}` };
+        }
+        
+        for (const field of fields) {
+            if (!type?.typeKey) break;
+            type = this.findPromoted(type.typeKey, (key, fieldOwner) => (fieldOwner.fields.has(field)
+                ? this.resolveType(fieldOwner.fields.get(field), fieldOwner, depth + 1) || { unknown: true }
+                : null), depth + 1);
+        }
+        
+        if (type?.external) {
+            // Without the type there is no method to name; a guessed one would merge every such call
+            return type.external.type
+                ? { external: { path: type.external.path, name: `${type.external.type}.${name}` } }
+                : { reason: `the type of ${expr} from ${type.external.path} cannot be inferred` };
+        }
+        if (!type?.typeKey) {
+            return this.methodsByName.has(name)
+                ? { reason: `the type of ${expr} cannot be inferred` }
+                : null;
+        }
+        return this.resolveMethod(type.typeKey, name, expr, depth + 1);
+    }
+
+    /**
+     * Diagnostic for a call that could not be resolved, pointing at its first call site
+     */
+    createUnresolvedDiagnostic(call, lines, callerName, callerData, reason) {
+        const content = this.fileContents.get(callerData.file) || '';
+        const sourceLine = content.split('\n')[lines[0] - 1] || '';
+        const column = sourceLine.indexOf(call) + 1;
+        const sites = lines.length === 1 ? '' : ` (${lines.length} call sites)`;
+        
+        return {
+            severity: 'warning',
+            file: callerData.file,
+            line: lines[0],
+            column: Math.max(column, 1),
+            message: `Unresolved call ${call} in ${callerName}: ${reason}${sites}`,
+            snippet: sourceLine.replace(/\s+$/, '')
+        };
+    }
+
+    /**
+     * Build call graph from parsed functions, resolving calls through each
+     * file's imports
+     * @returns {{functions: Map, externals: Map, entries: Map, edges: Array, unresolved: Array, externalCalls: number}}
+     *   every edge has a kind ('call', 'go', 'defer', 'funcref', or 'defines' from a
+     *   function to each closure defined in it, next to an edge of the kind it runs
+     *   the closure with, see collectClosures); edges through an
+     *   interface also carry dispatch: true and via ("Interface.Method");
+     *   edges from a package's <init> (see addPackageInitializers) name the file of
+     *   each call site in files, and those to its init functions their order;
+     *   externals maps "importPath.name" -> { path, name, stdlib } for the external
+     *   callees kept with includeExternal (empty otherwise);
+     *   entries maps function keys to the routes, commands and gRPC methods they serve;
+     *   unresolved holds {severity, file, line, column, message, snippet} diagnostics
      */
     buildCallGraph() {
-        const edges = [];
+        // "caller\0callee\0kind\0via" -> { from, to, kind, count, lines[, dispatch, via] };
+        // several call names (e.g. "Foo" and "pkg.Foo") can resolve to the same edge
+        const edgeMap = new Map();
+        const addEdge = (from, to, kind, lines, via = null, file = null) => {
+            const edgeKey = `${from}\0${to}\0${kind}\0${via || ''}`;
+            if (!edgeMap.has(edgeKey)) {
+                edgeMap.set(edgeKey, via
+                    ? { from, to, kind, count: 0, lines: [], dispatch: true, via }
+                    : { from, to, kind, count: 0, lines: [] });
+            }
+            // Count every call site
+            const edge = edgeMap.get(edgeKey);
+            edge.count += Math.max(lines.length, 1);
+            edge.lines.push(...lines);
+            if (file) {
+                edge.files = [...(edge.files || []), ...lines.map(() => file)];
+            }
+            return edge;
+        };
+        const unresolved = [];
+        const externals = new Map();
+        const entries = new Map(); // function key -> [{ kind, name }] (see resolveRegistration)
+        let externalCalls = 0;
         
         console.log(`Building call graph with ${this.functions.size} functions`);
         
-        // For each function, resolve its calls
-        for (const [callerName, callerData] of this.functions.entries()) {
-            const callerPackage = callerData.package;
-            
-            for (const call of callerData.calls) {
-                // Try to resolve the call
-                let resolvedCallee = null;
+        this.functionsByName.clear();
+        this.methodsByName.clear();
+        this.scopes.clear();
+        this.importCache.clear();
+        this.interfaceMethods.clear();
+        this.implementations.clear();
+        this.addPackageInitializers();
+        this.functions.forEach((funcData, key) => {
+            const byName = funcData.receiver ? this.methodsByName : this.functionsByName;
+            if (!byName.has(funcData.name)) {
+                byName.set(funcData.name, []);
+            }
+            byName.get(funcData.name).push(key);
+        });
+        
+        // Resolve the calls one function (or one file's var initializers) makes
+        const addCalls = (callerName, callerData, calls, file = null) => {
+            for (const [call, sites] of calls) {
+                const resolved = this.resolveCall(call, callerData);
+                if (!resolved) continue;
                 
-                if (call.includes('.')) {
-                    // Already has package prefix
-                    resolvedCallee = call;
-                } else {
-                    // Try to find in same package first
-                    const samePackageCallee = `${callerPackage}.${call}`;
-                    if (this.functions.has(samePackageCallee)) {
-                        resolvedCallee = samePackageCallee;
-                    } else {
-                        // Search in other packages
-                        for (const [funcName] of this.functions.entries()) {
-                            if (funcName.endsWith(`.${call}`)) {
-                                resolvedCallee = funcName;
-                                break;
-                            }
-                        }
-                    }
-                }
+                const linesByKind = new Map();
+                sites.forEach(site => {
+                    if (!linesByKind.has(site.kind)) linesByKind.set(site.kind, []);
+                    linesByKind.get(site.kind).push(site.line);
+                });
                 
-                // Add edge if callee was found
-                if (resolvedCallee && this.functions.has(resolvedCallee)) {
-                    edges.push({
-                        from: callerName,
-                        to: resolvedCallee
+                if (resolved.callee || resolved.dispatch) {
+                    const callees = resolved.dispatch || [resolved.callee];
+                    linesByKind.forEach((lines, kind) => {
+                        callees.forEach(callee => addEdge(callerName, callee, kind, lines, resolved.via, file));
                     });
+                    continue;
+                }
+                
+                // References that don't resolve are ordinary values, not missed calls;
+                // an external name used as a value may as well be a constant or a type
+                const lines = sites.filter(site => site.kind !== 'funcref').map(site => site.line);
+                if (lines.length === 0) continue;
+                if (resolved.external) {
+                    externalCalls += lines.length;
+                    if (this.includeExternal) {
+                        const { path, name } = resolved.external;
+                        const callee = `${path}.${name}`;
+                        if (!externals.has(callee)) {
+                            // Standard library import paths have no dot in their first element
+                            externals.set(callee, { path, name, stdlib: !path.split('/')[0].includes('.') });
+                        }
+                        linesByKind.forEach((kindLines, kind) => {
+                            if (kind !== 'funcref') addEdge(callerName, callee, kind, kindLines, null, file);
+                        });
+                    }
+                } else {
+                    unresolved.push(this.createUnresolvedDiagnostic(call, lines, callerName, callerData, resolved.reason));
                 }
             }
+        };
+        
+        const addEntries = (callerName, callerData, registrations) => {
+            registrations.forEach(registration => {
+                this.resolveRegistration(registration, callerName, callerData).forEach(({ key, name }) => {
+                    if (!entries.has(key)) entries.set(key, []);
+                    const list = entries.get(key);
+                    if (!list.some(entry => entry.kind === registration.kind && entry.name === name)) {
+                        list.push({ kind: registration.kind, name });
+                    }
+                });
+            });
+        };
+        
+        // For each function, resolve its calls
+        for (const [callerName, callerData] of this.functions.entries()) {
+            if (callerData.parent) {
+                const definedInInit = this.functions.get(callerData.parent)?.initializers;
+                addEdge(callerData.parent, callerName, 'defines', [callerData.line], null, definedInInit ? callerData.file : null);
+                // How the parent runs it, so a goroutine or callback isn't drawn as a plain definition
+                addEdge(callerData.parent, callerName, callerData.use, [callerData.line], null, definedInInit ? callerData.file : null);
+            }
+            if (callerData.initializers) {
+                // <init>: each file's var initializers in that file's scope, then the init functions
+                callerData.initializers.forEach(initializer => {
+                    addCalls(callerName, { ...callerData, ...initializer }, initializer.calls, initializer.file);
+                    addEntries(callerName, { ...callerData, ...initializer }, initializer.registrations);
+                });
+                callerData.inits.forEach((key, index) => {
+                    const init = this.functions.get(key);
+                    addEdge(callerName, key, 'call', [init.line], null, init.file).order = index + 1;
+                });
+                continue;
+            }
+            addCalls(callerName, callerData, callerData.calls);
+            addEntries(callerName, callerData, callerData.registrations || []);
         }
         
-        console.log(`Generated ${edges.length} edges`);
+        const edges = Array.from(edgeMap.values());
+        edges.forEach(edge => {
+            if (!edge.files) {
+                edge.lines.sort((a, b) => a - b);
+                return;
+            }
+            const sites = edge.lines.map((line, index) => [edge.files[index], line])
+                .sort(([fileA, lineA], [fileB, lineB]) => fileA.localeCompare(fileB) || lineA - lineB);
+            edge.files = sites.map(([file]) => file);
+            edge.lines = sites.map(([, line]) => line);
+        });
+        unresolved.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+        
+        const dispatchCount = edges.filter(edge => edge.dispatch).length;
+        console.log(`Generated ${edges.length} edges (${dispatchCount} through interfaces); ${externalCalls} calls to packages outside the folder, ${unresolved.length} unresolved, ${entries.size} entry points`);
         
         return {
             functions: this.functions,  // Return the full Map, not just keys
-            edges: edges
+            externals,
+            entries,
+            edges: edges,
+            unresolved,
+            externalCalls
+        };
+    }
+
+    /**
+     * Functions an entry point registration (see findRegistrations) hands requests to
+     * @param {Object} callerData - The registering function, or one file's share of <init>
+     * @returns {Array<{key: string, name: string}>} One per gRPC method, at most one otherwise
+     */
+    resolveRegistration(registration, callerName, callerData) {
+        if (registration.handler) {
+            const { call, closure } = registration.handler;
+            let key = callerName;
+            if (closure) {
+                key = callerData.receiver
+                    ? `${callerData.packagePath}.${callerData.receiver.type}.${closure}`
+                    : `${callerData.packagePath}.${closure}`;
+            } else if (call) {
+                key = this.resolveCall(call, callerData)?.callee;
+            }
+            return key && this.functions.has(key) ? [{ key, name: registration.name }] : [];
+        }
+        
+        // gRPC: the implementation's methods of the generated <Service>Server interface
+        const { qualifier, type } = registration.service;
+        let resolved;
+        if (type.value) {
+            const variable = this.variables.get(`${callerData.packagePath}.${type.value}`);
+            resolved = callerData.locals?.has(type.value)
+                ? this.resolveType(callerData.locals.get(type.value), callerData)
+                : variable && this.resolveType(variable.type, variable);
+        } else {
+            resolved = this.resolveType(type, callerData);
+        }
+        if (!resolved?.typeKey) return [];
+        
+        const imported = qualifier ? this.getFileScope(callerData.file).imports.get(qualifier) : null;
+        const interfaceKey = `${imported ? imported.packagePath : callerData.packagePath}.${registration.name}Server`;
+        const methods = this.types.get(interfaceKey)?.kind === 'interface'
+            ? [...(this.getInterfaceMethods(interfaceKey) || [])]
+            : Array.from(this.functions.values())
+                .filter(func => func.receiver && !func.parent && `${func.packagePath}.${func.receiver.type}` === resolved.typeKey)
+                .map(func => func.name);
+        return methods
+            .filter(name => /^[A-Z]/.test(name))
+            .map(name => ({ key: this.findMethod(resolved.typeKey, name), name: `${registration.name}.${name}` }))
+            .filter(({ key }) => key);
+    }
+
+    /**
+     * Add a synthetic "importPath.<init>" function for every package whose
+     * initialization does something: Go runs the package-level var initializers
+     * (each file's share in initializers, resolved in that file's scope), then the
+     * init functions in file name and declaration order (inits). Rebuilt on every
+     * buildCallGraph, so a refresh never leaves a stale one behind.
+     */
+    addPackageInitializers() {
+        this.functions.forEach((funcData, key) => {
+            if (funcData.initializers) this.functions.delete(key);
+        });
+        
+        const packages = new Map(); // import path -> <init> function
+        const getInit = (packagePath, file, filePath, line) => {
+            if (!packages.has(packagePath)) {
+                packages.set(packagePath, {
+                    name: '<init>',
+                    package: file.packageName,
+                    packagePath,
+                    receiver: null,
+                    file: filePath,
+                    line,
+                    test: file.isTest ? 'helper' : null,
+                    parent: null,
+                    calls: new Map(),
+                    locals: new Map(),
+                    result: null,
+                    initializers: [],
+                    inits: []
+                });
+            }
+            const init = packages.get(packagePath);
+            if (!file.isTest) init.test = null;
+            return init;
+        };
+        
+        // Files in name order, as the go tool hands them to the compiler
+        Array.from(this.files.keys()).sort().forEach(filePath => {
+            const file = this.files.get(filePath);
+            if (!file.packagePath) return;
+            if (file.initializer) {
+                getInit(file.packagePath, file, filePath, file.initializer.line).initializers
+                    .push({ ...file.initializer, file: filePath });
+            }
+            file.functions.forEach(func => {
+                if (func.receiver || func.parent || !func.name.startsWith('init@')) return;
+                getInit(file.packagePath, file, filePath, func.line).inits.push(`${file.packagePath}.${func.name}`);
+            });
+        });
+        
+        // Closures in var initializers were registered with <init> as their parent
+        this.functions.forEach(funcData => {
+            if (funcData.parent === `${funcData.packagePath}.<init>` && !packages.has(funcData.packagePath)) {
+                const file = this.files.get(funcData.file);
+                getInit(funcData.packagePath, file, funcData.file, funcData.line);
+            }
+        });
+        
+        packages.forEach((init, packagePath) => this.functions.set(`${packagePath}.<init>`, init));
+    }
+
+    /**
+     * What the viewer needs from an analysis: the language (a key of
+     * Constants.GO_ANALYSIS.LANGUAGE_NAMES), the DOT plus counts and unresolved
+     * calls (plain data, so it can be posted back from the worker)
+     */
+    toAnalysisResult(callGraph) {
+        return {
+            language: 'go',
+            dot: callGraph.functions.size > 0 ? this.generateDOT(callGraph) : '',
+            functionCount: callGraph.functions.size,
+            edgeCount: callGraph.edges.length,
+            externalCalls: callGraph.externalCalls,
+            unresolved: callGraph.unresolved
         };
     }
 
@@ -454,29 +1890,66 @@ class GoParser {
         dot += '    rankdir=LR;\n';
         dot += '    node [shape=box];\n\n';
         
-        // Add all nodes
+        // Add all nodes; the function key is the node ID, so IDs stay the same
+        // when the folder is analyzed again
         const nodeIds = new Map();
-        let index = 0;
         callGraph.functions.forEach((funcData, funcName) => {
-            const nodeId = `n${index}`;
-            index++;
+            const nodeId = `"${funcName}"`;
             nodeIds.set(funcName, nodeId);
-            // Use function name without package for label
-            const label = funcName.split('.').pop();
-            // Add file path and line number as attributes if available
+            // Use function name without package for label (Type.Method for methods)
+            const receiver = funcData && funcData.receiver;
+            const label = receiver ? `${receiver.type}.${funcData.name}` : funcData.name;
+            // Add file path, line number and receiver (Go syntax, "*T" for pointers) as attributes if available
             const fileAttr = funcData && funcData.file ? ` file="${funcData.file}"` : '';
             const lineAttr = funcData && funcData.line ? ` line="${funcData.line}"` : '';
-            dot += `    ${nodeId} [label="${label}"${fileAttr}${lineAttr}];\n`;
+            // (closures keep their method's receiver for the label only, they are no methods themselves)
+            const receiverAttr = receiver && !funcData.parent
+                ? ` receiver="${receiver.pointer ? '*' : ''}${receiver.type}"`
+                : '';
+            // Functions from _test.go files form a separate layer, tagged with their role
+            const testAttr = funcData && funcData.test ? ` test="${funcData.test}"` : '';
+            // Closures name the function they are defined in, so the viewer can fold them back
+            const parentAttr = funcData && funcData.parent ? ` parent="${funcData.parent}"` : '';
+            // Entry points: the kind of the first registration, and every route/command/method served
+            const entries = callGraph.entries?.get(funcName);
+            const entryAttr = entries
+                ? ` entry="${entries[0].kind}" entryName="${entries.map(entry => entry.name.replace(/"/g, '\\"')).join(', ')}"`
+                : '';
+            dot += `    ${nodeId} [label="${label}"${fileAttr}${lineAttr}${receiverAttr}${testAttr}${parentAttr}${entryAttr}];\n`;
+        });
+        
+        // External callees, one cluster per import path; the viewer groups each
+        // into a single node until it is expanded (see ExternalPackages)
+        const externalsByPath = new Map();
+        callGraph.externals.forEach((external, key) => {
+            if (!externalsByPath.has(external.path)) externalsByPath.set(external.path, []);
+            externalsByPath.get(external.path).push([key, external]);
+        });
+        externalsByPath.forEach((members, path) => {
+            dot += `\n    subgraph "cluster_${path}" {\n        label="${path}";\n`;
+            members.forEach(([key, external]) => {
+                const nodeId = `"${key}"`;
+                nodeIds.set(key, nodeId);
+                dot += `        ${nodeId} [label="${external.name}" external="${external.stdlib ? 'stdlib' : 'module'}"];\n`;
+            });
+            dot += '    }\n';
         });
         
         dot += '\n';
         
-        // Add all edges
+        // Add all edges; weight is the number of call sites, lines lists them
+        // (line numbers in the caller's file), kind says how the callee is reached;
+        // dispatch edges name the interface method in via
         callGraph.edges.forEach(edge => {
             const fromId = nodeIds.get(edge.from);
             const toId = nodeIds.get(edge.to);
             if (fromId && toId) {
-                dot += `    ${fromId} -> ${toId};\n`;
+                const linesAttr = edge.lines && edge.lines.length > 0 ? ` lines="${edge.lines.join(',')}"` : '';
+                const dispatchAttr = edge.dispatch ? ` dispatch=true via="${edge.via}"` : '';
+                // Edges from <init>: the file of each call site, and the order init functions run in
+                const filesAttr = edge.files ? ` files="${edge.files.join(',')}"` : '';
+                const orderAttr = edge.order ? ` order=${edge.order}` : '';
+                dot += `    ${fromId} -> ${toId} [weight=${edge.count || 1}${linesAttr}${filesAttr} kind=${edge.kind || 'call'}${dispatchAttr}${orderAttr}];\n`;
             }
         });
         
@@ -486,6 +1959,6 @@ class GoParser {
     }
 }
 
-// Make it available globally
-window.GoParser = GoParser;
+// Make it available globally (the page, or the analysis worker in go-worker.js)
+self.GoParser = GoParser;
 
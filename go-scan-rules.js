@@ -0,0 +1,297 @@
+// Go Scan Rules
+// Decides which files GoParser scans: glob include/exclude patterns,
+// .gitignore files, test files, and the GOOS/GOARCH file name suffixes and
+// //go:build constraints the go tool would apply for one platform.
+// Patterns follow .gitignore syntax: "vendor/" matches directories only, a
+// pattern without a slash matches at any depth, "*" stays within a path
+// segment, "**" crosses segments and "!" re-includes.
+
+// Operating systems and architectures the go tool knows (go/build syslist.go);
+// only these act as file name suffixes
+const KNOWN_GOOS = [
+    'aix', 'android', 'darwin', 'dragonfly', 'freebsd', 'hurd', 'illumos', 'ios', 'js',
+    'linux', 'nacl', 'netbsd', 'openbsd', 'plan9', 'solaris', 'wasip1', 'windows', 'zos'
+];
+const KNOWN_GOARCH = [
+    '386', 'amd64', 'amd64p32', 'arm', 'armbe', 'arm64', 'arm64be', 'loong64', 'mips',
+    'mipsle', 'mips64', 'mips64le', 'mips64p32', 'mips64p32le', 'ppc', 'ppc64', 'ppc64le',
+    'riscv', 'riscv64', 's390', 's390x', 'sparc', 'sparc64', 'wasm'
+];
+// Operating systems that satisfy the "unix" build tag
+const UNIX_GOOS = [
+    'aix', 'android', 'darwin', 'dragonfly', 'freebsd', 'hurd', 'illumos', 'ios',
+    'linux', 'netbsd', 'openbsd', 'solaris'
+];
+// GOOS values that also satisfy another GOOS's tag
+const GOOS_IMPLIES = { android: 'linux', illumos: 'solaris', ios: 'darwin' };
+
+class GoScanRules {
+    static DEFAULT_SETTINGS = {
+        include: [],                    // Patterns a file must match; empty scans everything
+        exclude: ['vendor/', 'node_modules/', 'testdata/', '.*/'],
+        includeTests: false,            // Also scan _test.go files (a layer the viewer can hide)
+        useGitignore: true,
+        includeExternal: false,         // Keep calls into the standard library and other modules (GoParser)
+        splitClosures: false,           // Function literals as nodes of their own (GoParser)
+        goos: '',                       // '' ignores file name suffixes and build constraints
+        goarch: 'amd64',
+        buildTags: []                   // Extra tags that count as satisfied, e.g. "integration"
+    };
+
+    static KNOWN_GOOS = KNOWN_GOOS;
+    static KNOWN_GOARCH = KNOWN_GOARCH;
+
+    /**
+     * @param {Object} [settings] - See DEFAULT_SETTINGS; missing fields take the default
+     */
+    constructor(settings = {}) {
+        this.settings = { ...GoScanRules.DEFAULT_SETTINGS, ...settings };
+        this.include = this.settings.include.map(pattern => this.compilePattern(pattern)).filter(Boolean);
+        this.exclude = this.settings.exclude.map(pattern => this.compilePattern(pattern)).filter(Boolean);
+    }
+
+    get useGitignore() {
+        return this.settings.useGitignore;
+    }
+
+    /**
+     * Files that any settings could scan; uploads and drops keep these (see FolderReader)
+     */
+    static isCandidateFile(name) {
+        return name.endsWith('.go') || name === 'go.mod' || name === '.gitignore';
+    }
+
+    static isTestFile(name) {
+        return name.endsWith('_test.go');
+    }
+
+    /**
+     * Rules read from the .gitignore in directory base ('' for the scanned root)
+     * @returns {{base: string, patterns: Array}}
+     */
+    parseGitignore(content, base) {
+        const patterns = content.split(/\r?\n/)
+            .filter(line => line.trim() !== '' && !line.startsWith('#'))
+            .map(line => this.compilePattern(line.replace(/^\\(?=[#!])/, '')))
+            .filter(Boolean);
+        return { base, patterns };
+    }
+
+    /**
+     * Should scanDirectory descend into this directory
+     * @param {string} path - Relative to the scanned root
+     * @param {Array} gitignores - parseGitignore results for the directories above it, outermost first
+     */
+    includesDirectory(path, gitignores) {
+        return !this.matchesLast(this.exclude, path, true) && !this.isIgnored(path, true, gitignores);
+    }
+
+    /**
+     * Should scanDirectory collect this file (its content is checked later, see matchesBuildConstraints)
+     */
+    includesFile(path, gitignores) {
+        const name = path.slice(path.lastIndexOf('/') + 1);
+        const isGoMod = name === 'go.mod';
+        if (!isGoMod && !name.endsWith('.go')) return false;
+        if (GoScanRules.isTestFile(name) && !this.settings.includeTests) return false;
+        if (this.matchesLast(this.exclude, path, false) || this.isIgnored(path, false, gitignores)) return false;
+        if (isGoMod) return true; // Import paths need every go.mod, wanted packages or not
+
+        if (this.include.length > 0 && !this.matchesInclude(path)) return false;
+        return this.matchesFileName(name);
+    }
+
+    /**
+     * Does a .go file's //go:build (or legacy // +build) constraint hold for the chosen platform
+     */
+    matchesBuildConstraints(content) {
+        if (!this.settings.goos) return true;
+
+        // Constraints are line comments before the package clause
+        const header = [];
+        for (const line of content.split(/\r?\n/)) {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('package ') || trimmed.startsWith('/*')) break;
+            header.push(trimmed);
+        }
+
+        const goBuild = header.find(line => /^\/\/go:build\s/.test(line));
+        if (goBuild) {
+            return this.evaluateExpression(goBuild.slice('//go:build'.length));
+        }
+
+        // "// +build a,b c" is (a AND b) OR c; several lines must all hold
+        return header
+            .filter(line => /^\/\/\s*\+build\s/.test(line))
+            .every(line => line.replace(/^\/\/\s*\+build\s/, '').trim().split(/\s+/).some(option =>
+                option.split(',').every(term =>
+                    term.startsWith('!') ? !this.matchesTag(term.slice(1)) : this.matchesTag(term))
+            ));
+    }
+
+    /**
+     * GOOS/GOARCH suffixes: name_GOOS.go, name_GOARCH.go, name_GOOS_GOARCH.go (also before _test)
+     */
+    matchesFileName(name) {
+        if (!this.settings.goos) return true;
+
+        const stem = name.replace(/(_test)?\.go$/, '');
+        const underscore = stem.indexOf('_');
+        if (underscore === -1) return true;
+        // The part before the first underscore is never a constraint ("linux.go" is not)
+        const parts = stem.slice(underscore + 1).split('_');
+        const last = parts[parts.length - 1];
+        const beforeLast = parts[parts.length - 2];
+
+        if (beforeLast !== undefined && KNOWN_GOOS.includes(beforeLast) && KNOWN_GOARCH.includes(last)) {
+            return this.matchesTag(beforeLast) && this.matchesTag(last);
+        }
+        if (KNOWN_GOOS.includes(last) || KNOWN_GOARCH.includes(last)) {
+            return this.matchesTag(last);
+        }
+        return true;
+    }
+
+    matchesTag(tag) {
+        const { goos, goarch, buildTags } = this.settings;
+        if (tag === goos || tag === goarch || tag === GOOS_IMPLIES[goos]) return true;
+        if (tag === 'unix') return UNIX_GOOS.includes(goos);
+        // Any release tag holds: the scanned code is assumed to build with a current Go
+        if (/^go1\.\d+$/.test(tag) || tag === 'gc') return true;
+        return buildTags.includes(tag);
+    }
+
+    /**
+     * Evaluate a //go:build expression (!, &&, ||, parentheses); a malformed one keeps the file
+     */
+    evaluateExpression(expression) {
+        const tokens = expression.match(/&&|\|\||[!()]|[\w.]+/g) || [];
+        let position = 0;
+
+        const parseOr = () => {
+            let value = parseAnd();
+            while (tokens[position] === '||') {
+                position++;
+                const right = parseAnd();
+                value = value || right;
+            }
+            return value;
+        };
+        const parseAnd = () => {
+            let value = parseNot();
+            while (tokens[position] === '&&') {
+                position++;
+                const right = parseNot();
+                value = value && right;
+            }
+            return value;
+        };
+        const parseNot = () => {
+            const token = tokens[position++];
+            if (token === '!') return !parseNot();
+            if (token === '(') {
+                const value = parseOr();
+                if (tokens[position++] !== ')') throw new SyntaxError('missing )');
+                return value;
+            }
+            if (token === undefined || !/^[\w.]+$/.test(token)) throw new SyntaxError(`unexpected ${token}`);
+            return this.matchesTag(token);
+        };
+
+        try {
+            const value = parseOr();
+            return position === tokens.length ? value : true;
+        } catch (error) {
+            return true;
+        }
+    }
+
+    /**
+     * Files match an include pattern themselves or through a directory above them
+     */
+    matchesInclude(path) {
+        const parts = path.split('/');
+        return this.include.some(pattern => {
+            if (!pattern.negate && !pattern.directoryOnly && pattern.regex.test(path)) return true;
+            for (let length = 1; length < parts.length; length++) {
+                if (!pattern.negate && pattern.regex.test(parts.slice(0, length).join('/'))) return true;
+            }
+            return false;
+        });
+    }
+
+    /**
+     * .gitignore semantics: the last matching pattern decides, deeper files override outer ones
+     */
+    isIgnored(path, isDirectory, gitignores) {
+        let ignored = false;
+        gitignores.forEach(({ base, patterns }) => {
+            if (base && !path.startsWith(`${base}/`)) return;
+            const relative = base ? path.slice(base.length + 1) : path;
+            patterns.forEach(pattern => {
+                if ((!pattern.directoryOnly || isDirectory) && pattern.regex.test(relative)) {
+                    ignored = !pattern.negate;
+                }
+            });
+        });
+        return ignored;
+    }
+
+    matchesLast(patterns, path, isDirectory) {
+        let matched = false;
+        patterns.forEach(pattern => {
+            if ((!pattern.directoryOnly || isDirectory) && pattern.regex.test(path)) {
+                matched = !pattern.negate;
+            }
+        });
+        return matched;
+    }
+
+    /**
+     * Compile one pattern to a regex over slash-separated paths relative to its base
+     * @returns {{regex: RegExp, negate: boolean, directoryOnly: boolean}|null} Null for a blank pattern
+     */
+    compilePattern(source) {
+        let pattern = source.trim();
+        const negate = pattern.startsWith('!');
+        if (negate) pattern = pattern.slice(1);
+        const directoryOnly = pattern.endsWith('/');
+        pattern = pattern.replace(/\/+$/, '');
+        if (pattern === '') return null;
+
+        // Without an inner slash a pattern matches a name at any depth
+        const anchored = pattern.includes('/');
+        pattern = pattern.replace(/^\//, '');
+
+        let regex = '';
+        for (let index = 0; index < pattern.length; index++) {
+            const char = pattern[index];
+            if (pattern.startsWith('**/', index)) {
+                regex += '(?:.*/)?';
+                index += 2;
+            } else if (pattern.startsWith('**', index)) {
+                regex += '.*';
+                index += 1;
+            } else if (char === '*') {
+                regex += '[^/]*';
+            } else if (char === '?') {
+                regex += '[^/]';
+            } else if (char === '[' && pattern.indexOf(']', index + 2) !== -1) {
+                const end = pattern.indexOf(']', index + 2);
+                regex += '[' + pattern.slice(index + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+                index = end;
+            } else {
+                regex += char.replace(/[.+^${}()|\\]/g, '\\$&');
+            }
+        }
+
+        return {
+            regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${regex}$`),
+            negate,
+            directoryOnly
+        };
+    }
+}
+
+// Make it available globally (the page, or the analysis worker in go-worker.js)
+self.GoScanRules = GoScanRules;
@@ -0,0 +1,62 @@
+// Go Analysis Worker
+// Runs the folder analysis off the main thread: picks GoParser or JsParser for
+// the folder it is sent (see project-detector.js), scans and parses it,
+// streams progress messages and posts back the generated DOT. The parser is
+// kept between messages so a refresh only re-parses the files that changed.
+//
+// In:  { type: 'analyze', source, settings }
+//                                     - parse the whole folder; source is { dirHandle },
+//                                       { name, files } or { zip } (see FileTreeDirectory.fromSource),
+//                                       settings see GoScanRules.DEFAULT_SETTINGS
+//      { type: 'refresh' }            - re-read the last folder (see GoParser.refreshDirectory)
+// Out: { type: 'progress', progress } - see GoParser.parseDirectory
+//      { type: 'result', result }     - see GoParser.toAnalysisResult; after a refresh
+//                                       also changedFiles/removedFiles, and dot is null
+//                                       when nothing changed
+//      { type: 'error', name, message }
+importScripts('go-lexer.js', 'go-scan-rules.js', 'go-parser.js', 'js-lexer.js', 'js-scan-rules.js', 'js-parser.js',
+    'project-detector.js', 'file-tree.js');
+
+// The parser reports every file; forward at most one report per phase and
+// interval, plus the first of each phase and the last parsed file
+const PROGRESS_INTERVAL_MS = 100;
+
+let parser = null;
+let folder = null;
+let settings = null;
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    let lastReport = 0;
+    let lastPhase = null;
+
+    const onProgress = (progress) => {
+        const now = performance.now();
+        const isLastFile = progress.phase === 'parsing' && progress.filesScanned === progress.totalFiles;
+        if (progress.phase === lastPhase && !isLastFile && now - lastReport < PROGRESS_INTERVAL_MS) return;
+        lastReport = now;
+        lastPhase = progress.phase;
+        self.postMessage({ type: 'progress', progress });
+    };
+
+    try {
+        if (message.type === 'refresh' && parser) {
+            const { callGraph, changedFiles, removedFiles } = await parser.refreshDirectory(folder, { onProgress });
+            const result = callGraph ? parser.toAnalysisResult(callGraph) : { dot: null };
+            self.postMessage({ type: 'result', result: { ...result, changedFiles, removedFiles } });
+            return;
+        }
+
+        if (message.type === 'analyze') {
+            folder = await FileTreeDirectory.fromSource(message.source);
+            settings = message.settings;
+        }
+        parser = await ProjectDetector.createParser(folder, settings);
+        const callGraph = await parser.parseDirectory(folder, { onProgress });
+        self.postMessage({ type: 'result', result: parser.toAnalysisResult(callGraph) });
+    } catch (error) {
+        // Whatever was parsed is incomplete; the next refresh starts over
+        parser = null;
+        self.postMessage({ type: 'error', name: error.name, message: error.message });
+    }
+};
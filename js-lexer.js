@@ -0,0 +1,408 @@
+// JavaScript/TypeScript Lexer Module
+// Splits JS/TS source into tokens: comments, strings, template literals (with
+// their ${} expressions lexed as code), regular expression literals, numbers,
+// operators and, in .jsx/.tsx files, JSX elements. JsParser builds its
+// declaration/call parser on top of it.
+
+const JS_KEYWORDS = new Set([
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+    'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'function', 'if',
+    'import', 'in', 'instanceof', 'let', 'new', 'return', 'super', 'switch', 'this',
+    'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'await'
+]);
+
+// Longest operators first so the first match is the longest one
+const JS_OPERATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+    '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+    '+', '-', '*', '/', '%', '&', '|', '^', '!', '~', '<', '>', '=',
+    '(', ')', '[', ']', '{', '}', ',', ';', '.', ':', '?', '@'
+];
+
+// Keywords after which an expression (so a regex or JSX element) can start
+const JS_EXPRESSION_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'new', 'delete', 'void', 'throw',
+    'case', 'do', 'else', 'yield', 'await', 'extends'
+]);
+
+const JS_IDENTIFIER_PATTERN = /#?[\p{L}\p{Nl}$_][\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}$\u200C\u200D]*/uy;
+const JS_NUMBER_PATTERN = /0[xX][0-9a-fA-F_]+n?|0[oO][0-7_]+n?|0[bB][01_]+n?|(?:[0-9][0-9_]*(?:\.[0-9_]*)?|\.[0-9][0-9_]*)(?:[eE][+-]?[0-9_]+)?n?/y;
+const JSX_NAME_PATTERN = /[\p{L}$_][\p{L}\p{Nd}$_.:-]*/uy;
+
+class JsLexer {
+    /**
+     * Tokenize JavaScript or TypeScript source
+     * @param {string} source - File contents
+     * @param {Object} [options]
+     * @param {boolean} [options.jsx] - Lex JSX elements (.jsx and .tsx files)
+     * @returns {{tokens: Array<{type: string, value: string, line: number, start: number, end: number, newlineBefore?: boolean}>,
+     *            errors: Array<{message: string, line: number}>}}
+     *   type is one of 'ident' (private names keep their #), 'keyword', 'number',
+     *   'string', 'template' (a literal part of a template), 'regex', 'operator' or
+     *   'jsx' (an element's tag name; attributes and text are left out, expressions
+     *   in braces are lexed as code, braces included); newlineBefore marks the first
+     *   token of a line
+     */
+    tokenize(source, { jsx = false } = {}) {
+        const tokens = [];
+        const errors = [];
+        let pos = 0;
+        let line = 1;
+        let newline = false;
+
+        const push = (type, value, start, startLine) => {
+            const token = { type, value, line: startLine, start, end: pos };
+            if (newline) {
+                token.newlineBefore = true;
+                newline = false;
+            }
+            tokens.push(token);
+        };
+
+        const countLines = (text) => {
+            const newlines = text.split('\n').length - 1;
+            if (newlines > 0) {
+                line += newlines;
+                newline = true;
+            }
+        };
+
+        // A '/' or '<' starts a literal (regex, JSX) only where an expression can start
+        const expressionAllowed = () => {
+            const last = tokens[tokens.length - 1];
+            if (!last) return true;
+            if (last.type === 'keyword') return JS_EXPRESSION_KEYWORDS.has(last.value);
+            if (last.type === 'operator') return ![')', ']', '}', '++', '--'].includes(last.value);
+            return last.type === 'template' && !last.tail;
+        };
+
+        const skipSpaceAndComments = () => {
+            while (pos < source.length) {
+                const char = source[pos];
+                if (char === '\n') {
+                    line++;
+                    newline = true;
+                    pos++;
+                } else if (char === ' ' || char === '\t' || char === '\r' || char === '\uFEFF' || char === '\u00A0') {
+                    pos++;
+                } else if (char === '/' && source[pos + 1] === '/') {
+                    const end = source.indexOf('\n', pos);
+                    pos = end === -1 ? source.length : end;
+                } else if (char === '/' && source[pos + 1] === '*') {
+                    const end = source.indexOf('*/', pos + 2);
+                    const stop = end === -1 ? source.length : end + 2;
+                    if (end === -1) {
+                        errors.push({ message: 'comment not terminated', line });
+                    }
+                    countLines(source.slice(pos, stop));
+                    pos = stop;
+                } else if (char === '#' && source[pos + 1] === '!' && pos === 0) {
+                    // Hashbang line of a script
+                    const end = source.indexOf('\n', pos);
+                    pos = end === -1 ? source.length : end;
+                } else {
+                    return;
+                }
+            }
+        };
+
+        // Code up to the end of the source, or with nested set up to the '}'
+        // closing a ${} or JSX expression (consumed)
+        const lexCode = (nested) => {
+            let depth = 0;
+            while (true) {
+                skipSpaceAndComments();
+                if (pos >= source.length) {
+                    if (nested) errors.push({ message: 'expression not terminated', line });
+                    return;
+                }
+
+                const char = source[pos];
+                const next = source[pos + 1];
+                const start = pos;
+                const startLine = line;
+
+                if (char === '}' && nested && depth === 0) {
+                    pos++;
+                    return;
+                }
+
+                JS_IDENTIFIER_PATTERN.lastIndex = pos;
+                const identifier = JS_IDENTIFIER_PATTERN.exec(source);
+                if (identifier) {
+                    pos += identifier[0].length;
+                    // Property names (obj.new, obj.default) are never keywords
+                    const afterDot = tokens[tokens.length - 1]?.type === 'operator' &&
+                        (tokens[tokens.length - 1].value === '.' || tokens[tokens.length - 1].value === '?.');
+                    push(JS_KEYWORDS.has(identifier[0]) && !afterDot ? 'keyword' : 'ident', identifier[0], start, startLine);
+                    continue;
+                }
+
+                if ((char >= '0' && char <= '9') || (char === '.' && next >= '0' && next <= '9')) {
+                    JS_NUMBER_PATTERN.lastIndex = pos;
+                    const number = JS_NUMBER_PATTERN.exec(source);
+                    pos += number[0].length;
+                    push('number', number[0], start, startLine);
+                    continue;
+                }
+
+                if (char === '"' || char === '\'') {
+                    lexString(char);
+                    continue;
+                }
+
+                if (char === '`') {
+                    lexTemplate();
+                    continue;
+                }
+
+                if (char === '/' && expressionAllowed() && lexRegex()) {
+                    continue;
+                }
+
+                if (char === '<' && jsx && expressionAllowed() && isJsxStart()) {
+                    lexJsxElement();
+                    continue;
+                }
+
+                let operator = JS_OPERATORS.find(op => source.startsWith(op, pos));
+                // a?.5:1 is a conditional, not optional chaining
+                if (operator === '?.' && next === '.' && source[pos + 2] >= '0' && source[pos + 2] <= '9') {
+                    operator = '?';
+                }
+                if (operator) {
+                    pos += operator.length;
+                    if (operator === '{') depth++;
+                    if (operator === '}') depth--;
+                    push('operator', operator, start, startLine);
+                    continue;
+                }
+
+                errors.push({ message: `invalid character ${JSON.stringify(char)}`, line });
+                pos++;
+            }
+        };
+
+        const lexString = (quote) => {
+            const start = pos;
+            const startLine = line;
+            pos++;
+            while (pos < source.length && source[pos] !== quote && source[pos] !== '\n') {
+                if (source[pos] === '\\') {
+                    // A backslash before a newline continues the string on the next line
+                    if (source[pos + 1] === '\n') line++;
+                    pos += 2;
+                } else {
+                    pos++;
+                }
+            }
+            if (source[pos] === quote) {
+                pos++;
+            } else {
+                errors.push({ message: 'string literal not terminated', line: startLine });
+            }
+            push('string', source.slice(start, pos), start, startLine);
+        };
+
+        // Literal parts become template tokens; the last one has tail: true
+        const lexTemplate = () => {
+            let start = pos;
+            let startLine = line;
+            pos++;
+            while (pos < source.length) {
+                const char = source[pos];
+                if (char === '\\') {
+                    if (source[pos + 1] === '\n') line++;
+                    pos += 2;
+                } else if (char === '`') {
+                    pos++;
+                    push('template', source.slice(start, pos), start, startLine);
+                    tokens[tokens.length - 1].tail = true;
+                    return;
+                } else if (char === '$' && source[pos + 1] === '{') {
+                    pos += 2;
+                    push('template', source.slice(start, pos), start, startLine);
+                    lexCode(true);
+                    start = pos - 1;
+                    startLine = line;
+                } else {
+                    if (char === '\n') line++;
+                    pos++;
+                }
+            }
+            errors.push({ message: 'template literal not terminated', line: startLine });
+            push('template', source.slice(start, pos), start, startLine);
+            tokens[tokens.length - 1].tail = true;
+        };
+
+        // Regex literals end on the same line; a '/' that doesn't is division
+        const lexRegex = () => {
+            const start = pos;
+            let inClass = false;
+            let i = pos + 1;
+            while (i < source.length) {
+                const char = source[i];
+                if (char === '\n') return false;
+                if (char === '\\') {
+                    i += 2;
+                    continue;
+                }
+                if (char === '[') inClass = true;
+                else if (char === ']') inClass = false;
+                else if (char === '/' && !inClass) break;
+                i++;
+            }
+            if (i >= source.length) return false;
+            i++;
+            while (i < source.length && /[a-z]/i.test(source[i])) i++;
+            pos = i;
+            push('regex', source.slice(start, pos), start, line);
+            return true;
+        };
+
+        // <Tag, <ns.Tag or <> (fragment); not a generic arrow function (<T,>() => or <T extends U>)
+        const isJsxStart = () => {
+            if (source[pos + 1] === '>') return true;
+            JSX_NAME_PATTERN.lastIndex = pos + 1;
+            const name = JSX_NAME_PATTERN.exec(source);
+            if (!name) return false;
+            const rest = source.slice(pos + 1 + name[0].length, pos + 1 + name[0].length + 16);
+            return !/^\s*(,|extends\s)/.test(rest);
+        };
+
+        // {expression} in a JSX tag or among its children
+        const lexJsxExpression = () => {
+            pos++;
+            push('operator', '{', pos - 1, line);
+            lexCode(true);
+            push('operator', '}', pos - 1, line);
+        };
+
+        const skipJsxSpace = () => {
+            while (pos < source.length && /\s/.test(source[pos])) {
+                if (source[pos] === '\n') line++;
+                pos++;
+            }
+        };
+
+        // One tag; returns 'open', 'close' or 'selfclose'
+        const lexJsxTag = () => {
+            pos++; // <
+            skipJsxSpace();
+            if (source[pos] === '/') {
+                const end = source.indexOf('>', pos);
+                pos = end === -1 ? source.length : end + 1;
+                return 'close';
+            }
+            if (source[pos] === '>') {
+                pos++;
+                return 'open';
+            }
+
+            const start = pos;
+            JSX_NAME_PATTERN.lastIndex = pos;
+            const name = JSX_NAME_PATTERN.exec(source);
+            pos += name ? name[0].length : 0;
+            push('jsx', name ? name[0] : '', start, line);
+
+            // Type arguments of a generic component: <Select<Option> ...>
+            if (source[pos] === '<') {
+                const end = source.indexOf('>', pos);
+                pos = end === -1 ? source.length : end + 1;
+            }
+
+            while (pos < source.length) {
+                skipJsxSpace();
+                const char = source[pos];
+                if (char === '/' && source[pos + 1] === '>') {
+                    pos += 2;
+                    return 'selfclose';
+                }
+                if (char === '>') {
+                    pos++;
+                    return 'open';
+                }
+                if (char === '{') {
+                    // {...props}
+                    lexJsxExpression();
+                    continue;
+                }
+                // Attribute name, then maybe a value
+                while (pos < source.length && !/[\s=/>{]/.test(source[pos])) pos++;
+                skipJsxSpace();
+                if (source[pos] !== '=') continue;
+                pos++;
+                skipJsxSpace();
+                const value = source[pos];
+                if (value === '"' || value === '\'') {
+                    const end = source.indexOf(value, pos + 1);
+                    const stop = end === -1 ? source.length : end + 1;
+                    countLines(source.slice(pos, stop));
+                    pos = stop;
+                } else if (value === '{') {
+                    lexJsxExpression();
+                } else if (value === '<') {
+                    lexJsxElement();
+                }
+            }
+            errors.push({ message: 'JSX tag not terminated', line });
+            return 'selfclose';
+        };
+
+        const lexJsxElement = () => {
+            if (lexJsxTag() !== 'open') return;
+            // Children: text, {expressions} and elements, up to the closing tag
+            while (pos < source.length) {
+                const char = source[pos];
+                if (char === '{') {
+                    lexJsxExpression();
+                } else if (char === '<') {
+                    if (source[pos + 1] === '/' || /^<\s*\//.test(source.slice(pos, pos + 8))) {
+                        lexJsxTag();
+                        return;
+                    }
+                    lexJsxElement();
+                } else {
+                    if (char === '\n') line++;
+                    pos++;
+                }
+            }
+            errors.push({ message: 'JSX element not closed', line });
+        };
+
+        lexCode(false);
+        return { tokens, errors };
+    }
+
+    /**
+     * Index of the matching closing bracket for every opening bracket token
+     * @returns {Int32Array} match[i] for '(' '[' '{' tokens; -1 when unbalanced or not a bracket
+     */
+    matchBrackets(tokens) {
+        const closing = { '(': ')', '[': ']', '{': '}' };
+        const match = new Int32Array(tokens.length).fill(-1);
+        const stack = [];
+
+        tokens.forEach((token, index) => {
+            if (token.type !== 'operator') return;
+            if (closing[token.value]) {
+                stack.push(index);
+            } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+                // Pop to the nearest opener of the same kind, dropping unbalanced ones
+                for (let depth = stack.length - 1; depth >= 0; depth--) {
+                    if (closing[tokens[stack[depth]].value] === token.value) {
+                        match[stack[depth]] = index;
+                        stack.length = depth;
+                        break;
+                    }
+                }
+            }
+        });
+
+        return match;
+    }
+}
+
+// Make it available globally (the page, or the analysis worker in go-worker.js)
+self.JsLexer = JsLexer;
@@ -0,0 +1,2087 @@
+// JavaScript/TypeScript Parser Module
+// Parses JS and TS source files to extract functions, classes and their methods,
+// and the calls between them, resolving ES module and CommonJS imports across
+// files. Same contract as GoParser (parseDirectory, refreshDirectory,
+// buildCallGraph, toAnalysisResult, generateDOT); token based, see js-lexer.js;
+// which files are scanned, see js-scan-rules.js.
+
+// Bound on import/re-export/alias chains and class hierarchies followed while resolving
+const JS_MAX_RESOLVE_DEPTH = 16;
+
+// Node.js built-in modules (importable with or without the node: prefix)
+const JS_NODE_BUILTINS = new Set([
+    'assert', 'async_hooks', 'buffer', 'child_process', 'cluster', 'console', 'constants',
+    'crypto', 'dgram', 'diagnostics_channel', 'dns', 'domain', 'events', 'fs', 'http',
+    'http2', 'https', 'inspector', 'module', 'net', 'os', 'path', 'perf_hooks', 'process',
+    'punycode', 'querystring', 'readline', 'repl', 'stream', 'string_decoder', 'sys',
+    'test', 'timers', 'tls', 'trace_events', 'tty', 'url', 'util', 'v8', 'vm', 'wasi',
+    'worker_threads', 'zlib'
+]);
+
+// Words that can come before a class member's name
+const JS_MEMBER_MODIFIERS = new Set([
+    'static', 'public', 'private', 'protected', 'readonly', 'abstract', 'override',
+    'declare', 'accessor', 'async', 'get', 'set'
+]);
+
+// Constructor parameters with one of these are also fields (TypeScript parameter properties)
+const JS_PARAMETER_MODIFIERS = new Set(['public', 'private', 'protected', 'readonly', 'override']);
+
+// Operators that, starting a line, continue the statement on the line before
+const JS_CONTINUATION_OPERATORS = new Set([
+    '.', '?.', '=>', '?', ':', '=', '+', '-', '*', '/', '%', '**', '&&', '||', '??',
+    '==', '===', '!=', '!==', '<', '>', '<=', '>=', '|', '&', '^', '<<', '>>', '>>>',
+    ',', '(', '[', '+=', '-=', '*=', '/=', '%=', '&&=', '||=', '??='
+]);
+
+// Calls that wrap a function without changing what it calls: const Button = memo((props) => ...)
+const JS_FUNCTION_WRAPPERS = new Set(['memo', 'forwardRef', 'observer', 'debounce', 'throttle', 'once', 'memoize']);
+
+class JsParser {
+    /**
+     * @param {Object} [scanSettings] - Which files to scan, see GoScanRules.DEFAULT_SETTINGS
+     */
+    constructor(scanSettings) {
+        // "modulePath.name" (functions; "modulePath.obj.name" for object literal methods) or
+        // "modulePath.Class.name" (methods), modulePath being the file's path without its extension ->
+        // { name, className, modulePath, file, line, test, calls: Map<callName, {line, kind}[]>, locals }
+        // A file's top-level calls belong to "modulePath.<module>"
+        this.functions = new Map();
+        this.fileContents = new Map(); // fileName -> content
+        this.files = new Map(); // fileName -> { modulePath, dir, isTest, bindings, exports, starExports, esm, commonjs, classes, functions, moduleCalls, moduleLine }
+        this.packages = new Map(); // path of a package.json -> { name, dir, entries }
+        this.configs = new Map(); // path of a tsconfig.json/jsconfig.json -> { dir, baseUrl, paths }
+        this.classes = new Map(); // "modulePath.Class" -> { name, superClass, fields, methods, file, modulePath }
+        this.fileModified = new Map(); // path of every parsed source and config file -> lastModified when read
+
+        // Lookup table rebuilt by buildCallGraph
+        this.moduleCache = new Map(); // "importing directory\0specifier" -> resolveModule result
+        this.lexer = new JsLexer();
+        this.scanRules = new JsScanRules(scanSettings);
+        // Keep calls into packages outside the folder as external nodes
+        this.includeExternal = this.scanRules.settings.includeExternal;
+    }
+
+    /**
+     * Parse a directory of JavaScript/TypeScript files
+     * @param {FileSystemDirectoryHandle} dirHandle - Directory handle from File System Access API
+     * @param {Object} [options] - As for GoParser.parseDirectory
+     */
+    async parseDirectory(dirHandle, { onProgress = () => {}, signal } = {}) {
+        this.functions.clear();
+        this.fileContents.clear();
+        this.files.clear();
+        this.packages.clear();
+        this.configs.clear();
+        this.classes.clear();
+        this.fileModified.clear();
+
+        const entries = [];
+        await this.scanDirectory(dirHandle, '', entries, onProgress, signal);
+        await this.parseEntries(entries, onProgress, signal);
+
+        this.indexModules();
+        return this.buildCallGraph();
+    }
+
+    /**
+     * Re-read a directory parsed before by parseDirectory, parsing only the files
+     * that are new or whose lastModified changed and dropping deleted ones
+     * @returns {Promise<{callGraph: Object|null, changedFiles: string[], removedFiles: string[]}>}
+     *   callGraph is null when no file changed
+     */
+    async refreshDirectory(dirHandle, { onProgress = () => {}, signal } = {}) {
+        const entries = [];
+        await this.scanDirectory(dirHandle, '', entries, onProgress, signal);
+
+        const present = new Set(entries.map(entry => entry.path));
+        const removedFiles = Array.from(this.fileModified.keys()).filter(path => !present.has(path));
+        const changed = [];
+        for (const entry of entries) {
+            signal?.throwIfAborted();
+            try {
+                entry.file = await entry.handle.getFile();
+            } catch (error) {
+                console.error(`Error reading ${entry.path}:`, error);
+                continue;
+            }
+            if (this.fileModified.get(entry.path) !== entry.file.lastModified) {
+                changed.push(entry);
+            }
+        }
+
+        const changedFiles = changed.map(entry => entry.path);
+        if (changedFiles.length === 0 && removedFiles.length === 0) {
+            return { callGraph: null, changedFiles, removedFiles };
+        }
+
+        [...removedFiles, ...changedFiles].forEach(path => this.forgetFile(path));
+        await this.parseEntries(changed, onProgress, signal);
+
+        // Any file can change what another one's imports resolve to, so every key is rebuilt
+        this.indexModules();
+        return { callGraph: this.buildCallGraph(), changedFiles, removedFiles };
+    }
+
+    /**
+     * Read and parse listed files, reporting progress after each one
+     */
+    async parseEntries(entries, onProgress, signal) {
+        let functionsFound = 0;
+        for (let index = 0; index < entries.length; index++) {
+            signal?.throwIfAborted();
+            const { handle, path, dir } = entries[index];
+            try {
+                const file = entries[index].file || await handle.getFile();
+                const content = await file.text();
+                this.fileModified.set(path, file.lastModified);
+                if (handle.name === 'package.json') {
+                    this.parsePackageJson(content, path, dir);
+                } else if (handle.name === 'tsconfig.json' || handle.name === 'jsconfig.json') {
+                    this.parseConfig(content, path, dir);
+                } else {
+                    functionsFound += this.parseJsFile(content, path, dir);
+                }
+            } catch (error) {
+                console.error(`Error reading ${path}:`, error);
+            }
+            onProgress({
+                phase: 'parsing',
+                filesScanned: index + 1,
+                totalFiles: entries.length,
+                functionsFound,
+                currentPath: path
+            });
+        }
+
+        signal?.throwIfAborted();
+        onProgress({ phase: 'resolving', filesScanned: entries.length, totalFiles: entries.length, functionsFound });
+    }
+
+    /**
+     * Drop everything a file contributed (before re-parsing it or once it is deleted)
+     */
+    forgetFile(path) {
+        this.fileModified.delete(path);
+        this.packages.delete(path);
+        this.configs.delete(path);
+        this.files.delete(path);
+        this.fileContents.delete(path);
+    }
+
+    /**
+     * Recursively collect the source and config files to parse (see JsScanRules)
+     * @param {Array<{handle: FileSystemFileHandle, path: string, dir: string}>} entries - Filled in place
+     * @param {Array} [gitignores] - .gitignore rules of the directories above, outermost first
+     */
+    async scanDirectory(dirHandle, relativePath, entries, onProgress, signal, gitignores = []) {
+        const children = [];
+        for await (const entry of dirHandle.values()) {
+            children.push(entry);
+        }
+        signal?.throwIfAborted();
+
+        // A directory's .gitignore applies to everything beside and below it
+        const gitignore = this.scanRules.useGitignore &&
+            children.find(entry => entry.kind === 'file' && entry.name === '.gitignore');
+        if (gitignore) {
+            try {
+                const content = await (await gitignore.getFile()).text();
+                gitignores = [...gitignores, this.scanRules.parseGitignore(content, relativePath)];
+            } catch (error) {
+                console.error(`Error reading ${relativePath}/.gitignore:`, error);
+            }
+        }
+
+        for (const entry of children) {
+            signal?.throwIfAborted();
+            const entryPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+
+            if (entry.kind === 'file' && this.scanRules.includesFile(entryPath, gitignores)) {
+                entries.push({ handle: entry, path: entryPath, dir: relativePath });
+                onProgress({ phase: 'scanning', filesScanned: entries.length, currentPath: entryPath });
+            } else if (entry.kind === 'directory' && entry.name !== 'node_modules' &&
+                this.scanRules.includesDirectory(entryPath, gitignores)) {
+                await this.scanDirectory(entry, entryPath, entries, onProgress, signal, gitignores);
+            }
+        }
+    }
+
+    /**
+     * Read a package.json: the name other packages of a workspace import it by,
+     * and the files that name can stand for
+     */
+    parsePackageJson(content, path, dir) {
+        let manifest;
+        try {
+            manifest = JSON.parse(content);
+        } catch (error) {
+            console.warn(`${path}: ${error.message}`);
+            return;
+        }
+        if (typeof manifest?.name !== 'string') return;
+
+        // "exports": "./x.js", { ".": ... } or conditions ({ import, require, default })
+        let exported = manifest.exports?.['.'] ?? manifest.exports;
+        while (exported && typeof exported === 'object') {
+            exported = exported.source ?? exported.import ?? exported.default ?? exported.require ?? Object.values(exported)[0];
+        }
+        const entries = [manifest.source, manifest.module, manifest.main, exported]
+            .filter(entry => typeof entry === 'string');
+        this.packages.set(path, { name: manifest.name, dir, entries });
+    }
+
+    /**
+     * Read the path aliases (compilerOptions.baseUrl and paths) of a tsconfig.json
+     * or jsconfig.json, which may have comments and trailing commas
+     */
+    parseConfig(content, path, dir) {
+        let config;
+        try {
+            config = JSON.parse(this.stripJsonComments(content).replace(/,(\s*[}\]])/g, '$1'));
+        } catch (error) {
+            console.warn(`${path}: ${error.message}`);
+            return;
+        }
+        const options = config?.compilerOptions || {};
+        this.configs.set(path, {
+            dir,
+            baseUrl: typeof options.baseUrl === 'string' ? options.baseUrl : null,
+            paths: options.paths && typeof options.paths === 'object' ? options.paths : null
+        });
+    }
+
+    stripJsonComments(content) {
+        let result = '';
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (char === '"') {
+                // Copy the string, escapes included ("./src/*" is no comment)
+                let end = i + 1;
+                while (end < content.length && content[end] !== '"') end += content[end] === '\\' ? 2 : 1;
+                result += content.slice(i, end + 1);
+                i = end;
+            } else if (char === '/' && content[i + 1] === '/') {
+                const end = content.indexOf('\n', i);
+                i = end === -1 ? content.length : end - 1;
+            } else if (char === '/' && content[i + 1] === '*') {
+                const end = content.indexOf('*/', i + 2);
+                i = end === -1 ? content.length : end + 1;
+            } else {
+                result += char;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Parse a single source file's contents
+     * @returns {number} Number of functions and methods declared in it
+     */
+    parseJsFile(content, filePath, dir = '') {
+        try {
+            this.fileContents.set(filePath, content);
+
+            // .ts files can't have JSX, and `<T>value` there is a type assertion
+            const parsed = this.parseSource(content, { jsx: !/\.[cm]?ts$/.test(filePath) });
+            parsed.errors.forEach(error => {
+                console.warn(`${filePath}:${error.line}: ${error.message}`);
+            });
+
+            this.files.set(filePath, {
+                modulePath: filePath.replace(/\.[^./]+$/, ''),
+                dir,
+                isTest: JsScanRules.isTestFile(filePath),
+                bindings: parsed.bindings,
+                exports: parsed.exports,
+                starExports: parsed.starExports,
+                esm: parsed.esm,
+                commonjs: parsed.commonjs,
+                classes: parsed.classes,
+                functions: parsed.functions,
+                moduleCalls: parsed.moduleCalls,
+                moduleLine: parsed.moduleLine
+            });
+            return parsed.functions.length;
+        } catch (error) {
+            console.error(`Error parsing ${filePath}:`, error);
+            return 0;
+        }
+    }
+
+    /**
+     * Register the functions and classes of every parsed file under their keys
+     */
+    indexModules() {
+        this.functions.clear();
+        this.classes.clear();
+        this.files.forEach((file, filePath) => {
+            const { modulePath } = file;
+            file.functions.forEach(func => {
+                const key = func.className
+                    ? `${modulePath}.${func.className}.${func.name}`
+                    : `${modulePath}.${func.name}`;
+                this.functions.set(key, {
+                    name: func.name,
+                    className: func.className,
+                    modulePath,
+                    file: filePath,
+                    line: func.line,
+                    // Test runners call the describe/it blocks of a test file's top level
+                    test: file.isTest ? 'helper' : null,
+                    calls: func.calls,
+                    locals: func.locals
+                });
+            });
+            if (file.moduleCalls.size > 0) {
+                this.functions.set(`${modulePath}.<module>`, {
+                    name: '<module>',
+                    className: null,
+                    modulePath,
+                    file: filePath,
+                    line: file.moduleLine,
+                    test: file.isTest ? 'test' : null,
+                    calls: file.moduleCalls,
+                    locals: new Map()
+                });
+            }
+            file.classes.forEach((cls, name) => {
+                this.classes.set(`${modulePath}.${name}`, { ...cls, file: filePath, modulePath });
+            });
+        });
+    }
+
+    /**
+     * Parse a file's tokens: what its top-level names are bound to, what it
+     * exports, its classes, and every function with the calls it makes
+     * @returns {{bindings: Map, exports: Map, starExports: string[], esm: boolean, commonjs: boolean, classes: Map,
+     *            functions: Array, moduleCalls: Map, moduleLine: number, errors: Array}}
+     *   bindings maps top-level names to { kind: 'function'|'class'|'object'|'variable'|'alias'|'member'|'import', ... };
+     *   exports maps exported names to { local } (a top-level name), { source, imported }
+     *   (a re-export) or { binding } (the value of a CommonJS export); esm is set by
+     *   import and export statements, commonjs by module.exports and exports assignments
+     */
+    parseSource(content, { jsx = false } = {}) {
+        const { tokens, errors } = this.lexer.tokenize(content, { jsx });
+        const brackets = this.lexer.matchBrackets(tokens);
+        const result = {
+            bindings: new Map(),
+            exports: new Map(),
+            starExports: [],
+            esm: false,
+            commonjs: false,
+            classes: new Map(),
+            functions: [],
+            // First -> last token of each function, class, import and export list:
+            // none of them is top-level code
+            skip: new Map(),
+            errors
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            const end = this.startsStatement(tokens, i) ? this.parseStatement(tokens, brackets, i, result) : null;
+            if (end !== null) {
+                i = Math.max(end, i + 1) - 1;
+            } else if (brackets[i] > i) {
+                // Declarations in blocks and expressions are not the module's
+                i = brackets[i];
+            }
+        }
+
+        const moduleCalls = this.extractCalls(tokens, brackets, 0, tokens.length, new Map(), result.skip);
+        let moduleLine = 0;
+        moduleCalls.forEach(sites => sites.forEach(site => {
+            if (!moduleLine || site.line < moduleLine) moduleLine = site.line;
+        }));
+
+        const { skip, ...parsed } = result;
+        return { ...parsed, moduleCalls, moduleLine };
+    }
+
+    startsStatement(tokens, index) {
+        const previous = tokens[index - 1];
+        if (!previous || this.isOperator(previous, ';') || this.isOperator(previous, '}')) return true;
+        return Boolean(tokens[index].newlineBefore) && !this.continuesStatement(previous, tokens[index]);
+    }
+
+    /**
+     * Whether a line starting with token continues the statement of the line
+     * before, which ended with previous (no semicolon is inserted between them)
+     */
+    continuesStatement(previous, token) {
+        if (previous.type === 'operator' && ![')', ']', '}', '++', '--', '>', '>>'].includes(previous.value)) return true;
+        if (previous.type === 'keyword' && !['this', 'super', 'break', 'continue', 'return', 'debugger'].includes(previous.value)) return true;
+        if (token.type === 'operator') return JS_CONTINUATION_OPERATORS.has(token.value);
+        return this.isKeyword(token, 'instanceof') || this.isKeyword(token, 'in') ||
+            this.isIdent(token, 'as') || this.isIdent(token, 'satisfies');
+    }
+
+    /**
+     * End of the statement (or, with commas, the list item) starting at start: its
+     * ';' or ',', the bracket closing around it, or the first line that doesn't
+     * continue it (automatic semicolon insertion)
+     * @returns {number} Exclusive end
+     */
+    findStatementEnd(tokens, brackets, start, end, commas = false) {
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+            if (i > start && token.newlineBefore && !this.continuesStatement(tokens[i - 1], token)) return i;
+            if (token.type === 'operator') {
+                if (token.value === ';' || (commas && token.value === ',')) return i;
+                if (token.value === ')' || token.value === ']' || token.value === '}') return i;
+            }
+            if (brackets[i] > i) i = brackets[i];
+        }
+        return end;
+    }
+
+    /**
+     * Parse the top-level statement starting at index if it declares, imports or
+     * exports something
+     * @returns {number|null} Exclusive end, null for any other statement
+     */
+    parseStatement(tokens, brackets, index, result) {
+        const token = tokens[index];
+        const next = tokens[index + 1];
+        if (this.isKeyword(token, 'import') && !this.isOperator(next, '(') && !this.isOperator(next, '.')) {
+            return this.parseImport(tokens, brackets, index, result);
+        }
+        if (this.isKeyword(token, 'export')) {
+            return this.parseExport(tokens, brackets, index, result);
+        }
+        if (this.isOperator(token, '@')) {
+            // Decorators stay top-level calls; what they decorate is parsed as usual
+            const start = this.skipDecorators(tokens, brackets, index);
+            return start < tokens.length ? this.parseStatement(tokens, brackets, start, result) : null;
+        }
+
+        const declaration = this.parseDeclaration(tokens, brackets, index, result);
+        if (declaration) return declaration.end;
+        return this.parseCommonJsExport(tokens, brackets, index, result) ??
+            this.skipTypeDeclaration(tokens, brackets, index, result);
+    }
+
+    /**
+     * A function, class or variable declaration
+     * @param {string|null} [defaultName] - Name of an anonymous function or class (export default)
+     * @returns {{end: number, names: string[]}|null}
+     */
+    parseDeclaration(tokens, brackets, index, result, defaultName = null) {
+        const token = tokens[index];
+        const next = tokens[index + 1];
+        if (this.isKeyword(token, 'function') ||
+            (this.isIdent(token, 'async') && this.isKeyword(next, 'function') && !next.newlineBefore)) {
+            const info = this.parseFunction(tokens, brackets, index);
+            const name = info?.name || defaultName;
+            if (!name) return null;
+            // Overload signatures have no body; the implementation follows them
+            if (info.body >= 0) this.addFunction(tokens, brackets, result, name, null, info);
+            result.bindings.set(name, { kind: 'function', name });
+            return { end: info.end, names: [name] };
+        }
+
+        const classIndex = this.isIdent(token, 'abstract') && this.isKeyword(next, 'class') ? index + 1 : index;
+        if (this.isKeyword(tokens[classIndex], 'class')) {
+            const cls = this.parseClass(tokens, brackets, classIndex, null, result, defaultName);
+            if (!cls) return null;
+            result.skip.set(index, cls.end - 1); // From `abstract`
+            result.bindings.set(cls.name, { kind: 'class', name: cls.name });
+            return { end: cls.end, names: [cls.name] };
+        }
+
+        const isVariable = this.isKeyword(token, 'var') || this.isKeyword(token, 'let') ||
+            (this.isKeyword(token, 'const') && !this.isIdent(next, 'enum'));
+        return isVariable ? this.parseVariableStatement(tokens, brackets, index, result) : null;
+    }
+
+    /**
+     * `const a = ..., b = ...` (or let/var): every declared name with what it's bound to
+     */
+    parseVariableStatement(tokens, brackets, index, result) {
+        const end = this.findStatementEnd(tokens, brackets, index, tokens.length);
+        const names = [];
+        this.splitList(tokens, brackets, index + 1, end, true).forEach(([from, to]) => {
+            const target = tokens[from];
+            const assign = this.findAssignment(tokens, brackets, from, to);
+            if (target.type === 'ident') {
+                let next = from + 1;
+                if (this.isOperator(tokens[next], '!')) next++;
+                const type = this.isOperator(tokens[next], ':') ? this.parseTypeRef(tokens, next + 1) : null;
+                const binding = assign >= 0
+                    ? this.parseValue(tokens, brackets, assign + 1, to, target.value, result)
+                    : { kind: 'variable', type: null };
+                if (binding.kind === 'variable' && type) binding.type = type;
+                // Loading a module is no call of the file's
+                if (binding.kind === 'import') result.skip.set(assign + 1, to - 1);
+                result.bindings.set(target.value, binding);
+                names.push(target.value);
+                return;
+            }
+            if ((!this.isOperator(target, '{') && !this.isOperator(target, '[')) || brackets[from] < from) return;
+
+            // const { a, b: c } = require('x'), or = obj: members of what's destructured
+            result.skip.set(from, brackets[from]);
+            const value = assign >= 0 ? this.parseValue(tokens, brackets, assign + 1, to, null, result) : null;
+            if (value?.kind === 'import') result.skip.set(assign + 1, to - 1);
+            this.collectPatternNames(tokens, brackets, from).forEach(({ name, key }) => {
+                let binding = { kind: 'variable', type: null };
+                if (key && value?.kind === 'import' && value.imported === '*') {
+                    binding = { kind: 'import', source: value.source, imported: key };
+                } else if (key && value?.kind === 'alias') {
+                    binding = { kind: 'member', of: value.name, member: key };
+                } else if (key && value?.kind === 'member') {
+                    binding = { kind: 'member', of: `${value.of}.${value.member}`, member: key };
+                }
+                result.bindings.set(name, binding);
+                names.push(name);
+            });
+        });
+        return { end, names };
+    }
+
+    /**
+     * What a value expression binds a name to: a function (declared under name),
+     * a class, an object literal (its members), a require(), an instance of a
+     * class (`new X()`), another name or something else
+     * @param {string|null} name - The declared name, null when there is none (module.exports = ...)
+     */
+    parseValue(tokens, brackets, start, end, name, result) {
+        // TypeScript's `value as Type`, `value satisfies Type` and `value!`
+        for (let i = start + 1; i < end; i++) {
+            if (this.isIdent(tokens[i], 'as') || this.isIdent(tokens[i], 'satisfies')) {
+                end = i;
+                break;
+            }
+            if (brackets[i] > i) i = brackets[i];
+        }
+        if (end - start > 1 && this.isOperator(tokens[end - 1], '!')) end--;
+        if (start >= end) return { kind: 'variable', type: null };
+
+        const token = tokens[start];
+        if (this.isKeyword(token, 'function') || (this.isIdent(token, 'async') && this.isKeyword(tokens[start + 1], 'function'))) {
+            const info = this.parseFunction(tokens, brackets, start, name);
+            if (info && info.body >= 0 && info.end >= end) {
+                const functionName = info.name || 'default';
+                this.addFunction(tokens, brackets, result, functionName, null, info);
+                return { kind: 'function', name: functionName };
+            }
+        }
+        const arrow = this.parseArrow(tokens, brackets, start, end);
+        if (arrow && arrow.end >= end) {
+            this.addFunction(tokens, brackets, result, name || 'default', null, arrow);
+            return { kind: 'function', name: name || 'default' };
+        }
+        if (this.isKeyword(token, 'class')) {
+            const cls = this.parseClass(tokens, brackets, start, name, result);
+            if (cls) return { kind: 'class', name: cls.name };
+        }
+        if (brackets[start] === end - 1) {
+            if (this.isOperator(token, '{')) return this.parseObjectLiteral(tokens, brackets, start, name, result);
+            if (this.isOperator(token, '(')) return this.parseValue(tokens, brackets, start + 1, end - 1, name, result);
+        }
+
+        const required = this.parseRequire(tokens, brackets, start);
+        if (required) {
+            if (required.end === end) return { kind: 'import', source: required.source, imported: '*' };
+            if (this.isOperator(tokens[required.end], '.') && tokens[required.end + 1]?.type === 'ident' && required.end + 2 === end) {
+                return { kind: 'import', source: required.source, imported: tokens[required.end + 1].value };
+            }
+        }
+        if (this.isKeyword(token, 'new')) {
+            const type = this.parseTypeRef(tokens, start + 1);
+            if (type) return { kind: 'variable', type };
+        }
+        if (token.type !== 'ident') return { kind: 'variable', type: null };
+
+        const chain = this.readChain(tokens, start);
+        const wrapper = chain.parts[chain.parts.length - 1];
+        if (JS_FUNCTION_WRAPPERS.has(wrapper) && this.isOperator(tokens[chain.end], '(') && brackets[chain.end] === end - 1) {
+            // The wrapped function's calls are the declared name's
+            const [argument] = this.splitList(tokens, brackets, chain.end + 1, end - 1);
+            const wrapped = argument && this.parseValue(tokens, brackets, argument[0], argument[1], name, result);
+            if (wrapped?.kind === 'function') return wrapped;
+        }
+        if (chain.end !== end) return { kind: 'variable', type: null };
+        // Another name: `const alias = name`, `const member = obj.member`
+        return chain.parts.length === 1
+            ? { kind: 'alias', name: chain.parts[0] }
+            : { kind: 'member', of: chain.parts.slice(0, -1).join('.'), member: chain.parts[chain.parts.length - 1] };
+    }
+
+    /**
+     * `require('source')` at index
+     * @returns {{source: string, end: number}|null} end is the index after ')'
+     */
+    parseRequire(tokens, brackets, index) {
+        if (!this.isIdent(tokens[index], 'require') || !this.isOperator(tokens[index + 1], '(')) return null;
+        const source = tokens[index + 2];
+        if (source?.type !== 'string' || brackets[index + 1] !== index + 3) return null;
+        return { source: this.unquote(source), end: index + 4 };
+    }
+
+    /**
+     * An object literal's members; methods and function-valued properties become
+     * functions named "name.member" (just "member" without a name)
+     * @returns {{kind: 'object', members: Map<string, Object>}}
+     */
+    parseObjectLiteral(tokens, brackets, open, name, result) {
+        const members = new Map();
+        this.splitList(tokens, brackets, open + 1, brackets[open]).forEach(([from, to]) => {
+            let i = from;
+            if (this.isOperator(tokens[i], '...')) return;
+            while (['async', 'get', 'set'].includes(tokens[i]?.value) && tokens[i].type === 'ident' &&
+                i + 1 < to && !this.isOperator(tokens[i + 1], '(') && !this.isOperator(tokens[i + 1], ':')) i++;
+            if (this.isOperator(tokens[i], '*')) i++;
+            const key = this.getPropertyName(tokens[i]);
+            if (key === null) return;
+            const memberName = name ? `${name}.${key}` : key;
+
+            if (this.isOperator(tokens[i + 1], '(') && brackets[i + 1] > i) {
+                const body = this.findBody(tokens, brackets, brackets[i + 1] + 1);
+                if (body < 0) return;
+                this.addFunction(tokens, brackets, result, memberName, null, { start: from, params: i + 1, body, end: brackets[body] + 1 });
+                members.set(key, { kind: 'function', name: memberName });
+            } else if (this.isOperator(tokens[i + 1], ':')) {
+                members.set(key, this.parseValue(tokens, brackets, i + 2, to, memberName, result));
+            } else if (tokens[i].type === 'ident' && (i + 1 === to || this.isOperator(tokens[i + 1], '='))) {
+                // Shorthand { a }
+                members.set(key, { kind: 'alias', name: key });
+            }
+        });
+        return { kind: 'object', members };
+    }
+
+    /**
+     * A function declaration or expression starting at index ('function' or 'async')
+     * @param {string|null} [name] - Name to use instead of the function's own
+     * @returns {{name: string|null, start: number, params: number, body: number, end: number}|null}
+     *   body is -1 for an overload signature; end is exclusive
+     */
+    parseFunction(tokens, brackets, index, name = null) {
+        let i = index;
+        if (this.isIdent(tokens[i], 'async')) i++;
+        if (!this.isKeyword(tokens[i], 'function')) return null;
+        i++;
+        if (this.isOperator(tokens[i], '*')) i++;
+        let functionName = name;
+        if (tokens[i]?.type === 'ident') {
+            functionName = functionName || tokens[i].value;
+            i++;
+        }
+        if (this.isOperator(tokens[i], '<')) i = this.skipTypeArguments(tokens, i);
+        if (i < 0 || !this.isOperator(tokens[i], '(') || brackets[i] < i) return null;
+
+        const body = this.findBody(tokens, brackets, brackets[i] + 1);
+        const end = body < 0
+            ? this.findStatementEnd(tokens, brackets, brackets[i] + 1, tokens.length)
+            : brackets[body] + 1;
+        return { name: functionName, start: index, params: i, body, end };
+    }
+
+    /**
+     * An arrow function starting at start: `x => ...`, `(params) => ...` or
+     * `async <T>(params): Type => ...`, with a block or an expression body
+     * @returns {{start: number, params: number, body: number, end: number}|null} end is exclusive
+     */
+    parseArrow(tokens, brackets, start, end) {
+        let i = start;
+        const next = tokens[i + 1];
+        if (this.isIdent(tokens[i], 'async') && next && !next.newlineBefore &&
+            (next.type === 'ident' || this.isOperator(next, '(') || this.isOperator(next, '<'))) i++;
+        if (this.isOperator(tokens[i], '<')) {
+            i = this.skipTypeArguments(tokens, i);
+            if (i < 0) return null;
+        }
+
+        const params = i;
+        let arrow;
+        if (tokens[i]?.type === 'ident' && this.isOperator(tokens[i + 1], '=>')) {
+            arrow = i + 1;
+        } else if (this.isOperator(tokens[i], '(') && brackets[i] > i) {
+            arrow = brackets[i] + 1;
+            if (this.isOperator(tokens[arrow], ':')) arrow = this.findArrowAfterType(tokens, brackets, arrow + 1, end);
+            if (!this.isOperator(tokens[arrow], '=>')) return null;
+        } else {
+            return null;
+        }
+
+        const body = arrow + 1;
+        if (body >= end) return null;
+        const bodyEnd = this.isOperator(tokens[body], '{') && brackets[body] > body
+            ? brackets[body] + 1
+            : this.findStatementEnd(tokens, brackets, body, end, true);
+        return { start, params, body, end: bodyEnd };
+    }
+
+    /**
+     * The '=>' after an arrow function's return type annotation, -1 if none
+     */
+    findArrowAfterType(tokens, brackets, start, end) {
+        let angles = 0;
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+            if (token.type === 'operator') {
+                if (token.value === '<') angles++;
+                else if (token.value === '>') angles--;
+                else if (token.value === '>>') angles -= 2;
+                else if (token.value === '=>' && angles <= 0) return i;
+                else if (token.value === ';' || token.value === ',') return -1;
+            }
+            if (brackets[i] > i) i = brackets[i];
+        }
+        return -1;
+    }
+
+    /**
+     * Index of the '{' of a function body following its parameter list, past a
+     * return type annotation; -1 if there is none (a signature)
+     */
+    findBody(tokens, brackets, index) {
+        if (this.isOperator(tokens[index], '{')) return brackets[index] > index ? index : -1;
+        if (!this.isOperator(tokens[index], ':')) return -1;
+
+        // Braces in the return type are object types, unless nothing but a body follows
+        let angles = 0;
+        for (let i = index + 1; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.newlineBefore && angles <= 0 && !this.continuesStatement(tokens[i - 1], token)) return -1;
+            if (token.type !== 'operator') continue;
+            if (token.value === '<') {
+                angles++;
+            } else if (token.value === '>') {
+                angles--;
+            } else if (token.value === '>>') {
+                angles -= 2;
+            } else if ([';', ',', ')', ']', '}'].includes(token.value)) {
+                return -1;
+            } else if (token.value === '{') {
+                if (brackets[i] < i) return -1;
+                if (angles <= 0 && !this.isOperator(tokens[brackets[i] + 1], '{')) return i;
+                i = brackets[i];
+            } else if (brackets[i] > i) {
+                i = brackets[i];
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * A class declaration or expression starting at its `class` keyword: its
+     * methods (arrow function fields included) become functions, and typed
+     * fields are kept to resolve this.field.method() calls
+     * @param {string|null} name - Name to use instead of the class's own
+     * @param {string|null} [defaultName] - Name of an anonymous class
+     * @returns {{name: string, end: number}|null}
+     */
+    parseClass(tokens, brackets, index, name, result, defaultName = null) {
+        let i = index + 1;
+        let className = name;
+        if (tokens[i]?.type === 'ident' && tokens[i].value !== 'implements') {
+            className = className || tokens[i].value;
+            i++;
+        }
+        if (this.isOperator(tokens[i], '<')) {
+            i = this.skipTypeArguments(tokens, i);
+            if (i < 0) return null;
+        }
+        let superClass = null;
+        if (this.isKeyword(tokens[i], 'extends') && tokens[i + 1]?.type === 'ident') {
+            const chain = this.readChain(tokens, i + 1);
+            // A mixin, extends withLogging(Base), is no class of the folder's
+            superClass = this.isOperator(tokens[chain.end], '(') ? null : chain.parts.join('.');
+            i = chain.end;
+        }
+        // Type arguments and implements clauses, up to the body
+        while (i < tokens.length && !this.isOperator(tokens[i], '{')) {
+            if (this.isOperator(tokens[i], ';')) return null;
+            if (brackets[i] > i) i = brackets[i];
+            i++;
+        }
+        if (i >= tokens.length || brackets[i] < i) return null;
+
+        className = className || defaultName || 'default';
+        const cls = { name: className, line: tokens[index].line, superClass, fields: new Map(), methods: new Set() };
+        result.classes.set(className, cls);
+        this.parseClassBody(tokens, brackets, i + 1, brackets[i], cls, result);
+        result.skip.set(index, brackets[i]);
+        return { name: className, end: brackets[i] + 1 };
+    }
+
+    parseClassBody(tokens, brackets, start, end, cls, result) {
+        let i = start;
+        while (i < end) {
+            const token = tokens[i];
+            if (this.isOperator(token, ';')) {
+                i++;
+                continue;
+            }
+            if (this.isOperator(token, '@')) {
+                i = this.skipDecorators(tokens, brackets, i);
+                continue;
+            }
+            // static { ... } initialization block
+            if (this.isIdent(token, 'static') && this.isOperator(tokens[i + 1], '{')) {
+                i = Math.max(brackets[i + 1], i + 1) + 1;
+                continue;
+            }
+
+            const memberStart = i;
+            while (tokens[i]?.type === 'ident' && JS_MEMBER_MODIFIERS.has(tokens[i].value) && this.isMemberNameStart(tokens[i + 1])) i++;
+            if (this.isOperator(tokens[i], '*')) i++;
+            const nameIndex = i;
+            let memberName = this.getPropertyName(tokens[i]);
+            if (this.isOperator(tokens[i], '[') && brackets[i] > i) {
+                // Computed name, [Symbol.iterator]()
+                memberName = null;
+                i = brackets[i];
+            } else if (memberName === null) {
+                i++;
+                continue;
+            }
+            i++;
+            if (this.isOperator(tokens[i], '?') || this.isOperator(tokens[i], '!')) i++;
+            if (this.isOperator(tokens[i], '<')) {
+                const after = this.skipTypeArguments(tokens, i);
+                if (after > 0) i = after;
+            }
+
+            if (this.isOperator(tokens[i], '(') && brackets[i] > i) {
+                const params = i;
+                const body = this.findBody(tokens, brackets, brackets[i] + 1);
+                if (body < 0) {
+                    // Abstract method or overload signature
+                    i = this.findStatementEnd(tokens, brackets, brackets[i] + 1, end);
+                    continue;
+                }
+                if (memberName !== null) {
+                    const func = this.addFunction(tokens, brackets, result, memberName, cls.name,
+                        { start: memberStart, params, body, end: brackets[body] + 1 });
+                    cls.methods.add(memberName);
+                    if (memberName === 'constructor') this.collectParameterProperties(tokens, brackets, params, cls);
+                    this.collectFieldAssignments(tokens, body, brackets[body], cls, func.locals);
+                }
+                i = brackets[body] + 1;
+                continue;
+            }
+
+            // A field, `name: Type = value`; arrow function values are methods
+            const fieldEnd = this.findStatementEnd(tokens, brackets, nameIndex, end);
+            let type = this.isOperator(tokens[i], ':') ? this.parseTypeRef(tokens, i + 1) : null;
+            const assign = this.findAssignment(tokens, brackets, i, fieldEnd);
+            if (assign >= 0 && memberName !== null) {
+                const value = this.isKeyword(tokens[assign + 1], 'function') || this.isKeyword(tokens[assign + 2], 'function')
+                    ? this.parseFunction(tokens, brackets, assign + 1)
+                    : this.parseArrow(tokens, brackets, assign + 1, fieldEnd);
+                if (value && value.body >= 0) {
+                    this.addFunction(tokens, brackets, result, memberName, cls.name, { ...value, start: memberStart });
+                    cls.methods.add(memberName);
+                } else {
+                    type = type || this.inferExprType(tokens, assign + 1);
+                }
+            }
+            if (memberName !== null && type) cls.fields.set(memberName, type);
+            i = Math.max(fieldEnd, nameIndex + 1);
+        }
+    }
+
+    /**
+     * Whether a member modifier (static, async, get, ...) is followed by the member's name
+     */
+    isMemberNameStart(token) {
+        if (!token || token.newlineBefore) return false;
+        return ['ident', 'keyword', 'string', 'number'].includes(token.type) ||
+            this.isOperator(token, '[') || this.isOperator(token, '*');
+    }
+
+    /**
+     * Constructor parameters declared as fields, constructor(private users: UserService)
+     */
+    collectParameterProperties(tokens, brackets, open, cls) {
+        this.splitList(tokens, brackets, open + 1, brackets[open], true).forEach(([from, to]) => {
+            let i = from;
+            while (this.isOperator(tokens[i], '@')) i = this.skipDecorators(tokens, brackets, i);
+            if (!(tokens[i]?.type === 'ident' && JS_PARAMETER_MODIFIERS.has(tokens[i].value) && tokens[i + 1]?.type === 'ident')) return;
+            const { names, type } = this.parseParameter(tokens, brackets, from, to);
+            if (type && names.length === 1) cls.fields.set(names[0], type);
+        });
+    }
+
+    /**
+     * Fields a method assigns, `this.users = new UserService()` or `this.users = users`
+     * (a typed parameter or local), for fields without a type annotation
+     */
+    collectFieldAssignments(tokens, start, end, cls, locals) {
+        for (let i = start; i < end - 4; i++) {
+            if (!this.isKeyword(tokens[i], 'this') || !this.isOperator(tokens[i + 1], '.') ||
+                tokens[i + 2]?.type !== 'ident' || !this.isOperator(tokens[i + 3], '=')) continue;
+            const name = tokens[i + 2].value;
+            if (cls.fields.has(name)) continue;
+            const value = tokens[i + 4];
+            const after = tokens[i + 5];
+            const type = this.inferExprType(tokens, i + 4) ||
+                (value.type === 'ident' && !this.isOperator(after, '.') && !this.isOperator(after, '(') ? locals.get(value.value) : null);
+            if (type) cls.fields.set(name, type);
+        }
+    }
+
+    /**
+     * Record a function with the calls it makes
+     * @param {{start: number, params: number, body: number, end: number}} info - Token
+     *   indexes: its first token, its parameters ('(' or the single parameter of an
+     *   arrow), its body, and its exclusive end
+     */
+    addFunction(tokens, brackets, result, name, className, info) {
+        const locals = new Map();
+        this.collectParams(tokens, brackets, info.params, locals);
+        this.collectLocals(tokens, brackets, info.body, info.end, locals);
+        const func = {
+            name,
+            className,
+            line: tokens[info.start].line,
+            calls: this.extractCalls(tokens, brackets, info.params, info.end, locals),
+            locals
+        };
+        result.functions.push(func);
+        result.skip.set(info.start, info.end - 1);
+        return func;
+    }
+
+    /**
+     * Parameters of a function: a single arrow parameter, or a parameter list at '('
+     */
+    collectParams(tokens, brackets, index, locals) {
+        if (tokens[index]?.type === 'ident') {
+            this.declareLocal(locals, tokens[index].value, null);
+            return;
+        }
+        if (!this.isOperator(tokens[index], '(') || brackets[index] < index) return;
+        this.splitList(tokens, brackets, index + 1, brackets[index], true).forEach(([from, to]) => {
+            const { names, type } = this.parseParameter(tokens, brackets, from, to);
+            names.forEach(name => this.declareLocal(locals, name, type));
+        });
+    }
+
+    /**
+     * Names one parameter binds, and the class it is typed with (or defaults to)
+     * @returns {{names: string[], type: {name: string}|null}}
+     */
+    parseParameter(tokens, brackets, from, to) {
+        let i = from;
+        while (this.isOperator(tokens[i], '@')) i = this.skipDecorators(tokens, brackets, i);
+        while (tokens[i]?.type === 'ident' && JS_PARAMETER_MODIFIERS.has(tokens[i].value) && tokens[i + 1]?.type === 'ident') i++;
+        if (this.isOperator(tokens[i], '...')) i++;
+
+        const token = tokens[i];
+        if (token?.type === 'ident' && i < to) {
+            let next = i + 1;
+            if (this.isOperator(tokens[next], '?')) next++;
+            let type = null;
+            if (this.isOperator(tokens[next], ':')) {
+                type = this.parseTypeRef(tokens, next + 1);
+            } else if (this.isOperator(tokens[next], '=')) {
+                type = this.inferExprType(tokens, next + 1);
+            }
+            return { names: [token.value], type };
+        }
+        if ((this.isOperator(token, '{') || this.isOperator(token, '[')) && brackets[i] > i) {
+            return { names: this.collectPatternNames(tokens, brackets, i).map(entry => entry.name), type: null };
+        }
+        return { names: [], type: null };
+    }
+
+    /**
+     * Names a function body binds (variables, nested functions' parameters, catch
+     * parameters); they shadow top-level names. Typed ones map to the class
+     * they hold, the others to null.
+     */
+    collectLocals(tokens, brackets, start, end, locals) {
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+            const next = tokens[i + 1];
+            if (this.isKeyword(token, 'const') || this.isKeyword(token, 'let') || this.isKeyword(token, 'var')) {
+                // `for (const x of items)` ends at the parenthesis
+                const statementEnd = this.findStatementEnd(tokens, brackets, i + 1, end);
+                this.splitList(tokens, brackets, i + 1, statementEnd, true).forEach(([from, to]) => {
+                    const target = tokens[from];
+                    if (target.type === 'ident') {
+                        const assign = this.findAssignment(tokens, brackets, from, to);
+                        const type = this.isOperator(tokens[from + 1], ':')
+                            ? this.parseTypeRef(tokens, from + 2)
+                            : (assign >= 0 ? this.inferExprType(tokens, assign + 1) : null);
+                        this.declareLocal(locals, target.value, type);
+                    } else if ((this.isOperator(target, '{') || this.isOperator(target, '[')) && brackets[from] > from) {
+                        this.collectPatternNames(tokens, brackets, from).forEach(({ name }) => this.declareLocal(locals, name, null));
+                    }
+                });
+            } else if ((this.isKeyword(token, 'function') || this.isKeyword(token, 'class')) && next?.type === 'ident') {
+                this.declareLocal(locals, next.value, null);
+            } else if (this.isKeyword(token, 'catch') && this.isOperator(next, '(')) {
+                this.collectParams(tokens, brackets, i + 1, locals);
+            } else if (token.type === 'ident' && this.isOperator(next, '=>') && !this.isOperator(tokens[i - 1], '.')) {
+                this.declareLocal(locals, token.value, null);
+            } else if (this.isOperator(token, '(') && brackets[i] > i) {
+                // Parameters of arrow functions, function expressions and methods
+                const after = tokens[brackets[i] + 1];
+                const previous = tokens[i - 1];
+                if (this.isOperator(after, '=>') || this.isOperator(after, '{') || this.isKeyword(previous, 'function') ||
+                    this.isKeyword(tokens[i - 2], 'function') || (this.isOperator(after, ':') && this.parseArrow(tokens, brackets, i, end))) {
+                    this.collectParams(tokens, brackets, i, locals);
+                }
+            }
+        }
+    }
+
+    declareLocal(locals, name, type) {
+        if (type || !locals.get(name)) locals.set(name, type);
+    }
+
+    /**
+     * Names bound by a destructuring pattern at open ('{' or '['); key is the
+     * property an object pattern takes a name from (null in array patterns,
+     * nested patterns and ...rest)
+     * @returns {Array<{name: string, key: string|null}>}
+     */
+    collectPatternNames(tokens, brackets, open) {
+        const names = [];
+        const isObject = this.isOperator(tokens[open], '{');
+        const nested = (index) => this.collectPatternNames(tokens, brackets, index).map(entry => ({ name: entry.name, key: null }));
+        this.splitList(tokens, brackets, open + 1, brackets[open]).forEach(([from]) => {
+            let i = from;
+            const isRest = this.isOperator(tokens[i], '...');
+            if (isRest) i++;
+            const token = tokens[i];
+            if ((this.isOperator(token, '{') || this.isOperator(token, '[')) && brackets[i] > i) {
+                names.push(...nested(i));
+            } else if (isObject && !isRest && this.isOperator(tokens[i + 1], ':')) {
+                // { key: name } or { key: { nested } }
+                const target = tokens[i + 2];
+                if (target?.type === 'ident') {
+                    names.push({ name: target.value, key: this.getPropertyName(token) });
+                } else if ((this.isOperator(target, '{') || this.isOperator(target, '[')) && brackets[i + 2] > i + 2) {
+                    names.push(...nested(i + 2));
+                }
+            } else if (token?.type === 'ident') {
+                names.push({ name: token.value, key: isObject && !isRest ? token.value : null });
+            }
+        });
+        return names;
+    }
+
+    /**
+     * `import ... from 'source'`: every imported name is bound to { kind: 'import', source, imported },
+     * imported being the exported name, 'default' or '*' (the whole module)
+     */
+    parseImport(tokens, brackets, index, result) {
+        const end = this.findStatementEnd(tokens, brackets, index, tokens.length);
+        result.skip.set(index, end - 1);
+        result.esm = true;
+        let i = index + 1;
+        // import type { A } and import type A: types only
+        if (this.isIdent(tokens[i], 'type') && !this.isOperator(tokens[i + 1], ',') && !this.isIdent(tokens[i + 1], 'from')) return end;
+
+        // TypeScript's import x = require('y')
+        if (tokens[i]?.type === 'ident' && this.isOperator(tokens[i + 1], '=')) {
+            const required = this.parseRequire(tokens, brackets, i + 2);
+            if (required) result.bindings.set(tokens[i].value, { kind: 'import', source: required.source, imported: '*' });
+            return end;
+        }
+
+        const fromIndex = this.findFrom(tokens, i, end);
+        if (fromIndex < 0) return end; // import 'side-effect'
+        const source = this.unquote(tokens[fromIndex + 1]);
+        while (i < fromIndex) {
+            const token = tokens[i];
+            if (token.type === 'ident') {
+                result.bindings.set(token.value, { kind: 'import', source, imported: 'default' });
+                i++;
+            } else if (this.isOperator(token, '*') && this.isIdent(tokens[i + 1], 'as') && tokens[i + 2]?.type === 'ident') {
+                result.bindings.set(tokens[i + 2].value, { kind: 'import', source, imported: '*' });
+                i += 3;
+            } else if (this.isOperator(token, '{') && brackets[i] > i) {
+                this.parseSpecifiers(tokens, brackets, i).forEach(({ name, local }) => {
+                    result.bindings.set(local, { kind: 'import', source, imported: name });
+                });
+                i = brackets[i] + 1;
+            } else {
+                i++;
+            }
+        }
+        return end;
+    }
+
+    /**
+     * `{ a, b as c, type T }` of an import or export; type-only specifiers are left out
+     * @returns {Array<{name: string, local: string}>} name before `as`, local after it
+     */
+    parseSpecifiers(tokens, brackets, open) {
+        return this.splitList(tokens, brackets, open + 1, brackets[open]).flatMap(([from, to]) => {
+            if (this.isIdent(tokens[from], 'type') && to - from > 1 && !this.isIdent(tokens[from + 1], 'as')) return [];
+            const name = this.getPropertyName(tokens[from]);
+            const local = this.isIdent(tokens[from + 1], 'as') ? this.getPropertyName(tokens[from + 2]) : name;
+            return name && local ? [{ name, local }] : [];
+        });
+    }
+
+    /**
+     * `export ...`: declarations, `export default`, export lists and re-exports
+     */
+    parseExport(tokens, brackets, index, result) {
+        const i = index + 1;
+        const token = tokens[i];
+        // export = value is TypeScript's module.exports
+        if (!this.isOperator(token, '=')) result.esm = true;
+        if (this.isKeyword(token, 'default')) return this.parseDefaultExport(tokens, brackets, index, i + 1, result);
+
+        if (this.isOperator(token, '*') || this.isOperator(token, '{') || (this.isIdent(token, 'type') && this.isOperator(tokens[i + 1], '{'))) {
+            const end = this.findStatementEnd(tokens, brackets, index, tokens.length);
+            result.skip.set(index, end - 1);
+            if (this.isIdent(token, 'type')) return end;
+            const fromIndex = this.findFrom(tokens, i, end);
+            const source = fromIndex >= 0 ? this.unquote(tokens[fromIndex + 1]) : null;
+            if (this.isOperator(token, '*')) {
+                if (!source) return end;
+                if (this.isIdent(tokens[i + 1], 'as')) {
+                    // export * as ns from 'source'
+                    const name = this.getPropertyName(tokens[i + 2]);
+                    if (name) result.exports.set(name, { source, imported: '*' });
+                } else {
+                    result.starExports.push(source);
+                }
+                return end;
+            }
+            this.parseSpecifiers(tokens, brackets, i).forEach(({ name, local }) => {
+                // In export lists, local (after `as`) is the exported name
+                result.exports.set(local, source ? { source, imported: name } : { local: name });
+            });
+            return end;
+        }
+
+        if (this.isOperator(token, '=')) {
+            // TypeScript's export = value, a CommonJS module.exports
+            const end = this.findStatementEnd(tokens, brackets, index, tokens.length);
+            const binding = this.parseValue(tokens, brackets, i + 1, end, null, result);
+            result.commonjs = true;
+            result.exports.set('default', { binding });
+            if (this.isReference(binding)) result.skip.set(index, end - 1);
+            return end;
+        }
+
+        const start = this.isOperator(token, '@') ? this.skipDecorators(tokens, brackets, i) : i;
+        const declaration = this.parseDeclaration(tokens, brackets, start, result);
+        if (declaration) {
+            declaration.names.forEach(name => result.exports.set(name, { local: name }));
+            return declaration.end;
+        }
+        return this.skipTypeDeclaration(tokens, brackets, i, result) ??
+            this.findStatementEnd(tokens, brackets, index, tokens.length);
+    }
+
+    /**
+     * `export default` followed by a (maybe anonymous) function or class, or any
+     * value; the default export is bound to the name 'default' when it has none
+     * @param {number} start - Index after `default`
+     */
+    parseDefaultExport(tokens, brackets, index, start, result) {
+        if (this.isOperator(tokens[start], '@')) start = this.skipDecorators(tokens, brackets, start);
+        const declaration = this.parseDeclaration(tokens, brackets, start, result, 'default');
+        if (declaration) {
+            result.exports.set('default', { local: declaration.names[0] });
+            return declaration.end;
+        }
+
+        const end = this.findStatementEnd(tokens, brackets, start, tokens.length);
+        const binding = this.parseValue(tokens, brackets, start, end, 'default', result);
+        result.bindings.set('default', binding);
+        result.exports.set('default', { local: 'default' });
+        if (this.isReference(binding)) result.skip.set(index, end - 1);
+        return end;
+    }
+
+    /**
+     * `module.exports = value`, `module.exports.name = value` and `exports.name = value`
+     * @returns {number|null} Exclusive end, null for any other statement
+     */
+    parseCommonJsExport(tokens, brackets, index, result) {
+        let i = index;
+        const isModuleExports = this.isIdent(tokens[i], 'module') && this.isOperator(tokens[i + 1], '.') &&
+            this.isIdent(tokens[i + 2], 'exports');
+        if (isModuleExports) {
+            i += 3;
+        } else if (this.isIdent(tokens[i], 'exports')) {
+            i++;
+        } else {
+            return null;
+        }
+        let name = null;
+        if (this.isOperator(tokens[i], '.') && tokens[i + 1]?.type === 'ident') {
+            name = tokens[i + 1].value;
+            i += 2;
+        }
+        if (!this.isOperator(tokens[i], '=') || (!isModuleExports && !name)) return null;
+
+        const end = this.findStatementEnd(tokens, brackets, index, tokens.length);
+        result.commonjs = true;
+        if (!name && this.isOperator(tokens[i + 1], '{') && brackets[i + 1] === end - 1) {
+            // module.exports = { a, b() {} }: every member is an export
+            const object = this.parseObjectLiteral(tokens, brackets, i + 1, null, result);
+            object.members.forEach((member, key) => result.exports.set(key, { binding: member }));
+            result.skip.set(index, this.isReference(object) ? end - 1 : i);
+            return end;
+        }
+        const binding = this.parseValue(tokens, brackets, i + 1, end, name, result);
+        result.exports.set(name || 'default', { binding });
+        result.skip.set(index, this.isReference(binding) ? end - 1 : i);
+        return end;
+    }
+
+    /**
+     * Whether an exported value only names functions and classes, so exporting it
+     * makes no top-level call (or reference) of its own
+     */
+    isReference(binding) {
+        if (binding.kind === 'object') return Array.from(binding.members.values()).every(member => this.isReference(member));
+        return ['function', 'class', 'alias', 'member'].includes(binding.kind);
+    }
+
+    /**
+     * End of a TypeScript declaration that makes no calls: interface, type alias,
+     * enum, namespace and declare statements
+     * @returns {number|null} Exclusive end, null if the statement is none of them
+     */
+    skipTypeDeclaration(tokens, brackets, index, result) {
+        const token = tokens[index];
+        const next = tokens[index + 1];
+        if (!next || next.newlineBefore) return null;
+
+        const blockEnd = () => {
+            for (let i = index + 1; i < tokens.length; i++) {
+                if (this.isOperator(tokens[i], ';')) return null;
+                if (this.isOperator(tokens[i], '{')) return brackets[i] > i ? brackets[i] + 1 : null;
+            }
+            return null;
+        };
+        let end = null;
+        if ((this.isIdent(token, 'interface') || this.isIdent(token, 'enum')) && next.type === 'ident') {
+            end = blockEnd();
+        } else if (this.isKeyword(token, 'const') && this.isIdent(next, 'enum')) {
+            end = blockEnd();
+        } else if ((this.isIdent(token, 'namespace') || this.isIdent(token, 'module')) && (next.type === 'ident' || next.type === 'string')) {
+            end = blockEnd();
+        } else if ((this.isIdent(token, 'type') && next.type === 'ident') || (this.isIdent(token, 'declare') && next.type !== 'operator')) {
+            end = this.findStatementEnd(tokens, brackets, index, tokens.length);
+        }
+        if (end !== null) result.skip.set(index, end - 1);
+        return end;
+    }
+
+    skipDecorators(tokens, brackets, index) {
+        let i = index;
+        while (this.isOperator(tokens[i], '@')) {
+            i++;
+            if (tokens[i]?.type === 'ident') i = this.readChain(tokens, i).end;
+            if (this.isOperator(tokens[i], '(') && brackets[i] > i) i = brackets[i] + 1;
+        }
+        return i;
+    }
+
+    /**
+     * Index after the '>' closing type arguments (or parameters) that open at
+     * index, -1 if what follows the '<' can't be a type (then it's a comparison)
+     */
+    skipTypeArguments(tokens, index) {
+        let depth = 0;
+        const limit = Math.min(tokens.length, index + 128);
+        for (let i = index; i < limit; i++) {
+            const token = tokens[i];
+            if (token.type === 'operator') {
+                if (token.value === '<') {
+                    depth++;
+                } else if (token.value === '>') {
+                    depth--;
+                } else if (token.value === '>>') {
+                    depth -= 2;
+                } else if (token.value === '>>>') {
+                    depth -= 3;
+                } else if (['(', '[', '{'].includes(token.value)) {
+                    // Object, tuple and function types
+                    continue;
+                } else if (![')', ']', '}', ',', '.', '|', '&', '?', ':', '=>', '=', ';', '...'].includes(token.value)) {
+                    return -1;
+                }
+                if (depth === 0) return i + 1;
+                if (depth < 0) return -1;
+            } else if (token.type === 'keyword' && !['extends', 'typeof', 'in', 'new', 'void', 'this'].includes(token.value)) {
+                return -1;
+            } else if (!['ident', 'keyword', 'string', 'number', 'template'].includes(token.type)) {
+                return -1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * A type annotation naming a class: `Foo` or `ns.Foo` (type arguments left
+     * out, `| null` allowed); null for arrays, unions and other types. Primitive
+     * names are kept; they resolve to nothing.
+     * @returns {{name: string}|null}
+     */
+    parseTypeRef(tokens, index) {
+        if (tokens[index]?.type !== 'ident') return null;
+        const chain = this.readChain(tokens, index);
+        let next = chain.end;
+        if (this.isOperator(tokens[next], '<')) {
+            next = this.skipTypeArguments(tokens, next);
+            if (next < 0) return null;
+        }
+        if (this.isOperator(tokens[next], '[')) return null;
+        if (this.isOperator(tokens[next], '|') && !['null', 'undefined'].includes(tokens[next + 1]?.value)) return null;
+        return { name: chain.parts.join('.') };
+    }
+
+    /**
+     * Class of an expression that creates an instance: `new Foo(...)`
+     */
+    inferExprType(tokens, index) {
+        return this.isKeyword(tokens[index], 'new') ? this.parseTypeRef(tokens, index + 1) : null;
+    }
+
+    /**
+     * Split a comma separated list (parameters, declarators, object members) at
+     * its top level; with typed, commas in an annotation's type arguments
+     * (`a: Map<K, V>`) don't split it
+     * @returns {Array<[number, number]>} [from, to) token ranges
+     */
+    splitList(tokens, brackets, start, end, typed = false) {
+        const ranges = [];
+        let from = start;
+        let inType = false;
+        let assigned = false;
+        let angles = 0;
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+            if (token.type === 'operator') {
+                if (token.value === ',' && angles === 0) {
+                    if (i > from) ranges.push([from, i]);
+                    from = i + 1;
+                    inType = false;
+                    assigned = false;
+                    continue;
+                }
+                if (typed && token.value === ':' && !assigned) {
+                    inType = true;
+                } else if (typed && token.value === '=') {
+                    inType = false;
+                    assigned = true;
+                    angles = 0;
+                } else if (inType && token.value === '<') {
+                    angles++;
+                } else if (inType && (token.value === '>' || token.value === '>>')) {
+                    angles = Math.max(angles - token.value.length, 0);
+                } else if (!inType && token.value === '<') {
+                    // Type arguments of a call, useState<A, B>(...)
+                    const after = this.skipTypeArguments(tokens, i);
+                    if (after > 0 && this.isOperator(tokens[after], '(')) {
+                        i = after - 1;
+                        continue;
+                    }
+                }
+            }
+            if (brackets[i] > i) i = Math.min(brackets[i], end);
+        }
+        if (end > from) ranges.push([from, end]);
+        return ranges;
+    }
+
+    /**
+     * Index of the '=' of a declarator or field at its top level, -1 if none
+     */
+    findAssignment(tokens, brackets, start, end) {
+        for (let i = start; i < end; i++) {
+            if (this.isOperator(tokens[i], '=')) return i;
+            if (brackets[i] > i) i = brackets[i];
+        }
+        return -1;
+    }
+
+    /**
+     * Index of the `from` before an import or export's module specifier, -1 if none
+     */
+    findFrom(tokens, start, end) {
+        for (let i = start; i < end; i++) {
+            if (this.isIdent(tokens[i], 'from') && tokens[i + 1]?.type === 'string') return i;
+        }
+        return -1;
+    }
+
+    /**
+     * A name and the property names after it: a.b?.c, this.x, obj!.method
+     * @returns {{parts: string[], end: number}} end is exclusive
+     */
+    readChain(tokens, index) {
+        const parts = [tokens[index].value];
+        let i = index + 1;
+        for (;;) {
+            const dot = this.isOperator(tokens[i], '!') && !tokens[i].newlineBefore ? i + 1 : i;
+            if (!(this.isOperator(tokens[dot], '.') || this.isOperator(tokens[dot], '?.')) || tokens[dot + 1]?.type !== 'ident') break;
+            parts.push(tokens[dot + 1].value);
+            i = dot + 2;
+        }
+        return { parts, end: i };
+    }
+
+    /**
+     * Extract calls and function references from a token range
+     * @param {Map} [locals] - Names bound in the function (see collectLocals); untyped ones shadow top-level names
+     * @param {Map} [skip] - First -> last index of token ranges to leave out
+     * @returns {Map<string, Array<{line: number, kind: string}>>} Call names: "name", "a.b",
+     *   "this.m", "super.m", "new Class" or a JSX component; kind is 'call' or 'funcref'
+     */
+    extractCalls(tokens, brackets, start, end, locals = new Map(), skip = new Map()) {
+        const calls = new Map();
+        const add = (name, line, kind) => {
+            if (!calls.has(name)) calls.set(name, []);
+            calls.get(name).push({ line, kind });
+        };
+
+        for (let i = start; i < end; i++) {
+            if (skip.has(i)) {
+                i = skip.get(i);
+                continue;
+            }
+            const token = tokens[i];
+            // <Component /> and <ui.Button /> render a component; lowercase tags are DOM elements
+            if (token.type === 'jsx') {
+                if (/^[\p{Lu}_$]/u.test(token.value) || token.value.includes('.')) add(token.value, token.line, 'call');
+                continue;
+            }
+            const previous = tokens[i - 1];
+            const isRoot = token.type === 'ident' || this.isKeyword(token, 'this') || this.isKeyword(token, 'super');
+            if (!isRoot || this.isOperator(previous, '.') || this.isOperator(previous, '?.')) continue;
+
+            const root = i;
+            const chain = this.readChain(tokens, i);
+            i = chain.end - 1;
+            const callName = chain.parts.join('.');
+            if (this.isKeyword(previous, 'new')) {
+                add(`new ${callName}`, token.line, 'call');
+                continue;
+            }
+            if (locals.has(chain.parts[0]) && !locals.get(chain.parts[0])) continue;
+
+            let next = chain.end;
+            if (this.isOperator(tokens[next], '?.') && this.isOperator(tokens[next + 1], '(')) next++;
+            if (this.isOperator(tokens[next], '<')) {
+                const after = this.skipTypeArguments(tokens, next);
+                if (after > 0 && this.isOperator(tokens[after], '(')) next = after;
+            }
+
+            // Calls, and tagged templates (html`...`)
+            if (this.isOperator(tokens[next], '(') || tokens[next]?.type === 'template') {
+                if (this.isKeyword(previous, 'function')) continue;
+                if (chain.parts.length === 1 && this.isOperator(tokens[next], '(') && this.isMethodDefinition(tokens, brackets, root, next)) continue;
+                // fn.call(...) and fn.apply(...) call fn; fn.bind(...) hands it on
+                const method = chain.parts[chain.parts.length - 1];
+                if (chain.parts.length > 1 && ['call', 'apply', 'bind'].includes(method)) {
+                    add(chain.parts.slice(0, -1).join('.'), token.line, method === 'bind' ? 'funcref' : 'call');
+                } else {
+                    add(callName, token.line, 'call');
+                }
+                continue;
+            }
+
+            // Declared names, object keys and arrow parameters are not references
+            if (this.isOperator(tokens[next], ':') && !this.isOperator(previous, '?')) continue;
+            if (this.isOperator(tokens[next], '=>')) continue;
+            if (previous?.type === 'keyword' && ['const', 'let', 'var', 'function', 'class', 'typeof', 'catch'].includes(previous.value)) continue;
+            add(callName, token.line, 'funcref');
+        }
+
+        return calls;
+    }
+
+    /**
+     * Whether name(...) at index defines a method (class body, object literal)
+     * rather than calling it: a body or a return type follows the parameters
+     */
+    isMethodDefinition(tokens, brackets, index, open) {
+        const close = brackets[open];
+        if (close < 0) return false;
+        if (this.isOperator(tokens[close + 1], '{')) return true;
+        if (!this.isOperator(tokens[close + 1], ':')) return false;
+        const previous = tokens[index - 1];
+        return !previous || Boolean(tokens[index].newlineBefore) ||
+            (previous.type === 'operator' && ['{', ',', ';', '}', '*'].includes(previous.value)) ||
+            (previous.type === 'ident' && JS_MEMBER_MODIFIERS.has(previous.value));
+    }
+
+    isOperator(token, value) {
+        return token?.type === 'operator' && token.value === value;
+    }
+
+    isKeyword(token, value) {
+        return token?.type === 'keyword' && token.value === value;
+    }
+
+    isIdent(token, value) {
+        return token?.type === 'ident' && token.value === value;
+    }
+
+    /**
+     * Property or member name a token spells: identifiers, keywords, strings and numbers
+     */
+    getPropertyName(token) {
+        if (!token) return null;
+        if (token.type === 'ident' || token.type === 'keyword' || token.type === 'number') return token.value;
+        return token.type === 'string' ? this.unquote(token) : null;
+    }
+
+    unquote(token) {
+        return token.value.slice(1, -1);
+    }
+
+    dirOf(path) {
+        const slash = path.lastIndexOf('/');
+        return slash < 0 ? '' : path.slice(0, slash);
+    }
+
+    /**
+     * Folder-relative path of relative (which may use . and ..) from base;
+     * null if it leaves the folder
+     */
+    joinPath(base, relative) {
+        const segments = base ? base.split('/') : [];
+        for (const segment of relative.split('/')) {
+            if (segment === '' || segment === '.') continue;
+            if (segment === '..') {
+                if (segments.length === 0) return null;
+                segments.pop();
+            } else {
+                segments.push(segment);
+            }
+        }
+        return segments.join('/');
+    }
+
+    /**
+     * The parsed file an import path without (or with a compiled) extension
+     * stands for: the path itself, with each source extension, its index file,
+     * or the entry point of a package.json in that directory
+     * @param {boolean} [manifests] - Look for a package.json (not while resolving one)
+     */
+    findSourceFile(base, manifests = true) {
+        if (base === null) return null;
+        const candidates = [];
+        if (base) {
+            candidates.push(base);
+            // TypeScript sources import each other by their compiled name: './user.js' is user.ts
+            const compiled = base.match(/\.([cm]?)jsx?$/);
+            if (compiled) {
+                const stem = base.slice(0, -compiled[0].length);
+                candidates.push(`${stem}.${compiled[1]}ts`, `${stem}.${compiled[1]}tsx`);
+            }
+            JsScanRules.SOURCE_EXTENSIONS.forEach(extension => candidates.push(base + extension));
+        }
+        const prefix = base ? `${base}/` : '';
+        JsScanRules.SOURCE_EXTENSIONS.forEach(extension => candidates.push(`${prefix}index${extension}`));
+
+        const found = candidates.find(candidate => this.files.has(candidate));
+        if (found || !manifests) return found || null;
+        const manifest = this.packages.get(`${prefix}package.json`);
+        return manifest ? this.findPackageEntry(manifest) : null;
+    }
+
+    /**
+     * Source file of a workspace package's entry point; build output paths
+     * (dist/index.js) are tried as src/ too
+     */
+    findPackageEntry(manifest) {
+        const candidates = manifest.entries.flatMap(entry => [
+            this.joinPath(manifest.dir, entry),
+            this.joinPath(manifest.dir, entry.replace(/^(\.\/)?(dist|lib|build|out|esm|cjs)\//, 'src/'))
+        ]);
+        candidates.push(this.joinPath(manifest.dir, 'src/index'), manifest.dir);
+        for (const candidate of candidates) {
+            const file = this.findSourceFile(candidate, false);
+            if (file) return file;
+        }
+        return null;
+    }
+
+    /**
+     * What an import specifier refers to, seen from a file
+     * @returns {{file: string}|{external: {path: string, stdlib: boolean}}|{missing: true}|{}}
+     *   missing for relative paths to source files that weren't scanned; {} for
+     *   other files (JSON, stylesheets, images)
+     */
+    resolveModule(specifier, fromFile) {
+        const fromDir = this.dirOf(fromFile);
+        const cacheKey = `${fromDir}\0${specifier}`;
+        if (!this.moduleCache.has(cacheKey)) {
+            this.moduleCache.set(cacheKey, this.findModule(specifier, fromDir));
+        }
+        return this.moduleCache.get(cacheKey);
+    }
+
+    findModule(specifier, fromDir) {
+        if (specifier.startsWith('.') || specifier.startsWith('/')) {
+            const file = this.findSourceFile(this.joinPath(specifier.startsWith('/') ? '' : fromDir, specifier));
+            if (file) return { file };
+            const extension = specifier.match(/\.[^./]+$/)?.[0];
+            return !extension || JsScanRules.isSourceFile(specifier) ? { missing: true } : {};
+        }
+
+        // Path aliases of the nearest tsconfig.json/jsconfig.json
+        for (const candidate of this.getAliasCandidates(specifier, fromDir)) {
+            const file = this.findSourceFile(candidate);
+            if (file) return { file };
+        }
+
+        // Packages of a workspace (monorepo) import each other by name
+        for (const manifest of this.packages.values()) {
+            let file = null;
+            if (specifier === manifest.name) {
+                file = this.findPackageEntry(manifest);
+            } else if (specifier.startsWith(`${manifest.name}/`)) {
+                const rest = specifier.slice(manifest.name.length + 1);
+                file = this.findSourceFile(this.joinPath(manifest.dir, rest)) ||
+                    this.findSourceFile(this.joinPath(manifest.dir, `src/${rest}`));
+            }
+            if (file) return { file };
+        }
+
+        // A package outside the folder: 'lodash/get' is lodash, '@scope/pkg/x' is @scope/pkg
+        const path = specifier.replace(/^node:/, '');
+        const segments = path.split('/');
+        const name = path.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+        return { external: { path: name, stdlib: specifier.startsWith('node:') || JS_NODE_BUILTINS.has(name) } };
+    }
+
+    /**
+     * Paths a specifier can stand for under the nearest config's paths and baseUrl
+     */
+    getAliasCandidates(specifier, fromDir) {
+        let config = null;
+        this.configs.forEach(candidate => {
+            if (!candidate.baseUrl && !candidate.paths) return;
+            const inside = !candidate.dir || fromDir === candidate.dir || fromDir.startsWith(`${candidate.dir}/`);
+            if (inside && (!config || candidate.dir.length > config.dir.length)) config = candidate;
+        });
+        if (!config) return [];
+
+        const root = this.joinPath(config.dir, config.baseUrl || '.');
+        const candidates = [];
+        Object.entries(config.paths || {}).forEach(([pattern, targets]) => {
+            if (!Array.isArray(targets)) return;
+            const star = pattern.indexOf('*');
+            let matched = null;
+            if (star < 0) {
+                matched = pattern === specifier ? '' : null;
+            } else {
+                const prefix = pattern.slice(0, star);
+                const suffix = pattern.slice(star + 1);
+                if (specifier.startsWith(prefix) && specifier.endsWith(suffix) && specifier.length >= prefix.length + suffix.length) {
+                    matched = specifier.slice(prefix.length, specifier.length - suffix.length);
+                }
+            }
+            if (matched === null) return;
+            targets.forEach(target => candidates.push(this.joinPath(root, target.replace('*', matched))));
+        });
+        if (config.baseUrl) candidates.push(this.joinPath(root, specifier));
+        return candidates;
+    }
+
+    /*
+     * Targets: what a name or expression resolves to while following bindings.
+     * { function: key }, { class: classKey }, { instance: classKey },
+     * { object: members, file }, { namespace: file } (a whole module),
+     * { external: { path, stdlib, name } }, { reason } (a broken import), or null
+     */
+
+    resolveName(filePath, name, depth) {
+        if (depth > JS_MAX_RESOLVE_DEPTH) return null;
+        const binding = this.files.get(filePath)?.bindings.get(name);
+        return binding ? this.resolveValue(filePath, binding, depth + 1) : null;
+    }
+
+    resolveValue(filePath, binding, depth) {
+        if (depth > JS_MAX_RESOLVE_DEPTH) return null;
+        const { modulePath } = this.files.get(filePath);
+        switch (binding.kind) {
+            case 'function': return { function: `${modulePath}.${binding.name}` };
+            case 'class': return { class: `${modulePath}.${binding.name}` };
+            case 'object': return { object: binding.members, file: filePath };
+            case 'variable': return this.resolveInstance(filePath, binding.type, depth);
+            case 'alias': return this.resolveName(filePath, binding.name, depth);
+            case 'member': return this.resolveMember(this.resolveChain(filePath, binding.of, depth), binding.member, depth);
+            case 'import': return this.resolveImport(filePath, binding, depth);
+            default: return null;
+        }
+    }
+
+    /**
+     * "a.b.c" in a file's scope
+     */
+    resolveChain(filePath, chain, depth) {
+        const [root, ...members] = chain.split('.');
+        let target = this.resolveName(filePath, root, depth + 1);
+        members.forEach(member => {
+            target = this.resolveMember(target, member, depth + 1);
+        });
+        return target;
+    }
+
+    /**
+     * Instance of the class a type annotation (or `new`) names, resolved in a file's scope
+     */
+    resolveInstance(filePath, type, depth) {
+        if (!type) return null;
+        const target = this.resolveClass(filePath, type.name, depth + 1);
+        if (target?.class) return { instance: target.class };
+        // Methods of an external class are "Class.method" in its package
+        return target?.external ? { external: target.external } : null;
+    }
+
+    /**
+     * A class name in a file's scope; a require()d module stands for its module.exports
+     */
+    resolveClass(filePath, chain, depth) {
+        const target = this.resolveChain(filePath, chain, depth + 1);
+        return target?.namespace ? this.resolveExport(target.namespace, 'default', depth + 1) ?? null : target;
+    }
+
+    /**
+     * An imported name (or the whole module for '*')
+     */
+    resolveImport(filePath, binding, depth) {
+        const module = this.resolveModule(binding.source, filePath);
+        if (module.external) {
+            const whole = binding.imported === '*' || binding.imported === 'default';
+            return { external: { ...module.external, name: whole ? null : binding.imported } };
+        }
+        if (module.missing) return { reason: `${binding.source} is not among the scanned files` };
+        if (!module.file) return null;
+        if (binding.imported === '*') return { namespace: module.file };
+
+        const target = this.resolveExport(module.file, binding.imported, depth + 1);
+        return target === undefined ? { reason: `${binding.source} has no export ${binding.imported}` } : target;
+    }
+
+    /**
+     * What a module exports under a name, following re-exports
+     * @returns {Object|null|undefined} undefined when the module certainly has no
+     *   such export, null when it can't be told
+     */
+    resolveExport(filePath, name, depth) {
+        if (depth > JS_MAX_RESOLVE_DEPTH) return null;
+        const file = this.files.get(filePath);
+        const entry = file.exports.get(name);
+        if (entry) {
+            if (entry.binding) return this.resolveValue(filePath, entry.binding, depth + 1);
+            if (entry.local) return this.resolveName(filePath, entry.local, depth + 1);
+            return this.resolveImport(filePath, entry, depth + 1);
+        }
+        // Only an ES module declares all its exports; a CommonJS module (or a script)
+        // can add them anywhere, and is itself its default export
+        const isCommonJs = file.commonjs || !file.esm;
+        if (name === 'default') return isCommonJs ? { namespace: filePath } : undefined;
+
+        let fallback;
+        for (const source of file.starExports) {
+            const module = this.resolveModule(source, filePath);
+            if (module.file) {
+                const target = this.resolveExport(module.file, name, depth + 1);
+                if (target !== undefined) return target;
+            } else if (module.external) {
+                fallback = fallback || { external: { ...module.external, name } };
+            } else {
+                fallback = fallback || null;
+            }
+        }
+        // Named imports from a CommonJS module.exports = value are its members
+        if (isCommonJs) {
+            return file.exports.has('default')
+                ? this.resolveMember(this.resolveExport(filePath, 'default', depth + 1), name, depth + 1)
+                : fallback ?? null;
+        }
+        return fallback;
+    }
+
+    resolveMember(target, member, depth) {
+        if (!target || depth > JS_MAX_RESOLVE_DEPTH) return null;
+        if (target.reason) return target;
+        if (target.namespace) {
+            const exported = this.resolveExport(target.namespace, member, depth + 1);
+            return exported === undefined ? { reason: `${target.namespace} has no export ${member}` } : exported;
+        }
+        if (target.class || target.instance) {
+            const classKey = target.class || target.instance;
+            const key = this.findMethod(classKey, member, depth + 1);
+            if (key) return { function: key };
+            return target.instance ? this.findField(classKey, member, depth + 1) : null;
+        }
+        if (target.object) {
+            const binding = target.object.get(member);
+            return binding ? this.resolveValue(target.file, binding, depth + 1) : null;
+        }
+        if (target.external) {
+            const { name } = target.external;
+            return { external: { ...target.external, name: name ? `${name}.${member}` : member } };
+        }
+        return null;
+    }
+
+    /**
+     * Key of a class's method, or its nearest superclass's
+     */
+    findMethod(classKey, name, depth = 0) {
+        for (let key = classKey, level = depth; key && level <= JS_MAX_RESOLVE_DEPTH; level++) {
+            if (this.classes.get(key)?.methods.has(name)) return `${key}.${name}`;
+            key = this.getSuperClass(key, level);
+        }
+        return null;
+    }
+
+    /**
+     * Instance held by a class's field (or an inherited one)
+     */
+    findField(classKey, name, depth = 0) {
+        for (let key = classKey, level = depth; key && level <= JS_MAX_RESOLVE_DEPTH; level++) {
+            const cls = this.classes.get(key);
+            if (cls?.fields.has(name)) return this.resolveInstance(cls.file, cls.fields.get(name), level + 1);
+            key = this.getSuperClass(key, level);
+        }
+        return null;
+    }
+
+    getSuperClass(classKey, depth) {
+        const cls = this.classes.get(classKey);
+        if (!cls?.superClass) return null;
+        return this.resolveClass(cls.file, cls.superClass, depth + 1)?.class || null;
+    }
+
+    /**
+     * Resolve a call (or reference) made in a function
+     * @param {string} call - A call name from extractCalls
+     * @param {Object} context - The calling function's entry in this.functions
+     * @returns {{callee: string}|{external: {path: string, name: string}}|{reason: string}|null}
+     *   null when it can't or needn't be resolved (locals, globals, values that aren't functions)
+     */
+    resolveCall(call, context) {
+        const isNew = call.startsWith('new ');
+        let target = this.resolveCallTarget(isNew ? call.slice(4) : call, context);
+        // Calling a module is calling its default export (a require()d module.exports = fn)
+        if (target?.namespace) target = this.resolveExport(target.namespace, 'default', 0) ?? null;
+        if (!target || target.namespace) return null;
+
+        if (target.class) {
+            // new Class() runs its constructor, or the nearest superclass's
+            const key = isNew ? this.findMethod(target.class, 'constructor') : null;
+            return key ? { callee: key } : null;
+        }
+        if (target.function) return this.functions.has(target.function) ? { callee: target.function } : null;
+        if (target.external) return { external: { ...target.external, name: target.external.name || 'default' } };
+        return target.reason ? { reason: target.reason } : null;
+    }
+
+    resolveCallTarget(call, context) {
+        const [root, ...members] = call.split('.');
+        let target;
+        if (root === 'this' || root === 'super') {
+            target = this.getThisTarget(context, root === 'super');
+            if (root === 'super' && members.length === 0) {
+                // super(...) in a constructor
+                const key = target && this.findMethod(target.instance, 'constructor');
+                return key ? { function: key } : null;
+            }
+        } else if (context.locals.has(root)) {
+            target = this.resolveInstance(context.file, context.locals.get(root), 0);
+        } else {
+            target = this.resolveName(context.file, root, 0);
+        }
+        members.forEach(member => {
+            target = this.resolveMember(target, member, 0);
+        });
+        return target;
+    }
+
+    /**
+     * What `this` (or `super`) is in a function: an instance of its class, or
+     * for the methods of an object literal the object
+     */
+    getThisTarget(context, isSuper) {
+        if (context.className) {
+            const classKey = `${context.modulePath}.${context.className}`;
+            const key = isSuper ? this.getSuperClass(classKey, 0) : classKey;
+            return key ? { instance: key } : null;
+        }
+        const dot = context.name.lastIndexOf('.');
+        return !isSuper && dot > 0 ? this.resolveChain(context.file, context.name.slice(0, dot), 0) : null;
+    }
+
+    /**
+     * Diagnostic for a call that could not be resolved, in the shape the viewer's
+     * issues panel expects (see GoParser.createUnresolvedDiagnostic)
+     */
+    createUnresolvedDiagnostic(call, lines, callerName, callerData, reason) {
+        const content = this.fileContents.get(callerData.file) || '';
+        const sourceLine = content.split('\n')[lines[0] - 1] || '';
+        const column = sourceLine.indexOf(call.replace(/^new /, '')) + 1;
+        const sites = lines.length === 1 ? '' : ` (${lines.length} call sites)`;
+
+        return {
+            severity: 'warning',
+            file: callerData.file,
+            line: lines[0],
+            column: Math.max(column, 1),
+            message: `Unresolved call ${call} in ${callerName}: ${reason}${sites}`,
+            snippet: sourceLine.replace(/\s+$/, '')
+        };
+    }
+
+    /**
+     * Build call graph from parsed functions, resolving calls through each
+     * file's imports
+     * @returns {{functions: Map, externals: Map, edges: Array, unresolved: Array, externalCalls: number}}
+     *   as GoParser.buildCallGraph; edge kinds are 'call' and 'funcref'
+     */
+    buildCallGraph() {
+        // "caller\0callee\0kind" -> { from, to, kind, count, lines }
+        const edgeMap = new Map();
+        const addEdge = (from, to, kind, lines) => {
+            const edgeKey = `${from}\0${to}\0${kind}`;
+            if (!edgeMap.has(edgeKey)) {
+                edgeMap.set(edgeKey, { from, to, kind, count: 0, lines: [] });
+            }
+            const edge = edgeMap.get(edgeKey);
+            edge.count += Math.max(lines.length, 1);
+            edge.lines.push(...lines);
+        };
+        const unresolved = [];
+        const externals = new Map();
+        let externalCalls = 0;
+
+        this.moduleCache.clear();
+        for (const [callerName, callerData] of this.functions.entries()) {
+            for (const [call, sites] of callerData.calls) {
+                const resolved = this.resolveCall(call, callerData);
+                if (!resolved) continue;
+
+                const linesByKind = new Map();
+                sites.forEach(site => {
+                    if (!linesByKind.has(site.kind)) linesByKind.set(site.kind, []);
+                    linesByKind.get(site.kind).push(site.line);
+                });
+
+                if (resolved.callee) {
+                    linesByKind.forEach((lines, kind) => addEdge(callerName, resolved.callee, kind, lines));
+                    continue;
+                }
+
+                // References that don't resolve are ordinary values, not missed calls
+                const lines = sites.filter(site => site.kind !== 'funcref').map(site => site.line);
+                if (lines.length === 0) continue;
+                if (resolved.external) {
+                    externalCalls += lines.length;
+                    if (this.includeExternal) {
+                        const { path, name, stdlib } = resolved.external;
+                        const callee = `${path}.${name}`;
+                        if (!externals.has(callee)) externals.set(callee, { path, name, stdlib });
+                        addEdge(callerName, callee, 'call', linesByKind.get('call'));
+                    }
+                } else {
+                    unresolved.push(this.createUnresolvedDiagnostic(call, lines, callerName, callerData, resolved.reason));
+                }
+            }
+        }
+
+        const edges = Array.from(edgeMap.values());
+        edges.forEach(edge => edge.lines.sort((a, b) => a - b));
+
+        // A file's top-level code is a node only when it calls something the graph shows
+        const callers = new Set(edges.map(edge => edge.from));
+        this.functions.forEach((func, key) => {
+            if (func.name === '<module>' && !callers.has(key)) this.functions.delete(key);
+        });
+        unresolved.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+
+        return {
+            functions: this.functions,
+            externals,
+            edges,
+            unresolved,
+            externalCalls
+        };
+    }
+
+    /**
+     * What the viewer needs from an analysis (see GoParser.toAnalysisResult)
+     */
+    toAnalysisResult(callGraph) {
+        return {
+            language: 'js',
+            dot: callGraph.functions.size > 0 ? this.generateDOT(callGraph) : '',
+            functionCount: callGraph.functions.size,
+            edgeCount: callGraph.edges.length,
+            externalCalls: callGraph.externalCalls,
+            unresolved: callGraph.unresolved
+        };
+    }
+
+    /**
+     * Generate DOT format from call graph, with GoParser's node and edge attributes
+     */
+    generateDOT(callGraph) {
+        const quote = value => String(value).replace(/"/g, '\\"');
+        let dot = 'digraph callgraph {\n';
+        dot += '    rankdir=LR;\n';
+        dot += '    node [shape=box];\n\n';
+
+        // The function key is the node ID, so IDs stay the same when the folder is analyzed again
+        const nodeIds = new Map();
+        callGraph.functions.forEach((funcData, funcName) => {
+            const nodeId = `"${quote(funcName)}"`;
+            nodeIds.set(funcName, nodeId);
+            // Class.method for methods
+            const label = funcData.className ? `${funcData.className}.${funcData.name}` : funcData.name;
+            const lineAttr = funcData.line ? ` line="${funcData.line}"` : '';
+            // Test files form a separate layer: their top-level code (describe/it) is the test
+            const testAttr = funcData.test ? ` test="${funcData.test}"` : '';
+            dot += `    ${nodeId} [label="${quote(label)}" file="${quote(funcData.file)}"${lineAttr}${testAttr}];\n`;
+        });
+
+        // External callees, one cluster per package (see ExternalPackages)
+        const externalsByPath = new Map();
+        callGraph.externals.forEach((external, key) => {
+            if (!externalsByPath.has(external.path)) externalsByPath.set(external.path, []);
+            externalsByPath.get(external.path).push([key, external]);
+        });
+        externalsByPath.forEach((members, path) => {
+            dot += `\n    subgraph "cluster_${quote(path)}" {\n        label="${quote(path)}";\n`;
+            members.forEach(([key, external]) => {
+                const nodeId = `"${quote(key)}"`;
+                nodeIds.set(key, nodeId);
+                dot += `        ${nodeId} [label="${quote(external.name)}" external="${external.stdlib ? 'stdlib' : 'module'}"];\n`;
+            });
+            dot += '    }\n';
+        });
+
+        dot += '\n';
+
+        // weight is the number of call sites, lines lists them (in the caller's file)
+        callGraph.edges.forEach(edge => {
+            const fromId = nodeIds.get(edge.from);
+            const toId = nodeIds.get(edge.to);
+            if (fromId && toId) {
+                const linesAttr = edge.lines.length > 0 ? ` lines="${edge.lines.join(',')}"` : '';
+                dot += `    ${fromId} -> ${toId} [weight=${edge.count || 1}${linesAttr} kind=${edge.kind}];\n`;
+            }
+        });
+
+        dot += '}\n';
+
+        return dot;
+    }
+}
+
+// Make it available globally (the page, or the analysis worker in go-worker.js)
+self.JsParser = JsParser;
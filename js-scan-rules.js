@@ -0,0 +1,63 @@
+// JavaScript/TypeScript Scan Rules
+// Decides which files JsParser scans. The include/exclude patterns, .gitignore
+// handling and test file setting are GoScanRules' (same scan settings, see
+// go-scan-rules.js); the GOOS/GOARCH settings don't apply to these files.
+
+// Source files, in the order an extensionless import tries them
+const JS_SOURCE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'];
+// Files that tell JsParser how imports resolve: workspace packages and path aliases
+const JS_CONFIG_FILES = ['package.json', 'tsconfig.json', 'jsconfig.json'];
+// Build output and reports, excluded before the settings' own patterns (so "!dist/" scans it)
+const JS_BUILD_OUTPUT_EXCLUDES = ['dist/', 'build/', 'out/', 'coverage/'];
+
+class JsScanRules extends GoScanRules {
+    static SOURCE_EXTENSIONS = JS_SOURCE_EXTENSIONS;
+    static CONFIG_FILES = JS_CONFIG_FILES;
+    static BUILD_OUTPUT_EXCLUDES = JS_BUILD_OUTPUT_EXCLUDES;
+
+    constructor(settings) {
+        super(settings);
+        this.exclude = [
+            ...JS_BUILD_OUTPUT_EXCLUDES.map(pattern => this.compilePattern(pattern)),
+            ...this.exclude
+        ];
+    }
+
+    static isSourceFile(name) {
+        // Declaration files have no bodies, and minified bundles are build output
+        if (/\.d\.[cm]?ts$/.test(name) || /\.min\.[cm]?js$/.test(name)) return false;
+        return JS_SOURCE_EXTENSIONS.some(extension => name.endsWith(extension));
+    }
+
+    /**
+     * Files that any settings could scan; uploads and drops keep these (see FolderReader)
+     */
+    static isCandidateFile(name) {
+        return JsScanRules.isSourceFile(name) || JS_CONFIG_FILES.includes(name) || name === '.gitignore';
+    }
+
+    /**
+     * foo.test.ts, foo.spec.jsx and anything in a __tests__ directory
+     */
+    static isTestFile(path) {
+        return /\.(test|spec)\.[cm]?[jt]sx?$/.test(path) || /(^|\/)__tests__\//.test(path);
+    }
+
+    includesFile(path, gitignores) {
+        const name = path.slice(path.lastIndexOf('/') + 1);
+        const isConfig = JS_CONFIG_FILES.includes(name);
+        if (!isConfig && !JsScanRules.isSourceFile(name)) return false;
+        if (JsScanRules.isTestFile(path) && !this.settings.includeTests) return false;
+        if (this.matchesLast(this.exclude, path, false) || this.isIgnored(path, false, gitignores)) return false;
+        if (isConfig) return true; // Imports resolve through every package.json and tsconfig.json
+
+        return this.include.length === 0 || this.matchesInclude(path);
+    }
+
+    matchesBuildConstraints() {
+        return true;
+    }
+}
+
+// Make it available globally (the page, or the analysis worker in go-worker.js)
+self.JsScanRules = JsScanRules;
@@ -0,0 +1,58 @@
+// Project language detection
+// Picks the analyzer for a folder from the files found in it: GoParser for Go
+// modules, JsParser for JavaScript/TypeScript projects. Shared by the page and
+// go-worker.js.
+
+// Source files counted before the more common language is taken
+const PROJECT_DETECTOR_MAX_FILES = 2000;
+// Directories that hold other projects' code (dependencies, build output)
+const PROJECT_DETECTOR_SKIPPED_DIRECTORIES = ['node_modules', 'vendor', '.git'];
+
+class ProjectDetector {
+    /**
+     * Language of a folder: a go.mod at its root makes it Go, a package.json,
+     * tsconfig.json or jsconfig.json JavaScript/TypeScript; otherwise the
+     * language with more source files (Go on a tie)
+     * @param {FileSystemDirectoryHandle} dirHandle - Or a FileTreeDirectory
+     * @param {Object} [settings] - Scan settings; excluded directories aren't counted
+     * @returns {Promise<'go'|'js'>}
+     */
+    static async detect(dirHandle, settings) {
+        const rootFiles = new Set();
+        for await (const entry of dirHandle.values()) {
+            if (entry.kind === 'file') rootFiles.add(entry.name);
+        }
+        if (rootFiles.has('go.mod')) return 'go';
+        if (JsScanRules.CONFIG_FILES.some(name => rootFiles.has(name))) return 'js';
+
+        const counts = { go: 0, js: 0 };
+        await ProjectDetector.countSourceFiles(dirHandle, '', new GoScanRules(settings), counts);
+        return counts.js > counts.go ? 'js' : 'go';
+    }
+
+    static async countSourceFiles(dirHandle, relativePath, scanRules, counts) {
+        for await (const entry of dirHandle.values()) {
+            if (counts.go + counts.js >= PROJECT_DETECTOR_MAX_FILES) return;
+            const entryPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+            if (entry.kind === 'file') {
+                if (entry.name.endsWith('.go')) counts.go++;
+                else if (JsScanRules.isSourceFile(entry.name)) counts.js++;
+            } else if (!PROJECT_DETECTOR_SKIPPED_DIRECTORIES.includes(entry.name) &&
+                scanRules.includesDirectory(entryPath, [])) {
+                await ProjectDetector.countSourceFiles(entry, entryPath, scanRules, counts);
+            }
+        }
+    }
+
+    /**
+     * The parser for a folder's language (see detect)
+     * @returns {Promise<GoParser|JsParser>}
+     */
+    static async createParser(dirHandle, settings) {
+        const language = await ProjectDetector.detect(dirHandle, settings);
+        return language === 'js' ? new JsParser(settings) : new GoParser(settings);
+    }
+}
+
+// Make it available globally (the page, or the analysis worker in go-worker.js)
+self.ProjectDetector = ProjectDetector;
@@ -1,10 +1,21 @@
 // Main CallGraph Viewer - Composes all modules
 import { DotParser } from './DotParser.js';
+import { PprofParser } from './PprofParser.js';
+import { GraphIndex } from './GraphIndex.js';
+import { CycleAnalyzer } from './CycleAnalyzer.js';
+import { ChainAnalyzer } from './ChainAnalyzer.js';
+import { PathFinder } from './PathFinder.js';
 import { GraphConfig } from './GraphConfig.js';
 import { NodeOperations } from './NodeOperations.js';
 import { LayoutManager } from './LayoutManager.js';
 import { SearchManager } from './SearchManager.js';
 import { ExportManager } from './ExportManager.js';
+import { SessionManager } from './SessionManager.js';
+import { GoAnalyzer } from './GoAnalyzer.js';
+import { FolderReader } from './FolderReader.js';
+import { ScanSettings } from './ScanSettings.js';
+import { ExternalPackages } from './ExternalPackages.js';
+import { Closures } from './Closures.js';
 import { UIManager } from './UIManager.js';
 import { ErrorHandler } from './ErrorHandler.js';
 import { Logger } from './Logger.js';
@@ -17,19 +28,37 @@ export class CallGraphViewer {
         this.nodes = null;
         this.edges = null;
         this.originalData = null;
+        this.profileInfo = null; // { sampleType, total } when the graph came from a pprof profile
+        this.maxEdgeWeight = 1;  // Heaviest edge in originalData, used to scale edge widths
+        this.loadedData = null;  // {nodes, edges} as loaded, before external packages are grouped and closures folded
         
         // Visibility state
         this.hiddenNodes = new Set();
         this.hiddenEdges = new Set();
         this.showIsolatedNodes = false;
+        this.showDispatchEdges = true;  // Go interface dispatch edges (edge.dispatch)
+        this.showTestNodes = true;      // Go test functions and their helpers (node.test)
+        this.showClosures = true;       // Go closures as nodes of their own (node.parent), folded otherwise
+        this.hiddenEdgeKinds = new Set(); // Constants.EDGE_KINDS keys filtered out (edge.kind)
         this.isLargeGraphFiltered = false;
         
         // Initialize all managers
         this.dotParser = new DotParser(this);
+        this.pprofParser = new PprofParser(this);
+        this.graphIndex = new GraphIndex(this);
+        this.cycleAnalyzer = new CycleAnalyzer(this);
+        this.chainAnalyzer = new ChainAnalyzer(this);
+        this.pathFinder = new PathFinder(this);
         this.nodeOps = new NodeOperations(this);
         this.layoutManager = new LayoutManager(this);
         this.searchManager = new SearchManager(this);
         this.exportManager = new ExportManager(this);
+        this.sessionManager = new SessionManager(this);
+        this.goAnalyzer = new GoAnalyzer(this);
+        this.folderReader = new FolderReader(this);
+        this.scanSettings = new ScanSettings(this);
+        this.externalPackages = new ExternalPackages(this);
+        this.closures = new Closures(this);
         this.uiManager = new UIManager(this);
         
         // Initialize UI
@@ -44,6 +73,15 @@ export class CallGraphViewer {
         this.uiManager.hideHelpOverlay();
         document.getElementById('file-name').textContent = file.name;
 
+        // The graph no longer comes from the analyzed folder
+        this.goAnalyzer.forgetFolder();
+        this.updateRefreshButtons();
+
+        if (this.pprofParser.isProfileFile(file)) {
+            await this.handleProfileUpload(file);
+            return;
+        }
+
         Logger.info('CallGraphViewer', 'Loading DOT file', { fileName: file.name, size: file.size });
 
         try {
@@ -59,83 +97,397 @@ export class CallGraphViewer {
         }
     }
 
-    async handleGenerateFromFolder() {
+    async handleProfileUpload(file) {
+        Logger.info('CallGraphViewer', 'Loading pprof profile', { fileName: file.name, size: file.size });
+
         try {
-            if (!('showDirectoryPicker' in window)) {
-                ErrorHandler.showNotification(
-                    'Your browser does not support folder selection. Please use Chrome, Edge, or another Chromium-based browser.',
-                    'warning'
-                );
+            const buffer = await this.pprofParser.readFile(file);
+            const graphData = await this.pprofParser.parseProfile(buffer);
+
+            if (graphData.nodes.length === 0) {
+                ErrorHandler.showNotification('The profile contains no samples.', 'warning');
                 return;
             }
 
-            this.uiManager.hideHelpOverlay();
+            this.uiManager.hideDiagnosticsPanel();
+            this.profileInfo = { sampleType: graphData.sampleType, total: graphData.total };
+            this.loadGraphData(graphData);
+        } catch (error) {
+            ErrorHandler.handle(
+                error,
+                'CallGraphViewer.handleProfileUpload',
+                'Failed to read profile. Please check that the file is a pprof profile (.pb.gz).',
+                { fileName: file.name, errorMessage: error.message }
+            );
+        }
+    }
 
-            const dirHandle = await window.showDirectoryPicker({ mode: 'read' });
-            document.getElementById('generate-status').textContent = 'Scanning folder...';
-            document.getElementById('generate-status').textContent = `Analyzing: ${dirHandle.name}`;
+    async handleGenerateFromFolder() {
+        // Firefox and Safari have no showDirectoryPicker: fall back to a folder upload
+        if (!('showDirectoryPicker' in window)) {
+            document.getElementById('folder-input').click();
+            return;
+        }
 
-            Logger.info('CallGraphViewer', 'Generating callgraph from folder', { folderName: dirHandle.name });
+        let dirHandle;
+        try {
+            dirHandle = await window.showDirectoryPicker({ mode: 'read' });
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                ErrorHandler.handle(error, 'CallGraphViewer.handleGenerateFromFolder', 'Unable to open the folder. Please try again.');
+            }
+            return;
+        }
+        await this.generateFromSource({ dirHandle });
+    }
+
+    async handleFolderUpload(event) {
+        const source = this.folderReader.fromFileList(event.target.files);
+        event.target.value = ''; // Allow picking the same folder again
+        if (source) {
+            await this.generateFromSource(source);
+        }
+    }
+
+    async handleZipUpload(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) {
+            await this.generateFromSource({ zip: file });
+        }
+    }
+
+    /**
+     * A folder or .zip archive dropped on the page
+     * @param {DataTransfer} dataTransfer
+     */
+    async handleFolderDrop(dataTransfer) {
+        if (this.goAnalyzer.isRunning) {
+            ErrorHandler.showNotification('An analysis is already running. Cancel it before dropping another folder.', 'info');
+            return;
+        }
 
-            const parser = new GoParser();
-            const callGraph = await parser.parseDirectory(dirHandle);
+        let source;
+        try {
+            source = await this.folderReader.fromDataTransfer(dataTransfer);
+        } catch (error) {
+            ErrorHandler.handle(error, 'CallGraphViewer.handleFolderDrop', 'Unable to read the dropped folder. Please try again.');
+            return;
+        }
+
+        if (!source) {
+            ErrorHandler.showNotification('Drop a single Go or JavaScript/TypeScript folder or a .zip archive of one to generate its callgraph.', 'info');
+            return;
+        }
+        await this.generateFromSource(source);
+    }
+
+    /**
+     * Analyze a Go or JavaScript/TypeScript folder and show its callgraph
+     * @param {Object} source - See GoAnalyzer.analyze
+     */
+    async generateFromSource(source) {
+        const folderName = this.getSourceName(source);
+        try {
+            this.uiManager.hideHelpOverlay();
 
-            if (callGraph.functions.length === 0) {
-                ErrorHandler.showNotification('No Go functions found in the selected folder.', 'warning');
+            Logger.info('CallGraphViewer', 'Generating callgraph from folder', { folderName });
+
+            // Scanning and parsing run in a worker; the page stays responsive meanwhile
+            let result;
+            this.uiManager.updateGenerateProgress({ phase: 'scanning', filesScanned: 0 });
+            try {
+                result = await this.goAnalyzer.analyze(source, this.scanSettings.load(folderName),
+                    progress => this.uiManager.updateGenerateProgress(progress));
+            } catch (error) {
+                if (error.name !== 'AbortError') throw error;
+                document.getElementById('generate-status').textContent = 'Analysis cancelled';
+                return;
+            } finally {
+                this.uiManager.hideGenerateProgress();
+                this.updateRefreshButtons();
+            }
+
+            if (result.functionCount === 0) {
+                ErrorHandler.showNotification(`No ${Constants.GO_ANALYSIS.LANGUAGE_NAMES[result.language]} functions found in the selected folder.`, 'warning');
                 document.getElementById('generate-status').textContent = 'No functions found';
                 return;
             }
 
-            document.getElementById('generate-status').textContent = `Generating DOT for ${dirHandle.name}...`;
-            const dotContent = parser.generateDOT(callGraph);
-            document.getElementById('generate-status').textContent = `Generated: ${callGraph.functions.length} functions, ${callGraph.edges.length} calls`;
+            const unresolvedCount = result.unresolved.length;
+            document.getElementById('generate-status').textContent =
+                `Generated: ${result.functionCount} functions, ${result.edgeCount} calls` +
+                (unresolvedCount > 0 ? `, ${unresolvedCount} unresolved` : '');
 
             Logger.info('CallGraphViewer', 'Callgraph generated successfully', { 
-                functionCount: callGraph.functions.length, 
-                edgeCount: callGraph.edges.length 
+                functionCount: result.functionCount, 
+                edgeCount: result.edgeCount,
+                externalCalls: result.externalCalls,
+                unresolvedCount
             });
 
-            this.parseDotFile(dotContent);
+            this.parseDotFile(result.dot);
+
+            if (unresolvedCount > 0 && this.network) {
+                this.showUnresolvedCalls(result.unresolved);
+            }
         } catch (error) {
-            if (error.name !== 'AbortError') {
-                ErrorHandler.handle(
-                    error,
-                    'CallGraphViewer.handleGenerateFromFolder',
-                    'Failed to generate callgraph from folder. Please check folder permissions and try again.',
-                    { errorName: error.name }
-                );
-                document.getElementById('generate-status').textContent = 'Error generating DOT';
+            ErrorHandler.handle(
+                error,
+                'CallGraphViewer.generateFromSource',
+                source.zip
+                    ? `Failed to generate callgraph from ${source.zip.name}: ${error.message}`
+                    : 'Failed to generate callgraph from folder. Please check folder permissions and try again.',
+                { errorName: error.name, folderName }
+            );
+            document.getElementById('generate-status').textContent = 'Error generating DOT';
+        }
+    }
+
+    /**
+     * Folder name scan settings are saved under; a zip counts as the folder it holds
+     */
+    getSourceName(source) {
+        if (source.dirHandle) return source.dirHandle.name;
+        if (source.zip) return source.zip.name.replace(/\.zip$/i, '');
+        return source.name;
+    }
+
+    /**
+     * Save scan settings for the analyzed folder (or as the defaults while there
+     * is none) and re-analyze the folder with them
+     */
+    async applyScanSettings(settings) {
+        const source = this.goAnalyzer.source;
+        this.scanSettings.save(source ? this.getSourceName(source) : null, settings);
+        if (!source) {
+            ErrorHandler.showNotification('Scan settings saved for folders without their own.', 'success');
+        } else if (this.goAnalyzer.isRunning) {
+            ErrorHandler.showNotification('Scan settings saved. They apply from the next analysis.', 'info');
+        } else {
+            await this.refreshFromFolder({ settings });
+        }
+    }
+
+    /**
+     * Re-analyze the folder picked last, parsing only the files that changed,
+     * and patch the graph in place (see applyGraphUpdate)
+     * @param {Object} [options]
+     * @param {boolean} [options.quiet] - Auto refresh: no progress bar, and no
+     *   status change unless something changed
+     * @param {Object} [options.settings] - New scan settings: parse every file again
+     *   with them (uploaded and zipped folders too, which can't be refreshed otherwise)
+     */
+    async refreshFromFolder({ quiet = false, settings = null } = {}) {
+        const analyzer = this.goAnalyzer;
+        if (analyzer.isRunning || !(settings ? analyzer.source : analyzer.canRefresh)) return;
+
+        const status = document.getElementById('generate-status');
+        const onProgress = progress => {
+            if (!quiet) this.uiManager.updateGenerateProgress(progress);
+        };
+
+        let result;
+        onProgress({ phase: 'scanning', filesScanned: 0 });
+        try {
+            result = settings
+                ? await analyzer.reanalyze(settings, onProgress)
+                : await analyzer.refresh(onProgress);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                if (!quiet) status.textContent = 'Refresh cancelled';
+                return;
+            }
+            // Don't repeat the same failure every few seconds
+            analyzer.setAutoRefresh(false);
+            this.updateRefreshButtons();
+            ErrorHandler.handle(
+                error,
+                'CallGraphViewer.refreshFromFolder',
+                'Failed to refresh the callgraph from the folder. Please check folder permissions and try again.',
+                { errorName: error.name }
+            );
+            return;
+        } finally {
+            if (!quiet) this.uiManager.hideGenerateProgress();
+        }
+
+        if (result.dot === null) {
+            if (!quiet) status.textContent = 'No changes since the last analysis';
+            return;
+        }
+        if (result.functionCount === 0) {
+            ErrorHandler.showNotification(`No ${Constants.GO_ANALYSIS.LANGUAGE_NAMES[result.language]} functions found in the folder with the current scan settings.`, 'warning');
+            status.textContent = 'No functions found';
+            return;
+        }
+
+        const parsedData = this.dotParser.parseDotFile(result.dot);
+        const counts = `${result.functionCount} functions, ${result.edgeCount} calls` +
+            (result.unresolved.length > 0 ? `, ${result.unresolved.length} unresolved` : '');
+        if (settings) {
+            status.textContent = `Re-analyzed with new scan settings: ${counts}`;
+        } else {
+            const changes = result.changedFiles
+                ? `${result.changedFiles.length + result.removedFiles.length} changed files`
+                : 'full analysis';
+            status.textContent = `Refreshed (${changes}): ${counts}`;
+        }
+
+        if (!this.network || !this.originalData) {
+            this.loadGraphData(parsedData);
+        } else {
+            const { added, removed } = this.applyGraphUpdate(parsedData);
+            Logger.info('CallGraphViewer', 'Graph refreshed from folder', {
+                changedFiles: result.changedFiles,
+                removedFiles: result.removedFiles,
+                addedNodes: added,
+                removedNodes: removed
+            });
+        }
+
+        // Keep an open Unresolved Calls panel in step with the graph
+        if (document.getElementById('diagnostics-panel').classList.contains('active')) {
+            if (result.unresolved.length > 0) {
+                this.showUnresolvedCalls(result.unresolved);
+            } else {
+                this.uiManager.hideDiagnosticsPanel();
             }
         }
     }
 
+    // Calls that could not be tied to a scanned function are left out of
+    // the graph; list them instead of guessing a target
+    showUnresolvedCalls(unresolved) {
+        const shown = unresolved.slice(0, Constants.DOT.MAX_DIAGNOSTICS);
+        this.uiManager.showDiagnosticsPanel(shown, {
+            title: 'Unresolved Calls',
+            summary: `${unresolved.length} call${unresolved.length === 1 ? '' : 's'} could not be resolved and ` +
+                `${unresolved.length === 1 ? 'was' : 'were'} left out of the graph` +
+                (shown.length < unresolved.length ? ` (first ${shown.length} shown).` : '.')
+        });
+    }
+
+    toggleAutoRefresh() {
+        if (!this.goAnalyzer.canRefresh) return;
+
+        this.goAnalyzer.setAutoRefresh(!this.goAnalyzer.isAutoRefreshing);
+        this.updateRefreshButtons();
+    }
+
+    // Refresh and auto refresh only appear while the graph comes from a folder
+    updateRefreshButtons() {
+        const display = this.goAnalyzer.canRefresh ? '' : 'none';
+        document.getElementById('refresh-folder-button').style.display = display;
+
+        const button = document.getElementById('auto-refresh-button');
+        button.style.display = display;
+        if (this.goAnalyzer.isAutoRefreshing) {
+            button.classList.add('btn-primary');
+            button.classList.remove('btn-secondary');
+            button.title = 'Turn Off Auto Refresh';
+        } else {
+            button.classList.remove('btn-primary');
+            button.classList.add('btn-secondary');
+            button.title = 'Turn On Auto Refresh (checks the folder for changes every few seconds)';
+        }
+    }
+
     parseDotFile(dotContent) {
         Logger.debug('CallGraphViewer', 'Parsing DOT file', { contentLength: dotContent.length });
 
+        let parsedData;
+        try {
+            parsedData = this.dotParser.parseDotFile(dotContent);
+        } catch (error) {
+            Logger.error('CallGraphViewer', 'Error in parseDotFile', error, { contentLength: dotContent.length });
+            ErrorHandler.handle(
+                error,
+                'CallGraphViewer.parseDotFile',
+                'Failed to parse DOT file. Please check that the file is in valid DOT format.',
+                { contentLength: dotContent.length, errorMessage: error.message }
+            );
+            return;
+        }
+
+        this.profileInfo = null;
+
+        const { diagnostics } = parsedData;
+        const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+
+        this.uiManager.hideDiagnosticsPanel();
+
+        if (errorCount > 0) {
+            // Let the user decide whether to load the statements that did parse
+            Logger.warn('CallGraphViewer', 'DOT file has syntax errors', { 
+                errorCount, 
+                parsedNodes: parsedData.nodes.length 
+            });
+            ErrorHandler.showNotification(
+                `Found ${errorCount} problem${errorCount === 1 ? '' : 's'} in the DOT file. See the problems panel for details.`,
+                'warning'
+            );
+            this.uiManager.showDiagnosticsPanel(diagnostics, {
+                canLoadPartial: parsedData.nodes.length > 0,
+                onLoadPartial: () => this.loadGraphData(parsedData)
+            });
+            return;
+        }
+
+        if (diagnostics.length > 0) {
+            this.uiManager.showDiagnosticsPanel(diagnostics, { canLoadPartial: false });
+        }
+
+        this.loadGraphData(parsedData);
+    }
+
+    /**
+     * Keep a graph as loaded and return what is drawn from it: external packages
+     * grouped (see ExternalPackages) and closures folded unless they are shown
+     */
+    prepareGraphData(parsedData) {
+        this.loadedData = parsedData;
+        const grouped = this.externalPackages.group(parsedData);
+        return this.showClosures ? grouped : this.closures.fold(grouped);
+    }
+
+    // Build DataSets from parsed {nodes, edges} and render them
+    loadGraphData(parsedData) {
         try {
+            parsedData = this.prepareGraphData(parsedData);
+
             // OPTIMIZED FLOW:
-            // 1. Parse DOT to raw data
+            // 1. Parse DOT to raw data (DotParser handles the full DOT grammar)
             // 2. Calculate statistics on raw data
             // 3. Filter nodes BEFORE creating UI DataSets (performance!)
             // 4. Create UI DataSets with filtered data only
             // 5. Apply styling to filtered nodes
             // 6. Render graph (which applies package clustering to filtered nodes)
             
-            const parsedData = vis.parseDOTNetwork(dotContent);
-            
             // Store original data for reference
             this.originalData = {
                 nodes: new vis.DataSet(parsedData.nodes),
-                edges: new vis.DataSet(parsedData.edges)
+                edges: new vis.DataSet(this.assignEdgeIds(parsedData.edges))
             };
 
-            Logger.info('CallGraphViewer', 'DOT file parsed successfully', { 
+            // Adjacency index shared by every graph operation below
+            this.graphIndex.build();
+
+            this.maxEdgeWeight = 1;
+            this.originalData.edges.forEach((edge) => {
+                this.maxEdgeWeight = Math.max(this.maxEdgeWeight, this.getEdgeWeight(edge));
+            });
+
+            // Recursive function groups and package cycles, over the full graph
+            this.cycleAnalyzer.analyze();
+
+            Logger.info('CallGraphViewer', 'Graph data loaded', { 
                 nodeCount: parsedData.nodes.length, 
                 edgeCount: parsedData.edges.length 
             });
 
             // Calculate chain statistics on raw data (before any filtering)
-            this.calculateChainStatistics();
+            this.chainAnalyzer.analyze();
             
             // Get nodes with chain statistics from originalData
             // (parsedData.nodes doesn't have the statistics)
@@ -143,13 +495,18 @@ export class CallGraphViewer {
             const edgesData = this.originalData.edges.get();
             
             // Determine which nodes/edges to show BEFORE creating UI DataSets
-            let nodesToShow = nodesWithStats;
-            let edgesToShow = edgesData;
+            let nodesToShow = nodesWithStats.filter(node => this.isNodeShown(node));
+            let edgesToShow = edgesData.filter(edge => this.isEdgeShown(edge));
+            this.updateDispatchEdgesButton();
+            this.updateTestNodesButton();
+            this.updateClosuresButton();
+            this.updateEntryPointsButton();
+            this.updateEdgeKindsButton();
             
-            // Filter large graphs first (most impactful)
+            // Filter large graphs first (most impactful); only what the toggles leave shown
             if (nodesWithStats.length >= Constants.LARGE_GRAPH.NODE_THRESHOLD) {
                 Logger.info('CallGraphViewer', 'Applying large graph filter', { nodeCount: nodesWithStats.length });
-                const filtered = this.getFilteredGraphData(nodesWithStats, edgesData);
+                const filtered = this.getFilteredGraphData(nodesToShow, edgesToShow);
                 nodesToShow = filtered.nodes;
                 edgesToShow = filtered.edges;
                 this.isLargeGraphFiltered = true;
@@ -161,12 +518,12 @@ export class CallGraphViewer {
             
             // Filter isolated nodes if needed
             if (!this.showIsolatedNodes) {
-                const allEdges = edgesToShow;
-                nodesToShow = nodesToShow.filter(node => {
-                    const hasIncoming = allEdges.some(e => e.to === node.id);
-                    const hasOutgoing = allEdges.some(e => e.from === node.id);
-                    return hasIncoming || hasOutgoing;
+                const connectedIds = new Set();
+                edgesToShow.forEach(edge => {
+                    connectedIds.add(edge.from);
+                    connectedIds.add(edge.to);
                 });
+                nodesToShow = nodesToShow.filter(node => connectedIds.has(node.id));
             }
             
             // NOW create the UI DataSets with only the filtered nodes
@@ -179,123 +536,133 @@ export class CallGraphViewer {
             this.renderGraph();
             this.updateStats();
         } catch (error) {
-            Logger.error('CallGraphViewer', 'Error in parseDotFile', { 
-                error: error.message,
-                stack: error.stack,
-                contentLength: dotContent.length 
+            Logger.error('CallGraphViewer', 'Error in loadGraphData', error, { 
+                nodeCount: parsedData.nodes.length 
             });
             ErrorHandler.handle(
                 error,
-                'CallGraphViewer.parseDotFile',
-                'Failed to parse DOT file. Please check that the file is in valid DOT format.',
-                { contentLength: dotContent.length, errorMessage: error.message }
+                'CallGraphViewer.loadGraphData',
+                'Failed to display the graph. Please check that the file is in valid DOT format.',
+                { nodeCount: parsedData.nodes.length, errorMessage: error.message }
             );
         }
     }
 
-    filterIsolatedNodes() {
-        const allEdges = this.edges.get();
-        const isolatedNodeIds = [];
-        
-        this.nodes.forEach(node => {
-            const hasIncoming = allEdges.some(e => e.to === node.id);
-            const hasOutgoing = allEdges.some(e => e.from === node.id);
-            
-            if (!hasIncoming && !hasOutgoing) {
-                isolatedNodeIds.push(node.id);
-            }
+    /**
+     * Swap in a newer version of the loaded graph (a refreshed Go folder) without
+     * starting over: nodes and edges that still exist keep their position, collapse
+     * state and hidden state; new nodes are placed next to a caller or callee
+     * @returns {{added: number, removed: number}} Number of nodes added and removed
+     */
+    applyGraphUpdate(parsedData) {
+        parsedData = this.prepareGraphData(parsedData);
+        const nodeOps = this.nodeOps;
+        const originalPositions = this.layoutManager.originalPositions;
+        const previousNodeIds = new Set(this.originalData.nodes.getIds());
+        const previousEdgeIds = new Set(this.originalData.edges.getIds());
+        const edges = this.assignEdgeIds(parsedData.edges);
+        const nodeIds = new Set(parsedData.nodes.map(node => node.id));
+        const edgeIds = new Set(edges.map(edge => edge.id));
+        const positions = this.network.getPositions();
+
+        // Replaced rather than merged, so attributes an edge lost (dispatch, via) don't linger
+        this.originalData.edges.clear();
+        this.originalData.nodes.clear();
+        this.originalData.nodes.add(parsedData.nodes);
+        this.originalData.edges.add(edges);
+
+        // Forget state that refers to nodes and edges that are gone
+        [this.hiddenNodes, nodeOps.collapsedNodes, originalPositions].forEach(state => {
+            Array.from(state.keys()).forEach(nodeId => {
+                if (!nodeIds.has(nodeId)) state.delete(nodeId);
+            });
+        });
+        Array.from(this.hiddenEdges).forEach(edgeId => {
+            if (!edgeIds.has(edgeId)) this.hiddenEdges.delete(edgeId);
         });
-        
-        this.nodes.remove(isolatedNodeIds);
-    }
 
-    calculateChainStatistics() {
-        if (!this.originalData) return;
-        
-        const allEdges = this.originalData.edges.get();
-        const allNodes = this.originalData.nodes.get();
-        
-        // Build adjacency lists
-        const incomingEdges = new Map(); // nodeId -> [sourceNodes]
-        const outgoingEdges = new Map(); // nodeId -> [targetNodes]
-        
-        allNodes.forEach(node => {
-            incomingEdges.set(node.id, []);
-            outgoingEdges.set(node.id, []);
+        // GraphIndex followed the DataSet changes; the other analyses start over
+        this.maxEdgeWeight = 1;
+        this.originalData.edges.forEach((edge) => {
+            this.maxEdgeWeight = Math.max(this.maxEdgeWeight, this.getEdgeWeight(edge));
         });
-        
-        allEdges.forEach(edge => {
-            if (outgoingEdges.has(edge.from)) {
-                outgoingEdges.get(edge.from).push(edge.to);
-            }
-            if (incomingEdges.has(edge.to)) {
-                incomingEdges.get(edge.to).push(edge.from);
+        this.cycleAnalyzer.analyze();
+        this.chainAnalyzer.analyze();
+
+        // New calls to or from a collapsed function stay collapsed
+        edges.forEach(edge => {
+            if (!previousEdgeIds.has(edge.id) && nodeOps.isEdgeHiddenByCollapse(edge)) {
+                this.hiddenEdges.add(edge.id);
             }
         });
-        
-        // Calculate longest chains for each node
-        allNodes.forEach(node => {
-            const longestIncoming = this.findLongestChain(node.id, incomingEdges, new Set());
-            const longestOutgoing = this.findLongestChain(node.id, outgoingEdges, new Set());
-            
-            // Store in original data (always update originalData)
-            this.originalData.nodes.update({
-                id: node.id,
-                longestIncomingChain: longestIncoming,
-                longestOutgoingChain: longestOutgoing
-            });
-            
-            // Update visible nodes if they exist (this.nodes may not be created yet during initial parse)
-            if (this.nodes && this.nodes.get(node.id)) {
-                this.nodes.update({
-                    id: node.id,
-                    longestIncomingChain: longestIncoming,
-                    longestOutgoingChain: longestOutgoing
-                });
+
+        const addedNodes = parsedData.nodes.filter(node => !previousNodeIds.has(node.id));
+        const center = this.network.getViewPosition();
+        addedNodes.forEach((node, index) => {
+            if (nodeOps.isNodeCollapsedByOthers(node.id) && !nodeOps.isNodeReferenced(node.id)) {
+                this.hiddenNodes.add(node.id);
+                return;
             }
+            const neighbor = this.graphIndex.getConnectedEdges(node.id)
+                .map(edge => (edge.from === node.id ? edge.to : edge.from))
+                .find(nodeId => positions[nodeId]);
+            const anchor = neighbor ? positions[neighbor] : center;
+            originalPositions.set(node.id, {
+                x: anchor.x + Constants.LAYOUT.LEVEL_SPACING,
+                y: anchor.y + (index % 4) * Constants.LAYOUT.NODE_HEIGHT
+            });
         });
-        
-        Logger.info('CallGraphViewer', 'Chain statistics calculated');
+
+        this.updateDispatchEdgesButton();
+        this.updateTestNodesButton();
+        this.updateClosuresButton();
+        this.updateEntryPointsButton();
+        this.updateEdgeKindsButton();
+        this.updateGraphVisibility();
+        this.updateStats();
+
+        return {
+            added: addedNodes.length,
+            removed: Array.from(previousNodeIds).filter(nodeId => !nodeIds.has(nodeId)).length
+        };
     }
 
-    findLongestChain(nodeId, edgeMap, visited) {
-        if (visited.has(nodeId)) {
-            return 0; // Cycle detection
-        }
-        
-        const neighbors = edgeMap.get(nodeId) || [];
-        
-        if (neighbors.length === 0) {
-            return 0;
-        }
-        
-        visited.add(nodeId);
-        
-        let maxChain = 0;
-        for (const neighbor of neighbors) {
-            const chainLength = 1 + this.findLongestChain(neighbor, edgeMap, visited);
-            maxChain = Math.max(maxChain, chainLength);
-        }
+    // Deterministic edge IDs ("from->to", "#n" for parallel edges) so hiddenEdges
+    // and saved sessions refer to the same edges after a reload
+    assignEdgeIds(edges) {
+        const seen = new Map();
+        return edges.map(edge => {
+            if (edge.id !== undefined) return edge;
+            const key = `${edge.from}->${edge.to}`;
+            const count = seen.get(key) || 0;
+            seen.set(key, count + 1);
+            return { ...edge, id: count === 0 ? key : `${key}#${count}` };
+        });
+    }
+
+    filterIsolatedNodes() {
+        const isolatedNodeIds = [];
         
-        visited.delete(nodeId);
+        this.nodes.forEach(node => {
+            if (this.graphIndex.isIsolated(node.id)) {
+                isolatedNodeIds.push(node.id);
+            }
+        });
         
-        return maxChain;
+        this.nodes.remove(isolatedNodeIds);
     }
 
     // Returns filtered nodes and edges as plain arrays (for initial load)
-    // Can work with raw arrays or DataSets
+    // Can work with raw arrays or DataSets; adjacency comes from graphIndex (originalData)
     getFilteredGraphData(nodesInput, edgesInput) {
-        // If no parameters provided, use originalData (for reset operations)
-        const allEdges = edgesInput || this.originalData.edges.get();
-        const allNodes = nodesInput || this.originalData.nodes.get();
+        // If no parameters provided, use what the toggles show of originalData (for reset operations)
+        const allEdges = edgesInput || this.originalData.edges.get({ filter: edge => this.isEdgeShown(edge) });
+        const allNodes = nodesInput || this.originalData.nodes.get({ filter: node => this.isNodeShown(node) });
 
         // Find all root nodes (nodes with no incoming calls but have outgoing calls)
         const rootNodes = [];
         allNodes.forEach(node => {
-            const hasIncoming = allEdges.some(e => e.to === node.id);
-            const hasOutgoing = allEdges.some(e => e.from === node.id);
-            
-            if (!hasIncoming && hasOutgoing) {
+            if (!this.graphIndex.hasIncoming(node.id) && this.graphIndex.hasOutgoing(node.id)) {
                 rootNodes.push(node.id);
             }
         });
@@ -304,8 +671,9 @@ export class CallGraphViewer {
             totalRoots: rootNodes.length 
         });
 
-        // Take first 10 root nodes
-        const selectedRoots = rootNodes.slice(0, Constants.LARGE_GRAPH.TOP_NODES_COUNT);
+        // Take the roots with the deepest call chains
+        const selectedRoots = this.chainAnalyzer.sortByChain(rootNodes, 'outgoing')
+            .slice(0, Constants.LARGE_GRAPH.TOP_NODES_COUNT);
 
         // Find all nodes reachable from these root nodes (BFS)
         const visibleNodeIds = new Set();
@@ -317,10 +685,10 @@ export class CallGraphViewer {
                 const currentId = queue.shift();
                 
                 // Add all outgoing nodes
-                allEdges.forEach(edge => {
-                    if (edge.from === currentId && !visibleNodeIds.has(edge.to)) {
-                        visibleNodeIds.add(edge.to);
-                        queue.push(edge.to);
+                this.graphIndex.getSuccessors(currentId).forEach(calleeId => {
+                    if (!visibleNodeIds.has(calleeId)) {
+                        visibleNodeIds.add(calleeId);
+                        queue.push(calleeId);
                     }
                 });
             }
@@ -343,9 +711,8 @@ export class CallGraphViewer {
         });
 
         allEdges.forEach(edge => {
-            const edgeId = `${edge.from}-${edge.to}`;
             if (!visibleNodeIds.has(edge.from) || !visibleNodeIds.has(edge.to)) {
-                this.hiddenEdges.add(edgeId);
+                this.hiddenEdges.add(edge.id);
             }
         });
 
@@ -376,14 +743,7 @@ export class CallGraphViewer {
         }
 
         // Remove hidden edges
-        // Match edges by from-to, but remove by their DataSet ID
-        const allVisEdges = this.edges.get();
-        const edgesToRemove = allVisEdges
-            .filter(edge => {
-                const edgeId = `${edge.from}-${edge.to}`;
-                return this.hiddenEdges.has(edgeId);
-            })
-            .map(edge => edge.id);
+        const edgesToRemove = this.edges.getIds().filter(edgeId => this.hiddenEdges.has(edgeId));
         
         if (edgesToRemove.length > 0) {
             this.edges.remove(edgesToRemove);
@@ -440,16 +800,12 @@ export class CallGraphViewer {
         while (queue.length > 0) {
             const currentId = queue.shift();
             
-            allEdges.forEach(edge => {
-                // Add outgoing connections
-                if (edge.from === currentId && !nodesToReveal.has(edge.to)) {
-                    nodesToReveal.add(edge.to);
-                    queue.push(edge.to);
-                }
-                // Add incoming connections
-                if (edge.to === currentId && !nodesToReveal.has(edge.from)) {
-                    nodesToReveal.add(edge.from);
-                    queue.push(edge.from);
+            // Outgoing and incoming connections
+            this.graphIndex.getConnectedEdges(currentId).forEach(edge => {
+                const otherId = edge.from === currentId ? edge.to : edge.from;
+                if (!nodesToReveal.has(otherId)) {
+                    nodesToReveal.add(otherId);
+                    queue.push(otherId);
                 }
             });
         }
@@ -461,9 +817,8 @@ export class CallGraphViewer {
 
         // Update hidden edges
         allEdges.forEach(edge => {
-            const edgeId = `${edge.from}-${edge.to}`;
             if (!this.hiddenNodes.has(edge.from) && !this.hiddenNodes.has(edge.to)) {
-                this.hiddenEdges.delete(edgeId);
+                this.hiddenEdges.delete(edge.id);
             }
         });
 
@@ -476,6 +831,29 @@ export class CallGraphViewer {
         });
     }
 
+    /**
+     * Show one node even if it is hidden or in the hidden test layer, then select and center it
+     */
+    revealNode(nodeId) {
+        const node = this.originalData?.nodes.get(nodeId);
+        if (!node || !this.network) return;
+
+        if (!this.isNodeShown(node)) {
+            this.showTestNodes = true;
+            this.updateTestNodesButton();
+        }
+        this.hiddenNodes.delete(nodeId);
+        if (!this.nodes.get(nodeId)) {
+            this.updateGraphVisibility();
+            this.updateStats();
+        }
+
+        this.network.selectNodes([nodeId]);
+        this.network.focus(nodeId, {
+            animation: { duration: 500, easingFunction: 'easeInOutQuad' }
+        });
+    }
+
     // Extract the package name (deepest folder) from a file path
     getFolderFromPath(filePath) {
         if (!filePath) return null;
@@ -490,6 +868,96 @@ export class CallGraphViewer {
         return parts[parts.length - 2];
     }
 
+    // Package used for clustering and colors: the file's folder, else the DOT cluster
+    getNodePackage(node) {
+        const filePath = node.file || node.path || node.filepath || node.location;
+        return this.getFolderFromPath(filePath) || node.cluster || null;
+    }
+
+    // Edge weight: call-site count for Go sources, summed sample value for profiles
+    getEdgeWeight(edge) {
+        return edge.weight ?? edge.count ?? 1;
+    }
+
+    /**
+     * Call sites of two edges from the same caller, merged in file and line order.
+     * Edges from a Go package's <init> name the file of each site in files
+     * (lines alone are in the caller's file); callerFile fills in for an edge without.
+     * @returns {{lines: number[], files?: string[]}}
+     */
+    mergeCallSites(edge, other, callerFile = '') {
+        if (!edge.files && !other.files) {
+            return { lines: [...(edge.lines || []), ...(other.lines || [])].sort((a, b) => a - b) };
+        }
+        const sites = [edge, other]
+            .flatMap(({ lines = [], files }) => lines.map((line, index) => [files?.[index] || callerFile, line]))
+            .sort(([fileA, lineA], [fileB, lineB]) => fileA.localeCompare(fileB) || lineA - lineB);
+        return { lines: sites.map(([, line]) => line), files: sites.map(([file]) => file) };
+    }
+
+    // Edge kind from the DOT `kind` attribute; anything unknown is drawn as a call
+    getEdgeKind(edge) {
+        return Constants.EDGE_KINDS[edge.kind] ? edge.kind : 'call';
+    }
+
+    // Weight-scaled edge style, with a hover title when the edge carries a weight
+    getEdgeStyling(edge) {
+        const styling = GraphConfig.getEdgeStyle(this.getEdgeWeight(edge), this.maxEdgeWeight);
+        const kind = this.getEdgeKind(edge);
+        if (edge.dispatch) {
+            Object.assign(styling, GraphConfig.getDispatchEdgeStyle(styling.color.opacity));
+        }
+        // The kind's color wins over the dispatch color; dispatch keeps its dashes
+        const kindStyle = GraphConfig.getEdgeKindStyle(kind, styling.color.opacity);
+        if (kindStyle) {
+            Object.assign(styling, kindStyle);
+        }
+        const kindText = kind !== 'call' ? Constants.EDGE_KINDS[kind].label : null;
+        const weightText = this.formatEdgeWeight(edge);
+        const dispatchText = edge.dispatch ? `via ${edge.via || 'an interface'}` : null;
+        const details = [weightText, dispatchText].filter(Boolean).join(' ');
+        if (kindText || details) {
+            styling.title = kindText && details ? `${kindText}: ${details}` : kindText || details;
+        }
+        return styling;
+    }
+
+    // Dispatch edges and each edge kind can be hidden as a group, and so can the test layer
+    isEdgeShown(edge) {
+        return (this.showDispatchEdges || !edge.dispatch) && !this.hiddenEdgeKinds.has(this.getEdgeKind(edge)) &&
+            (this.showTestNodes || (!this.isTestNode(edge.from) && !this.isTestNode(edge.to)));
+    }
+
+    isNodeShown(node) {
+        return this.showTestNodes || !node.test;
+    }
+
+    isTestNode(nodeId) {
+        return !!this.originalData?.nodes.get(nodeId)?.test;
+    }
+
+    // Go test functions (node.test) and external packages (node.external) get their own
+    // background; a collapsed caller side keeps its gray
+    getNodeColors(node, collapseState) {
+        const colors = GraphConfig.getNodeColors(collapseState);
+        if (node?.test && !collapseState?.incoming) {
+            Object.assign(colors, GraphConfig.getTestNodeColors());
+        } else if (node?.external && !collapseState?.incoming) {
+            Object.assign(colors, GraphConfig.getExternalNodeColors());
+        }
+        return colors;
+    }
+
+    formatEdgeWeight(edge) {
+        if (edge.weight === undefined && edge.count === undefined) return null;
+
+        const weight = this.getEdgeWeight(edge);
+        if (this.profileInfo) {
+            return this.pprofParser.formatValue(weight, this.profileInfo.sampleType.unit);
+        }
+        return `${weight} call${weight === 1 ? '' : 's'}`;
+    }
+
     // Generate a consistent color from a package name
     getFolderColor(folderName) {
         if (!folderName) return '#4a90e2'; // Default blue
@@ -511,16 +979,14 @@ export class CallGraphViewer {
 
     applyDefaultStyling() {
         const nodeDefaults = GraphConfig.getNodeDefaults();
-        const edgeDefaults = GraphConfig.getEdgeDefaults();
         
         const packageColorMap = new Map();
         
         this.nodes.forEach((node) => {
-            const styling = { ...nodeDefaults };
+            const styling = { ...nodeDefaults, ...this.cycleAnalyzer.getCycleStyling(node) };
             
             // Apply package-based border color
-            const filePath = node.file || node.path || node.filepath || node.location;
-            const packageName = this.getFolderFromPath(filePath);
+            const packageName = this.getNodePackage(node);
             
             if (packageName) {
                 const color = this.getFolderColor(packageName);
@@ -534,12 +1000,22 @@ export class CallGraphViewer {
                     packageColorMap.set(packageName, color);
                 }
             }
+
+            if (node.test || node.external) {
+                const colors = this.getNodeColors(node);
+                styling.color = {
+                    ...styling.color,
+                    background: colors.background,
+                    highlight: { ...styling.color.highlight, background: colors.highlightBg }
+                };
+                styling.font = { ...styling.font, color: colors.fontColor };
+            }
             
             this.nodes.update({ id: node.id, ...styling });
         });
 
         this.edges.forEach((edge) => {
-            this.edges.update({ id: edge.id, ...edgeDefaults });
+            this.edges.update({ id: edge.id, ...this.getEdgeStyling(edge) });
         });
         
         if (packageColorMap.size > 0) {
@@ -704,8 +1180,7 @@ export class CallGraphViewer {
         
         // Group nodes by package
         allNodes.forEach(node => {
-            const filePath = node.file || node.path || node.filepath || node.location;
-            const packageName = this.getFolderFromPath(filePath) || 'unknown';
+            const packageName = this.getNodePackage(node) || 'unknown';
             
             if (!packageNodes.has(packageName)) {
                 packageNodes.set(packageName, []);
@@ -715,13 +1190,11 @@ export class CallGraphViewer {
         });
         
         // Build package dependencies: A calls B means A depends on B, B should be RIGHT of A
+        const visibleNodeIds = new Set(allNodes.map(node => node.id));
         allEdges.forEach(edge => {
-            const fromNode = allNodes.find(n => n.id === edge.from);
-            const toNode = allNodes.find(n => n.id === edge.to);
-            
-            if (fromNode && toNode) {
-                const fromPackage = this.getFolderFromPath(fromNode.file || fromNode.path || fromNode.filepath || fromNode.location) || 'unknown';
-                const toPackage = this.getFolderFromPath(toNode.file || toNode.path || toNode.filepath || toNode.location) || 'unknown';
+            if (visibleNodeIds.has(edge.from) && visibleNodeIds.has(edge.to)) {
+                const fromPackage = this.graphIndex.getPackage(edge.from) || 'unknown';
+                const toPackage = this.graphIndex.getPackage(edge.to) || 'unknown';
                 
                 // If different packages, fromPackage calls toPackage
                 if (fromPackage !== toPackage) {
@@ -730,37 +1203,21 @@ export class CallGraphViewer {
             }
         });
         
-        // Topological sort to determine package order (left to right)
-        const packageOrder = [];
-        const visited = new Set();
-        const visiting = new Set();
-        
-        const visit = (pkg) => {
-            if (visited.has(pkg)) return;
-            if (visiting.has(pkg)) return; // Cycle detected, skip
-            
-            visiting.add(pkg);
-            
-            // Visit dependencies first (packages being called should be visited first, placed right)
-            const deps = packageDeps.get(pkg) || new Set();
-            deps.forEach(depPkg => {
-                if (packageNodes.has(depPkg)) {
-                    visit(depPkg);
-                }
-            });
-            
-            visiting.delete(pkg);
-            visited.add(pkg);
-            packageOrder.push(pkg); // This package goes LEFT of its dependencies
-        };
-        
-        // Visit all packages
-        packageNodes.forEach((nodes, pkg) => {
-            visit(pkg);
-        });
+        // Topological sort over the package SCCs to determine package order (left to right).
+        // Components come out callees first, so reversing puts callers on the left;
+        // packages that form a cycle share a component and are placed side by side.
+        const packageComponents = this.cycleAnalyzer.findStronglyConnectedComponents(
+            packageNodes.keys(),
+            (pkg) => packageDeps.get(pkg)
+        );
+        const packageOrder = packageComponents
+            .reverse()
+            .flatMap(component => component.sort());
         
-        // Reverse to get left-to-right order
-        packageOrder.reverse();
+        const packageCycles = packageComponents.filter(component => component.length > 1);
+        if (packageCycles.length > 0) {
+            Logger.warn('CallGraphViewer', 'Package dependency cycles in layout', { cycles: packageCycles });
+        }
         
         // Log package ordering for debugging
         Logger.info('CallGraphViewer', 'Initial package order (left to right)', { 
@@ -873,7 +1330,9 @@ export class CallGraphViewer {
             if (params.nodes.length > 0) {
                 const nodeId = params.nodes[0];
                 this.uiManager.showNodeDetails(nodeId);
-            } else if (params.edges.length === 0) {
+            } else if (params.edges.length > 0) {
+                this.uiManager.showEdgeDetails(params.edges[0]);
+            } else {
                 this.network.unselectAll();
                 this.uiManager.hideDetailPanel();
             }
@@ -909,7 +1368,7 @@ export class CallGraphViewer {
         this.hiddenEdges.clear();
         
         const allEdges = this.originalData.edges.get();
-        const reachableNodes = this.findReachableNodes(nodeId, allEdges);
+        const reachableNodes = this.findReachableNodes(nodeId);
         
         // Hide unreachable nodes
         const allNodes = this.originalData.nodes.get();
@@ -922,8 +1381,7 @@ export class CallGraphViewer {
         // Also hide isolated nodes if setting dictates
         if (!this.showIsolatedNodes) {
             allNodes.forEach(node => {
-                const isIsolated = !allEdges.some(edge => edge.from === node.id || edge.to === node.id);
-                if (isIsolated && !this.hiddenNodes.has(node.id)) {
+                if (this.graphIndex.isIsolated(node.id) && !this.hiddenNodes.has(node.id)) {
                     this.hiddenNodes.add(node.id);
                 }
             });
@@ -943,7 +1401,7 @@ export class CallGraphViewer {
         this.reorganizeLayout(nodeId);
     }
 
-    findReachableNodes(startNode, allEdges) {
+    findReachableNodes(startNode) {
         const reachable = new Set([startNode]);
         
         // BFS outgoing
@@ -952,11 +1410,11 @@ export class CallGraphViewer {
         
         while (outgoingQueue.length > 0) {
             const current = outgoingQueue.shift();
-            allEdges.forEach(edge => {
-                if (edge.from === current && !visitedOut.has(edge.to)) {
-                    visitedOut.add(edge.to);
-                    reachable.add(edge.to);
-                    outgoingQueue.push(edge.to);
+            this.graphIndex.getSuccessors(current).forEach(calleeId => {
+                if (!visitedOut.has(calleeId)) {
+                    visitedOut.add(calleeId);
+                    reachable.add(calleeId);
+                    outgoingQueue.push(calleeId);
                 }
             });
         }
@@ -967,11 +1425,11 @@ export class CallGraphViewer {
         
         while (incomingQueue.length > 0) {
             const current = incomingQueue.shift();
-            allEdges.forEach(edge => {
-                if (edge.to === current && !visitedIn.has(edge.from)) {
-                    visitedIn.add(edge.from);
-                    reachable.add(edge.from);
-                    incomingQueue.push(edge.from);
+            this.graphIndex.getPredecessors(current).forEach(callerId => {
+                if (!visitedIn.has(callerId)) {
+                    visitedIn.add(callerId);
+                    reachable.add(callerId);
+                    incomingQueue.push(callerId);
                 }
             });
         }
@@ -990,8 +1448,7 @@ export class CallGraphViewer {
         
         // Group visible nodes by package
         visibleNodes.forEach(node => {
-            const filePath = node.file || node.path || node.filepath || node.location;
-            const packageName = this.getFolderFromPath(filePath) || 'unknown';
+            const packageName = this.getNodePackage(node) || 'unknown';
             
             if (!packageNodes.has(packageName)) {
                 packageNodes.set(packageName, []);
@@ -1006,16 +1463,11 @@ export class CallGraphViewer {
         allOriginalEdges.forEach(edge => {
             // Only consider edges where both nodes are visible
             if (visibleNodeIds.has(edge.from) && visibleNodeIds.has(edge.to)) {
-                const fromNode = visibleNodes.find(n => n.id === edge.from);
-                const toNode = visibleNodes.find(n => n.id === edge.to);
+                const fromPackage = this.graphIndex.getPackage(edge.from) || 'unknown';
+                const toPackage = this.graphIndex.getPackage(edge.to) || 'unknown';
                 
-                if (fromNode && toNode) {
-                    const fromPackage = this.getFolderFromPath(fromNode.file || fromNode.path || fromNode.filepath || fromNode.location) || 'unknown';
-                    const toPackage = this.getFolderFromPath(toNode.file || toNode.path || toNode.filepath || toNode.location) || 'unknown';
-                    
-                    if (fromPackage !== toPackage) {
-                        packageDeps.get(fromPackage).add(toPackage);
-                    }
+                if (fromPackage !== toPackage) {
+                    packageDeps.get(fromPackage).add(toPackage);
                 }
             }
         });
@@ -1179,15 +1631,12 @@ export class CallGraphViewer {
             }
         });
         
-        const allEdges = this.originalData.edges.get();
-        const isIsolated = (nodeId) => {
-            return !allEdges.some(edge => edge.from === nodeId || edge.to === nodeId);
-        };
+        const isIsolated = (nodeId) => this.graphIndex.isIsolated(nodeId);
         
         // Filter visible nodes
         const visibleNodes = this.originalData.nodes.get({
             filter: (node) => {
-                if (this.hiddenNodes.has(node.id)) return false;
+                if (this.hiddenNodes.has(node.id) || !this.isNodeShown(node)) return false;
                 if (!this.showIsolatedNodes && isIsolated(node.id)) return false;
                 return true;
             }
@@ -1197,7 +1646,8 @@ export class CallGraphViewer {
         const visibleEdges = this.originalData.edges.get({
             filter: (edge) => !this.hiddenEdges.has(edge.id) && 
                               !this.hiddenNodes.has(edge.from) && 
-                              !this.hiddenNodes.has(edge.to)
+                              !this.hiddenNodes.has(edge.to) &&
+                              this.isEdgeShown(edge)
         });
 
         this.nodes.clear();
@@ -1232,7 +1682,7 @@ export class CallGraphViewer {
         visibleEdges.forEach((edge) => {
             this.edges.add({
                 ...edge,
-                ...GraphConfig.getEdgeDefaults()
+                ...this.getEdgeStyling(edge)
             });
         });
         
@@ -1256,15 +1706,14 @@ export class CallGraphViewer {
 
     addStyledNode(node, position) {
         const collapseState = this.nodeOps.collapsedNodes.get(node.id);
-        const colors = GraphConfig.getNodeColors(collapseState);
+        const colors = this.getNodeColors(node, collapseState);
         
         const pos = position || this.layoutManager.originalPositions.get(node.id) || {};
         
         // Apply package-based border color if not collapsed
         let borderColor = colors.border;
         if (!collapseState || (!collapseState.outgoing && !collapseState.incoming)) {
-            const filePath = node.file || node.path || node.filepath || node.location;
-            const packageName = this.getFolderFromPath(filePath);
+            const packageName = this.getNodePackage(node);
             if (packageName) {
                 borderColor = this.getFolderColor(packageName);
             }
@@ -1272,6 +1721,7 @@ export class CallGraphViewer {
         
         this.nodes.add({
             ...node,
+            ...this.cycleAnalyzer.getCycleStyling(node),
             x: pos.x,
             y: pos.y,
             font: { 
@@ -1300,8 +1750,7 @@ export class CallGraphViewer {
         
         // Apply package-based border color for isolated nodes
         let borderColor = colors.border;
-        const filePath = node.file || node.path || node.filepath || node.location;
-        const packageName = this.getFolderFromPath(filePath);
+        const packageName = this.getNodePackage(node);
         if (packageName) {
             borderColor = this.getFolderColor(packageName);
         }
@@ -1330,7 +1779,13 @@ export class CallGraphViewer {
         if (!this.network || !this.originalData) return;
 
         this.showIsolatedNodes = !this.showIsolatedNodes;
+        this.updateIsolatedNodesButton();
 
+        this.updateGraphVisibility();
+        this.fitGraph();
+    }
+
+    updateIsolatedNodesButton() {
         const button = document.getElementById('toggle-isolated-button');
         if (this.showIsolatedNodes) {
             button.classList.add('btn-primary');
@@ -1341,9 +1796,161 @@ export class CallGraphViewer {
             button.classList.add('btn-secondary');
             button.title = 'Show Isolated Nodes';
         }
+    }
+
+    toggleDispatchEdges() {
+        if (!this.network || !this.originalData) return;
+
+        this.showDispatchEdges = !this.showDispatchEdges;
+        this.updateDispatchEdgesButton();
+
+        this.updateGraphVisibility();
+        this.updateStats();
+    }
+
+    // The button only appears for graphs that have dispatch edges
+    updateDispatchEdgesButton() {
+        const button = document.getElementById('toggle-dispatch-button');
+        const hasDispatchEdges = this.originalData?.edges.get({ filter: edge => edge.dispatch }).length > 0;
+        button.style.display = hasDispatchEdges ? '' : 'none';
+        if (this.showDispatchEdges) {
+            button.classList.add('btn-primary');
+            button.classList.remove('btn-secondary');
+            button.title = 'Hide Interface Dispatch Edges';
+        } else {
+            button.classList.remove('btn-primary');
+            button.classList.add('btn-secondary');
+            button.title = 'Show Interface Dispatch Edges';
+        }
+    }
+
+    toggleTestNodes() {
+        if (!this.network || !this.originalData) return;
+
+        this.showTestNodes = !this.showTestNodes;
+        this.updateTestNodesButton();
 
         this.updateGraphVisibility();
-        this.fitGraph();
+        this.updateStats();
+    }
+
+    // The button only appears for graphs that have test functions
+    updateTestNodesButton() {
+        const button = document.getElementById('toggle-tests-button');
+        const hasTestNodes = this.originalData?.nodes.get({ filter: node => node.test }).length > 0;
+        button.style.display = hasTestNodes ? '' : 'none';
+        if (this.showTestNodes) {
+            button.classList.add('btn-primary');
+            button.classList.remove('btn-secondary');
+            button.title = 'Hide Test Functions';
+        } else {
+            button.classList.remove('btn-primary');
+            button.classList.add('btn-secondary');
+            button.title = 'Show Test Functions';
+        }
+    }
+
+    // Folding changes the graph itself, so it goes through applyGraphUpdate
+    toggleClosures() {
+        if (!this.network || !this.originalData) return;
+
+        this.showClosures = !this.showClosures;
+        this.updateClosuresButton();
+
+        const { added, removed } = this.applyGraphUpdate(this.loadedData);
+        Logger.info('CallGraphViewer', 'Closures toggled', { showClosures: this.showClosures, addedNodes: added, removedNodes: removed });
+    }
+
+    // The button only appears for graphs analyzed with closures split out
+    updateClosuresButton() {
+        const button = document.getElementById('toggle-closures-button');
+        button.style.display = this.closures.hasClosures(this.loadedData) ? '' : 'none';
+        if (this.showClosures) {
+            button.classList.add('btn-primary');
+            button.classList.remove('btn-secondary');
+            button.title = 'Fold Closures into Their Functions';
+        } else {
+            button.classList.remove('btn-primary');
+            button.classList.add('btn-secondary');
+            button.title = 'Show Closures as Nodes';
+        }
+    }
+
+    // The button only appears for graphs with HTTP routes, CLI commands or gRPC services
+    updateEntryPointsButton() {
+        const button = document.getElementById('entry-points-button');
+        const hasEntryPoints = this.originalData?.nodes.get({ filter: node => node.entry }).length > 0;
+        button.style.display = hasEntryPoints ? '' : 'none';
+        if (!hasEntryPoints) {
+            this.uiManager.hideEntryPointsPanel();
+        }
+    }
+
+    /**
+     * Test functions (node.test other than "helper") that reach a function through
+     * the full call graph, hidden nodes and edges included; helpers are walked through
+     * @returns {Array<Object>} Test nodes, nearest first
+     */
+    getTestsReaching(nodeId) {
+        const tests = [];
+        const visited = new Set([nodeId]);
+        let frontier = [nodeId];
+        while (frontier.length > 0) {
+            const next = [];
+            frontier.forEach(currentId => {
+                this.graphIndex.getPredecessors(currentId).forEach(callerId => {
+                    if (visited.has(callerId)) return;
+                    visited.add(callerId);
+                    next.push(callerId);
+                    const caller = this.originalData.nodes.get(callerId);
+                    if (caller?.test && caller.test !== 'helper') {
+                        tests.push(caller);
+                    }
+                });
+            });
+            frontier = next;
+        }
+        return tests;
+    }
+
+    toggleEdgeKind(kind) {
+        if (!this.network || !this.originalData) return;
+
+        if (this.hiddenEdgeKinds.has(kind)) {
+            this.hiddenEdgeKinds.delete(kind);
+        } else {
+            this.hiddenEdgeKinds.add(kind);
+        }
+        this.updateEdgeKindsButton();
+
+        this.updateGraphVisibility();
+        this.updateStats();
+    }
+
+    /**
+     * Edge kinds present in the loaded graph, in Constants.EDGE_KINDS order
+     */
+    getEdgeKindsInGraph() {
+        const kinds = new Set();
+        this.originalData?.edges.forEach(edge => kinds.add(this.getEdgeKind(edge)));
+        return Object.keys(Constants.EDGE_KINDS).filter(kind => kinds.has(kind));
+    }
+
+    // The filter only appears once the graph has something besides plain calls
+    updateEdgeKindsButton() {
+        const button = document.getElementById('edge-kinds-button');
+        const kinds = this.getEdgeKindsInGraph();
+        button.style.display = kinds.some(kind => kind !== 'call') ? '' : 'none';
+        const hiddenCount = kinds.filter(kind => this.hiddenEdgeKinds.has(kind)).length;
+        if (hiddenCount > 0) {
+            button.classList.remove('btn-primary');
+            button.classList.add('btn-secondary');
+            button.title = `Edge Kinds (${hiddenCount} hidden)`;
+        } else {
+            button.classList.add('btn-primary');
+            button.classList.remove('btn-secondary');
+            button.title = 'Edge Kinds';
+        }
     }
 
     resetLayout() {
@@ -1357,10 +1964,8 @@ export class CallGraphViewer {
 
         // Re-hide isolated nodes if setting dictates
         if (!this.showIsolatedNodes) {
-            const allEdges = this.originalData.edges.get();
             this.originalData.nodes.forEach((node) => {
-                const isIsolated = !allEdges.some(edge => edge.from === node.id || edge.to === node.id);
-                if (isIsolated) {
+                if (this.graphIndex.isIsolated(node.id)) {
                     this.hiddenNodes.add(node.id);
                 }
             });
@@ -1379,14 +1984,14 @@ export class CallGraphViewer {
         this.edges.clear();
 
         this.originalData.nodes.forEach((node) => {
-            if (this.hiddenNodes.has(node.id)) return;
+            if (this.hiddenNodes.has(node.id) || !this.isNodeShown(node)) return;
             
             const originalPos = this.layoutManager.originalPositions.get(node.id);
             const nodeDefaults = GraphConfig.getNodeDefaults();
+            const colors = this.getNodeColors(node);
             
             // Apply package-based border color
-            const filePath = node.file || node.path || node.filepath || node.location;
-            const packageName = this.getFolderFromPath(filePath);
+            const packageName = this.getNodePackage(node);
             let borderColor = nodeDefaults.color.border;
             
             if (packageName) {
@@ -1396,9 +2001,13 @@ export class CallGraphViewer {
             this.nodes.add({
                 ...node,
                 ...nodeDefaults,
+                ...this.cycleAnalyzer.getCycleStyling(node),
+                font: { ...nodeDefaults.font, color: colors.fontColor },
                 color: {
                     ...nodeDefaults.color,
-                    border: borderColor
+                    background: colors.background,
+                    border: borderColor,
+                    highlight: { ...nodeDefaults.color.highlight, background: colors.highlightBg }
                 },
                 x: originalPos?.x,
                 y: originalPos?.y,
@@ -1408,9 +2017,10 @@ export class CallGraphViewer {
         });
 
         this.originalData.edges.forEach((edge) => {
+            if (this.hiddenEdges.has(edge.id) || !this.isEdgeShown(edge)) return;
             this.edges.add({
                 ...edge,
-                ...GraphConfig.getEdgeDefaults()
+                ...this.getEdgeStyling(edge)
             });
         });
 
@@ -0,0 +1,102 @@
+// Longest call chains
+// Longest incoming/outgoing chain per node, computed over the SCC condensation so
+// it stays linear in nodes + edges. A recursive group counts as a single step;
+// cycle membership itself comes from CycleAnalyzer. The lengths are read through
+// getChainStats() (node details) and sortByChain() (large-graph root selection).
+import { Logger } from './Logger.js';
+
+export class ChainAnalyzer {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.incoming = new Map();  // nodeId -> longest chain of callers above it
+        this.outgoing = new Map();  // nodeId -> longest chain of callees below it
+    }
+
+    /**
+     * Recompute chain lengths for the full graph and store them on originalData nodes
+     * (longestIncomingChain / longestOutgoingChain)
+     */
+    analyze() {
+        const graphIndex = this.viewer.graphIndex;
+        const nodeIds = this.viewer.originalData.nodes.getIds();
+
+        // Components come callees first, so one pass forward fills outgoing
+        // and one pass backward fills incoming
+        const components = this.viewer.cycleAnalyzer.findStronglyConnectedComponents(
+            nodeIds,
+            id => graphIndex.getSuccessors(id)
+        );
+        const componentOf = new Map();
+        components.forEach((component, index) => {
+            component.forEach(nodeId => componentOf.set(nodeId, index));
+        });
+
+        const outgoing = new Array(components.length).fill(0);
+        const incoming = new Array(components.length).fill(0);
+
+        components.forEach((component, index) => {
+            component.forEach(nodeId => {
+                graphIndex.getSuccessors(nodeId).forEach(calleeId => {
+                    const callee = componentOf.get(calleeId);
+                    if (callee !== undefined && callee !== index) {
+                        outgoing[index] = Math.max(outgoing[index], outgoing[callee] + 1);
+                    }
+                });
+            });
+        });
+
+        for (let index = components.length - 1; index >= 0; index--) {
+            components[index].forEach(nodeId => {
+                graphIndex.getPredecessors(nodeId).forEach(callerId => {
+                    const caller = componentOf.get(callerId);
+                    if (caller !== undefined && caller !== index) {
+                        incoming[index] = Math.max(incoming[index], incoming[caller] + 1);
+                    }
+                });
+            });
+        }
+
+        this.incoming.clear();
+        this.outgoing.clear();
+
+        const updates = nodeIds.map(nodeId => {
+            const index = componentOf.get(nodeId);
+            this.incoming.set(nodeId, incoming[index]);
+            this.outgoing.set(nodeId, outgoing[index]);
+            return {
+                id: nodeId,
+                longestIncomingChain: incoming[index],
+                longestOutgoingChain: outgoing[index]
+            };
+        });
+        this.viewer.originalData.nodes.update(updates);
+
+        Logger.info('ChainAnalyzer', 'Chain statistics calculated', {
+            components: components.length,
+            maxIncoming: Math.max(0, ...incoming),
+            maxOutgoing: Math.max(0, ...outgoing)
+        });
+    }
+
+    /**
+     * Chain lengths for one node, plus the function cycle it belongs to (if any)
+     * @returns {{incoming: number, outgoing: number, cycle: Object|null}}
+     */
+    getChainStats(nodeId) {
+        return {
+            incoming: this.incoming.get(nodeId) || 0,
+            outgoing: this.outgoing.get(nodeId) || 0,
+            cycle: this.viewer.cycleAnalyzer.nodeCycles.get(nodeId) || null
+        };
+    }
+
+    /**
+     * Order node IDs by longest chain, deepest first (stable for equal lengths)
+     * @param {string[]} nodeIds
+     * @param {'incoming'|'outgoing'} direction
+     */
+    sortByChain(nodeIds, direction = 'outgoing') {
+        const lengths = direction === 'incoming' ? this.incoming : this.outgoing;
+        return [...nodeIds].sort((a, b) => (lengths.get(b) || 0) - (lengths.get(a) || 0));
+    }
+}
@@ -0,0 +1,111 @@
+// Closures
+// With GoParser's splitClosures setting every function literal is a node of its
+// own (node.parent names the function it is defined in, linked by a "defines"
+// edge). Folding puts them back: their calls are drawn from the function they
+// are defined in, the way the graph looks without the setting, except that
+// calls from a closure run by a go or defer statement or handed on as a value
+// keep that kind (the parser's edge from the function to the closure).
+
+export class Closures {
+    constructor(viewer) {
+        this.viewer = viewer;
+    }
+
+    hasClosures(parsedData) {
+        return parsedData?.nodes.some(node => node.parent) || false;
+    }
+
+    /**
+     * Graph data with every closure merged into the outermost function around it;
+     * calls from several closures (or the function itself) to one callee are
+     * merged per kind, and the "defines" edges dropped; plain calls from a closure the
+     * function runs with go or defer or hands on (funcref) take that kind; a closure registered as an
+     * entry point (a route handler literal) makes that function the entry point
+     * @param {{nodes: Array, edges: Array}} parsedData
+     * @returns {{nodes: Array, edges: Array}} parsedData itself when it has no closures
+     */
+    fold(parsedData) {
+        const parents = new Map(); // closure node ID -> node ID of the function it is defined in
+        const files = new Map();   // node ID -> file
+        parsedData.nodes.forEach(node => {
+            if (node.parent) parents.set(node.id, node.parent);
+            files.set(node.id, node.file);
+        });
+        if (parents.size === 0) return parsedData;
+
+        const getRoot = (nodeId) => {
+            let root = nodeId;
+            while (parents.has(root)) root = parents.get(root);
+            return root;
+        };
+
+        // How each closure is run, from its parent's non-"defines" edge to it
+        const uses = new Map(); // closure node ID -> 'go', 'defer', 'funcref' or 'call'
+        parsedData.edges.forEach(edge => {
+            if (edge.kind !== 'defines' && parents.get(edge.to) === edge.from) uses.set(edge.to, edge.kind || 'call');
+        });
+        // The kind a call made in a closure has once folded: the nearest use that isn't a call in place
+        const getFoldedKind = (nodeId, kind) => {
+            if (kind !== 'call') return kind;
+            for (let id = nodeId; parents.has(id); id = parents.get(id)) {
+                const use = uses.get(id);
+                if (use && use !== 'call') return use;
+            }
+            return kind;
+        };
+
+        const merged = new Map(); // "from\0to\0kind\0via" -> index in edges
+        const edges = [];
+        parsedData.edges.forEach(edge => {
+            if (edge.kind === 'defines' || (uses.has(edge.to) && parents.get(edge.to) === edge.from)) return;
+            const from = getRoot(edge.from);
+            const to = getRoot(edge.to);
+            const kind = getFoldedKind(edge.from, edge.kind || 'call');
+            const key = `${from}\0${to}\0${kind}\0${edge.via || ''}`;
+            const foldedEdge = from === edge.from && to === edge.to ? edge : { ...edge, from, to, kind, id: undefined };
+            // Closures in var initializers fold into <init>, whose call sites name their file
+            const file = files.get(edge.from);
+            if (from !== edge.from && !edge.files && file !== files.get(from)) {
+                foldedEdge.files = (edge.lines || []).map(() => file);
+            }
+            if (!merged.has(key)) {
+                merged.set(key, edges.length);
+                edges.push(foldedEdge);
+                return;
+            }
+            // A new object, so the loaded edge stays as it was
+            const index = merged.get(key);
+            const existing = edges[index];
+            edges[index] = {
+                ...existing,
+                weight: (existing.weight ?? 1) + (edge.weight ?? 1),
+                ...this.viewer.mergeCallSites(existing, foldedEdge, files.get(from))
+            };
+        });
+
+        const entries = new Map(); // root node ID -> entry point closures folded into it
+        parsedData.nodes.forEach(node => {
+            if (!node.entry || !parents.has(node.id)) return;
+            const root = getRoot(node.id);
+            if (!entries.has(root)) entries.set(root, []);
+            entries.get(root).push(node);
+        });
+        const nodes = parsedData.nodes
+            .filter(node => !parents.has(node.id))
+            .map(node => {
+                if (!entries.has(node.id)) return node;
+                const names = [node.entryName, ...entries.get(node.id).map(closure => closure.entryName)];
+                return {
+                    ...node,
+                    entry: node.entry || entries.get(node.id)[0].entry,
+                    entryName: names.filter(Boolean).join(', ')
+                };
+            });
+
+        return {
+            ...parsedData,
+            nodes,
+            edges
+        };
+    }
+}
@@ -54,6 +54,50 @@ export class Constants {
         TOP_NODES_COUNT: 10,               // Number of top chains to show
     };
     
+    // Path finder
+    static PATHS = {
+        DEFAULT_PATH_COUNT: 1,             // Paths requested by default (just the shortest)
+        MAX_PATH_COUNT: 50,                // Upper bound for the "paths" input
+        MAX_SEARCH_STEPS: 200000,          // DFS steps before giving up on more paths
+    };
+    
+    // Cycles panel
+    static CYCLES = {
+        MAX_LISTED_MEMBERS: 12,            // Names shown per cycle before "and N more"
+    };
+    
+    // Saved sessions
+    static SESSION = {
+        FORMAT: 'callgraph-viewer-session', // Marker checked when opening a file
+        VERSION: 1,                        // Bump (and add a migration) when the layout changes
+    };
+    
+    // SVG export
+    static SVG_EXPORT = {
+        PADDING: 40,                       // Space around the graph
+        FONT_FAMILY: 'arial, sans-serif',  // Same face vis-network draws labels with
+        CHAR_WIDTH_RATIO: 0.6,             // Average glyph width / font size, for wrapping
+        LINE_HEIGHT_RATIO: 1.2,            // Line height / font size
+        LEGEND_ROW_HEIGHT: 22,
+        LEGEND_SWATCH_SIZE: 14,
+    };
+    
+    // DOT parsing
+    static DOT = {
+        MAX_DIAGNOSTICS: 100,              // Problems listed before the rest are dropped
+        MAX_SNIPPET_LENGTH: 200,           // Characters of the source line kept per problem
+    };
+    
+    // Go folder analysis (go-worker.js)
+    static GO_ANALYSIS = {
+        WORKER_URL: 'go-worker.js',        // Relative to index.html
+        AUTO_REFRESH_INTERVAL: 5000,       // ms between checks for changed files
+        SETTINGS_STORAGE_KEY: 'callgraph-viewer.scanSettings', // localStorage: folder name -> scan settings
+        DEFAULT_SETTINGS_KEY: '*',         // Entry used for folders without their own settings
+        // Analyzers picked by project-detector.js, by the language of their results
+        LANGUAGE_NAMES: { go: 'Go', js: 'JavaScript/TypeScript' },
+    };
+    
     // Physics simulation parameters
     static PHYSICS = {
         // Hierarchical repulsion (initial layout)
@@ -80,6 +124,31 @@ export class Constants {
         },
     };
     
+    // Edge kinds written by the Go analyzer (`kind=` in DOT); edges without one are calls
+    static EDGE_KINDS = {
+        call: { label: 'Call', color: '#94a3b8', highlight: '#4f46e5', arrow: 'arrow' },
+        go: { label: 'Goroutine start (go)', color: '#16a34a', highlight: '#15803d', arrow: 'vee' },
+        defer: { label: 'Deferred call (defer)', color: '#d97706', highlight: '#b45309', arrow: 'bar' },
+        funcref: { label: 'Function reference', color: '#0ea5e9', highlight: '#0369a1', arrow: 'circle' },
+        defines: { label: 'Closure definition', color: '#c084fc', highlight: '#9333ea', arrow: 'diamond' },
+    };
+
+    // Roles of Go test-layer functions (`test=` in DOT)
+    static TEST_ROLES = {
+        test: 'Test',
+        benchmark: 'Benchmark',
+        fuzz: 'Fuzz test',
+        example: 'Example',
+        helper: 'Test helper',
+    };
+
+    // Kinds of Go entry points (`entry=` in DOT; `entryName=` lists the routes, commands or methods)
+    static ENTRY_KINDS = {
+        http: { label: 'HTTP route', icon: 'fa-globe' },
+        cli: { label: 'CLI command', icon: 'fa-terminal' },
+        grpc: { label: 'gRPC method', icon: 'fa-server' },
+    };
+    
     // Visual styling
     static STYLES = {
         // Node constraints
@@ -96,10 +165,15 @@ export class Constants {
         BORDER_DASH_PATTERN: [5, 5],    // 5px dash, 5px gap
         
         // Edge styling
-        EDGE_WIDTH: 2,
+        EDGE_WIDTH: 2,                  // Width when the graph has no edge weights
+        EDGE_MIN_WIDTH: 1,              // Lightest weighted edge
+        EDGE_MAX_WIDTH: 8,              // Heaviest weighted edge
+        EDGE_MIN_OPACITY: 0.35,
         EDGE_ARROW_SCALE: 0.8,
         EDGE_ROUNDNESS: 0.2,
         EDGE_ROUNDNESS_DISPLAY: 0.5,
+        DISPATCH_EDGE_COLOR: '#a855f7', // Calls through a Go interface
+        DISPATCH_EDGE_DASHES: [8, 6],
         
         // Isolated node styling
         ISOLATED_BORDER_WIDTH: 1,
@@ -0,0 +1,217 @@
+// Cycle detection
+// Finds strongly connected components over originalData: recursive and mutually
+// recursive function groups, and packages that call each other in a loop.
+import { GraphConfig } from './GraphConfig.js';
+import { Logger } from './Logger.js';
+
+export class CycleAnalyzer {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.functionCycles = [];        // [{ id, kind, members, nodeIds, edgeIds }]
+        this.packageCycles = [];
+        this.nodeCycles = new Map();     // nodeId -> function cycle
+        this.packageCycleMap = new Map(); // package -> package cycle
+    }
+
+    /**
+     * Tarjan's algorithm, iterative so long call chains don't overflow the stack
+     * @param {Iterable<string>} ids - All vertices
+     * @param {Function} getSuccessors - id -> iterable of successor ids
+     * @returns {string[][]} Components in reverse topological order (callees before callers)
+     */
+    findStronglyConnectedComponents(ids, getSuccessors) {
+        const indices = new Map();
+        const lowlinks = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const components = [];
+        let nextIndex = 0;
+
+        for (const root of ids) {
+            if (indices.has(root)) continue;
+
+            const work = [{ id: root, successors: null }];
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+
+                if (frame.successors === null) {
+                    indices.set(frame.id, nextIndex);
+                    lowlinks.set(frame.id, nextIndex);
+                    nextIndex++;
+                    stack.push(frame.id);
+                    onStack.add(frame.id);
+                    frame.successors = (getSuccessors(frame.id) || [])[Symbol.iterator]();
+                }
+
+                // Resume scanning successors; descend into the first unvisited one
+                let descended = false;
+                for (let step = frame.successors.next(); !step.done; step = frame.successors.next()) {
+                    const successor = step.value;
+                    if (!indices.has(successor)) {
+                        work.push({ id: successor, successors: null });
+                        descended = true;
+                        break;
+                    }
+                    if (onStack.has(successor)) {
+                        lowlinks.set(frame.id, Math.min(lowlinks.get(frame.id), indices.get(successor)));
+                    }
+                }
+                if (descended) continue;
+
+                // All successors done: frame.id is a root if nothing reached further back
+                if (lowlinks.get(frame.id) === indices.get(frame.id)) {
+                    const component = [];
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        component.push(member);
+                    } while (member !== frame.id);
+                    components.push(component);
+                }
+
+                work.pop();
+                if (work.length > 0) {
+                    const parent = work[work.length - 1];
+                    lowlinks.set(parent.id, Math.min(lowlinks.get(parent.id), lowlinks.get(frame.id)));
+                }
+            }
+        }
+
+        return components;
+    }
+
+    /**
+     * Detect function and package cycles in the full graph (not just the visible part)
+     */
+    analyze() {
+        const graphIndex = this.viewer.graphIndex;
+        const edges = this.viewer.originalData.edges.get();
+
+        const packageOf = (nodeId) => graphIndex.getPackage(nodeId) || 'unknown';
+        const packageDeps = new Map();
+        const selfLoops = new Set();
+
+        graphIndex.packageMembers.forEach((members, packageName) => {
+            packageDeps.set(packageName || 'unknown', new Set());
+        });
+
+        edges.forEach(edge => {
+            if (edge.from === edge.to) {
+                selfLoops.add(edge.from);
+            }
+
+            const fromPackage = packageOf(edge.from);
+            const toPackage = packageOf(edge.to);
+            if (fromPackage !== toPackage && packageDeps.has(fromPackage)) {
+                packageDeps.get(fromPackage).add(toPackage);
+            }
+        });
+
+        // Function cycles: components with several members, or a single self-recursive function
+        const functionComponents = this.findStronglyConnectedComponents(
+            this.viewer.originalData.nodes.getIds(),
+            id => graphIndex.getSuccessors(id)
+        ).filter(component => component.length > 1 || selfLoops.has(component[0]));
+
+        this.functionCycles = functionComponents.map(component => {
+            const members = new Set(component);
+            return {
+                kind: 'function',
+                members: component.sort(),
+                nodeIds: component,
+                edgeIds: edges.filter(edge => members.has(edge.from) && members.has(edge.to)).map(edge => edge.id)
+            };
+        });
+
+        // Package cycles: the call edges crossing between packages of one component
+        const packageComponents = this.findStronglyConnectedComponents(packageDeps.keys(), pkg => packageDeps.get(pkg))
+            .filter(component => component.length > 1);
+
+        this.packageCycles = packageComponents.map(component => {
+            const members = new Set(component);
+            const crossingEdges = edges.filter(edge => {
+                const fromPackage = packageOf(edge.from);
+                const toPackage = packageOf(edge.to);
+                return fromPackage !== toPackage && members.has(fromPackage) && members.has(toPackage);
+            });
+            const nodeIds = new Set();
+            crossingEdges.forEach(edge => {
+                nodeIds.add(edge.from);
+                nodeIds.add(edge.to);
+            });
+            return {
+                kind: 'package',
+                members: component.sort(),
+                nodeIds: Array.from(nodeIds),
+                edgeIds: crossingEdges.map(edge => edge.id)
+            };
+        });
+
+        // Largest first
+        const bySize = (a, b) => b.members.length - a.members.length || a.members[0].localeCompare(b.members[0]);
+        this.functionCycles.sort(bySize).forEach((cycle, index) => { cycle.id = `function-${index}`; });
+        this.packageCycles.sort(bySize).forEach((cycle, index) => { cycle.id = `package-${index}`; });
+
+        this.nodeCycles.clear();
+        this.functionCycles.forEach(cycle => {
+            cycle.nodeIds.forEach(nodeId => this.nodeCycles.set(nodeId, cycle));
+        });
+
+        this.packageCycleMap.clear();
+        this.packageCycles.forEach(cycle => {
+            cycle.members.forEach(packageName => this.packageCycleMap.set(packageName, cycle));
+        });
+
+        Logger.info('CycleAnalyzer', 'Cycle analysis complete', {
+            functionCycles: this.functionCycles.length,
+            recursiveFunctions: this.nodeCycles.size,
+            packageCycles: this.packageCycles.map(cycle => cycle.members)
+        });
+    }
+
+    getPackageCycle(node) {
+        return this.packageCycleMap.get(this.viewer.getNodePackage(node) || 'unknown') || null;
+    }
+
+    /**
+     * Extra node styling flagging members of a package cycle in the layout
+     */
+    getCycleStyling(node) {
+        return { shadow: this.getPackageCycle(node) ? GraphConfig.getPackageCycleShadow() : false };
+    }
+
+    /**
+     * Reveal a cycle's nodes if they are hidden, then select and frame them
+     */
+    highlightCycle(cycleId) {
+        const viewer = this.viewer;
+        const cycle = [...this.functionCycles, ...this.packageCycles].find(c => c.id === cycleId);
+        if (!cycle || !viewer.network) return;
+
+        const hiddenMembers = cycle.nodeIds.filter(nodeId => viewer.hiddenNodes.has(nodeId));
+        if (hiddenMembers.length > 0) {
+            hiddenMembers.forEach(nodeId => viewer.hiddenNodes.delete(nodeId));
+            cycle.edgeIds.forEach(edgeId => viewer.hiddenEdges.delete(edgeId));
+            viewer.updateGraphVisibility();
+            viewer.updateStats();
+        }
+
+        // Only select what is actually rendered (edges may still be hidden by collapsing)
+        const nodeIds = cycle.nodeIds.filter(nodeId => viewer.nodes.get(nodeId));
+        const edgeIds = cycle.edgeIds.filter(edgeId => viewer.edges.get(edgeId));
+
+        viewer.network.setSelection({ nodes: nodeIds, edges: edgeIds }, { unselectAll: true, highlightEdges: false });
+        viewer.network.fit({
+            nodes: nodeIds,
+            animation: { duration: 500, easingFunction: 'easeInOutQuad' }
+        });
+
+        Logger.info('CycleAnalyzer', 'Cycle highlighted', {
+            cycleId,
+            nodeCount: nodeIds.length,
+            edgeCount: edgeIds.length,
+            revealedCount: hiddenMembers.length
+        });
+    }
+}
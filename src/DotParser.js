@@ -1,9 +1,23 @@
 // DOT file parsing functionality
+// Tokenizes and parses the DOT language (https://graphviz.org/doc/info/lang.html):
+// quoted, numeral, unquoted and HTML IDs, comments, multi-line statements,
+// subgraphs/clusters, default node/edge attributes and edge chains.
+// Syntax errors are collected as diagnostics; bad statements are skipped so
+// the rest of the graph can still be loaded.
 import { ErrorHandler } from './ErrorHandler.js';
+import { Constants } from './Constants.js';
+
+// Sticky patterns so the tokenizer can match in place without slicing
+const NUMERAL_PATTERN = /-?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)/y;
+const IDENTIFIER_PATTERN = /[A-Za-z_\u0080-\uFFFF][A-Za-z_0-9\u0080-\uFFFF]*/y;
 
 export class DotParser {
     constructor(viewer) {
         this.viewer = viewer;
+        this.tokens = [];
+        this.position = 0;
+        this.diagnostics = [];
+        this.sourceLines = [];
     }
 
     async readFile(file) {
@@ -23,75 +37,680 @@ export class DotParser {
         });
     }
 
-    async parseDotFile(fileContent) {
-        const lines = fileContent.split('\n');
-        const nodes = new Map();
-        const edges = [];
+    /**
+     * Parse DOT text into plain node/edge arrays
+     * Statements that fail to parse are skipped and reported in `diagnostics`
+     * as {severity, message, line, column, snippet}.
+     * @param {string} fileContent - DOT source
+     * @returns {{nodes: Array, edges: Array, directed: boolean, name: string|null, attributes: object, diagnostics: Array}}
+     */
+    parseDotFile(fileContent) {
+        this.diagnostics = [];
+        this.sourceLines = fileContent.split('\n');
+        this.tokens = this.tokenize(fileContent);
+        this.position = 0;
+
+        const graph = {
+            nodes: new Map(),
+            nodeClusters: new Map(), // nodeId -> innermost cluster it was first seen in
+            edges: [],
+            directed: true,
+            name: null,
+            attributes: {}
+        };
+
+        try {
+            if (this.peekKeyword('strict')) {
+                this.next();
+            }
+
+            const typeToken = this.next();
+            if (!this.isKeyword(typeToken, 'graph') && !this.isKeyword(typeToken, 'digraph')) {
+                this.fail(typeToken, `Expected 'graph' or 'digraph', found ${this.describe(typeToken)}`);
+            }
+            graph.directed = this.isKeyword(typeToken, 'digraph');
+
+            if (this.peek().type === 'id') {
+                graph.name = this.next().value;
+            }
 
-        let insideGraph = false;
+            const rootScope = {
+                nodeDefaults: {},
+                edgeDefaults: {},
+                graphAttributes: graph.attributes,
+                cluster: null
+            };
 
-        for (const line of lines) {
-            const trimmed = line.trim();
+            this.expect('{');
+            this.parseStatementList(graph, rootScope);
+            this.expectClosingBrace();
 
-            if (trimmed.startsWith('digraph') || trimmed.startsWith('graph')) {
-                insideGraph = true;
+            if (this.peek().type !== 'eof') {
+                this.report(this.peek(), `Ignoring ${this.describe(this.peek())} and everything after the end of the graph`, 'warning');
+            }
+        } catch (error) {
+            // Header problems: keep whatever was parsed
+            if (!error.token) throw error;
+            if (error.diagnostic) this.addDiagnostic(error.diagnostic);
+        }
+
+        // Cluster labels may be set after the nodes, so resolve names last
+        graph.nodeClusters.forEach((cluster, nodeId) => {
+            graph.nodes.get(nodeId).cluster = this.getClusterName(cluster);
+        });
+
+        return {
+            nodes: Array.from(graph.nodes.values()),
+            edges: graph.edges,
+            directed: graph.directed,
+            name: graph.name,
+            attributes: graph.attributes,
+            diagnostics: this.diagnostics
+        };
+    }
+
+    /**
+     * Split DOT source into tokens with line/column positions
+     */
+    tokenize(content) {
+        const tokens = [];
+        let i = 0;
+        let line = 1;
+        let column = 1;
+
+        const advance = (count = 1) => {
+            for (let k = 0; k < count; k++) {
+                if (content[i] === '\n') {
+                    line++;
+                    column = 1;
+                } else {
+                    column++;
+                }
+                i++;
+            }
+        };
+
+        while (i < content.length) {
+            const char = content[i];
+            const nextChar = content[i + 1];
+
+            // Whitespace
+            if (/\s/.test(char)) {
+                advance();
                 continue;
             }
 
-            if (!insideGraph) continue;
+            // Line comments, and '#' lines (C preprocessor output)
+            if ((char === '/' && nextChar === '/') ||
+                (char === '#' && content.slice(content.lastIndexOf('\n', i) + 1, i).trim() === '')) {
+                while (i < content.length && content[i] !== '\n') advance();
+                continue;
+            }
 
-            if (trimmed === '}') {
-                insideGraph = false;
-                break;
+            // Block comments
+            if (char === '/' && nextChar === '*') {
+                const start = { line, column };
+                advance(2);
+                while (i < content.length && !(content[i] === '*' && content[i + 1] === '/')) advance();
+                if (i >= content.length) {
+                    this.report(start, 'Unterminated block comment');
+                    break;
+                }
+                advance(2);
+                continue;
             }
 
-            // Parse node definitions: "nodeId" [label="Label", ...]
-            const nodeMatch = trimmed.match(/"([^"]+)"\s*\[([^\]]+)\]/);
-            if (nodeMatch) {
-                const nodeId = nodeMatch[1];
-                const attributes = nodeMatch[2];
-                
-                const labelMatch = attributes.match(/label="([^"]+)"/);
-                const label = labelMatch ? labelMatch[1] : nodeId;
+            const start = { line, column };
+
+            // Edge operators
+            if (char === '-' && (nextChar === '>' || nextChar === '-')) {
+                tokens.push({ type: 'edgeop', value: char + nextChar, ...start });
+                advance(2);
+                continue;
+            }
+
+            // Punctuation
+            if ('{}[]=;,:'.includes(char)) {
+                tokens.push({ type: char, value: char, ...start });
+                advance();
+                continue;
+            }
 
-                // Extract file attribute if present
-                const fileMatch = attributes.match(/file="([^"]+)"/);
-                const file = fileMatch ? fileMatch[1] : null;
+            // Double-quoted strings (with '+' concatenation)
+            if (char === '"') {
+                let end = this.findQuoteEnd(content, i);
+                if (end < 0) {
+                    // Recover by ending the string at the end of the line
+                    this.report(start, 'Unterminated string');
+                    end = content.indexOf('\n', i);
+                    if (end < 0) end = content.length;
+                    advance(end - i);
+                    tokens.push({ type: 'invalid', value: '"', reported: true, ...start });
+                    continue;
+                }
+                let value = content.slice(i, end + 1);
+                advance(value.length);
+                let text = this.unescapeQuoted(value.slice(1, -1));
 
-                // Extract line attribute if present
-                const lineMatch = attributes.match(/line="([^"]+)"/);
-                const line = lineMatch ? parseInt(lineMatch[1], 10) : null;
+                // "a" + "b" concatenation
+                let lookahead = i;
+                while (lookahead < content.length && /\s/.test(content[lookahead])) lookahead++;
+                while (content[lookahead] === '+') {
+                    let quoteStart = lookahead + 1;
+                    while (quoteStart < content.length && /\s/.test(content[quoteStart])) quoteStart++;
+                    if (content[quoteStart] !== '"') break;
+                    advance(quoteStart - i);
+                    end = this.findQuoteEnd(content, i);
+                    if (end < 0) {
+                        this.report({ line, column }, 'Unterminated string');
+                        end = content.indexOf('\n', i);
+                        if (end < 0) end = content.length;
+                        advance(end - i);
+                        tokens.push({ type: 'invalid', value: '"', reported: true, ...start });
+                        text = null;
+                        break;
+                    }
+                    value = content.slice(i, end + 1);
+                    advance(value.length);
+                    text += this.unescapeQuoted(value.slice(1, -1));
+                    lookahead = i;
+                    while (lookahead < content.length && /\s/.test(content[lookahead])) lookahead++;
+                }
 
-                const nodeData = { id: nodeId, label };
-                if (file) nodeData.file = file;
-                if (line) nodeData.line = line;
-                
-                nodes.set(nodeId, nodeData);
+                if (text !== null) {
+                    tokens.push({ type: 'id', value: text, quoted: true, ...start });
+                }
                 continue;
             }
 
-            // Parse edges: "from" -> "to"
-            const edgeMatch = trimmed.match(/"([^"]+)"\s*->\s*"([^"]+)"/);
-            if (edgeMatch) {
-                const from = edgeMatch[1];
-                const to = edgeMatch[2];
-                
-                // Ensure both nodes exist
-                if (!nodes.has(from)) {
-                    nodes.set(from, { id: from, label: from });
+            // HTML strings: <...> with balanced angle brackets
+            if (char === '<') {
+                let depth = 0;
+                let end = i;
+                for (; end < content.length; end++) {
+                    if (content[end] === '<') depth++;
+                    if (content[end] === '>') depth--;
+                    if (depth === 0) break;
+                }
+                if (depth !== 0) {
+                    // Skip to the end of the line; the statement is dropped
+                    this.report(start, 'Unterminated HTML string');
+                    end = content.indexOf('\n', i);
+                    if (end < 0) end = content.length;
+                    advance(end - i);
+                    tokens.push({ type: 'invalid', value: '<', reported: true, ...start });
+                    continue;
                 }
-                if (!nodes.has(to)) {
-                    nodes.set(to, { id: to, label: to });
+                const value = content.slice(i + 1, end);
+                advance(end - i + 1);
+                tokens.push({ type: 'id', value, html: true, ...start });
+                continue;
+            }
+
+            // Numerals
+            NUMERAL_PATTERN.lastIndex = i;
+            const numeral = NUMERAL_PATTERN.exec(content);
+            if (numeral) {
+                advance(numeral[0].length);
+                tokens.push({ type: 'id', value: numeral[0], ...start });
+                continue;
+            }
+
+            // Unquoted identifiers (letters, digits, underscore, non-ASCII)
+            IDENTIFIER_PATTERN.lastIndex = i;
+            const identifier = IDENTIFIER_PATTERN.exec(content);
+            if (identifier) {
+                advance(identifier[0].length);
+                tokens.push({ type: 'id', value: identifier[0], ...start });
+                continue;
+            }
+
+            this.report(start, `Unexpected character '${char}'`);
+            tokens.push({ type: 'invalid', value: char, reported: true, ...start });
+            advance();
+        }
+
+        tokens.push({ type: 'eof', value: '', line, column });
+        return tokens;
+    }
+
+    /**
+     * Find the closing quote of the string starting at index
+     * @returns {number} Index of the closing quote, or -1 if unterminated
+     */
+    findQuoteEnd(content, index) {
+        let end = index + 1;
+        while (end < content.length && content[end] !== '"') {
+            if (content[end] === '\\') end++;
+            end++;
+        }
+        return end < content.length ? end : -1;
+    }
+
+    /**
+     * Resolve escapes that belong to the DOT lexer itself: \" and
+     * backslash-newline line continuations. Label escapes (\n, \l, \r)
+     * are resolved later, per attribute.
+     */
+    unescapeQuoted(text) {
+        return text.replace(/\\\r?\n/g, '').replace(/\\"/g, '"');
+    }
+
+    /**
+     * Resolve label escapes: \n, \l, \r become line breaks, \\ a backslash
+     */
+    unescapeLabel(text) {
+        return text.replace(/\\(.)/g, (match, escaped) => {
+            if (escaped === 'n' || escaped === 'l' || escaped === 'r') return '\n';
+            if (escaped === '\\') return '\\';
+            return match;
+        });
+    }
+
+    parseStatementList(graph, scope) {
+        const mentioned = new Set();
+
+        while (this.peek().type !== '}' && this.peek().type !== 'eof') {
+            const nodeCount = graph.nodes.size;
+            const edgeCount = graph.edges.length;
+
+            try {
+                this.parseStatement(graph, scope, mentioned);
+            } catch (error) {
+                if (!error.token) throw error;
+                if (error.diagnostic) this.addDiagnostic(error.diagnostic);
+                this.rollbackStatement(graph, mentioned, nodeCount, edgeCount);
+                this.skipStatement(error.token);
+                continue;
+            }
+
+            if (this.peek().type === ';') {
+                this.next();
+            }
+        }
+
+        return mentioned;
+    }
+
+    /**
+     * Drop nodes and edges added by a statement that failed to parse
+     */
+    rollbackStatement(graph, mentioned, nodeCount, edgeCount) {
+        const addedNodeIds = Array.from(graph.nodes.keys()).slice(nodeCount);
+        addedNodeIds.forEach(id => {
+            graph.nodes.delete(id);
+            graph.nodeClusters.delete(id);
+            mentioned.delete(id);
+        });
+        graph.edges.length = edgeCount;
+    }
+
+    /**
+     * Skip the rest of a broken statement, starting at the token that failed.
+     * A statement ends at ';', at the '}' closing the enclosing block, or at
+     * the first token on a new line outside any brackets opened while skipping.
+     */
+    skipStatement(failedToken) {
+        const failedIndex = this.tokens.indexOf(failedToken);
+        if (failedIndex >= 0) {
+            this.position = failedIndex;
+        }
+
+        let depth = 0;
+        let previous = null;
+
+        while (this.peek().type !== 'eof') {
+            const token = this.peek();
+
+            if (depth === 0) {
+                if (token.type === '}') break;
+                if (token.type === ';') {
+                    this.next();
+                    break;
                 }
-                
-                edges.push({ from, to });
+                if (previous && token.line > previous.line) break;
             }
+
+            if (token.type === '{' || token.type === '[') depth++;
+            if ((token.type === '}' || token.type === ']') && depth > 0) depth--;
+
+            previous = this.next();
+        }
+    }
+
+    parseStatement(graph, scope, mentioned) {
+        const token = this.peek();
+
+        // Attribute statements: graph/node/edge [attrs]
+        if (this.isKeyword(token, 'graph') || this.isKeyword(token, 'node') || this.isKeyword(token, 'edge')) {
+            this.next();
+            const attributes = this.parseAttributeLists(true);
+            const kind = token.value.toLowerCase();
+            if (kind === 'graph') Object.assign(scope.graphAttributes, attributes);
+            if (kind === 'node') Object.assign(scope.nodeDefaults, attributes);
+            if (kind === 'edge') Object.assign(scope.edgeDefaults, attributes);
+            return;
+        }
+
+        // Graph attribute assignment: ID = ID
+        if (token.type === 'id' && this.peek(1).type === '=') {
+            this.next();
+            this.next();
+            scope.graphAttributes[token.value] = this.expectId().value;
+            return;
         }
 
+        const operand = this.parseEdgeOperand(graph, scope, mentioned);
+
+        if (this.peek().type === 'edgeop') {
+            this.parseEdgeChain(graph, scope, mentioned, operand);
+            return;
+        }
+
+        // Node statement (subgraph statements are complete on their own)
+        if (operand.nodeId !== undefined) {
+            const attributes = this.peek().type === '[' ? this.parseAttributeLists(false) : {};
+            this.declareNode(graph, scope, operand.nodeId, attributes);
+            mentioned.add(operand.nodeId);
+        }
+    }
+
+    /**
+     * Parse a node ID or a subgraph used as an edge endpoint
+     * @returns {{nodeId?: string, nodeIds: string[]}}
+     */
+    parseEdgeOperand(graph, scope, mentioned) {
+        const token = this.peek();
+
+        if (this.isKeyword(token, 'subgraph') || token.type === '{') {
+            const nodeIds = this.parseSubgraph(graph, scope);
+            nodeIds.forEach(id => mentioned.add(id));
+            return { nodeIds: Array.from(nodeIds) };
+        }
+
+        const nodeId = this.parseNodeId();
+        this.declareNode(graph, scope, nodeId, {});
+        mentioned.add(nodeId);
+        return { nodeId, nodeIds: [nodeId] };
+    }
+
+    parseEdgeChain(graph, scope, mentioned, firstOperand) {
+        const operands = [firstOperand];
+        while (this.peek().type === 'edgeop') {
+            const op = this.next();
+            if (op.value === '--' && graph.directed) {
+                this.report(op, "Undirected edge '--' used in a digraph, treating it as '->'", 'warning');
+            }
+            if (op.value === '->' && !graph.directed) {
+                this.report(op, "Directed edge '->' used in an undirected graph", 'warning');
+            }
+            operands.push(this.parseEdgeOperand(graph, scope, mentioned));
+        }
+
+        const attributes = {
+            ...scope.edgeDefaults,
+            ...(this.peek().type === '[' ? this.parseAttributeLists(false) : {})
+        };
+
+        for (let i = 0; i < operands.length - 1; i++) {
+            operands[i].nodeIds.forEach(from => {
+                operands[i + 1].nodeIds.forEach(to => {
+                    graph.edges.push(this.buildEdge(from, to, attributes));
+                });
+            });
+        }
+    }
+
+    /**
+     * Parse `subgraph [ID] { ... }` or an anonymous `{ ... }` block
+     * @returns {Set<string>} node IDs mentioned inside the subgraph
+     */
+    parseSubgraph(graph, parentScope) {
+        let name = null;
+        if (this.isKeyword(this.peek(), 'subgraph')) {
+            this.next();
+            if (this.peek().type === 'id') {
+                name = this.next().value;
+            }
+        }
+
+        const isCluster = name !== null && name.startsWith('cluster');
+        const graphAttributes = {};
+        const scope = {
+            nodeDefaults: { ...parentScope.nodeDefaults },
+            edgeDefaults: { ...parentScope.edgeDefaults },
+            graphAttributes,
+            cluster: isCluster ? { name, attributes: graphAttributes } : parentScope.cluster
+        };
+
+        this.expect('{');
+        const mentioned = this.parseStatementList(graph, scope);
+        this.expectClosingBrace();
+
+        return mentioned;
+    }
+
+    parseNodeId() {
+        const id = this.expectId().value;
+
+        // Ports (node:port:compass) do not change node identity
+        while (this.peek().type === ':') {
+            this.next();
+            this.expectId();
+        }
+
+        return id;
+    }
+
+    /**
+     * Parse one or more consecutive `[a=b, c=d]` lists
+     * @param {boolean} required - Whether at least one list must be present
+     */
+    parseAttributeLists(required) {
+        const attributes = {};
+
+        if (required && this.peek().type !== '[') {
+            this.fail(this.peek(), `Expected '[', found ${this.describe(this.peek())}`);
+        }
+
+        while (this.peek().type === '[') {
+            this.next();
+            while (this.peek().type !== ']') {
+                const key = this.expectId();
+                let value = 'true';
+                if (this.peek().type === '=') {
+                    this.next();
+                    value = this.expectId().value;
+                }
+                attributes[key.value] = value;
+                if (this.peek().type === ',' || this.peek().type === ';') {
+                    this.next();
+                }
+            }
+            this.expect(']');
+        }
+
+        return attributes;
+    }
+
+    declareNode(graph, scope, nodeId, attributes) {
+        let node = graph.nodes.get(nodeId);
+
+        if (!node) {
+            node = { id: nodeId };
+            this.applyAttributes(node, scope.nodeDefaults);
+            graph.nodes.set(nodeId, node);
+        }
+
+        this.applyAttributes(node, attributes);
+
+        if (scope.cluster && !graph.nodeClusters.has(nodeId)) {
+            graph.nodeClusters.set(nodeId, scope.cluster);
+        }
+
+        if (node.label === undefined) {
+            node.label = nodeId;
+        }
+    }
+
+    buildEdge(from, to, attributes) {
+        const edge = { from, to };
+        this.applyAttributes(edge, attributes);
+        // "count" is accepted as an alias for the call count carried in "weight"
+        if (edge.weight === undefined && edge.count !== undefined) {
+            edge.weight = edge.count;
+        }
+        return edge;
+    }
+
+    /**
+     * Copy DOT attributes onto a node/edge, converting the ones the viewer reads
+     */
+    applyAttributes(target, attributes) {
+        Object.entries(attributes).forEach(([key, value]) => {
+            if (key === 'label') {
+                target.label = this.unescapeLabel(value);
+            } else if (key === 'line') {
+                const line = parseInt(value, 10);
+                if (!isNaN(line)) target.line = line;
+            } else if (key === 'weight' || key === 'count') {
+                const weight = parseFloat(value);
+                if (!isNaN(weight)) target[key] = weight;
+            } else if (key === 'dispatch') {
+                target.dispatch = value === true || value === 'true';
+            } else if (key === 'lines') {
+                // Call-site lines: "12,40,41"
+                target.lines = String(value).split(',')
+                    .map(line => parseInt(line, 10))
+                    .filter(line => !isNaN(line));
+            } else if (key === 'files') {
+                // File of each call site, when they aren't all in the caller's file
+                target.files = String(value).split(',');
+            } else if (key === 'order') {
+                const order = parseInt(value, 10);
+                if (!isNaN(order)) target.order = order;
+            } else {
+                target[key] = value;
+            }
+        });
+    }
+
+    /**
+     * Display name for a cluster: its label, or its ID without the "cluster" prefix
+     */
+    getClusterName(cluster) {
+        if (cluster.attributes.label) {
+            return this.unescapeLabel(cluster.attributes.label);
+        }
+        return cluster.name.replace(/^cluster_?/, '') || cluster.name;
+    }
+
+    // Token stream helpers
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') {
+            this.position++;
+        }
+        return token;
+    }
+
+    expect(type) {
+        const token = this.next();
+        if (token.type !== type) {
+            this.fail(token, `Expected '${type}', found ${this.describe(token)}`);
+        }
+        return token;
+    }
+
+    /**
+     * A missing '}' at end of file is reported but not fatal, so the
+     * statements of an unclosed block are kept
+     */
+    expectClosingBrace() {
+        if (this.peek().type === 'eof') {
+            this.report(this.peek(), "Missing '}' at end of file");
+            return;
+        }
+        this.expect('}');
+    }
+
+    expectId() {
+        const token = this.next();
+        if (token.type !== 'id') {
+            this.fail(token, `Expected an identifier, found ${this.describe(token)}`);
+        }
+        return token;
+    }
+
+    isKeyword(token, keyword) {
+        return token.type === 'id' && !token.quoted && !token.html &&
+            token.value.toLowerCase() === keyword;
+    }
+
+    peekKeyword(keyword) {
+        return this.isKeyword(this.peek(), keyword);
+    }
+
+    describe(token) {
+        return token.type === 'eof' ? 'end of file' : `'${token.value}'`;
+    }
+
+    // Diagnostics
+
+    createDiagnostic(position, message, severity) {
+        const sourceLine = this.sourceLines[position.line - 1] || '';
         return {
-            nodes: Array.from(nodes.values()),
-            edges
+            severity,
+            message,
+            line: position.line,
+            column: position.column,
+            snippet: sourceLine.replace(/\s+$/, '').slice(0, Constants.DOT.MAX_SNIPPET_LENGTH)
         };
     }
-}
 
+    addDiagnostic(diagnostic) {
+        const limit = Constants.DOT.MAX_DIAGNOSTICS;
+        const last = this.diagnostics[this.diagnostics.length - 1];
+        if (last && last.line === diagnostic.line && last.column === diagnostic.column &&
+            last.message === diagnostic.message) {
+            return;
+        }
+
+        if (this.diagnostics.length < limit) {
+            this.diagnostics.push(diagnostic);
+        } else if (this.diagnostics.length === limit) {
+            this.diagnostics.push({
+                ...diagnostic,
+                severity: 'warning',
+                message: `Too many problems; only the first ${limit} are listed`
+            });
+        }
+    }
+
+    /**
+     * Record a problem without interrupting parsing
+     * @param {{line: number, column: number}} position
+     * @param {string} message
+     * @param {'error'|'warning'} severity
+     */
+    report(position, message, severity = 'error') {
+        this.addDiagnostic(this.createDiagnostic(position, message, severity));
+    }
+
+    /**
+     * Abort the current statement; parseStatementList records the
+     * diagnostic and resumes at the next statement
+     */
+    fail(token, message) {
+        const error = new Error(`Line ${token.line}, column ${token.column}: ${message}`);
+        // Invalid tokens were already reported by the tokenizer
+        error.diagnostic = token.reported ? null : this.createDiagnostic(token, message, 'error');
+        error.token = token;
+        throw error;
+    }
+}
@@ -1,6 +1,31 @@
 // Graph export functionality
+import { GraphConfig } from './GraphConfig.js';
 import { ErrorHandler } from './ErrorHandler.js';
 import { Logger } from './Logger.js';
+import { Constants } from './Constants.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// XML-safe text (escapeHtml produces HTML entities such as &nbsp; that SVG rejects)
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Coordinates with two decimals keep the file small and readable
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// vis-network accepts dashes as true or as a [dash, gap, ...] array
+function toDashArray(dashes) {
+    if (Array.isArray(dashes)) return dashes.join(' ');
+    return dashes ? Constants.STYLES.BORDER_DASH_PATTERN.join(' ') : null;
+}
 
 export class ExportManager {
     constructor(viewer) {
@@ -19,13 +44,8 @@ export class ExportManager {
         if (canvas) {
             canvas.toBlob((blob) => {
                 try {
-                    const url = URL.createObjectURL(blob);
-                    const link = document.createElement('a');
-                    link.download = 'callgraph.png';
-                    link.href = url;
-                    link.click();
-                    URL.revokeObjectURL(url);
-                    
+                    this.downloadBlob(blob, 'callgraph.png');
+
                     Logger.info('ExportManager', 'Graph exported successfully');
                     ErrorHandler.showNotification('Graph exported successfully!', 'success');
                 } catch (error) {
@@ -40,4 +60,376 @@ export class ExportManager {
             ErrorHandler.showNotification('Cannot find graph canvas to export.', 'error');
         }
     }
+
+    /**
+     * Export every visible node and edge as a vector SVG, regardless of the viewport
+     * @param {{includeLegend: boolean}} options - Append package colors and node state keys
+     */
+    exportToSVG({ includeLegend = false } = {}) {
+        if (!this.viewer.network || !this.viewer.nodes || this.viewer.nodes.length === 0) {
+            ErrorHandler.showNotification('No graph to export. Please load a DOT file first.', 'info');
+            return;
+        }
+
+        Logger.info('ExportManager', 'Exporting graph to SVG', { includeLegend });
+
+        try {
+            const svg = this.buildSVG({ includeLegend });
+            this.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'callgraph.svg');
+
+            Logger.info('ExportManager', 'Graph exported successfully', { size: svg.length });
+            ErrorHandler.showNotification('Graph exported successfully!', 'success');
+        } catch (error) {
+            ErrorHandler.handle(
+                error,
+                'ExportManager.exportToSVG',
+                'Failed to export graph. Please try again.'
+            );
+        }
+    }
+
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = fileName;
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Build the SVG document from node positions and styles (canvas coordinates)
+     */
+    buildSVG({ includeLegend = false } = {}) {
+        const viewer = this.viewer;
+        const settings = Constants.SVG_EXPORT;
+
+        const nodes = viewer.nodes.get();
+        const positions = viewer.network.getPositions(nodes.map(node => node.id));
+        const boxes = new Map();
+        nodes.forEach(node => {
+            const box = this.getNodeBox(node, positions[node.id]);
+            if (box) boxes.set(node.id, box);
+        });
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        boxes.forEach(box => {
+            minX = Math.min(minX, box.left);
+            minY = Math.min(minY, box.top);
+            maxX = Math.max(maxX, box.right);
+            maxY = Math.max(maxY, box.bottom);
+        });
+        if (boxes.size === 0) {
+            minX = minY = maxX = maxY = 0;
+        }
+
+        const edges = viewer.edges.get().filter(edge => boxes.has(edge.from) && boxes.has(edge.to));
+        const edgeParts = edges.map(edge => this.renderEdge(edge, boxes.get(edge.from), boxes.get(edge.to)));
+        const nodeParts = nodes
+            .filter(node => boxes.has(node.id))
+            .map(node => this.renderNode(node, boxes.get(node.id)));
+
+        let width = maxX - minX + settings.PADDING * 2;
+        let height = maxY - minY + settings.PADDING * 2;
+        const originX = round(minX - settings.PADDING);
+        const originY = round(minY - settings.PADDING);
+
+        let legend = '';
+        if (includeLegend) {
+            const rendered = this.renderLegend(nodes, edges, round(minX), round(maxY + settings.PADDING));
+            legend = rendered.markup;
+            width = Math.max(width, rendered.width + settings.PADDING * 2);
+            height += rendered.height + settings.PADDING;
+        }
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="${SVG_NS}" width="${Math.ceil(width)}" height="${Math.ceil(height)}" ` +
+                `viewBox="${originX} ${originY} ${Math.ceil(width)} ${Math.ceil(height)}" ` +
+                `font-family="${escapeXml(settings.FONT_FAMILY)}">`,
+            '<defs>',
+            '<filter id="package-cycle-glow" x="-50%" y="-50%" width="200%" height="200%">',
+            `<feDropShadow dx="0" dy="0" stdDeviation="${GraphConfig.getPackageCycleShadow().size / 2}" ` +
+                `flood-color="${GraphConfig.getPackageCycleShadow().color}"/>`,
+            '</filter>',
+            '</defs>',
+            `<rect x="${originX}" y="${originY}" width="${Math.ceil(width)}" height="${Math.ceil(height)}" fill="#ffffff"/>`,
+            '<g class="edges">',
+            ...edgeParts,
+            '</g>',
+            '<g class="nodes">',
+            ...nodeParts,
+            '</g>',
+            legend,
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * Node rectangle in canvas coordinates; vis-network's bounding box when it has
+     * one, otherwise an estimate from the label and width constraints
+     */
+    getNodeBox(node, position) {
+        if (!position) return null;
+
+        const bounds = this.viewer.network.getBoundingBox?.(node.id);
+        if (bounds && Number.isFinite(bounds.left) && bounds.right > bounds.left) {
+            return {
+                left: bounds.left,
+                top: bounds.top,
+                right: bounds.right,
+                bottom: bounds.bottom,
+                cx: position.x,
+                cy: position.y
+            };
+        }
+
+        const settings = Constants.SVG_EXPORT;
+        const fontSize = node.font?.size || Constants.SEARCH.NODE_FONT_SIZE_PX;
+        const margin = typeof node.margin === 'number' ? node.margin : Constants.STYLES.NODE_MARGIN_DISPLAY;
+        const minWidth = node.widthConstraint?.minimum || Constants.STYLES.NODE_MIN_WIDTH_DISPLAY;
+        const maxWidth = node.widthConstraint?.maximum || Constants.STYLES.NODE_MAX_WIDTH_DISPLAY;
+
+        const longest = Math.max(...this.getLabelText(node).split('\n').map(line => line.length));
+        const width = Math.min(Math.max(longest * fontSize * settings.CHAR_WIDTH_RATIO + margin * 2, minWidth), maxWidth);
+        const lines = this.wrapLabel(this.getLabelText(node), width - margin * 2, fontSize).length;
+        const height = lines * fontSize * settings.LINE_HEIGHT_RATIO + margin * 2;
+
+        return {
+            left: position.x - width / 2,
+            top: position.y - height / 2,
+            right: position.x + width / 2,
+            bottom: position.y + height / 2,
+            cx: position.x,
+            cy: position.y
+        };
+    }
+
+    getLabelText(node) {
+        return String(node.label ?? node.id);
+    }
+
+    /**
+     * Break a label into lines that fit the box, like vis-network's widthConstraint wrapping
+     */
+    wrapLabel(text, maxWidth, fontSize) {
+        const maxChars = Math.max(1, Math.floor(maxWidth / (fontSize * Constants.SVG_EXPORT.CHAR_WIDTH_RATIO)));
+        const lines = [];
+
+        text.split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(/(\s+)/).forEach(word => {
+                if ((line + word).length <= maxChars) {
+                    line += word;
+                    return;
+                }
+                if (line.trim()) lines.push(line.trim());
+                line = word.trim();
+                // Identifiers without spaces are split hard
+                while (line.length > maxChars) {
+                    lines.push(line.slice(0, maxChars));
+                    line = line.slice(maxChars);
+                }
+            });
+            lines.push(line.trim());
+        });
+
+        return lines;
+    }
+
+    renderNode(node, box) {
+        const defaults = GraphConfig.getNodeDefaults();
+        const color = typeof node.color === 'string'
+            ? { background: node.color, border: node.color }
+            : { ...defaults.color, ...node.color };
+        const borderWidth = node.borderWidth ?? defaults.borderWidth;
+        const dashArray = toDashArray(node.shapeProperties?.borderDashes);
+        const fontSize = node.font?.size || defaults.font.size;
+        const fontColor = node.font?.color || defaults.font.color;
+        const margin = typeof node.margin === 'number' ? node.margin : defaults.margin;
+
+        const lines = this.wrapLabel(this.getLabelText(node), box.right - box.left - margin * 2, fontSize);
+        const lineHeight = fontSize * Constants.SVG_EXPORT.LINE_HEIGHT_RATIO;
+        const firstBaseline = box.cy - (lines.length - 1) * lineHeight / 2;
+
+        const rectAttributes = [
+            `x="${round(box.left)}"`, `y="${round(box.top)}"`,
+            `width="${round(box.right - box.left)}"`, `height="${round(box.bottom - box.top)}"`,
+            'rx="6"',
+            `fill="${escapeXml(color.background)}"`,
+            `stroke="${escapeXml(color.border)}"`,
+            `stroke-width="${borderWidth}"`
+        ];
+        if (dashArray) rectAttributes.push(`stroke-dasharray="${dashArray}"`);
+        if (node.shadow?.enabled) rectAttributes.push('filter="url(#package-cycle-glow)"');
+
+        const textAttributes = [
+            'text-anchor="middle"', 'dominant-baseline="central"',
+            `font-size="${fontSize}"`, `fill="${escapeXml(fontColor)}"`
+        ];
+        if (node.font?.bold) textAttributes.push('font-weight="bold"');
+
+        const tspans = lines.map((line, index) =>
+            `<tspan x="${round(box.cx)}" y="${round(firstBaseline + index * lineHeight)}">${escapeXml(line)}</tspan>`
+        ).join('');
+
+        return `<g><title>${escapeXml(node.id)}</title>` +
+            `<rect ${rectAttributes.join(' ')}/>` +
+            `<text ${textAttributes.join(' ')}>${tspans}</text></g>`;
+    }
+
+    renderEdge(edge, fromBox, toBox) {
+        const color = typeof edge.color === 'string' ? { color: edge.color } : (edge.color || {});
+        const stroke = escapeXml(color.color || '#94a3b8');
+        const opacity = color.opacity ?? 1;
+        const width = edge.width || Constants.STYLES.EDGE_WIDTH;
+        const dashArray = toDashArray(edge.dashes);
+        const strokeAttributes = `stroke="${stroke}" stroke-width="${width}" stroke-opacity="${opacity}"` +
+            (dashArray ? ` stroke-dasharray="${dashArray}"` : '');
+        const title = `<title>${escapeXml(`${edge.from} → ${edge.to}`)}</title>`;
+
+        // Self-call: loop over the top right corner
+        if (edge.from === edge.to) {
+            const radius = 12;
+            return `<g>${title}<circle cx="${round(fromBox.right)}" cy="${round(fromBox.top)}" r="${radius}" fill="none" ${strokeAttributes}/></g>`;
+        }
+
+        const start = this.clipToBox(toBox.cx, toBox.cy, fromBox);
+        const end = this.clipToBox(fromBox.cx, fromBox.cy, toBox);
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const length = Math.hypot(dx, dy);
+        if (length === 0) return '';
+
+        const showArrow = edge.arrows?.to?.enabled !== false;
+        const scaleFactor = edge.arrows?.to?.scaleFactor ?? Constants.STYLES.EDGE_ARROW_SCALE;
+        const arrowLength = showArrow ? Math.min(15 * scaleFactor + 3 * width, length) : 0;
+        const ux = dx / length;
+        const uy = dy / length;
+        // A bar sits across the line's end; every other head replaces the last stretch of it
+        const lineLength = edge.arrows?.to?.type === 'bar' ? length : length - arrowLength;
+        const lineEndX = start.x + ux * lineLength;
+        const lineEndY = start.y + uy * lineLength;
+
+        let markup = `<g>${title}<line x1="${round(start.x)}" y1="${round(start.y)}" x2="${round(lineEndX)}" y2="${round(lineEndY)}" ${strokeAttributes}/>`;
+        if (showArrow) {
+            markup += this.renderArrowhead(edge.arrows?.to?.type, end, ux, uy, arrowLength, stroke, opacity);
+        }
+        return markup + '</g>';
+    }
+
+    /**
+     * Arrowhead ending at `end`, pointing along (ux, uy); mirrors vis-network's
+     * 'arrow', 'vee', 'bar' and 'circle' types
+     */
+    renderArrowhead(type, end, ux, uy, arrowLength, stroke, opacity) {
+        const baseX = end.x - ux * arrowLength;
+        const baseY = end.y - uy * arrowLength;
+        const halfWidth = arrowLength * 0.4;
+        const fill = `fill="${stroke}" fill-opacity="${opacity}"`;
+        const toPoints = points => points.map(point => point.map(round).join(',')).join(' ');
+
+        if (type === 'circle') {
+            const radius = arrowLength / 2;
+            return `<circle cx="${round(end.x - ux * radius)}" cy="${round(end.y - uy * radius)}" r="${round(radius * 0.8)}" ${fill}/>`;
+        }
+        if (type === 'bar') {
+            return `<line x1="${round(end.x - uy * halfWidth)}" y1="${round(end.y + ux * halfWidth)}" ` +
+                `x2="${round(end.x + uy * halfWidth)}" y2="${round(end.y - ux * halfWidth)}" ` +
+                `stroke="${stroke}" stroke-opacity="${opacity}" stroke-width="${round(arrowLength * 0.2)}"/>`;
+        }
+        if (type === 'vee') {
+            // Notched head: the back of the arrow is pulled in towards the tip
+            const notchX = end.x - ux * arrowLength * 0.6;
+            const notchY = end.y - uy * arrowLength * 0.6;
+            return `<polygon points="${toPoints([
+                [end.x, end.y],
+                [baseX - uy * halfWidth, baseY + ux * halfWidth],
+                [notchX, notchY],
+                [baseX + uy * halfWidth, baseY - ux * halfWidth]
+            ])}" ${fill}/>`;
+        }
+        return `<polygon points="${toPoints([
+            [end.x, end.y],
+            [baseX - uy * halfWidth, baseY + ux * halfWidth],
+            [baseX + uy * halfWidth, baseY - ux * halfWidth]
+        ])}" ${fill}/>`;
+    }
+
+    /**
+     * Point where the line from (x, y) to the box center crosses the box border
+     */
+    clipToBox(x, y, box) {
+        const dx = x - box.cx;
+        const dy = y - box.cy;
+        const halfWidth = (box.right - box.left) / 2;
+        const halfHeight = (box.bottom - box.top) / 2;
+        const scale = Math.min(
+            dx === 0 ? Infinity : halfWidth / Math.abs(dx),
+            dy === 0 ? Infinity : halfHeight / Math.abs(dy)
+        );
+        if (!Number.isFinite(scale) || scale >= 1) return { x: box.cx, y: box.cy };
+        return { x: box.cx + dx * scale, y: box.cy + dy * scale };
+    }
+
+    /**
+     * Package colors of the exported nodes plus the node and edge state keys in use
+     * @returns {{markup: string, width: number, height: number}}
+     */
+    renderLegend(nodes, edges, x, y) {
+        const settings = Constants.SVG_EXPORT;
+        const viewer = this.viewer;
+        const swatch = settings.LEGEND_SWATCH_SIZE;
+        const rows = [];
+
+        const packages = new Set();
+        nodes.forEach(node => {
+            const packageName = viewer.getNodePackage(node);
+            if (packageName) packages.add(packageName);
+        });
+        Array.from(packages).sort().forEach(packageName => {
+            rows.push({ label: packageName, stroke: viewer.getFolderColor(packageName), fill: '#ffffff' });
+        });
+
+        const collapsedStates = Array.from(viewer.nodeOps.collapsedNodes.values());
+        if (collapsedStates.some(state => state.outgoing)) {
+            const colors = GraphConfig.getNodeColors({ outgoing: true });
+            rows.push({ label: 'Outgoing calls collapsed', stroke: colors.border, fill: '#ffffff', dashes: colors.borderDashes });
+        }
+        if (collapsedStates.some(state => state.incoming)) {
+            const colors = GraphConfig.getNodeColors({ incoming: true });
+            rows.push({ label: 'Incoming calls collapsed', stroke: colors.border, fill: colors.background });
+        }
+        if (nodes.some(node => node.shadow?.enabled)) {
+            rows.push({ label: 'Package in a dependency cycle', stroke: '#4f46e5', fill: '#ffffff', glow: true });
+        }
+        const kinds = new Set(edges.map(edge => viewer.getEdgeKind(edge)));
+        if (Array.from(kinds).some(kind => kind !== 'call')) {
+            Object.entries(Constants.EDGE_KINDS)
+                .filter(([kind]) => kinds.has(kind))
+                .forEach(([, style]) => rows.push({ label: style.label, stroke: style.color, fill: style.color }));
+        }
+        if (edges.some(edge => edge.dispatch)) {
+            const style = GraphConfig.getDispatchEdgeStyle();
+            rows.push({ label: 'Call through an interface', stroke: style.color.color, fill: '#ffffff', dashes: style.dashes });
+        }
+
+        const markup = rows.map((row, index) => {
+            const rowY = round(y + index * settings.LEGEND_ROW_HEIGHT);
+            const dashArray = toDashArray(row.dashes);
+            return `<rect x="${x}" y="${rowY}" width="${swatch}" height="${swatch}" rx="3" ` +
+                `fill="${escapeXml(row.fill)}" stroke="${escapeXml(row.stroke)}" stroke-width="2"` +
+                (dashArray ? ` stroke-dasharray="${dashArray}"` : '') +
+                (row.glow ? ' filter="url(#package-cycle-glow)"' : '') + '/>' +
+                `<text x="${x + swatch + 8}" y="${rowY + swatch / 2}" dominant-baseline="central" ` +
+                `font-size="13" fill="#1e293b">${escapeXml(row.label)}</text>`;
+        }).join('\n');
+
+        const longest = Math.max(0, ...rows.map(row => row.label.length));
+        return {
+            markup: `<g class="legend">\n${markup}\n</g>`,
+            width: swatch + 8 + longest * 13 * settings.CHAR_WIDTH_RATIO,
+            height: rows.length * settings.LEGEND_ROW_HEIGHT
+        };
+    }
 }
@@ -0,0 +1,112 @@
+// External packages
+// Calls into the standard library and other modules (nodes with `external` set,
+// see GoParser's includeExternal setting) are shown as one node per import path
+// until that package is expanded. The viewer keeps the graph as it was loaded
+// (loadedData), so expanding or grouping a package again is one more applyGraphUpdate().
+import { Logger } from './Logger.js';
+
+export class ExternalPackages {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.expanded = new Set();  // Import paths shown function by function
+    }
+
+    static getGroupId(path) {
+        return `external:${path}`;
+    }
+
+    /**
+     * Import path of an external function node (its DOT cluster), null for anything else
+     */
+    getPackagePath(node) {
+        return node.external && node.cluster && !node.externalPackage ? node.cluster : null;
+    }
+
+    /**
+     * Graph data to display: the functions of every package that isn't expanded are
+     * replaced by one node, and the calls into them merged per caller and kind
+     * @param {{nodes: Array, edges: Array}} parsedData
+     * @returns {{nodes: Array, edges: Array}} parsedData itself when it has no external nodes
+     */
+    group(parsedData) {
+        const members = new Map(); // import path -> function nodes
+        parsedData.nodes.forEach(node => {
+            const path = this.getPackagePath(node);
+            if (!path) return;
+            if (!members.has(path)) members.set(path, []);
+            members.get(path).push(node);
+        });
+        if (members.size === 0) return parsedData;
+
+        // Packages the graph no longer calls start out grouped if they come back
+        Array.from(this.expanded).forEach(path => {
+            if (!members.has(path)) this.expanded.delete(path);
+        });
+
+        const groupOf = new Map(); // function node ID -> group node ID
+        const groups = [];
+        members.forEach((functions, path) => {
+            if (this.expanded.has(path)) return;
+            const groupId = ExternalPackages.getGroupId(path);
+            functions.forEach(node => groupOf.set(node.id, groupId));
+            groups.push({
+                id: groupId,
+                label: path,
+                cluster: path,
+                external: functions[0].external,
+                externalPackage: path,
+                functionCount: functions.length
+            });
+        });
+
+        const merged = new Map(); // "from\0to\0kind" -> merged edge
+        const edges = [];
+        parsedData.edges.forEach(edge => {
+            const from = groupOf.get(edge.from) || edge.from;
+            const to = groupOf.get(edge.to) || edge.to;
+            if (from === edge.from && to === edge.to) {
+                edges.push(edge);
+                return;
+            }
+            if (from === to) return; // Within one grouped package
+
+            const key = `${from}\0${to}\0${edge.kind || 'call'}`;
+            const existing = merged.get(key);
+            if (!existing) {
+                const groupEdge = { from, to, kind: edge.kind, weight: edge.weight, lines: edge.lines, files: edge.files };
+                merged.set(key, groupEdge);
+                edges.push(groupEdge);
+                return;
+            }
+            existing.weight = (existing.weight ?? 1) + (edge.weight ?? 1);
+            Object.assign(existing, this.viewer.mergeCallSites(existing, edge));
+        });
+
+        return {
+            ...parsedData,
+            nodes: [...parsedData.nodes.filter(node => !groupOf.has(node.id)), ...groups],
+            edges
+        };
+    }
+
+    /**
+     * Show an external package's functions, or group them back into one node
+     */
+    toggle(path) {
+        if (!this.viewer.loadedData || !this.viewer.originalData) return;
+
+        if (this.expanded.has(path)) {
+            this.expanded.delete(path);
+        } else {
+            this.expanded.add(path);
+        }
+        const { added, removed } = this.viewer.applyGraphUpdate(this.viewer.loadedData);
+
+        Logger.info('ExternalPackages', 'External package toggled', {
+            path,
+            expanded: this.expanded.has(path),
+            addedNodes: added,
+            removedNodes: removed
+        });
+    }
+}
@@ -0,0 +1,98 @@
+// Folder sources without the File System Access API
+// Turns an <input webkitdirectory> upload or a folder/.zip dropped on the page
+// into a GoAnalyzer source. Only files some scan settings could use are kept
+// (see GoScanRules.isCandidateFile and JsScanRules.isCandidateFile), without
+// node_modules; the settings themselves are applied by the parser, so changing
+// them later doesn't need the folder picked again.
+import { Logger } from './Logger.js';
+
+// Directories no analysis reads (version control, installed packages)
+const SKIPPED_DIRECTORIES = ['.git', 'node_modules'];
+
+export class FolderReader {
+    constructor(viewer) {
+        this.viewer = viewer;
+    }
+
+    /**
+     * Source from an <input webkitdirectory> selection
+     * @param {FileList} fileList - Every file has a webkitRelativePath starting with the picked folder
+     * @returns {{name: string, files: Array<{path: string, file: File}>}|null} Null when nothing was picked
+     */
+    fromFileList(fileList) {
+        if (fileList.length === 0) return null;
+
+        const name = fileList[0].webkitRelativePath.split('/')[0];
+        const files = [];
+        for (const file of fileList) {
+            const parts = file.webkitRelativePath.split('/').slice(1);
+            if (this.isCandidateFile(file.name) && !parts.some(part => SKIPPED_DIRECTORIES.includes(part))) {
+                files.push({ path: parts.join('/'), file });
+            }
+        }
+
+        Logger.info('FolderReader', 'Folder uploaded', { folderName: name, fileCount: fileList.length, sourceFiles: files.length });
+        return { name, files };
+    }
+
+    /**
+     * Source from a drop: one folder or one .zip archive
+     * @param {DataTransfer} dataTransfer
+     * @returns {Promise<Object|null>} Null when the drop holds anything else
+     */
+    async fromDataTransfer(dataTransfer) {
+        const item = Array.from(dataTransfer.items).find(item => item.kind === 'file');
+        if (!item || dataTransfer.items.length > 1) return null;
+
+        // Both must be requested before the first await, while the drop data is still readable
+        const handlePromise = item.getAsFileSystemHandle?.();
+        const entry = item.webkitGetAsEntry();
+        const file = item.getAsFile();
+
+        // Chromium hands out a real directory handle, which refresh() can re-read later
+        const handle = await handlePromise?.catch(() => null);
+        if (handle?.kind === 'directory') {
+            return { dirHandle: handle };
+        }
+
+        if (entry?.isDirectory) {
+            const files = [];
+            await this.readDirectoryEntry(entry, '', files);
+            Logger.info('FolderReader', 'Folder dropped', { folderName: entry.name, sourceFiles: files.length });
+            return { name: entry.name, files };
+        }
+
+        if (file && /\.zip$/i.test(file.name)) {
+            return { zip: file };
+        }
+        return null;
+    }
+
+    /**
+     * Recursively collect the files GoParser or JsParser may parse below a dropped folder
+     * @param {FileSystemDirectoryEntry} directoryEntry
+     * @param {Array<{path: string, file: File}>} files - Filled in place
+     */
+    async readDirectoryEntry(directoryEntry, relativePath, files) {
+        const reader = directoryEntry.createReader();
+        // readEntries returns the folder in batches; an empty batch marks the end
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (batch.length === 0) return;
+
+            for (const entry of batch) {
+                const entryPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+                if (entry.isFile && this.isCandidateFile(entry.name)) {
+                    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                    files.push({ path: entryPath, file });
+                } else if (entry.isDirectory && !SKIPPED_DIRECTORIES.includes(entry.name)) {
+                    await this.readDirectoryEntry(entry, entryPath, files);
+                }
+            }
+        }
+    }
+
+    isCandidateFile(name) {
+        return GoScanRules.isCandidateFile(name) || JsScanRules.isCandidateFile(name);
+    }
+}
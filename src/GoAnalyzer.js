@@ -0,0 +1,222 @@
+// Go folder analysis
+// Runs GoParser or JsParser, whichever fits the folder (see project-detector.js),
+// in a Web Worker (go-worker.js) so scanning a big repository
+// doesn't freeze the page, relays its progress and lets the user cancel it.
+// The worker and the folder are kept after a run, so refresh() only re-parses
+// changed files; auto refresh repeats that on a timer. Uploaded files and zip
+// archives are snapshots, so only folders opened with showDirectoryPicker refresh.
+// Where no worker can be started the parser runs on the main thread instead.
+import { Logger } from './Logger.js';
+import { Constants } from './Constants.js';
+
+export class GoAnalyzer {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.source = null;           // Folder of the last analysis (see analyze)
+        this.settings = null;         // Its scan settings
+        this.worker = null;
+        this.workerReplied = false;   // Errors before the worker's first message fall back to the main thread
+        this.rejectRun = null;        // Rejects the pending worker run when cancelled
+        this.parser = null;           // Main-thread fallback: parser and folder kept for refresh()
+        this.folder = null;
+        this.abortController = null;  // Cancels a main-thread run
+        this.running = false;
+        this.autoRefreshTimer = null;
+    }
+
+    get isRunning() {
+        return this.running;
+    }
+
+    get canRefresh() {
+        return Boolean(this.source?.dirHandle);
+    }
+
+    get isAutoRefreshing() {
+        return this.autoRefreshTimer !== null;
+    }
+
+    /**
+     * Analyze a Go or JavaScript/TypeScript folder
+     * @param {Object} source - { dirHandle } from showDirectoryPicker, { name, files }
+     *   with files [{ path, file }] relative to the folder, or { zip } (a File)
+     * @param {Object} settings - Which files to scan, see GoScanRules.DEFAULT_SETTINGS
+     * @param {function(Object): void} onProgress - See GoParser.parseDirectory
+     * @returns {Promise<Object>} See GoParser.toAnalysisResult
+     * @throws {DOMException} AbortError when cancel() is called
+     */
+    analyze(source, settings, onProgress) {
+        this.cancel();
+        this.source = source;
+        this.settings = settings;
+        this.parser = null;
+        this.folder = null;
+        return this.run({ type: 'analyze', source, settings }, onProgress);
+    }
+
+    /**
+     * Parse the last folder again from scratch with other scan settings; unlike
+     * refresh() this also works for uploaded and zipped folders
+     * @returns {Promise<Object>} As analyze()
+     */
+    reanalyze(settings, onProgress) {
+        if (!this.source) {
+            return Promise.reject(new Error('No folder has been analyzed yet.'));
+        }
+        return this.analyze(this.source, settings, onProgress);
+    }
+
+    /**
+     * Re-read the last analyzed folder, parsing only files whose lastModified changed
+     * @returns {Promise<Object>} As analyze(), plus changedFiles/removedFiles when only
+     *   changes were parsed; dot is null when nothing changed
+     */
+    refresh(onProgress) {
+        if (!this.canRefresh) {
+            return Promise.reject(new Error('No folder that can be re-read has been analyzed.'));
+        }
+        this.cancel();
+        // A cancelled run dropped its worker (and the parsed state with it): start over
+        const message = this.worker ? { type: 'refresh' } : { type: 'analyze', source: this.source, settings: this.settings };
+        return this.run(message, onProgress);
+    }
+
+    run(message, onProgress) {
+        if (!this.worker && !this.parser) {
+            try {
+                this.worker = new Worker(Constants.GO_ANALYSIS.WORKER_URL);
+                this.workerReplied = false;
+                this.worker.postMessage(message);
+            } catch (error) {
+                // Pages opened from file://, or a handle the browser can't send to a worker
+                this.worker?.terminate();
+                this.worker = null;
+                Logger.warn('GoAnalyzer', 'Analysis worker unavailable, parsing on the main thread', { error: error.message });
+                return this.runOnMainThread(onProgress);
+            }
+            Logger.info('GoAnalyzer', 'Analysis worker started');
+        } else if (this.worker) {
+            this.worker.postMessage(message);
+        } else {
+            return this.runOnMainThread(onProgress);
+        }
+
+        const worker = this.worker;
+        this.running = true;
+        return new Promise((resolve, reject) => {
+            this.rejectRun = reject;
+
+            worker.onmessage = (event) => {
+                const reply = event.data;
+                this.workerReplied = true;
+                if (reply.type === 'progress') {
+                    onProgress(reply.progress);
+                    return;
+                }
+
+                this.running = false;
+                this.rejectRun = null;
+                if (reply.type === 'result') {
+                    resolve(reply.result);
+                } else {
+                    const error = new Error(reply.message);
+                    error.name = reply.name;
+                    reject(error);
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                this.stopWorker();
+                if (!this.workerReplied) {
+                    // The worker script (or one it imports) failed to load: parse here instead
+                    Logger.warn('GoAnalyzer', 'Analysis worker failed to load, parsing on the main thread', { error: event.message });
+                    this.runOnMainThread(onProgress).then(resolve, reject);
+                    return;
+                }
+                reject(new Error(event.message || 'The analysis worker failed.'));
+            };
+        });
+    }
+
+    async runOnMainThread(onProgress) {
+        const abortController = new AbortController();
+        this.abortController = abortController;
+        this.running = true;
+        try {
+            if (this.parser) {
+                const { callGraph, changedFiles, removedFiles } = await this.parser.refreshDirectory(
+                    this.folder, { onProgress, signal: abortController.signal });
+                const result = callGraph ? this.parser.toAnalysisResult(callGraph) : { dot: null };
+                return { ...result, changedFiles, removedFiles };
+            }
+
+            const folder = await FileTreeDirectory.fromSource(this.source);
+            const parser = await ProjectDetector.createParser(folder, this.settings);
+            const callGraph = await parser.parseDirectory(folder, { onProgress, signal: abortController.signal });
+            this.parser = parser;
+            this.folder = folder;
+            return parser.toAnalysisResult(callGraph);
+        } catch (error) {
+            this.parser = null;
+            throw error;
+        } finally {
+            if (this.abortController === abortController) {
+                this.abortController = null;
+                this.running = false;
+            }
+        }
+    }
+
+    /**
+     * Stop the running analysis; its promise rejects with an AbortError
+     */
+    cancel() {
+        if (!this.running) return;
+
+        if (this.worker) {
+            const reject = this.rejectRun;
+            this.stopWorker();
+            reject(new DOMException('The analysis was cancelled.', 'AbortError'));
+        } else if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+            this.running = false;
+        }
+        Logger.info('GoAnalyzer', 'Analysis cancelled');
+    }
+
+    /**
+     * Drop the folder once another graph is loaded; refresh() is unavailable until the next analyze()
+     */
+    forgetFolder() {
+        this.cancel();
+        this.setAutoRefresh(false);
+        this.worker?.terminate();
+        this.worker = null;
+        this.parser = null;
+        this.folder = null;
+        this.source = null;
+        this.settings = null;
+    }
+
+    stopWorker() {
+        this.worker.terminate();
+        this.worker = null;
+        this.rejectRun = null;
+        this.running = false;
+    }
+
+    /**
+     * Refresh the graph from the folder every Constants.GO_ANALYSIS.AUTO_REFRESH_INTERVAL ms
+     */
+    setAutoRefresh(enabled) {
+        clearInterval(this.autoRefreshTimer);
+        this.autoRefreshTimer = null;
+        if (enabled) {
+            this.autoRefreshTimer = setInterval(() => {
+                if (!this.running) this.viewer.refreshFromFolder({ quiet: true });
+            }, Constants.GO_ANALYSIS.AUTO_REFRESH_INTERVAL);
+        }
+    }
+}
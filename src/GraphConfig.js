@@ -5,6 +5,8 @@
 //   - If package A calls package B, ALL nodes of B are to the RIGHT of ALL nodes of A
 //   - Edge direction: from (caller) -> to (callee)
 //   - Within each package cluster, nodes can move vertically but X position is fixed
+import { Constants } from './Constants.js';
+
 export class GraphConfig {
     static getOptions() {
         return {
@@ -103,11 +105,27 @@ export class GraphConfig {
         };
     }
 
-    static getEdgeDefaults() {
+    /**
+     * Edge style scaled by weight (call-site count, or sample value for profiles)
+     * Width and opacity follow sqrt(weight / maxWeight) so heavy edges stand out
+     * without reducing light ones to nothing. Unweighted graphs (maxWeight <= 1)
+     * get the uniform default style.
+     */
+    static getEdgeStyle(weight = 1, maxWeight = 1) {
+        const styles = Constants.STYLES;
+        let width = styles.EDGE_WIDTH;
+        let opacity = 1;
+
+        if (maxWeight > 1) {
+            const ratio = Math.sqrt(Math.min(Math.max(weight, 0), maxWeight) / maxWeight);
+            width = styles.EDGE_MIN_WIDTH + (styles.EDGE_MAX_WIDTH - styles.EDGE_MIN_WIDTH) * ratio;
+            opacity = styles.EDGE_MIN_OPACITY + (1 - styles.EDGE_MIN_OPACITY) * ratio;
+        }
+
         return {
-            arrows: { to: { enabled: true, scaleFactor: 0.8 } },
-            color: { color: '#94a3b8', highlight: '#4f46e5' },
-            width: 2,
+            arrows: { to: { enabled: true, scaleFactor: styles.EDGE_ARROW_SCALE } },
+            color: { color: '#94a3b8', highlight: '#4f46e5', opacity },
+            width,
             smooth: { 
                 enabled: true,
                 type: 'straightCross'  // Straight lines with minimal curve at crossing
@@ -115,6 +133,30 @@ export class GraphConfig {
         };
     }
 
+    /**
+     * Overrides for go/defer/function reference edges: their own color and arrowhead
+     * @returns {Object|null} null for plain calls and unknown kinds
+     */
+    static getEdgeKindStyle(kind, opacity = 1) {
+        const style = Constants.EDGE_KINDS[kind];
+        if (!style || kind === 'call') return null;
+        return {
+            arrows: { to: { enabled: true, type: style.arrow, scaleFactor: Constants.STYLES.EDGE_ARROW_SCALE } },
+            color: { color: style.color, highlight: style.highlight, opacity }
+        };
+    }
+
+    /**
+     * Overrides for dynamic dispatch edges (interface method call -> implementation)
+     */
+    static getDispatchEdgeStyle(opacity = 1) {
+        const styles = Constants.STYLES;
+        return {
+            color: { color: styles.DISPATCH_EDGE_COLOR, highlight: '#7e22ce', opacity },
+            dashes: styles.DISPATCH_EDGE_DASHES
+        };
+    }
+
     static getNodeColors(collapseState) {
         const colors = {};
         
@@ -151,6 +193,35 @@ export class GraphConfig {
         };
     }
 
+    // Glow around nodes whose package is part of a package dependency cycle
+    static getPackageCycleShadow() {
+        return {
+            enabled: true,
+            color: 'rgba(234, 88, 12, 0.7)',
+            size: 14,
+            x: 0,
+            y: 0
+        };
+    }
+
+    // Background of Go test functions (node.test); borders keep their package color
+    static getTestNodeColors() {
+        return {
+            background: '#ecfdf5',
+            highlightBg: '#d1fae5',
+            fontColor: '#065f46'
+        };
+    }
+
+    // Muted background and text of standard library and module nodes (node.external)
+    static getExternalNodeColors() {
+        return {
+            background: '#f1f5f9',
+            highlightBg: '#e2e8f0',
+            fontColor: '#64748b'
+        };
+    }
+
     static getIsolatedNodeColors() {
         return {
             background: '#f3f4f6',
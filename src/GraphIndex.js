@@ -0,0 +1,166 @@
+// Adjacency index over originalData
+// Incoming/outgoing edges, degrees and package membership per node, built once per
+// load and kept in sync through DataSet events, so graph operations look up a
+// node's neighbours instead of scanning every edge.
+import { Logger } from './Logger.js';
+
+export class GraphIndex {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.outgoing = new Map();       // nodeId -> Map<edgeId, edge>
+        this.incoming = new Map();       // nodeId -> Map<edgeId, edge>
+        this.nodePackages = new Map();   // nodeId -> package name (or null)
+        this.packageMembers = new Map(); // package name -> Set<nodeId>
+        this.listeners = [];             // [dataSet, event, handler] for detach()
+    }
+
+    /**
+     * Index the current originalData and follow its changes
+     */
+    build() {
+        this.detach();
+        this.outgoing.clear();
+        this.incoming.clear();
+        this.nodePackages.clear();
+        this.packageMembers.clear();
+
+        const { nodes, edges } = this.viewer.originalData;
+        nodes.forEach(node => this.addNode(node));
+        edges.forEach(edge => this.addEdge(edge));
+
+        this.listen(nodes, 'add', (event, { items }) => {
+            items.forEach(id => this.addNode(nodes.get(id)));
+        });
+        this.listen(nodes, 'update', (event, { items, oldData }) => {
+            items.forEach((id, index) => {
+                this.removeNode(oldData[index]);
+                this.addNode(nodes.get(id));
+            });
+        });
+        this.listen(nodes, 'remove', (event, { oldData }) => {
+            oldData.forEach(node => this.removeNode(node));
+        });
+
+        this.listen(edges, 'add', (event, { items }) => {
+            items.forEach(id => this.addEdge(edges.get(id)));
+        });
+        this.listen(edges, 'update', (event, { items, oldData }) => {
+            items.forEach((id, index) => {
+                this.removeEdge(oldData[index]);
+                this.addEdge(edges.get(id));
+            });
+        });
+        this.listen(edges, 'remove', (event, { oldData }) => {
+            oldData.forEach(edge => this.removeEdge(edge));
+        });
+
+        Logger.debug('GraphIndex', 'Index built', {
+            nodeCount: this.nodePackages.size,
+            packageCount: this.packageMembers.size
+        });
+    }
+
+    listen(dataSet, event, handler) {
+        dataSet.on(event, handler);
+        this.listeners.push([dataSet, event, handler]);
+    }
+
+    detach() {
+        this.listeners.forEach(([dataSet, event, handler]) => dataSet.off(event, handler));
+        this.listeners = [];
+    }
+
+    addNode(node) {
+        if (!node) return;
+        const packageName = this.viewer.getNodePackage(node);
+        this.nodePackages.set(node.id, packageName);
+        if (!this.packageMembers.has(packageName)) {
+            this.packageMembers.set(packageName, new Set());
+        }
+        this.packageMembers.get(packageName).add(node.id);
+    }
+
+    removeNode(node) {
+        if (!node || !this.nodePackages.has(node.id)) return;
+        const packageName = this.nodePackages.get(node.id);
+        this.nodePackages.delete(node.id);
+
+        const members = this.packageMembers.get(packageName);
+        if (members) {
+            members.delete(node.id);
+            if (members.size === 0) this.packageMembers.delete(packageName);
+        }
+    }
+
+    addEdge(edge) {
+        if (!edge) return;
+        if (!this.outgoing.has(edge.from)) this.outgoing.set(edge.from, new Map());
+        if (!this.incoming.has(edge.to)) this.incoming.set(edge.to, new Map());
+        this.outgoing.get(edge.from).set(edge.id, edge);
+        this.incoming.get(edge.to).set(edge.id, edge);
+    }
+
+    removeEdge(edge) {
+        if (!edge) return;
+        this.outgoing.get(edge.from)?.delete(edge.id);
+        this.incoming.get(edge.to)?.delete(edge.id);
+    }
+
+    getOutgoingEdges(nodeId) {
+        const edges = this.outgoing.get(nodeId);
+        return edges ? Array.from(edges.values()) : [];
+    }
+
+    getIncomingEdges(nodeId) {
+        const edges = this.incoming.get(nodeId);
+        return edges ? Array.from(edges.values()) : [];
+    }
+
+    /**
+     * Incoming and outgoing edges; a self-loop is listed once
+     */
+    getConnectedEdges(nodeId) {
+        const edges = new Map(this.outgoing.get(nodeId));
+        this.incoming.get(nodeId)?.forEach((edge, edgeId) => edges.set(edgeId, edge));
+        return Array.from(edges.values());
+    }
+
+    // Distinct callees
+    getSuccessors(nodeId) {
+        return new Set(this.getOutgoingEdges(nodeId).map(edge => edge.to));
+    }
+
+    // Distinct callers
+    getPredecessors(nodeId) {
+        return new Set(this.getIncomingEdges(nodeId).map(edge => edge.from));
+    }
+
+    getOutDegree(nodeId) {
+        return this.outgoing.get(nodeId)?.size || 0;
+    }
+
+    getInDegree(nodeId) {
+        return this.incoming.get(nodeId)?.size || 0;
+    }
+
+    hasOutgoing(nodeId) {
+        return this.getOutDegree(nodeId) > 0;
+    }
+
+    hasIncoming(nodeId) {
+        return this.getInDegree(nodeId) > 0;
+    }
+
+    // No edges at all in the full graph
+    isIsolated(nodeId) {
+        return !this.hasOutgoing(nodeId) && !this.hasIncoming(nodeId);
+    }
+
+    getPackage(nodeId) {
+        return this.nodePackages.get(nodeId) ?? null;
+    }
+
+    getPackageNodes(packageName) {
+        return this.packageMembers.get(packageName) || new Set();
+    }
+}
@@ -28,9 +28,7 @@ export class NodeOperations {
         
         this.collapsedNodes.set(nodeId, collapseState);
 
-        const connectedEdges = this.viewer.originalData.edges.get({
-            filter: (edge) => edge.from === nodeId || edge.to === nodeId
-        });
+        const connectedEdges = this.viewer.graphIndex.getConnectedEdges(nodeId);
 
         const affectedNodeIds = new Set();
         
@@ -49,11 +47,7 @@ export class NodeOperations {
             if (!this.isNodeReferenced(id)) {
                 this.viewer.hiddenNodes.add(id);
                 
-                const nodeEdges = this.viewer.originalData.edges.get({
-                    filter: (edge) => edge.from === id || edge.to === id
-                });
-                
-                nodeEdges.forEach((edge) => {
+                this.viewer.graphIndex.getConnectedEdges(id).forEach((edge) => {
                     this.viewer.hiddenEdges.add(edge.id);
                 });
             }
@@ -95,9 +89,7 @@ export class NodeOperations {
             this.collapsedNodes.set(nodeId, collapseState);
         }
 
-        const connectedEdges = this.viewer.originalData.edges.get({
-            filter: (edge) => edge.from === nodeId || edge.to === nodeId
-        });
+        const connectedEdges = this.viewer.graphIndex.getConnectedEdges(nodeId);
 
         const outgoingNodeIds = new Set();
         const incomingNodeIds = new Set();
@@ -119,10 +111,7 @@ export class NodeOperations {
                 
                 // Auto-collapse outgoing calls for newly revealed child nodes
                 if (!this.collapsedNodes.has(id)) {
-                    const allEdges = this.viewer.originalData.edges.get();
-                    const hasOutgoing = allEdges.some(e => e.from === id);
-                    
-                    if (hasOutgoing) {
+                    if (this.viewer.graphIndex.hasOutgoing(id)) {
                         this.collapsedNodes.set(id, { outgoing: true, incoming: false });
                     }
                 }
@@ -151,11 +140,7 @@ export class NodeOperations {
     }
 
     restoreNodeEdges(nodeId) {
-        const nodeEdges = this.viewer.originalData.edges.get({
-            filter: (edge) => edge.from === nodeId || edge.to === nodeId
-        });
-        
-        nodeEdges.forEach((edge) => {
+        this.viewer.graphIndex.getConnectedEdges(nodeId).forEach((edge) => {
             if (!this.isEdgeHiddenByCollapse(edge)) {
                 this.viewer.hiddenEdges.delete(edge.id);
             }
@@ -163,11 +148,7 @@ export class NodeOperations {
     }
 
     isNodeReferenced(nodeId) {
-        const edges = this.viewer.originalData.edges.get({
-            filter: (edge) => (edge.from === nodeId || edge.to === nodeId)
-        });
-
-        for (const edge of edges) {
+        for (const edge of this.viewer.graphIndex.getConnectedEdges(nodeId)) {
             const otherNode = edge.from === nodeId ? edge.to : edge.from;
             const collapseState = this.collapsedNodes.get(otherNode);
             
@@ -180,16 +161,15 @@ export class NodeOperations {
     }
 
     isNodeCollapsedByOthers(nodeId) {
-        for (const [collapsedId, state] of this.collapsedNodes.entries()) {
-            if (collapsedId === nodeId) continue;
-            
-            const edges = this.viewer.originalData.edges.get({
-                filter: (edge) => 
-                    (edge.from === collapsedId && edge.to === nodeId && state.outgoing) ||
-                    (edge.to === collapsedId && edge.from === nodeId && state.incoming)
-            });
-            
-            if (edges.length > 0) return true;
+        const graphIndex = this.viewer.graphIndex;
+        
+        // A caller that collapsed its outgoing calls
+        for (const edge of graphIndex.getIncomingEdges(nodeId)) {
+            if (edge.from !== nodeId && this.collapsedNodes.get(edge.from)?.outgoing) return true;
+        }
+        // A callee that collapsed its incoming calls
+        for (const edge of graphIndex.getOutgoingEdges(nodeId)) {
+            if (edge.to !== nodeId && this.collapsedNodes.get(edge.to)?.incoming) return true;
         }
         return false;
     }
@@ -259,15 +239,14 @@ export class NodeOperations {
     }
 
     applyNormalAppearance(nodeId, collapseState) {
-        const colors = GraphConfig.getNodeColors(collapseState);
+        const node = this.viewer.nodes.get(nodeId);
+        const colors = this.viewer.getNodeColors(node, collapseState);
         
         // Apply package-based border color if not collapsed
         let borderColor = colors.border;
         if (!collapseState || (!collapseState.outgoing && !collapseState.incoming)) {
-            const node = this.viewer.nodes.get(nodeId);
             if (node) {
-                const filePath = node.file || node.path || node.filepath || node.location;
-                const packageName = this.viewer.getFolderFromPath(filePath);
+                const packageName = this.viewer.getNodePackage(node);
                 if (packageName) {
                     borderColor = this.viewer.getFolderColor(packageName);
                 }
@@ -296,15 +275,14 @@ export class NodeOperations {
 
     applyFadedColor(nodeId, progress, collapseState) {
         const flashColors = GraphConfig.getFlashColors();
-        const normalColors = GraphConfig.getNodeColors(collapseState);
+        const node = this.viewer.nodes.get(nodeId);
+        const normalColors = this.viewer.getNodeColors(node, collapseState);
         
         // Apply package-based border color if not collapsed
         let targetBorderColor = normalColors.border;
         if (!collapseState || (!collapseState.outgoing && !collapseState.incoming)) {
-            const node = this.viewer.nodes.get(nodeId);
             if (node) {
-                const filePath = node.file || node.path || node.filepath || node.location;
-                const packageName = this.viewer.getFolderFromPath(filePath);
+                const packageName = this.viewer.getNodePackage(node);
                 if (packageName) {
                     targetBorderColor = this.viewer.getFolderColor(packageName);
                 }
@@ -413,10 +391,11 @@ export class NodeOperations {
 
         Logger.info('NodeOperations', 'Collapsing all nodes');
 
+        const graphIndex = this.viewer.graphIndex;
         const allEdges = this.viewer.originalData.edges.get();
-        const nodesWithIncoming = new Set(allEdges.map(e => e.to));
         const allNodes = this.viewer.originalData.nodes.get();
-        const entryFunctions = allNodes.filter(node => !nodesWithIncoming.has(node.id));
+        // Registered handlers (node.entry) are entries even when something else calls them
+        const entryFunctions = allNodes.filter(node => node.entry || !graphIndex.hasIncoming(node.id));
         const entryFunctionIds = new Set(entryFunctions.map(n => n.id));
 
         Logger.debug('NodeOperations', 'Found entry functions', { count: entryFunctions.length });
@@ -439,8 +418,7 @@ export class NodeOperations {
 
         // Mark entry functions as outgoing collapsed
         entryFunctions.forEach(node => {
-            const hasOutgoing = allEdges.some(e => e.from === node.id);
-            if (hasOutgoing) {
+            if (graphIndex.hasOutgoing(node.id)) {
                 this.collapsedNodes.set(node.id, { outgoing: true, incoming: false });
             }
         });
@@ -449,6 +427,47 @@ export class NodeOperations {
         this.viewer.fitGraph();
     }
 
+    /**
+     * Show only a function and everything it reaches (its downstream call tree)
+     */
+    openCallTree(nodeId) {
+        if (!this.viewer.network || !this.viewer.originalData?.nodes.get(nodeId)) return;
+
+        Logger.info('NodeOperations', 'Opening call tree', { nodeId });
+
+        const graphIndex = this.viewer.graphIndex;
+        const reached = new Set([nodeId]);
+        const queue = [nodeId];
+        while (queue.length > 0) {
+            graphIndex.getSuccessors(queue.shift()).forEach(id => {
+                if (!reached.has(id)) {
+                    reached.add(id);
+                    queue.push(id);
+                }
+            });
+        }
+
+        this.collapsedNodes.clear();
+        this.viewer.hiddenNodes.clear();
+        this.viewer.hiddenEdges.clear();
+        this.lastActionNode = null;
+
+        this.viewer.originalData.nodes.forEach(node => {
+            if (!reached.has(node.id)) {
+                this.viewer.hiddenNodes.add(node.id);
+            }
+        });
+        this.viewer.originalData.edges.forEach(edge => {
+            if (!reached.has(edge.from)) {
+                this.viewer.hiddenEdges.add(edge.id);
+            }
+        });
+
+        this.viewer.updateGraphVisibility();
+        this.viewer.network.selectNodes([nodeId]);
+        this.viewer.fitGraph();
+    }
+
     expandAll() {
         Logger.info('NodeOperations', 'Expanding all nodes');
 
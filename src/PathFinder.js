@@ -0,0 +1,206 @@
+// Path finding between two functions
+// Answers "how does X end up calling Y?": the shortest call path plus, optionally,
+// more simple paths (shortest first), shown with everything else hidden.
+import { Logger } from './Logger.js';
+import { ErrorHandler } from './ErrorHandler.js';
+import { Constants } from './Constants.js';
+
+export class PathFinder {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.source = null;
+        this.target = null;
+        this.paths = [];  // Arrays of node IDs from source to target
+        this.searched = false;
+        this.truncated = false;
+    }
+
+    setSource(nodeId) {
+        this.source = nodeId;
+        this.resetResults();
+        this.viewer.uiManager.showPathPanel();
+    }
+
+    setTarget(nodeId) {
+        this.target = nodeId;
+        this.resetResults();
+        this.viewer.uiManager.showPathPanel();
+    }
+
+    clear() {
+        this.source = null;
+        this.target = null;
+        this.resetResults();
+    }
+
+    resetResults() {
+        this.paths = [];
+        this.searched = false;
+        this.truncated = false;
+    }
+
+    /**
+     * Hop distance from every node that can reach the target (reverse BFS)
+     */
+    distancesTo(target) {
+        const graphIndex = this.viewer.graphIndex;
+        const distances = new Map([[target, 0]]);
+        const queue = [target];
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+            graphIndex.getPredecessors(current).forEach(caller => {
+                if (!distances.has(caller)) {
+                    distances.set(caller, distances.get(current) + 1);
+                    queue.push(caller);
+                }
+            });
+        }
+        return distances;
+    }
+
+    /**
+     * Find up to maxPaths simple paths from source to target, shortest first
+     * Runs a depth-bounded DFS per path length; the distance-to-target table prunes
+     * every branch that cannot reach the target within the bound.
+     * @returns {{paths: string[][], truncated: boolean}} truncated when the step budget ran out
+     */
+    findPaths(source, target, maxPaths = 1) {
+        const graphIndex = this.viewer.graphIndex;
+        const distances = this.distancesTo(target);
+
+        if (!distances.has(source)) {
+            return { paths: [], truncated: false };
+        }
+
+        const shortest = distances.get(source);
+        const paths = [];
+        const maxLength = this.viewer.originalData.nodes.length - 1;
+        let steps = 0;
+        let truncated = false;
+
+        // Same-length paths found in one round are all new, so no dedupe is needed
+        for (let length = shortest; length <= maxLength && paths.length < maxPaths && !truncated; length++) {
+            const path = [source];
+            const onPath = new Set([source]);
+
+            const visit = (current) => {
+                if (paths.length >= maxPaths) return;
+                if (++steps > Constants.PATHS.MAX_SEARCH_STEPS) {
+                    truncated = true;
+                    return;
+                }
+
+                if (current === target) {
+                    if (path.length - 1 === length) {
+                        paths.push([...path]);
+                    }
+                    return;
+                }
+
+                for (const next of graphIndex.getSuccessors(current)) {
+                    if (truncated || paths.length >= maxPaths) return;
+                    if (onPath.has(next) || !distances.has(next)) continue;
+                    if (path.length + distances.get(next) > length) continue;
+
+                    path.push(next);
+                    onPath.add(next);
+                    visit(next);
+                    onPath.delete(next);
+                    path.pop();
+                }
+            };
+
+            visit(source);
+        }
+
+        return { paths, truncated };
+    }
+
+    /**
+     * Compute paths for the current source/target and show only them
+     */
+    run(maxPaths = 1) {
+        const viewer = this.viewer;
+        if (!viewer.originalData || !this.source || !this.target) return;
+
+        if (this.source === this.target) {
+            ErrorHandler.showNotification('Pick two different functions. Use the Cycles panel for recursion.', 'info');
+            return;
+        }
+
+        const { paths, truncated } = this.findPaths(this.source, this.target, maxPaths);
+        this.paths = paths;
+        this.searched = true;
+        this.truncated = truncated;
+
+        Logger.info('PathFinder', 'Paths found', {
+            source: this.source,
+            target: this.target,
+            pathCount: paths.length,
+            truncated
+        });
+
+        if (paths.length > 0) {
+            this.showPaths(paths);
+        }
+        viewer.uiManager.showPathPanel();
+    }
+
+    /**
+     * Hide everything that is not on one of the paths
+     */
+    showPaths(paths) {
+        const viewer = this.viewer;
+        const pathNodes = new Set(paths.flat());
+        const pathEdges = this.getPathEdgeKeys(paths);
+
+        viewer.hiddenNodes.clear();
+        viewer.hiddenEdges.clear();
+
+        viewer.originalData.nodes.forEach((node) => {
+            if (!pathNodes.has(node.id)) {
+                viewer.hiddenNodes.add(node.id);
+            }
+        });
+        viewer.originalData.edges.forEach((edge) => {
+            if (!pathEdges.has(`${edge.from}\0${edge.to}`)) {
+                viewer.hiddenEdges.add(edge.id);
+            }
+        });
+
+        viewer.updateGraphVisibility();
+        viewer.reorganizeLayout(this.source);
+        viewer.updateStats();
+    }
+
+    /**
+     * Select one path's nodes and edges and frame them
+     */
+    highlightPath(index) {
+        const viewer = this.viewer;
+        const path = this.paths[index];
+        if (!path || !viewer.network) return;
+
+        const edgeKeys = this.getPathEdgeKeys([path]);
+        const edgeIds = viewer.edges.get({
+            filter: (edge) => edgeKeys.has(`${edge.from}\0${edge.to}`)
+        }).map(edge => edge.id);
+        const nodeIds = path.filter(nodeId => viewer.nodes.get(nodeId));
+
+        viewer.network.setSelection({ nodes: nodeIds, edges: edgeIds }, { unselectAll: true, highlightEdges: false });
+        viewer.network.fit({
+            nodes: nodeIds,
+            animation: { duration: 500, easingFunction: 'easeInOutQuad' }
+        });
+    }
+
+    getPathEdgeKeys(paths) {
+        const keys = new Set();
+        paths.forEach(path => {
+            for (let i = 0; i < path.length - 1; i++) {
+                keys.add(`${path[i]}\0${path[i + 1]}`);
+            }
+        });
+        return keys;
+    }
+}
@@ -0,0 +1,379 @@
+// Go pprof profile import
+// Decodes gzip-compressed protobuf profiles (CPU, heap, ...) in the browser and
+// turns them into the same {nodes, edges} shape DotParser produces.
+// Format reference: https://github.com/google/pprof/blob/main/proto/profile.proto
+import { ErrorHandler } from './ErrorHandler.js';
+import { Logger } from './Logger.js';
+
+const PROFILE_EXTENSIONS = ['.pb.gz', '.pprof', '.pb', '.prof'];
+
+// Protobuf wire types
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_FIXED32 = 5;
+
+export class PprofParser {
+    constructor(viewer) {
+        this.viewer = viewer;
+    }
+
+    /**
+     * Check whether a file looks like a pprof profile (by name)
+     */
+    isProfileFile(file) {
+        const name = file.name.toLowerCase();
+        return PROFILE_EXTENSIONS.some(ext => name.endsWith(ext));
+    }
+
+    async readFile(file) {
+        try {
+            return await file.arrayBuffer();
+        } catch (error) {
+            ErrorHandler.handle(
+                error,
+                'PprofParser.readFile',
+                'Unable to read the selected profile. Please check file permissions.',
+                { fileName: file.name }
+            );
+            throw error;
+        }
+    }
+
+    /**
+     * Decode a pprof profile into call graph data
+     * Nodes carry flat/cum sample values, edges carry the summed sample value
+     * of the stacks passing through them.
+     * @param {ArrayBuffer} buffer - Raw file contents (gzip or plain protobuf)
+     * @returns {Promise<{nodes: Array, edges: Array, sampleType: {type: string, unit: string}, total: number}>}
+     */
+    async parseProfile(buffer) {
+        let bytes = new Uint8Array(buffer);
+
+        // gzip magic number
+        if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+            bytes = await this.gunzip(bytes);
+        }
+
+        const profile = this.decodeProfile(bytes);
+        return this.buildCallGraph(profile);
+    }
+
+    async gunzip(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Decode the fields of the Profile message the call graph needs
+     */
+    decodeProfile(bytes) {
+        const profile = {
+            sampleTypes: [],
+            samples: [],
+            locations: new Map(),   // id -> { lines: [{ functionId, line }] }
+            functions: new Map(),   // id -> { name, filename, startLine } (string table indexes)
+            strings: [],
+            defaultSampleType: 0
+        };
+
+        this.readMessage(bytes, (field, wireType, value) => {
+            switch (field) {
+                case 1: profile.sampleTypes.push(this.decodeValueType(value)); break;
+                case 2: profile.samples.push(this.decodeSample(value)); break;
+                case 4: {
+                    const location = this.decodeLocation(value);
+                    profile.locations.set(location.id, location);
+                    break;
+                }
+                case 5: {
+                    const func = this.decodeFunction(value);
+                    profile.functions.set(func.id, func);
+                    break;
+                }
+                case 6: profile.strings.push(new TextDecoder().decode(value)); break;
+                case 14: profile.defaultSampleType = value; break;
+            }
+        });
+
+        return profile;
+    }
+
+    decodeValueType(bytes) {
+        const valueType = { type: 0, unit: 0 };
+        this.readMessage(bytes, (field, wireType, value) => {
+            if (field === 1) valueType.type = value;
+            if (field === 2) valueType.unit = value;
+        });
+        return valueType;
+    }
+
+    decodeSample(bytes) {
+        const sample = { locationIds: [], values: [] };
+        this.readMessage(bytes, (field, wireType, value) => {
+            if (field === 1) this.appendRepeated(sample.locationIds, wireType, value, false);
+            if (field === 2) this.appendRepeated(sample.values, wireType, value, true);
+        });
+        return sample;
+    }
+
+    decodeLocation(bytes) {
+        const location = { id: 0, address: 0, lines: [] };
+        this.readMessage(bytes, (field, wireType, value) => {
+            if (field === 1) location.id = value;
+            if (field === 3) location.address = value;
+            if (field === 4) {
+                const line = { functionId: 0, line: 0 };
+                this.readMessage(value, (lineField, lineWireType, lineValue) => {
+                    if (lineField === 1) line.functionId = lineValue;
+                    if (lineField === 2) line.line = lineValue;
+                });
+                location.lines.push(line);
+            }
+        });
+        return location;
+    }
+
+    decodeFunction(bytes) {
+        const func = { id: 0, name: 0, filename: 0, startLine: 0 };
+        this.readMessage(bytes, (field, wireType, value) => {
+            if (field === 1) func.id = value;
+            if (field === 2) func.name = value;
+            if (field === 4) func.filename = value;
+            if (field === 5) func.startLine = value;
+        });
+        return func;
+    }
+
+    /**
+     * Repeated scalar fields may be packed (length-delimited) or not
+     */
+    appendRepeated(target, wireType, value, signed) {
+        if (wireType !== WIRE_LENGTH_DELIMITED) {
+            target.push(signed ? this.toSigned(value) : value);
+            return;
+        }
+        const cursor = { offset: 0 };
+        while (cursor.offset < value.length) {
+            const item = this.readVarint(value, cursor);
+            target.push(signed ? this.toSigned(item) : item);
+        }
+    }
+
+    /**
+     * Walk the fields of a protobuf message
+     * @param {Uint8Array} bytes - Encoded message
+     * @param {Function} onField - (fieldNumber, wireType, value) where value is a
+     *   number for varints and a Uint8Array for length-delimited fields
+     */
+    readMessage(bytes, onField) {
+        const cursor = { offset: 0 };
+
+        while (cursor.offset < bytes.length) {
+            const key = this.readVarint(bytes, cursor);
+            const field = Math.floor(key / 8);
+            const wireType = key % 8;
+
+            switch (wireType) {
+                case WIRE_VARINT:
+                    onField(field, wireType, this.readVarint(bytes, cursor));
+                    break;
+                case WIRE_FIXED64:
+                    cursor.offset += 8;
+                    break;
+                case WIRE_LENGTH_DELIMITED: {
+                    const length = this.readVarint(bytes, cursor);
+                    const end = cursor.offset + length;
+                    if (end > bytes.length) {
+                        throw new Error('Truncated protobuf message');
+                    }
+                    onField(field, wireType, bytes.subarray(cursor.offset, end));
+                    cursor.offset = end;
+                    break;
+                }
+                case WIRE_FIXED32:
+                    cursor.offset += 4;
+                    break;
+                default:
+                    throw new Error(`Unsupported protobuf wire type ${wireType}`);
+            }
+        }
+    }
+
+    /**
+     * Read an unsigned varint. Uses floating point arithmetic so values above
+     * 32 bits survive (precision is only lost beyond 2^53, e.g. raw addresses).
+     */
+    readVarint(bytes, cursor) {
+        let result = 0;
+        let multiplier = 1;
+
+        while (cursor.offset < bytes.length) {
+            const byte = bytes[cursor.offset++];
+            result += (byte & 0x7f) * multiplier;
+            if ((byte & 0x80) === 0) {
+                return result;
+            }
+            multiplier *= 128;
+        }
+
+        throw new Error('Truncated protobuf varint');
+    }
+
+    /**
+     * Reinterpret a decoded varint as a two's complement int64
+     */
+    toSigned(value) {
+        return value >= 2 ** 63 ? value - 2 ** 64 : value;
+    }
+
+    /**
+     * Aggregate samples into function nodes and caller -> callee edges
+     */
+    buildCallGraph(profile) {
+        const str = (index) => profile.strings[index] || '';
+
+        // Value index: default_sample_type if set, otherwise the last type (pprof convention)
+        let valueIndex = profile.sampleTypes.length - 1;
+        if (profile.defaultSampleType) {
+            const index = profile.sampleTypes.findIndex(t => t.type === profile.defaultSampleType);
+            if (index >= 0) valueIndex = index;
+        }
+        const sampleType = profile.sampleTypes[valueIndex] || { type: 0, unit: 0 };
+
+        const nodes = new Map();  // function name -> node
+        const edges = new Map();  // "from\0to" -> edge
+        let total = 0;
+
+        const getNode = (frame) => {
+            if (!nodes.has(frame.name)) {
+                nodes.set(frame.name, {
+                    id: frame.name,
+                    label: this.getShortName(frame.name),
+                    file: frame.file || undefined,
+                    line: frame.line || undefined,
+                    flat: 0,
+                    cum: 0
+                });
+            }
+            return nodes.get(frame.name);
+        };
+
+        profile.samples.forEach(sample => {
+            const value = sample.values[valueIndex] || 0;
+            if (value === 0) return;
+            total += value;
+
+            // Frames from leaf to root; inlined calls expand one location into several frames
+            const frames = [];
+            sample.locationIds.forEach(locationId => {
+                const location = profile.locations.get(locationId);
+                if (!location) return;
+
+                if (location.lines.length === 0) {
+                    frames.push({ name: `0x${location.address.toString(16)}` });
+                    return;
+                }
+
+                location.lines.forEach(line => {
+                    const func = profile.functions.get(line.functionId);
+                    if (!func) return;
+                    frames.push({
+                        name: str(func.name),
+                        file: str(func.filename),
+                        line: func.startLine || line.line
+                    });
+                });
+            });
+
+            if (frames.length === 0) return;
+
+            getNode(frames[0]).flat += value;
+
+            // Count recursive functions and edges once per sample
+            const seenNodes = new Set();
+            const seenEdges = new Set();
+
+            frames.forEach((frame, index) => {
+                const node = getNode(frame);
+                if (!seenNodes.has(node.id)) {
+                    seenNodes.add(node.id);
+                    node.cum += value;
+                }
+
+                const caller = frames[index + 1];
+                if (!caller) return;
+
+                const edgeKey = `${caller.name}\0${frame.name}`;
+                if (seenEdges.has(edgeKey)) return;
+                seenEdges.add(edgeKey);
+
+                if (!edges.has(edgeKey)) {
+                    edges.set(edgeKey, { from: caller.name, to: frame.name, weight: 0 });
+                }
+                edges.get(edgeKey).weight += value;
+            });
+        });
+
+        const unit = str(sampleType.unit);
+        const type = str(sampleType.type);
+
+        nodes.forEach(node => {
+            node.unit = unit;
+            node.title = [
+                node.id,
+                `flat: ${this.formatValue(node.flat, unit)} (${this.formatPercent(node.flat, total)})`,
+                `cum: ${this.formatValue(node.cum, unit)} (${this.formatPercent(node.cum, total)})`
+            ].join('\n');
+        });
+
+        Logger.info('PprofParser', 'Profile decoded', {
+            sampleType: type,
+            unit,
+            sampleCount: profile.samples.length,
+            functionCount: nodes.size,
+            edgeCount: edges.size
+        });
+
+        return {
+            nodes: Array.from(nodes.values()),
+            edges: Array.from(edges.values()),
+            sampleType: { type, unit },
+            total
+        };
+    }
+
+    /**
+     * Drop the import path: "github.com/org/svc/pkg.(*T).Method" -> "pkg.(*T).Method"
+     */
+    getShortName(name) {
+        return name.slice(name.lastIndexOf('/') + 1);
+    }
+
+    /**
+     * Human readable sample value (e.g. 1.25s, 3.4MB)
+     */
+    formatValue(value, unit) {
+        if (unit === 'nanoseconds') {
+            if (value >= 1e9) return `${(value / 1e9).toFixed(2)}s`;
+            if (value >= 1e6) return `${(value / 1e6).toFixed(2)}ms`;
+            if (value >= 1e3) return `${(value / 1e3).toFixed(2)}µs`;
+            return `${value}ns`;
+        }
+        if (unit === 'bytes') {
+            const units = ['B', 'kB', 'MB', 'GB', 'TB'];
+            let scaled = value;
+            let index = 0;
+            while (Math.abs(scaled) >= 1024 && index < units.length - 1) {
+                scaled /= 1024;
+                index++;
+            }
+            return index === 0 ? `${scaled}B` : `${scaled.toFixed(2)}${units[index]}`;
+        }
+        return unit && unit !== 'count' ? `${value} ${unit}` : `${value}`;
+    }
+
+    formatPercent(value, total) {
+        return total ? `${(value / total * 100).toFixed(2)}%` : '0%';
+    }
+}
@@ -0,0 +1,48 @@
+// Go scan settings per folder
+// Remembers the scanner's include/exclude patterns, test file, .gitignore and
+// platform options (see GoScanRules.DEFAULT_SETTINGS) in localStorage, keyed by
+// folder name, so a folder opened again is scanned the same way.
+import { Logger } from './Logger.js';
+import { Constants } from './Constants.js';
+
+export class ScanSettings {
+    constructor(viewer) {
+        this.viewer = viewer;
+    }
+
+    /**
+     * Settings for a folder: its own, else the saved defaults, else GoScanRules' defaults
+     * @param {string|null} folderName - Null for the defaults of folders opened from now on
+     */
+    load(folderName) {
+        const saved = this.readAll();
+        const own = folderName !== null ? saved[folderName] : undefined;
+        return {
+            ...GoScanRules.DEFAULT_SETTINGS,
+            ...(own ?? saved[Constants.GO_ANALYSIS.DEFAULT_SETTINGS_KEY])
+        };
+    }
+
+    /**
+     * @param {string|null} folderName - As for load()
+     */
+    save(folderName, settings) {
+        const saved = this.readAll();
+        saved[folderName ?? Constants.GO_ANALYSIS.DEFAULT_SETTINGS_KEY] = settings;
+        try {
+            localStorage.setItem(Constants.GO_ANALYSIS.SETTINGS_STORAGE_KEY, JSON.stringify(saved));
+        } catch (error) {
+            // Storage disabled or full: the settings still apply to this analysis
+            Logger.warn('ScanSettings', 'Could not save scan settings', { folderName, error: error.message });
+        }
+    }
+
+    readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(Constants.GO_ANALYSIS.SETTINGS_STORAGE_KEY)) ?? {};
+        } catch (error) {
+            Logger.warn('ScanSettings', 'Ignoring unreadable scan settings', { error: error.message });
+            return {};
+        }
+    }
+}
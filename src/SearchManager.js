@@ -54,11 +54,11 @@ export class SearchManager {
             let label = node.label || node.id || '';
             label = label.replace(/<[^>]*>/g, ''); // Strip HTML tags
             const lowerLabel = label.toLowerCase();
-            const isVisible = !this.viewer.hiddenNodes.has(node.id);
+            const isVisible = !this.viewer.hiddenNodes.has(node.id) && this.viewer.isNodeShown(node);
             
             // Get package info for prioritization
             const filePath = node.file || node.path || node.filepath || node.location;
-            const packageName = this.viewer.getFolderFromPath(filePath) || 'unknown';
+            const packageName = this.viewer.getNodePackage(node) || 'unknown';
             const packageLevel = this.getPackageLevel(filePath);
             
             if (lowerLabel === searchTerm) {
@@ -262,6 +262,12 @@ export class SearchManager {
             
             item.appendChild(contentContainer);
             item.appendChild(badge);
+            item.appendChild(this.createPathButton('From', 'Find a path from this function', () => 
+                this.viewer.pathFinder.setSource(node.id)
+            ));
+            item.appendChild(this.createPathButton('To', 'Find a path to this function', () => 
+                this.viewer.pathFinder.setTarget(node.id)
+            ));
             
             item.addEventListener('click', () => {
                 this.selectSuggestion(index);
@@ -271,6 +277,20 @@ export class SearchManager {
         });
     }
     
+    // Small From/To button that sets a path finder endpoint instead of selecting the suggestion
+    createPathButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'search-suggestion-path';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+            this.hideSuggestions();
+        });
+        return button;
+    }
+    
     hideSuggestions() {
         if (this.suggestionsContainer) {
             this.suggestionsContainer.classList.add('hidden');
@@ -396,7 +416,7 @@ export class SearchManager {
 
         // Filter visible nodes only
         const visibleNodes = this.viewer.originalData.nodes.get({
-            filter: (node) => !this.viewer.hiddenNodes.has(node.id)
+            filter: (node) => !this.viewer.hiddenNodes.has(node.id) && this.viewer.isNodeShown(node)
         });
 
         const prefixMatches = [];
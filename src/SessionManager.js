@@ -0,0 +1,199 @@
+// Viewer sessions
+// Saves the loaded graph together with everything the user did to it (collapsed,
+// hidden and moved nodes, viewport) to a JSON file, and restores it exactly.
+import { ErrorHandler } from './ErrorHandler.js';
+import { Logger } from './Logger.js';
+import { Constants } from './Constants.js';
+
+// Upgrade steps keyed by the version they upgrade from: { 1: (session) => session_v2 }
+const MIGRATIONS = {};
+
+export class SessionManager {
+    constructor(viewer) {
+        this.viewer = viewer;
+    }
+
+    /**
+     * Snapshot the current graph and view state
+     */
+    createSession() {
+        const viewer = this.viewer;
+        const network = viewer.network;
+
+        return {
+            format: Constants.SESSION.FORMAT,
+            version: Constants.SESSION.VERSION,
+            savedAt: new Date().toISOString(),
+            fileName: document.getElementById('file-name').textContent,
+            // As loaded: external packages ungrouped and closures unfolded, so both can still be toggled
+            graph: { nodes: viewer.loadedData.nodes, edges: viewer.loadedData.edges },
+            profileInfo: viewer.profileInfo,
+            state: {
+                collapsedNodes: Array.from(viewer.nodeOps.collapsedNodes.entries()),
+                hiddenNodes: Array.from(viewer.hiddenNodes),
+                hiddenEdges: Array.from(viewer.hiddenEdges),
+                showIsolatedNodes: viewer.showIsolatedNodes,
+                showDispatchEdges: viewer.showDispatchEdges,
+                showTestNodes: viewer.showTestNodes,
+                showClosures: viewer.showClosures,
+                hiddenEdgeKinds: Array.from(viewer.hiddenEdgeKinds),
+                expandedExternalPackages: Array.from(viewer.externalPackages.expanded),
+                isLargeGraphFiltered: viewer.isLargeGraphFiltered
+            },
+            layout: {
+                originalPositions: Array.from(viewer.layoutManager.originalPositions.entries()),
+                positions: network.getPositions(),
+                viewport: { position: network.getViewPosition(), scale: network.getScale() }
+            }
+        };
+    }
+
+    saveSession() {
+        if (!this.viewer.network || !this.viewer.originalData) {
+            ErrorHandler.showNotification('No graph to save. Please load a DOT file first.', 'info');
+            return;
+        }
+
+        try {
+            const session = this.createSession();
+            const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.download = 'callgraph-session.json';
+            link.href = url;
+            link.click();
+            URL.revokeObjectURL(url);
+
+            Logger.info('SessionManager', 'Session saved', {
+                nodeCount: session.graph.nodes.length,
+                collapsedCount: session.state.collapsedNodes.length,
+                hiddenCount: session.state.hiddenNodes.length
+            });
+            ErrorHandler.showNotification('Session saved.', 'success');
+        } catch (error) {
+            ErrorHandler.handle(error, 'SessionManager.saveSession', 'Failed to save the session. Please try again.');
+        }
+    }
+
+    async handleSessionUpload(event) {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow reopening the same file
+        if (!file) return;
+
+        Logger.info('SessionManager', 'Opening session', { fileName: file.name, size: file.size });
+
+        let session;
+        try {
+            session = this.migrate(JSON.parse(await file.text()));
+        } catch (error) {
+            ErrorHandler.handle(
+                error,
+                'SessionManager.handleSessionUpload',
+                `Unable to open session: ${error.message}`,
+                { fileName: file.name }
+            );
+            return;
+        }
+
+        this.restoreSession(session);
+    }
+
+    /**
+     * Validate a parsed session file and upgrade it to the current version
+     * @throws {Error} When the file is not a session or was written by a newer version
+     */
+    migrate(session) {
+        if (!session || session.format !== Constants.SESSION.FORMAT) {
+            throw new Error('the file is not a Callgraph Viewer session');
+        }
+        if (!Number.isInteger(session.version) || session.version > Constants.SESSION.VERSION) {
+            throw new Error(`session version ${session.version} is newer than this viewer supports`);
+        }
+
+        let migrated = session;
+        while (migrated.version < Constants.SESSION.VERSION) {
+            const upgrade = MIGRATIONS[migrated.version];
+            if (!upgrade) {
+                throw new Error(`no migration from session version ${migrated.version}`);
+            }
+            migrated = upgrade(migrated);
+        }
+        return migrated;
+    }
+
+    /**
+     * Load the session's graph, then re-apply its state once the initial layout has settled
+     */
+    restoreSession(session) {
+        const viewer = this.viewer;
+
+        viewer.uiManager.hideHelpOverlay();
+        viewer.uiManager.hideDiagnosticsPanel();
+        document.getElementById('file-name').textContent = session.fileName;
+        viewer.goAnalyzer.forgetFolder();
+        viewer.updateRefreshButtons();
+
+        viewer.profileInfo = session.profileInfo || null;
+        // Grouping and folding happen as the graph loads, before the rest of the state is applied
+        viewer.externalPackages.expanded = new Set(session.state.expandedExternalPackages ?? []);
+        viewer.showClosures = session.state.showClosures ?? true;
+        viewer.loadGraphData(session.graph);
+        if (!viewer.network) return;
+
+        // Runs after renderGraph's own handler has stored the computed layout
+        viewer.network.once('stabilizationIterationsDone', () => {
+            try {
+                this.applyState(session);
+            } catch (error) {
+                ErrorHandler.handle(error, 'SessionManager.restoreSession', 'The graph loaded, but its saved view could not be restored.');
+            }
+        });
+    }
+
+    applyState(session) {
+        const viewer = this.viewer;
+        const { state, layout } = session;
+
+        const collapsedNodes = viewer.nodeOps.collapsedNodes;
+        collapsedNodes.clear();
+        state.collapsedNodes.forEach(([nodeId, collapseState]) => collapsedNodes.set(nodeId, collapseState));
+
+        viewer.hiddenNodes.clear();
+        state.hiddenNodes.forEach(nodeId => viewer.hiddenNodes.add(nodeId));
+        viewer.hiddenEdges.clear();
+        state.hiddenEdges.forEach(edgeId => viewer.hiddenEdges.add(edgeId));
+
+        viewer.showIsolatedNodes = state.showIsolatedNodes;
+        viewer.updateIsolatedNodesButton();
+        viewer.showDispatchEdges = state.showDispatchEdges ?? true;
+        viewer.updateDispatchEdgesButton();
+        viewer.showTestNodes = state.showTestNodes ?? true;
+        viewer.updateTestNodesButton();
+        viewer.hiddenEdgeKinds = new Set(state.hiddenEdgeKinds ?? []);
+        viewer.updateEdgeKindsButton();
+
+        viewer.isLargeGraphFiltered = state.isLargeGraphFiltered;
+        if (viewer.isLargeGraphFiltered) {
+            viewer.showLargeGraphWarning();
+        } else {
+            viewer.hideLargeGraphWarning();
+        }
+
+        viewer.layoutManager.originalPositions = new Map(layout.originalPositions);
+        viewer.updateGraphVisibility();
+
+        const positions = viewer.nodes.getIds()
+            .filter(nodeId => layout.positions[nodeId])
+            .map(nodeId => ({ id: nodeId, x: layout.positions[nodeId].x, y: layout.positions[nodeId].y }));
+        viewer.nodes.update(positions);
+
+        viewer.network.moveTo({ position: layout.viewport.position, scale: layout.viewport.scale });
+        viewer.updateStats();
+
+        Logger.info('SessionManager', 'Session restored', {
+            version: session.version,
+            visibleNodes: viewer.nodes.length,
+            collapsedCount: viewer.nodeOps.collapsedNodes.size
+        });
+    }
+}
@@ -1,10 +1,13 @@
 // UI event handling and control management
 import { Logger } from './Logger.js';
+import { ErrorHandler } from './ErrorHandler.js';
+import { Constants } from './Constants.js';
 
 export class UIManager {
     constructor(viewer) {
         this.viewer = viewer;
         this.contextMenuNode = null;
+        this.onLoadPartial = null;
     }
 
     initializeEventListeners() {
@@ -15,15 +18,58 @@ export class UIManager {
         this.setupKeyboardShortcuts();
         this.setupContextMenu();
         this.setupDetailPanel();
+        this.setupDiagnosticsPanel();
+        this.setupCyclesPanel();
+        this.setupEntryPointsPanel();
+        this.setupPathPanel();
+        this.setupScanSettingsPanel();
     }
 
     setupFileHandlers() {
         const fileInput = document.getElementById('file-input');
         fileInput.addEventListener('change', (e) => this.viewer.handleFileUpload(e));
 
-        document.getElementById('generate-button').addEventListener('click', () => 
-            this.viewer.handleGenerateFromFolder()
+        document.getElementById('generate-button').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showGenerateMenu(e.currentTarget);
+        });
+        document.getElementById('folder-input').addEventListener('change', (e) => 
+            this.viewer.handleFolderUpload(e)
+        );
+        document.getElementById('zip-input').addEventListener('change', (e) => 
+            this.viewer.handleZipUpload(e)
+        );
+        document.getElementById('scan-settings-button').addEventListener('click', () => 
+            this.toggleScanSettingsPanel()
+        );
+        document.getElementById('cancel-generate-button').addEventListener('click', () => 
+            this.viewer.goAnalyzer.cancel()
+        );
+        document.getElementById('refresh-folder-button').addEventListener('click', () => 
+            this.viewer.refreshFromFolder()
         );
+        document.getElementById('auto-refresh-button').addEventListener('click', () => 
+            this.viewer.toggleAutoRefresh()
+        );
+
+        // A source folder or .zip archive dropped anywhere on the graph
+        const graphContainer = document.querySelector('.graph-container');
+        graphContainer.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            graphContainer.classList.add('drag-over');
+        });
+        graphContainer.addEventListener('dragleave', (e) => {
+            if (!graphContainer.contains(e.relatedTarget)) {
+                graphContainer.classList.remove('drag-over');
+            }
+        });
+        graphContainer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            graphContainer.classList.remove('drag-over');
+            this.viewer.handleFolderDrop(e.dataTransfer);
+        });
     }
 
     setupButtonHandlers() {
@@ -36,6 +82,28 @@ export class UIManager {
         document.getElementById('toggle-isolated-button').addEventListener('click', () => 
             this.viewer.toggleIsolatedNodes()
         );
+        document.getElementById('toggle-dispatch-button').addEventListener('click', () => 
+            this.viewer.toggleDispatchEdges()
+        );
+        document.getElementById('toggle-tests-button').addEventListener('click', () => 
+            this.viewer.toggleTestNodes()
+        );
+        document.getElementById('toggle-closures-button').addEventListener('click', () => 
+            this.viewer.toggleClosures()
+        );
+        document.getElementById('edge-kinds-button').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showEdgeKindMenu(e.currentTarget);
+        });
+        document.getElementById('path-button').addEventListener('click', () => 
+            this.togglePathPanel()
+        );
+        document.getElementById('cycles-button').addEventListener('click', () => 
+            this.toggleCyclesPanel()
+        );
+        document.getElementById('entry-points-button').addEventListener('click', () => 
+            this.toggleEntryPointsPanel()
+        );
         document.getElementById('help-button').addEventListener('click', () => 
             this.toggleHelpOverlay()
         );
@@ -48,8 +116,18 @@ export class UIManager {
         document.getElementById('reset-button').addEventListener('click', () => 
             this.viewer.resetLayout()
         );
-        document.getElementById('export-button').addEventListener('click', () => 
-            this.viewer.exportManager.exportToPNG()
+        document.getElementById('export-button').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showExportMenu(e.currentTarget);
+        });
+        document.getElementById('save-session-button').addEventListener('click', () => 
+            this.viewer.sessionManager.saveSession()
+        );
+        document.getElementById('open-session-button').addEventListener('click', () => 
+            document.getElementById('session-input').click()
+        );
+        document.getElementById('session-input').addEventListener('change', (e) => 
+            this.viewer.sessionManager.handleSessionUpload(e)
         );
     }
 
@@ -222,6 +300,104 @@ export class UIManager {
         document.getElementById('close-detail').addEventListener('click', () => 
             this.hideDetailPanel()
         );
+        document.getElementById('detail-content').addEventListener('click', (e) => {
+            const item = e.target.closest('.test-reach-item');
+            if (item) {
+                this.viewer.revealNode(item.dataset.nodeId);
+            }
+        });
+    }
+
+    setupDiagnosticsPanel() {
+        document.getElementById('close-diagnostics').addEventListener('click', () => 
+            this.hideDiagnosticsPanel()
+        );
+        document.getElementById('load-partial-button').addEventListener('click', () => {
+            const loadPartial = this.onLoadPartial;
+            this.hideDiagnosticsPanel();
+            if (loadPartial) {
+                loadPartial();
+            }
+        });
+    }
+
+    setupCyclesPanel() {
+        document.getElementById('close-cycles').addEventListener('click', () => 
+            this.hideCyclesPanel()
+        );
+        document.getElementById('cycles-content').addEventListener('click', (e) => {
+            const item = e.target.closest('.cycle-item');
+            if (item) {
+                this.viewer.cycleAnalyzer.highlightCycle(item.dataset.cycleId);
+            }
+        });
+    }
+
+    setupEntryPointsPanel() {
+        document.getElementById('close-entry-points').addEventListener('click', () => 
+            this.hideEntryPointsPanel()
+        );
+        document.getElementById('entry-points-content').addEventListener('click', (e) => {
+            const item = e.target.closest('.entry-point-item');
+            if (item) {
+                this.viewer.nodeOps.openCallTree(item.dataset.nodeId);
+            }
+        });
+    }
+
+    setupPathPanel() {
+        const countInput = document.getElementById('path-count');
+        countInput.value = Constants.PATHS.DEFAULT_PATH_COUNT;
+        countInput.max = Constants.PATHS.MAX_PATH_COUNT;
+
+        document.getElementById('close-path').addEventListener('click', () => 
+            this.hidePathPanel()
+        );
+        document.getElementById('find-path-button').addEventListener('click', () => {
+            const requested = parseInt(countInput.value, 10) || 1;
+            const maxPaths = Math.min(Math.max(requested, 1), Constants.PATHS.MAX_PATH_COUNT);
+            countInput.value = maxPaths;
+            this.viewer.pathFinder.run(maxPaths);
+        });
+        document.getElementById('clear-path-button').addEventListener('click', () => {
+            this.viewer.pathFinder.clear();
+            this.viewer.resetLayout();
+            this.showPathPanel();
+        });
+        document.getElementById('path-content').addEventListener('click', (e) => {
+            const item = e.target.closest('.path-item');
+            if (item) {
+                this.viewer.pathFinder.highlightPath(parseInt(item.dataset.pathIndex, 10));
+            }
+        });
+    }
+
+    setupScanSettingsPanel() {
+        const goosSelect = document.getElementById('scan-goos');
+        const goarchSelect = document.getElementById('scan-goarch');
+        const option = (value, text = value) => `<option value="${value}">${text}</option>`;
+        goosSelect.innerHTML = option('', 'Any platform') + GoScanRules.KNOWN_GOOS.map(goos => option(goos)).join('');
+        goarchSelect.innerHTML = GoScanRules.KNOWN_GOARCH.map(goarch => option(goarch)).join('');
+
+        goosSelect.addEventListener('change', () => this.updateScanPlatformInputs());
+
+        document.getElementById('close-scan-settings').addEventListener('click', () => 
+            this.hideScanSettingsPanel()
+        );
+        document.getElementById('reset-scan-settings-button').addEventListener('click', () => 
+            this.fillScanSettingsForm(GoScanRules.DEFAULT_SETTINGS)
+        );
+        document.getElementById('apply-scan-settings-button').addEventListener('click', () => {
+            const settings = this.readScanSettingsForm();
+            try {
+                new GoScanRules(settings); // Compiles every pattern
+            } catch (error) {
+                ErrorHandler.showNotification(`Invalid pattern: ${error.message}`, 'error');
+                return;
+            }
+            this.hideScanSettingsPanel();
+            this.viewer.applyScanSettings(settings);
+        });
     }
 
     createContextMenu() {
@@ -238,11 +414,11 @@ export class UIManager {
         const collapseState = this.viewer.nodeOps.collapsedNodes.get(nodeId) || 
                             { outgoing: false, incoming: false };
         
-        const allEdges = this.viewer.originalData?.edges.get() || [];
-        const hasOutgoing = allEdges.some(edge => edge.from === nodeId);
-        const hasIncoming = allEdges.some(edge => edge.to === nodeId);
+        const hasOutgoing = this.viewer.graphIndex.hasOutgoing(nodeId);
+        const hasIncoming = this.viewer.graphIndex.hasIncoming(nodeId);
         
-        const menuItems = this.buildContextMenuItems(collapseState, hasOutgoing, hasIncoming);
+        const menuItems = this.buildContextMenuItems(collapseState, hasOutgoing, hasIncoming,
+            this.viewer.originalData.nodes.get(nodeId));
         menu.innerHTML = menuItems.join('');
         
         // Attach event listeners
@@ -260,7 +436,7 @@ export class UIManager {
         menu.style.top = y + 'px';
     }
 
-    buildContextMenuItems(collapseState, hasOutgoing, hasIncoming) {
+    buildContextMenuItems(collapseState, hasOutgoing, hasIncoming, node) {
         let items = [];
         
         // Collapse options
@@ -303,6 +479,20 @@ export class UIManager {
         }
         items.push('<div class="context-menu-item" data-action="hide-others"><i class="fas fa-eye-slash"></i> Hide Others</div>');
         
+        // Path finder endpoints
+        items.push('<div class="context-menu-separator"></div>');
+        items.push('<div class="context-menu-item" data-action="path-from"><i class="fas fa-route"></i> Find Path From Here</div>');
+        items.push('<div class="context-menu-item" data-action="path-to"><i class="fas fa-flag-checkered"></i> Find Path To Here</div>');
+        
+        // External packages: one node, or one node per function called
+        if (node?.externalPackage) {
+            items.push('<div class="context-menu-separator"></div>');
+            items.push('<div class="context-menu-item" data-action="expand-package"><i class="fas fa-box-open"></i> Show Package Functions</div>');
+        } else if (node && this.viewer.externalPackages.getPackagePath(node)) {
+            items.push('<div class="context-menu-separator"></div>');
+            items.push('<div class="context-menu-item" data-action="group-package"><i class="fas fa-box"></i> Group Package Functions</div>');
+        }
+        
         return items;
     }
 
@@ -336,11 +526,118 @@ export class UIManager {
             case 'hide-others':
                 this.viewer.hideOthers(nodeId);
                 break;
+            case 'path-from':
+                this.viewer.pathFinder.setSource(nodeId);
+                break;
+            case 'path-to':
+                this.viewer.pathFinder.setTarget(nodeId);
+                break;
+            case 'expand-package':
+                this.viewer.externalPackages.toggle(this.viewer.originalData.nodes.get(nodeId).externalPackage);
+                break;
+            case 'group-package':
+                this.viewer.externalPackages.toggle(this.viewer.originalData.nodes.get(nodeId).cluster);
+                break;
         }
         
         this.viewer.updateStats();
     }
 
+    /**
+     * What to generate the callgraph from, shown in the context menu element below the generate button
+     */
+    showGenerateMenu(button) {
+        const menu = document.getElementById('context-menu');
+        const actions = {
+            'generate-folder': () => this.viewer.handleGenerateFromFolder(),
+            'generate-zip': () => document.getElementById('zip-input').click()
+        };
+
+        this.contextMenuNode = null;
+        menu.innerHTML = [
+            '<div class="context-menu-item" data-action="generate-folder"><i class="fas fa-folder-open"></i> Go or JavaScript/TypeScript folder</div>',
+            '<div class="context-menu-item" data-action="generate-zip"><i class="fas fa-file-zipper"></i> .zip archive of a folder</div>',
+            '<div class="context-menu-separator"></div>',
+            '<div class="context-menu-item" style="color: #9ca3af; cursor: default; pointer-events: none;"><i class="fas fa-hand-pointer"></i> Or drop either onto the graph</div>'
+        ].join('');
+
+        menu.querySelectorAll('.context-menu-item[data-action]').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.hideContextMenu();
+                actions[item.dataset.action]();
+            });
+        });
+
+        const rect = button.getBoundingClientRect();
+        menu.style.display = 'block';
+        menu.style.left = Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8) + 'px';
+        menu.style.top = rect.bottom + 4 + 'px';
+    }
+
+    /**
+     * Export format choices, shown in the context menu element below the export button
+     */
+    showExportMenu(button) {
+        const menu = document.getElementById('context-menu');
+        const exportManager = this.viewer.exportManager;
+        const actions = {
+            'export-png': () => exportManager.exportToPNG(),
+            'export-svg': () => exportManager.exportToSVG({ includeLegend: false }),
+            'export-svg-legend': () => exportManager.exportToSVG({ includeLegend: true })
+        };
+
+        this.contextMenuNode = null;
+        menu.innerHTML = [
+            '<div class="context-menu-item" data-action="export-png"><i class="fas fa-image"></i> PNG (visible area)</div>',
+            '<div class="context-menu-item" data-action="export-svg"><i class="fas fa-bezier-curve"></i> SVG (full graph)</div>',
+            '<div class="context-menu-item" data-action="export-svg-legend"><i class="fas fa-list"></i> SVG with legend</div>'
+        ].join('');
+
+        menu.querySelectorAll('.context-menu-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.hideContextMenu();
+                actions[item.dataset.action]();
+            });
+        });
+
+        const rect = button.getBoundingClientRect();
+        menu.style.display = 'block';
+        menu.style.left = Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8) + 'px';
+        menu.style.top = rect.bottom + 4 + 'px';
+    }
+
+    /**
+     * Checklist of the edge kinds in the graph; stays open so several kinds can be toggled
+     */
+    showEdgeKindMenu(button) {
+        const menu = document.getElementById('context-menu');
+        const viewer = this.viewer;
+
+        this.contextMenuNode = null;
+        menu.innerHTML = viewer.getEdgeKindsInGraph().map(kind => {
+            const style = Constants.EDGE_KINDS[kind];
+            const checkIcon = viewer.hiddenEdgeKinds.has(kind) ? 'far fa-square' : 'fas fa-square-check';
+            return `<div class="context-menu-item" data-kind="${kind}">` +
+                `<i class="${checkIcon}"></i>` +
+                `<span class="edge-kind-swatch" style="background: ${style.color}"></span> ${ErrorHandler.escapeHtml(style.label)}</div>`;
+        }).join('');
+
+        menu.querySelectorAll('.context-menu-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                viewer.toggleEdgeKind(item.dataset.kind);
+                this.showEdgeKindMenu(button);
+            });
+        });
+
+        const rect = button.getBoundingClientRect();
+        menu.style.display = 'block';
+        menu.style.left = Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8) + 'px';
+        menu.style.top = rect.bottom + 4 + 'px';
+    }
+
     hideContextMenu() {
         const menu = document.getElementById('context-menu');
         if (menu) {
@@ -379,6 +676,7 @@ export class UIManager {
         const node = this.viewer.nodes.get(nodeId);
         const detailPanel = document.getElementById('detail-panel');
         const detailContent = document.getElementById('detail-content');
+        document.getElementById('detail-title').textContent = 'Node Details';
 
         const connectedEdges = this.viewer.edges.get({
             filter: (edge) => edge.from === nodeId || edge.to === nodeId
@@ -402,17 +700,75 @@ export class UIManager {
         let html = `
             <div class="property">
                 <span class="property-label">Node ID:</span>
-                <div class="property-value">${nodeId}</div>
+                <div class="property-value">${ErrorHandler.escapeHtml(nodeId)}</div>
             </div>
             <div class="property">
                 <span class="property-label">Label:</span>
-                <div class="property-value">${node.label || nodeId}</div>
+                <div class="property-value">${ErrorHandler.escapeHtml(node.label || nodeId)}</div>
             </div>
         `;
         
+        // Go methods: receiver type in Go syntax ("*Server" for pointer receivers)
+        if (node.receiver) {
+            const receiver = String(node.receiver);
+            const receiverKind = receiver.startsWith('*') ? 'pointer receiver' : 'value receiver';
+            html += `
+                <div class="property">
+                    <span class="property-label">Receiver:</span>
+                    <div class="property-value">(${ErrorHandler.escapeHtml(receiver)}) <span class="receiver-note">${receiverKind}</span></div>
+                </div>
+            `;
+        }
+
+        // Standard library and module code outside the analyzed folder
+        if (node.external) {
+            const origin = node.external === 'stdlib' ? 'standard library' : 'module';
+            const externalText = node.externalPackage
+                ? `${node.functionCount} function${node.functionCount === 1 ? '' : 's'} called in ${node.externalPackage} (${origin}); right-click to show them`
+                : `In ${node.cluster || 'another package'} (${origin})`;
+            html += `
+                <div class="property">
+                    <span class="property-label">External:</span>
+                    <div class="property-value">${ErrorHandler.escapeHtml(externalText)}</div>
+                </div>
+            `;
+        }
+
+        // Function literal split out of the function it is defined in
+        if (node.parent) {
+            html += `
+                <div class="property">
+                    <span class="property-label">Closure:</span>
+                    <div class="property-value">Defined in ${ErrorHandler.escapeHtml(String(node.parent))}</div>
+                </div>
+            `;
+        }
+
+        // Registered as an HTTP route, CLI command or gRPC method
+        if (node.entry) {
+            const kind = Constants.ENTRY_KINDS[node.entry];
+            html += `
+                <div class="property">
+                    <span class="property-label">Entry Point:</span>
+                    <div class="property-value">${kind ? `${kind.label}: ` : ''}${ErrorHandler.escapeHtml(String(node.entryName || ''))}</div>
+                </div>
+            `;
+        }
+
+        // Go test layer: what go test makes of the function
+        if (node.test) {
+            const role = Constants.TEST_ROLES[node.test] || Constants.TEST_ROLES.helper;
+            html += `
+                <div class="property">
+                    <span class="property-label">Test:</span>
+                    <div class="property-value">${role}</div>
+                </div>
+            `;
+        }
+
         const filePath = node.file || node.path || node.filepath || node.location;
         const lineNumber = node.line || node.lineNumber;
-        
+
         if (filePath) {
             const fileDisplay = lineNumber ? `${filePath}:${lineNumber}` : filePath;
             html += `
@@ -421,21 +777,21 @@ export class UIManager {
                     <div class="property-value" style="word-break: break-all;">${fileDisplay}</div>
                 </div>
             `;
-            
-            // Extract and display package name
-            const packageName = this.viewer.getFolderFromPath(filePath);
-            if (packageName) {
-                const packageColor = this.viewer.getFolderColor(packageName);
-                html += `
-                    <div class="property">
-                        <span class="property-label">Package:</span>
-                        <div class="property-value">
-                            <span style="display: inline-block; width: 12px; height: 12px; background-color: ${packageColor}; border-radius: 2px; margin-right: 6px; vertical-align: middle;"></span>
-                            ${packageName}
-                        </div>
+        }
+        
+        // Extract and display package name (folder, or DOT cluster when there is no file)
+        const packageName = this.viewer.getNodePackage(node);
+        if (packageName) {
+            const packageColor = this.viewer.getFolderColor(packageName);
+            html += `
+                <div class="property">
+                    <span class="property-label">Package:</span>
+                    <div class="property-value">
+                        <span style="display: inline-block; width: 12px; height: 12px; background-color: ${packageColor}; border-radius: 2px; margin-right: 6px; vertical-align: middle;"></span>
+                        ${ErrorHandler.escapeHtml(packageName)}
                     </div>
-                `;
-            }
+                </div>
+            `;
         }
         
         html += `
@@ -449,24 +805,63 @@ export class UIManager {
             </div>
         `;
         
-        // Add chain statistics if available
-        const longestIncoming = node.longestIncomingChain;
-        const longestOutgoing = node.longestOutgoingChain;
+        html += this.renderCallSites(nodeId);
+        html += this.renderTestsReaching(nodeId);
+        
+        // Add chain statistics (a recursive group counts as one step)
+        const chainStats = this.viewer.chainAnalyzer.getChainStats(nodeId);
+        const chainNote = chainStats.cycle?.members.length > 1
+            ? ` <span class="chain-note">(cycle of ${chainStats.cycle.members.length} counted as one step)</span>`
+            : '';
+        
+        html += `
+            <div class="property">
+                <span class="property-label">Longest Incoming Chain:</span>
+                <div class="property-value">${chainStats.incoming}${chainNote}</div>
+            </div>
+            <div class="property">
+                <span class="property-label">Longest Outgoing Chain:</span>
+                <div class="property-value">${chainStats.outgoing}${chainNote}</div>
+            </div>
+        `;
         
-        if (longestIncoming !== undefined) {
+        // Add profile sample values (pprof imports)
+        const profileInfo = this.viewer.profileInfo;
+        if (profileInfo && node.flat !== undefined) {
+            const parser = this.viewer.pprofParser;
+            const unit = profileInfo.sampleType.unit;
             html += `
                 <div class="property">
-                    <span class="property-label">Longest Incoming Chain:</span>
-                    <div class="property-value">${longestIncoming}</div>
+                    <span class="property-label">Flat (${ErrorHandler.escapeHtml(profileInfo.sampleType.type)}):</span>
+                    <div class="property-value">${ErrorHandler.escapeHtml(parser.formatValue(node.flat, unit))} (${parser.formatPercent(node.flat, profileInfo.total)})</div>
+                </div>
+                <div class="property">
+                    <span class="property-label">Cumulative (${ErrorHandler.escapeHtml(profileInfo.sampleType.type)}):</span>
+                    <div class="property-value">${ErrorHandler.escapeHtml(parser.formatValue(node.cum, unit))} (${parser.formatPercent(node.cum, profileInfo.total)})</div>
                 </div>
             `;
         }
         
-        if (longestOutgoing !== undefined) {
+        // Cycle membership
+        const functionCycle = this.viewer.cycleAnalyzer.nodeCycles.get(nodeId);
+        if (functionCycle) {
+            const cycleText = functionCycle.members.length === 1
+                ? 'Calls itself'
+                : `Mutually recursive group of ${functionCycle.members.length} functions`;
             html += `
                 <div class="property">
-                    <span class="property-label">Longest Outgoing Chain:</span>
-                    <div class="property-value">${longestOutgoing}</div>
+                    <span class="property-label">Function Cycle:</span>
+                    <div class="property-value">${cycleText}</div>
+                </div>
+            `;
+        }
+        
+        const packageCycle = this.viewer.cycleAnalyzer.getPackageCycle(node);
+        if (packageCycle) {
+            html += `
+                <div class="property">
+                    <span class="property-label">Package Cycle:</span>
+                    <div class="property-value">${packageCycle.members.map(name => ErrorHandler.escapeHtml(name)).join(' ⇄ ')}</div>
                 </div>
             `;
         }
@@ -478,16 +873,18 @@ export class UIManager {
             </div>
         `;
 
-        // Add custom attributes
+        // Add custom attributes (any DOT attribute, so escaped like the rest)
         Object.keys(node).forEach((key) => {
             if (!['id', 'label', 'x', 'y', 'font', 'color', 'shape', 'margin', 'widthConstraint', 
                   'borderWidth', 'file', 'path', 'filepath', 'location', 'line', 'lineNumber', 
                   'longestIncomingChain', 'longestOutgoingChain', 'fixed', 'physics', 
-                  'shapeProperties', 'originalLabel', 'originalFontColor'].includes(key)) {
+                  'shapeProperties', 'originalLabel', 'originalFontColor', 
+                  'flat', 'cum', 'unit', 'title', 'shadow', 'test', 'parent', 'entry', 'entryName',
+                  'external', 'externalPackage', 'functionCount', 'receiver', 'cluster'].includes(key)) {
                 html += `
                     <div class="property">
-                        <span class="property-label">${key}:</span>
-                        <div class="property-value">${node[key]}</div>
+                        <span class="property-label">${ErrorHandler.escapeHtml(key)}:</span>
+                        <div class="property-value">${ErrorHandler.escapeHtml(String(node[key]))}</div>
                     </div>
                 `;
             }
@@ -497,8 +894,494 @@ export class UIManager {
         detailPanel.classList.add('active');
     }
 
+    /**
+     * Call sites of every edge touching a node, from the full graph (hidden edges included)
+     * Outgoing sites are lines in this node's file, incoming ones lines in the caller's file.
+     */
+    renderCallSites(nodeId) {
+        const originalEdges = this.viewer.graphIndex.getConnectedEdges(nodeId)
+            .filter(edge => edge.lines?.length > 0);
+        if (originalEdges.length === 0) return '';
+
+        const describe = (edge, otherId) => {
+            const other = this.viewer.originalData.nodes.get(otherId);
+            const caller = this.viewer.originalData.nodes.get(edge.from);
+            const sites = edge.lines.map((line, index) => {
+                const file = edge.files?.[index] || caller?.file;
+                return file ? `${file}:${line}` : `line ${line}`;
+            });
+            return `
+                <li>
+                    <strong>${ErrorHandler.escapeHtml(other?.label || otherId)}</strong>
+                    <span class="call-site-count">${this.viewer.formatEdgeWeight(edge) || ''}</span>
+                    <div class="call-site-lines">${sites.map(site => ErrorHandler.escapeHtml(site)).join('<br>')}</div>
+                </li>
+            `;
+        };
+
+        let html = '';
+        const outgoing = originalEdges.filter(edge => edge.from === nodeId);
+        const incoming = originalEdges.filter(edge => edge.to === nodeId);
+
+        if (outgoing.length > 0) {
+            html += `
+                <div class="property">
+                    <span class="property-label">Call Sites (calls out):</span>
+                    <ul class="property-value call-site-list">${outgoing.map(edge => describe(edge, edge.to)).join('')}</ul>
+                </div>
+            `;
+        }
+        if (incoming.length > 0) {
+            html += `
+                <div class="property">
+                    <span class="property-label">Call Sites (called from):</span>
+                    <ul class="property-value call-site-list">${incoming.map(edge => describe(edge, edge.from)).join('')}</ul>
+                </div>
+            `;
+        }
+        return html;
+    }
+
+    /**
+     * Go tests that reach a function through any chain of calls (see getTestsReaching);
+     * clicking one reveals it, even when the test layer is hidden
+     */
+    renderTestsReaching(nodeId) {
+        if (!this.viewer.originalData.nodes.get({ filter: node => node.test }).length) return '';
+
+        const tests = this.viewer.getTestsReaching(nodeId);
+        const items = tests.map(test => `
+            <li class="test-reach-item" data-node-id="${ErrorHandler.escapeHtml(test.id)}">
+                <strong>${ErrorHandler.escapeHtml(test.label || test.id)}</strong>
+                <span class="call-site-count">${ErrorHandler.escapeHtml(Constants.TEST_ROLES[test.test] || '')}</span>
+                ${test.file ? `<div class="call-site-lines">${ErrorHandler.escapeHtml(test.file)}</div>` : ''}
+            </li>
+        `).join('');
+
+        return `
+            <div class="property">
+                <span class="property-label">Tests reaching this function (${tests.length}):</span>
+                ${tests.length > 0
+                    ? `<ul class="property-value test-reach-list">${items}</ul>`
+                    : '<div class="property-value">None</div>'}
+            </div>
+        `;
+    }
+
+    showEdgeDetails(edgeId) {
+        const edge = this.viewer.edges.get(edgeId);
+        if (!edge) return;
+
+        const detailPanel = document.getElementById('detail-panel');
+        const detailContent = document.getElementById('detail-content');
+        document.getElementById('detail-title').textContent = 'Edge Details';
+
+        const fromNode = this.viewer.originalData.nodes.get(edge.from);
+        const toNode = this.viewer.originalData.nodes.get(edge.to);
+        const weightText = this.viewer.formatEdgeWeight(edge);
+
+        let html = `
+            <div class="property">
+                <span class="property-label">Caller:</span>
+                <div class="property-value">${ErrorHandler.escapeHtml(fromNode?.label || edge.from)}</div>
+            </div>
+            <div class="property">
+                <span class="property-label">Callee:</span>
+                <div class="property-value">${ErrorHandler.escapeHtml(toNode?.label || edge.to)}</div>
+            </div>
+        `;
+
+        const kind = this.viewer.getEdgeKind(edge);
+        if (kind !== 'call') {
+            html += `
+                <div class="property">
+                    <span class="property-label">Kind:</span>
+                    <div class="property-value">${ErrorHandler.escapeHtml(Constants.EDGE_KINDS[kind].label)}</div>
+                </div>
+            `;
+        }
+
+        // Go package initialization runs init functions one after another
+        if (edge.order) {
+            html += `
+                <div class="property">
+                    <span class="property-label">Init Order:</span>
+                    <div class="property-value">Runs as init function ${edge.order} of the package, after the var initializers</div>
+                </div>
+            `;
+        }
+
+        if (edge.dispatch) {
+            html += `
+                <div class="property">
+                    <span class="property-label">Dispatch:</span>
+                    <div class="property-value">Dynamic, through ${ErrorHandler.escapeHtml(edge.via || 'an interface')}</div>
+                </div>
+            `;
+        }
+
+        if (weightText) {
+            html += `
+                <div class="property">
+                    <span class="property-label">${this.viewer.profileInfo ? `Weight (${ErrorHandler.escapeHtml(this.viewer.profileInfo.sampleType.type)})` : 'Calls'}:</span>
+                    <div class="property-value">${ErrorHandler.escapeHtml(weightText)}</div>
+                </div>
+            `;
+        }
+
+        if (edge.lines?.length > 0) {
+            const sites = edge.lines.map((line, index) => {
+                const file = edge.files?.[index] || fromNode?.file;
+                return file ? `${file}:${line}` : `line ${line}`;
+            });
+            html += `
+                <div class="property">
+                    <span class="property-label">Call Sites:</span>
+                    <div class="property-value" style="word-break: break-all;">${sites.map(site => ErrorHandler.escapeHtml(site)).join('<br>')}</div>
+                </div>
+            `;
+        }
+
+        detailContent.innerHTML = html;
+        detailPanel.classList.add('active');
+    }
+
     hideDetailPanel() {
         document.getElementById('detail-panel').classList.remove('active');
     }
-}
 
+    /**
+     * Show DOT parse problems (or GoParser's unresolved calls) with their location and source line
+     * @param {Array} diagnostics - {severity, message, line, column, snippet} entries from DotParser;
+     *   GoParser entries also carry the source file
+     * @param {object} options - canLoadPartial: offer loading the valid statements via onLoadPartial();
+     *   title/summary: replace the panel heading and the generated count summary
+     */
+    showDiagnosticsPanel(diagnostics, { canLoadPartial = false, onLoadPartial = null, title = 'DOT Problems', summary: summaryText = null } = {}) {
+        const panel = document.getElementById('diagnostics-panel');
+        const summary = document.getElementById('diagnostics-summary');
+        const content = document.getElementById('diagnostics-content');
+        const loadButton = document.getElementById('load-partial-button');
+
+        const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+        const warningCount = diagnostics.length - errorCount;
+
+        const parts = [];
+        if (errorCount > 0) parts.push(`${errorCount} error${errorCount === 1 ? '' : 's'}`);
+        if (warningCount > 0) parts.push(`${warningCount} warning${warningCount === 1 ? '' : 's'}`);
+        let outcome = 'The graph was loaded.';
+        if (errorCount > 0) {
+            outcome = canLoadPartial
+                ? 'The graph was not loaded; Load Valid Statements skips the statements with errors.'
+                : 'The graph was not loaded.';
+        }
+        summary.textContent = summaryText || `${parts.join(', ')}. ${outcome}`;
+        document.getElementById('diagnostics-title').textContent = title;
+
+        content.innerHTML = diagnostics.map(diagnostic => {
+            const icon = diagnostic.severity === 'error' ? 'fa-circle-xmark' : 'fa-triangle-exclamation';
+            // Keep tabs so the caret lines up with the snippet
+            const caretIndent = diagnostic.snippet
+                .slice(0, Math.max(0, diagnostic.column - 1))
+                .replace(/[^\t]/g, ' ');
+            const location = diagnostic.file
+                ? ErrorHandler.escapeHtml(`${diagnostic.file}:${diagnostic.line}:${diagnostic.column}`)
+                : `Line ${diagnostic.line}, column ${diagnostic.column}`;
+            return `
+                <div class="diagnostic diagnostic-${diagnostic.severity}">
+                    <div class="diagnostic-location">
+                        <i class="fas ${icon}"></i> ${location}
+                    </div>
+                    <div class="diagnostic-message">${ErrorHandler.escapeHtml(diagnostic.message)}</div>
+                    <pre class="diagnostic-snippet">${ErrorHandler.escapeHtml(diagnostic.snippet)}\n${caretIndent}^</pre>
+                </div>
+            `;
+        }).join('');
+
+        this.onLoadPartial = canLoadPartial ? onLoadPartial : null;
+        loadButton.style.display = this.onLoadPartial ? 'inline-flex' : 'none';
+
+        this.activateSidePanel(panel);
+    }
+
+    hideDiagnosticsPanel() {
+        document.getElementById('diagnostics-panel').classList.remove('active');
+        this.onLoadPartial = null;
+    }
+
+    /**
+     * Show Go folder analysis progress next to the Generate button
+     * @param {Object} progress - See GoParser.parseDirectory
+     */
+    updateGenerateProgress(progress) {
+        const bar = document.getElementById('generate-progress-bar');
+        const status = document.getElementById('generate-status');
+        document.getElementById('generate-progress').style.display = '';
+        document.getElementById('generate-button').disabled = true;
+
+        if (progress.phase === 'parsing') {
+            bar.max = progress.totalFiles;
+            bar.value = progress.filesScanned;
+            status.textContent = `Parsing ${progress.filesScanned}/${progress.totalFiles} files, ` +
+                `${progress.functionsFound} functions: ${progress.currentPath}`;
+        } else if (progress.phase === 'resolving') {
+            bar.value = bar.max;
+            status.textContent = `Resolving calls between ${progress.functionsFound} functions...`;
+        } else {
+            // The total is unknown while scanning: indeterminate bar
+            bar.removeAttribute('value');
+            status.textContent = `Scanning folder: ${progress.filesScanned} files found`;
+        }
+        status.title = progress.currentPath || '';
+    }
+
+    hideGenerateProgress() {
+        document.getElementById('generate-progress').style.display = 'none';
+        document.getElementById('generate-button').disabled = false;
+        document.getElementById('generate-status').title = '';
+    }
+
+    /**
+     * Side panels share the same spot next to the toolbar; only one is open at a time
+     */
+    activateSidePanel(panel) {
+        document.querySelectorAll('.side-panel.active').forEach(other => {
+            if (other !== panel) other.classList.remove('active');
+        });
+        panel.classList.add('active');
+    }
+
+    toggleCyclesPanel() {
+        if (document.getElementById('cycles-panel').classList.contains('active')) {
+            this.hideCyclesPanel();
+        } else {
+            this.showCyclesPanel();
+        }
+    }
+
+    /**
+     * List function and package cycles found by CycleAnalyzer, largest first
+     */
+    showCyclesPanel() {
+        if (!this.viewer.originalData) {
+            ErrorHandler.showNotification('No graph loaded. Please load a DOT file first.', 'info');
+            return;
+        }
+
+        const analyzer = this.viewer.cycleAnalyzer;
+        const summary = document.getElementById('cycles-summary');
+        const content = document.getElementById('cycles-content');
+        const { functionCycles, packageCycles } = analyzer;
+
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        summary.textContent = functionCycles.length + packageCycles.length === 0
+            ? 'No cycles found.'
+            : `${plural(functionCycles.length, 'function cycle')}, ${plural(packageCycles.length, 'package cycle')}. Click one to highlight it.`;
+
+        const renderItem = (cycle, title, names) => {
+            const maxNames = Constants.CYCLES.MAX_LISTED_MEMBERS;
+            const shown = names.slice(0, maxNames).map(name => ErrorHandler.escapeHtml(name)).join(', ');
+            const more = names.length > maxNames ? ` and ${names.length - maxNames} more` : '';
+            return `
+                <div class="cycle-item cycle-${cycle.kind}" data-cycle-id="${cycle.id}">
+                    <div class="cycle-title">${title}</div>
+                    <div class="cycle-members">${shown}${more}</div>
+                </div>
+            `;
+        };
+
+        const labelOf = (nodeId) => this.viewer.originalData.nodes.get(nodeId)?.label || nodeId;
+        let html = '';
+
+        if (packageCycles.length > 0) {
+            html += '<h4 class="cycle-section-title">Package cycles</h4>';
+            html += packageCycles.map(cycle => 
+                renderItem(cycle, `<i class="fas fa-box"></i> ${plural(cycle.members.length, 'package')}`, cycle.members)
+            ).join('');
+        }
+
+        if (functionCycles.length > 0) {
+            html += '<h4 class="cycle-section-title">Function cycles</h4>';
+            html += functionCycles.map(cycle => {
+                const title = cycle.members.length === 1
+                    ? '<i class="fas fa-rotate-right"></i> Recursive function'
+                    : `<i class="fas fa-arrows-rotate"></i> ${plural(cycle.members.length, 'function')}`;
+                return renderItem(cycle, title, cycle.members.map(labelOf));
+            }).join('');
+        }
+
+        content.innerHTML = html;
+        this.activateSidePanel(document.getElementById('cycles-panel'));
+    }
+
+    hideCyclesPanel() {
+        document.getElementById('cycles-panel').classList.remove('active');
+    }
+
+    toggleEntryPointsPanel() {
+        if (document.getElementById('entry-points-panel').classList.contains('active')) {
+            this.hideEntryPointsPanel();
+        } else {
+            this.showEntryPointsPanel();
+        }
+    }
+
+    /**
+     * List the functions registered as HTTP routes, CLI commands and gRPC methods
+     * (node.entry), grouped by kind and sorted by route or command
+     */
+    showEntryPointsPanel() {
+        if (!this.viewer.originalData) {
+            ErrorHandler.showNotification('No graph loaded. Please load a DOT file first.', 'info');
+            return;
+        }
+
+        const summary = document.getElementById('entry-points-summary');
+        const content = document.getElementById('entry-points-content');
+        const entryNodes = this.viewer.originalData.nodes.get({ filter: node => node.entry });
+
+        summary.textContent = entryNodes.length === 0
+            ? 'No entry points found.'
+            : `${entryNodes.length} entry point${entryNodes.length === 1 ? '' : 's'}. Click one to open its call tree.`;
+
+        let html = '';
+        Object.entries(Constants.ENTRY_KINDS).forEach(([kind, { label, icon }]) => {
+            const nodes = entryNodes
+                .filter(node => node.entry === kind)
+                .sort((a, b) => String(a.entryName || '').localeCompare(String(b.entryName || '')));
+            if (nodes.length === 0) return;
+
+            html += `<h4 class="cycle-section-title">${label}s</h4>`;
+            html += nodes.map(node => `
+                <div class="entry-point-item entry-point-${kind}" data-node-id="${ErrorHandler.escapeHtml(node.id)}">
+                    <div class="cycle-title"><i class="fas ${icon}"></i> ${ErrorHandler.escapeHtml(String(node.entryName || label))}</div>
+                    <div class="cycle-members">${ErrorHandler.escapeHtml(node.label || node.id)}</div>
+                </div>
+            `).join('');
+        });
+
+        content.innerHTML = html;
+        this.activateSidePanel(document.getElementById('entry-points-panel'));
+    }
+
+    hideEntryPointsPanel() {
+        document.getElementById('entry-points-panel').classList.remove('active');
+    }
+
+    togglePathPanel() {
+        if (document.getElementById('path-panel').classList.contains('active')) {
+            this.hidePathPanel();
+        } else {
+            this.showPathPanel();
+        }
+    }
+
+    /**
+     * Render the path finder state: endpoints, result summary and the paths found
+     */
+    showPathPanel() {
+        const pathFinder = this.viewer.pathFinder;
+        const nodes = this.viewer.originalData?.nodes;
+        const labelOf = (nodeId) => ErrorHandler.escapeHtml(nodes?.get(nodeId)?.label || nodeId);
+
+        const renderEndpoint = (nodeId) => nodeId
+            ? labelOf(nodeId)
+            : '<span class="path-endpoint-empty">Not set</span>';
+        document.getElementById('path-source').innerHTML = renderEndpoint(pathFinder.source);
+        document.getElementById('path-target').innerHTML = renderEndpoint(pathFinder.target);
+        document.getElementById('find-path-button').disabled = !pathFinder.source || !pathFinder.target;
+
+        const summary = document.getElementById('path-summary');
+        const content = document.getElementById('path-content');
+        const pathCount = pathFinder.paths.length;
+
+        if (!pathFinder.source || !pathFinder.target) {
+            summary.textContent = 'Pick the two functions with the From/To buttons in the search suggestions, or right-click a node.';
+        } else if (!pathFinder.searched) {
+            summary.textContent = 'Ready. Everything not on a path will be hidden.';
+        } else if (pathCount === 0) {
+            summary.textContent = `${nodes?.get(pathFinder.source)?.label || pathFinder.source} never reaches ${nodes?.get(pathFinder.target)?.label || pathFinder.target}.`;
+        } else {
+            summary.textContent = `${pathCount} path${pathCount === 1 ? '' : 's'}, shortest first. Click one to highlight it.` +
+                (pathFinder.truncated ? ' The search stopped early; there may be more.' : '');
+        }
+
+        content.innerHTML = pathFinder.paths.map((path, index) => `
+            <div class="path-item" data-path-index="${index}">
+                <div class="path-item-title">${path.length - 1} call${path.length === 2 ? '' : 's'}</div>
+                <div class="path-item-nodes">${path.map(labelOf).join(' → ')}</div>
+            </div>
+        `).join('');
+
+        this.activateSidePanel(document.getElementById('path-panel'));
+    }
+
+    hidePathPanel() {
+        document.getElementById('path-panel').classList.remove('active');
+    }
+
+    toggleScanSettingsPanel() {
+        if (document.getElementById('scan-settings-panel').classList.contains('active')) {
+            this.hideScanSettingsPanel();
+        } else {
+            this.showScanSettingsPanel();
+        }
+    }
+
+    /**
+     * Edit the scan settings of the analyzed folder, or the defaults while there is none
+     */
+    showScanSettingsPanel() {
+        const viewer = this.viewer;
+        const source = viewer.goAnalyzer.source;
+        const folderName = source ? viewer.getSourceName(source) : null;
+
+        document.getElementById('scan-settings-summary').textContent = folderName !== null
+            ? `Settings for "${folderName}". Apply analyzes it again and keeps your layout.`
+            : 'Defaults for folders that have no settings of their own yet.';
+        this.fillScanSettingsForm(viewer.scanSettings.load(folderName));
+        this.activateSidePanel(document.getElementById('scan-settings-panel'));
+    }
+
+    hideScanSettingsPanel() {
+        document.getElementById('scan-settings-panel').classList.remove('active');
+    }
+
+    fillScanSettingsForm(settings) {
+        document.getElementById('scan-include').value = settings.include.join('\n');
+        document.getElementById('scan-exclude').value = settings.exclude.join('\n');
+        document.getElementById('scan-include-tests').checked = settings.includeTests;
+        document.getElementById('scan-use-gitignore').checked = settings.useGitignore;
+        document.getElementById('scan-include-external').checked = settings.includeExternal;
+        document.getElementById('scan-split-closures').checked = settings.splitClosures;
+        document.getElementById('scan-goos').value = settings.goos;
+        document.getElementById('scan-goarch').value = settings.goarch;
+        document.getElementById('scan-build-tags').value = settings.buildTags.join(', ');
+        this.updateScanPlatformInputs();
+    }
+
+    // GOARCH and build tags only matter once a GOOS is picked
+    updateScanPlatformInputs() {
+        const anyPlatform = document.getElementById('scan-goos').value === '';
+        document.getElementById('scan-goarch').disabled = anyPlatform;
+        document.getElementById('scan-build-tags').disabled = anyPlatform;
+    }
+
+    readScanSettingsForm() {
+        const patterns = (id) => document.getElementById(id).value
+            .split('\n')
+            .map(pattern => pattern.trim())
+            .filter(Boolean);
+        return {
+            include: patterns('scan-include'),
+            exclude: patterns('scan-exclude'),
+            includeTests: document.getElementById('scan-include-tests').checked,
+            useGitignore: document.getElementById('scan-use-gitignore').checked,
+            includeExternal: document.getElementById('scan-include-external').checked,
+            splitClosures: document.getElementById('scan-split-closures').checked,
+            goos: document.getElementById('scan-goos').value,
+            goarch: document.getElementById('scan-goarch').value,
+            buildTags: document.getElementById('scan-build-tags').value.split(/[\s,]+/).filter(Boolean)
+        };
+    }
+}